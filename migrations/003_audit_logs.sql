@@ -0,0 +1,44 @@
+-- Append-only audit trail for PHI access and changes
+-- Migration: 003_audit_logs.sql
+
+CREATE TABLE audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER REFERENCES users(id),
+    hospital_id INTEGER REFERENCES hospitals(id),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'read', 'update', 'delete')),
+    entity_type VARCHAR(50) NOT NULL, -- e.g., 'patient', 'task_log'
+    entity_id INTEGER,
+    patient_id INTEGER, -- no FK: audit rows must outlive the records they describe
+    before_data JSONB,
+    after_data JSONB,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    request_method VARCHAR(10),
+    request_path TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb
+);
+
+-- Indexes for the audit query endpoint filters
+CREATE INDEX idx_audit_logs_hospital_occurred ON audit_logs(hospital_id, occurred_at DESC);
+CREATE INDEX idx_audit_logs_patient_id ON audit_logs(patient_id);
+CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
+CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+
+-- Append-only: reject any attempt to rewrite or remove history
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_logs is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_audit_logs_no_update
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_modification();
+
+CREATE TRIGGER trigger_audit_logs_no_truncate
+    BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_log_modification();
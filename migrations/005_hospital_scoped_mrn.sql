@@ -0,0 +1,7 @@
+-- Medical record numbers are only unique within a hospital
+-- Migration: 005_hospital_scoped_mrn.sql
+
+ALTER TABLE patients DROP CONSTRAINT patients_medical_record_number_key;
+
+ALTER TABLE patients
+    ADD CONSTRAINT patients_hospital_mrn_key UNIQUE (hospital_id, medical_record_number);
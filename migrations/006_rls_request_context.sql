@@ -0,0 +1,33 @@
+-- Row Level Security driven by transaction-local request context
+-- Migration: 006_rls_request_context.sql
+--
+-- The API sets these per transaction (SET LOCAL semantics):
+--   app.current_hospital_id  - tenant of the current request
+--   app.bypass_rls           - 'on' for super admins and background workers
+--
+-- current_setting(..., true) returns NULL instead of raising when a setting
+-- was never set, so a connection without context simply sees no rows.
+-- Note: superusers and table owners are not subject to RLS; the API should
+-- connect as a dedicated non-owner role for these policies to take effect.
+
+DROP POLICY users_hospital_isolation ON users;
+DROP POLICY patients_hospital_isolation ON patients;
+DROP POLICY task_logs_hospital_isolation ON task_logs;
+
+CREATE POLICY users_hospital_isolation ON users
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY patients_hospital_isolation ON patients
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY task_logs_hospital_isolation ON task_logs
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
@@ -0,0 +1,9 @@
+-- Super admins manage hospitals (tenants) across the platform
+-- Migration: 007_super_admin_role.sql
+
+ALTER TABLE users DROP CONSTRAINT users_role_check;
+
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('clinician', 'admin', 'super_admin'));
+
+CREATE INDEX idx_hospitals_active ON hospitals(active);
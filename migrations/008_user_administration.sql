@@ -0,0 +1,30 @@
+-- User administration: extended roles, account status and invitations
+-- Migration: 008_user_administration.sql
+
+ALTER TABLE users DROP CONSTRAINT users_role_check;
+
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('super_admin', 'admin', 'clinician', 'nurse', 'read_only'));
+
+-- Disabled accounts keep their history but can no longer sign in
+ALTER TABLE users ADD COLUMN active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE users ADD COLUMN disabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN disabled_by INTEGER REFERENCES users(id);
+
+-- One-time invitations replace public self-registration
+CREATE TABLE user_invitations (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('super_admin', 'admin', 'clinician', 'nurse', 'read_only')),
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER NOT NULL REFERENCES users(id),
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id INTEGER REFERENCES users(id),
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_invitations_hospital_id ON user_invitations(hospital_id);
+CREATE INDEX idx_user_invitations_email ON user_invitations(email);
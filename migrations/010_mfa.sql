@@ -0,0 +1,23 @@
+-- TOTP two-factor authentication
+-- Migration: 010_mfa.sql
+
+-- Secrets are stored encrypted (AES-256-GCM) by the API
+ALTER TABLE users ADD COLUMN mfa_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN mfa_secret TEXT;
+ALTER TABLE users ADD COLUMN mfa_pending_secret TEXT; -- set during enrollment
+ALTER TABLE users ADD COLUMN mfa_enrolled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN mfa_last_used_step BIGINT; -- replay protection
+
+-- Hospital admins can make MFA mandatory for their hospital
+ALTER TABLE hospitals ADD COLUMN mfa_required BOOLEAN NOT NULL DEFAULT false;
+
+-- Single-use recovery codes (only the SHA-256 hash is stored)
+CREATE TABLE mfa_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
@@ -0,0 +1,46 @@
+-- Scheduled (planned) care tasks with recurrence and a status lifecycle
+-- Migration: 011_scheduled_tasks.sql
+--
+-- Each row is one occurrence. Recurring tasks create their next occurrence
+-- when the current one is completed or missed; parent_task_id links every
+-- occurrence of a series to the first one.
+-- due_at is TIMESTAMPTZ so "daily at 08:00" and overdue checks can be
+-- evaluated in the hospital's timezone.
+
+CREATE TABLE scheduled_tasks (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    task_type VARCHAR(100) NOT NULL,
+    description TEXT NOT NULL,
+    due_at TIMESTAMPTZ NOT NULL,
+    recurrence JSONB, -- {"everyMinutes": 120} or {"dailyAt": "08:00"}, optional "until"
+    assigned_to INTEGER REFERENCES users(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'in_progress', 'completed', 'missed', 'cancelled')),
+    parent_task_id INTEGER REFERENCES scheduled_tasks(id) ON DELETE CASCADE,
+    task_log_id INTEGER REFERENCES task_logs(id) ON DELETE SET NULL,
+    created_by INTEGER NOT NULL REFERENCES users(id),
+    started_at TIMESTAMPTZ,
+    closed_at TIMESTAMPTZ, -- completed, missed or cancelled
+    closed_by INTEGER REFERENCES users(id),
+    status_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_scheduled_tasks_hospital_due ON scheduled_tasks(hospital_id, due_at);
+CREATE INDEX idx_scheduled_tasks_patient_id ON scheduled_tasks(patient_id);
+CREATE INDEX idx_scheduled_tasks_assigned_to ON scheduled_tasks(assigned_to);
+
+-- Open tasks are what the overdue/worklist queries scan
+CREATE INDEX idx_scheduled_tasks_open ON scheduled_tasks(hospital_id, due_at)
+    WHERE status IN ('scheduled', 'in_progress');
+
+ALTER TABLE scheduled_tasks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY scheduled_tasks_hospital_isolation ON scheduled_tasks
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
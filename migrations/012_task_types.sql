@@ -0,0 +1,75 @@
+-- Per-hospital task type catalog
+-- Migration: 012_task_types.sql
+--
+-- task_logs.task_type (free text) is kept for history; new entries store the
+-- catalog code there and reference the catalog through task_type_id.
+-- Existing free-text values are backfilled into the catalog: spellings that
+-- only differ in case/punctuation share one entry ("Vitals", "vitals"), the
+-- rest ("vitals check", "VS") can be merged by an admin via
+-- POST /api/task-types/:id/merge.
+
+CREATE TABLE task_types (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    code VARCHAR(50) NOT NULL,
+    display_name VARCHAR(100) NOT NULL,
+    category VARCHAR(50),
+    default_duration_minutes INTEGER CHECK (default_duration_minutes > 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT task_types_hospital_code_key UNIQUE (hospital_id, code)
+);
+
+ALTER TABLE task_types ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_types_hospital_isolation ON task_types
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+ALTER TABLE task_logs ADD COLUMN task_type_id INTEGER REFERENCES task_types(id);
+ALTER TABLE scheduled_tasks ADD COLUMN task_type_id INTEGER REFERENCES task_types(id);
+
+CREATE INDEX idx_task_logs_task_type_id ON task_logs(task_type_id);
+CREATE INDEX idx_scheduled_tasks_task_type_id ON scheduled_tasks(task_type_id);
+
+-- Code derived from free text: "vitals check" -> VITALS_CHECK
+CREATE FUNCTION task_type_code(value TEXT) RETURNS VARCHAR(50) AS $$
+    SELECT LEFT(TRIM(BOTH '_' FROM UPPER(REGEXP_REPLACE(TRIM(value), '[^A-Za-z0-9]+', '_', 'g'))), 50)
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Backfill the catalog from existing values (most common spelling wins)
+INSERT INTO task_types (hospital_id, code, display_name)
+SELECT hospital_id, task_type_code(task_type),
+       LEFT(MODE() WITHIN GROUP (ORDER BY TRIM(task_type)), 100)
+FROM (
+    SELECT hospital_id, task_type FROM task_logs
+    UNION ALL
+    SELECT hospital_id, task_type FROM scheduled_tasks
+) existing
+WHERE hospital_id IS NOT NULL AND task_type_code(task_type) <> ''
+GROUP BY hospital_id, task_type_code(task_type);
+
+UPDATE task_logs tl SET task_type_id = tt.id
+FROM task_types tt
+WHERE tt.hospital_id = tl.hospital_id AND tt.code = task_type_code(tl.task_type);
+
+UPDATE scheduled_tasks st SET task_type_id = tt.id
+FROM task_types tt
+WHERE tt.hospital_id = st.hospital_id AND tt.code = task_type_code(st.task_type);
+
+-- Default catalog for every hospital (new hospitals get it from the API)
+INSERT INTO task_types (hospital_id, code, display_name, category, default_duration_minutes)
+SELECT h.id, d.code, d.display_name, d.category, d.default_duration_minutes
+FROM hospitals h
+CROSS JOIN (VALUES
+    ('VITALS', 'Vital signs', 'assessment', 10),
+    ('ASSESSMENT', 'Nursing assessment', 'assessment', 20),
+    ('MEDICATION', 'Medication administration', 'medication', 10),
+    ('REPOSITION', 'Reposition patient', 'mobility', 10),
+    ('HYGIENE', 'Personal hygiene', 'care', 20),
+    ('WOUND_CARE', 'Wound care', 'care', 20)
+) AS d(code, display_name, category, default_duration_minutes)
+ON CONFLICT (hospital_id, code) DO NOTHING;
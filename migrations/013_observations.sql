@@ -0,0 +1,35 @@
+-- Structured clinical observations recorded with task logs
+-- Migration: 013_observations.sql
+--
+-- Types, units and plausible ranges are defined by the API
+-- (src/services/observations.js). value holds the canonical value: a number,
+-- or an object for multi-part types such as {"systolic": 120, "diastolic": 80}.
+-- value_numeric duplicates single-number values for charting and alerting.
+
+CREATE TABLE observations (
+    id BIGSERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    task_log_id INTEGER NOT NULL REFERENCES task_logs(id) ON DELETE CASCADE,
+    observation_type VARCHAR(50) NOT NULL,
+    value JSONB NOT NULL,
+    value_numeric NUMERIC,
+    unit VARCHAR(20) NOT NULL,
+    observed_at TIMESTAMP NOT NULL,
+    recorded_by INTEGER NOT NULL REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Time series per patient and type (charting)
+CREATE INDEX idx_observations_patient_type_time
+    ON observations(patient_id, observation_type, observed_at);
+CREATE INDEX idx_observations_task_log_id ON observations(task_log_id);
+CREATE INDEX idx_observations_hospital_id ON observations(hospital_id);
+
+ALTER TABLE observations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY observations_hospital_isolation ON observations
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
@@ -0,0 +1,42 @@
+-- Full-text and fuzzy search over patients and task log contents
+-- Migration: 014_search.sql
+--
+-- Search documents are built by immutable SQL functions and indexed as
+-- expressions, so rows (and API responses) do not carry a tsvector column.
+-- Queries must call the same functions for the indexes to be used.
+--
+-- Patient names and MRNs use the 'simple' configuration (names must not be
+-- stemmed) plus trigrams for typo-tolerant name matching. Task log
+-- descriptions and notes use 'english'; descriptions outrank notes.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE OR REPLACE FUNCTION patient_search_vector(
+    first_name TEXT, last_name TEXT, medical_record_number TEXT
+) RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('simple'::regconfig, coalesce(first_name, '') || ' ' || coalesce(last_name, '')), 'A')
+        || setweight(to_tsvector('simple'::regconfig, coalesce(medical_record_number, '')), 'A');
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION task_log_search_vector(description TEXT, notes TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'A')
+        || setweight(to_tsvector('english'::regconfig, coalesce(notes, '')), 'B');
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX idx_patients_search_vector ON patients
+    USING GIN (patient_search_vector(first_name, last_name, medical_record_number));
+
+-- Typo tolerance ("Jon Smyth"); the single-column indexes also serve the
+-- ILIKE search of GET /api/patients
+CREATE INDEX idx_patients_full_name_trgm
+    ON patients USING GIN ((first_name || ' ' || last_name) gin_trgm_ops);
+CREATE INDEX idx_patients_first_name_trgm
+    ON patients USING GIN (first_name gin_trgm_ops);
+CREATE INDEX idx_patients_last_name_trgm
+    ON patients USING GIN (last_name gin_trgm_ops);
+CREATE INDEX idx_patients_mrn_trgm
+    ON patients USING GIN (medical_record_number gin_trgm_ops);
+
+CREATE INDEX idx_task_logs_search_vector ON task_logs
+    USING GIN (task_log_search_vector(description, notes));
@@ -0,0 +1,108 @@
+-- Encounters (admission to discharge) and the unit/bed model
+-- Migration: 015_encounters.sql
+--
+-- A patient has at most one open encounter (discharged_at IS NULL). Bed
+-- moves are kept as bed_assignments so transfer history is never lost;
+-- the open assignment (ended_at IS NULL) is the patient's current bed.
+-- patients.room_number is kept in sync with the current bed for existing
+-- clients.
+
+CREATE TABLE units (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    code VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT units_hospital_code_key UNIQUE (hospital_id, code)
+);
+
+CREATE TABLE beds (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    unit_id INTEGER NOT NULL REFERENCES units(id),
+    label VARCHAR(20) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT beds_unit_label_key UNIQUE (unit_id, label)
+);
+
+CREATE TABLE encounters (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    admitted_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    admitted_by INTEGER REFERENCES users(id),
+    admission_reason TEXT,
+    discharged_at TIMESTAMPTZ,
+    discharged_by INTEGER REFERENCES users(id),
+    discharge_disposition VARCHAR(50),
+    discharge_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT encounters_discharge_after_admit
+        CHECK (discharged_at IS NULL OR discharged_at >= admitted_at)
+);
+
+CREATE TABLE bed_assignments (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    encounter_id INTEGER NOT NULL REFERENCES encounters(id) ON DELETE CASCADE,
+    bed_id INTEGER NOT NULL REFERENCES beds(id),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMPTZ,
+    assigned_by INTEGER REFERENCES users(id),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One open encounter per patient, one occupant per bed, one bed per encounter
+CREATE UNIQUE INDEX idx_encounters_one_open_per_patient
+    ON encounters(patient_id) WHERE discharged_at IS NULL;
+CREATE UNIQUE INDEX idx_bed_assignments_one_open_per_bed
+    ON bed_assignments(bed_id) WHERE ended_at IS NULL;
+CREATE UNIQUE INDEX idx_bed_assignments_one_open_per_encounter
+    ON bed_assignments(encounter_id) WHERE ended_at IS NULL;
+
+CREATE INDEX idx_units_hospital_id ON units(hospital_id);
+CREATE INDEX idx_beds_hospital_id ON beds(hospital_id);
+CREATE INDEX idx_beds_unit_id ON beds(unit_id);
+CREATE INDEX idx_encounters_hospital_id ON encounters(hospital_id);
+CREATE INDEX idx_encounters_patient_id ON encounters(patient_id, admitted_at);
+CREATE INDEX idx_bed_assignments_hospital_id ON bed_assignments(hospital_id);
+CREATE INDEX idx_bed_assignments_encounter_id ON bed_assignments(encounter_id);
+
+-- Task logs record the encounter they were performed in
+ALTER TABLE task_logs ADD COLUMN encounter_id INTEGER REFERENCES encounters(id);
+CREATE INDEX idx_task_logs_encounter_id ON task_logs(encounter_id);
+
+ALTER TABLE units ENABLE ROW LEVEL SECURITY;
+ALTER TABLE beds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE encounters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bed_assignments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY units_hospital_isolation ON units
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY beds_hospital_isolation ON beds
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY encounters_hospital_isolation ON encounters
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY bed_assignments_hospital_isolation ON bed_assignments
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
@@ -0,0 +1,51 @@
+-- Shift handoff reports and their acknowledgements
+-- Migration: 016_handoff.sql
+--
+-- A report is a snapshot of what happened in a unit (or the whole hospital)
+-- over a period; acknowledgements refer to that exact content, so later
+-- edits to task logs do not change what a clinician confirmed receiving.
+
+-- Notes the next shift must read
+ALTER TABLE task_logs ADD COLUMN flagged BOOLEAN NOT NULL DEFAULT false;
+CREATE INDEX idx_task_logs_flagged ON task_logs(patient_id, completed_at) WHERE flagged;
+
+CREATE TABLE handoff_reports (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    unit_id INTEGER REFERENCES units(id), -- NULL: whole hospital
+    period_start TIMESTAMPTZ NOT NULL,
+    period_end TIMESTAMPTZ NOT NULL,
+    content JSONB NOT NULL,
+    generated_by INTEGER NOT NULL REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT handoff_reports_period CHECK (period_end > period_start)
+);
+
+CREATE TABLE handoff_acknowledgements (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    handoff_report_id INTEGER NOT NULL REFERENCES handoff_reports(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    note TEXT,
+    acknowledged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT handoff_acknowledgements_report_user_key UNIQUE (handoff_report_id, user_id)
+);
+
+CREATE INDEX idx_handoff_reports_hospital_created ON handoff_reports(hospital_id, created_at);
+CREATE INDEX idx_handoff_reports_unit_id ON handoff_reports(unit_id);
+CREATE INDEX idx_handoff_acknowledgements_hospital_id ON handoff_acknowledgements(hospital_id);
+
+ALTER TABLE handoff_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE handoff_acknowledgements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY handoff_reports_hospital_isolation ON handoff_reports
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY handoff_acknowledgements_hospital_isolation ON handoff_acknowledgements
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
@@ -0,0 +1,179 @@
+-- Change notifications for the real-time event stream
+-- Migration: 017_events.sql
+--
+-- Task log, patient and encounter changes are published on the
+-- "hospital_events" channel with pg_notify. The triggers are deferred
+-- constraint triggers: they run at commit, so unit lookups see the final
+-- state of the transaction (e.g. the bed chosen at admission), and NOTIFY
+-- is only delivered for committed work. Payloads carry identifiers only;
+-- subscribers fetch details through the regular (audited) endpoints.
+
+-- Unit of the patient's current bed, or of the last bed they occupied
+CREATE OR REPLACE FUNCTION patient_event_unit_id(p_patient_id INTEGER)
+RETURNS INTEGER AS $$
+    SELECT b.unit_id
+    FROM bed_assignments ba
+    JOIN beds b ON ba.bed_id = b.id
+    JOIN encounters e ON ba.encounter_id = e.id
+    WHERE e.patient_id = p_patient_id
+    ORDER BY ba.ended_at IS NULL DESC, ba.started_at DESC, ba.id DESC
+    LIMIT 1
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION publish_hospital_event(
+    event_type TEXT,
+    event_hospital_id INTEGER,
+    event_patient_id INTEGER,
+    event_unit_ids INTEGER[],
+    details JSONB
+) RETURNS VOID AS $$
+BEGIN
+    PERFORM pg_notify(
+        'hospital_events',
+        (jsonb_build_object(
+            'type', event_type,
+            'hospital_id', event_hospital_id,
+            'patient_id', event_patient_id,
+            'unit_ids', to_jsonb(COALESCE(array_remove(event_unit_ids, NULL), '{}')),
+            'occurred_at', clock_timestamp()
+        ) || details)::text
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION notify_task_log_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    log task_logs%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        log := OLD;
+    ELSE
+        log := NEW;
+    END IF;
+
+    PERFORM publish_hospital_event(
+        'task_log.' || CASE TG_OP
+            WHEN 'INSERT' THEN 'created'
+            WHEN 'UPDATE' THEN 'updated'
+            ELSE 'deleted'
+        END,
+        log.hospital_id,
+        log.patient_id,
+        ARRAY[patient_event_unit_id(log.patient_id)],
+        jsonb_build_object(
+            'task_log_id', log.id,
+            'task_type', log.task_type,
+            'user_id', log.user_id,
+            'flagged', log.flagged
+        )
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION notify_patient_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    patient patients%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        patient := OLD;
+    ELSE
+        patient := NEW;
+    END IF;
+
+    PERFORM publish_hospital_event(
+        'patient.' || CASE TG_OP
+            WHEN 'INSERT' THEN 'created'
+            WHEN 'UPDATE' THEN 'updated'
+            ELSE 'deleted'
+        END,
+        patient.hospital_id,
+        patient.id,
+        ARRAY[patient_event_unit_id(patient.id)],
+        '{}'::jsonb
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admission, discharge and bed moves
+CREATE OR REPLACE FUNCTION notify_encounter_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM publish_hospital_event(
+            'patient.admitted', NEW.hospital_id, NEW.patient_id,
+            ARRAY[patient_event_unit_id(NEW.patient_id)],
+            jsonb_build_object('encounter_id', NEW.id)
+        );
+    ELSIF OLD.discharged_at IS NULL AND NEW.discharged_at IS NOT NULL THEN
+        PERFORM publish_hospital_event(
+            'patient.discharged', NEW.hospital_id, NEW.patient_id,
+            ARRAY[patient_event_unit_id(NEW.patient_id)],
+            jsonb_build_object('encounter_id', NEW.id)
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A bed move is published to both the unit left and the unit entered;
+-- the first bed of an encounter is covered by patient.admitted/updated
+CREATE OR REPLACE FUNCTION notify_bed_assignment_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    previous RECORD;
+    encounter encounters%ROWTYPE;
+BEGIN
+    SELECT ba.bed_id, b.unit_id INTO previous
+    FROM bed_assignments ba
+    JOIN beds b ON ba.bed_id = b.id
+    WHERE ba.encounter_id = NEW.encounter_id AND ba.id <> NEW.id
+      AND ba.started_at <= NEW.started_at
+    ORDER BY ba.started_at DESC, ba.id DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO encounter FROM encounters WHERE id = NEW.encounter_id;
+
+    PERFORM publish_hospital_event(
+        'patient.transferred', NEW.hospital_id, encounter.patient_id,
+        ARRAY[(SELECT unit_id FROM beds WHERE id = NEW.bed_id), previous.unit_id],
+        jsonb_build_object(
+            'encounter_id', NEW.encounter_id,
+            'bed_id', NEW.bed_id,
+            'from_bed_id', previous.bed_id
+        )
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER trigger_task_logs_notify
+    AFTER INSERT OR UPDATE OR DELETE ON task_logs
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_task_log_change();
+
+CREATE CONSTRAINT TRIGGER trigger_patients_notify
+    AFTER INSERT OR UPDATE OR DELETE ON patients
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_patient_change();
+
+CREATE CONSTRAINT TRIGGER trigger_encounters_notify
+    AFTER INSERT OR UPDATE ON encounters
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_encounter_change();
+
+CREATE CONSTRAINT TRIGGER trigger_bed_assignments_notify
+    AFTER INSERT ON bed_assignments
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+    EXECUTE FUNCTION notify_bed_assignment_change();
@@ -0,0 +1,79 @@
+-- Outbound webhooks: subscriptions, outbox and delivery log
+-- Migration: 018_webhooks.sql
+--
+-- webhook_deliveries is the outbox: one row per (event, subscription),
+-- inserted in the same transaction as the change that produced the event,
+-- so an event is delivered if and only if the change committed. The
+-- dispatcher sends due rows, retrying with exponential backoff; rows that
+-- exhaust their attempts are dead-lettered (status 'dead') until an admin
+-- retries them.
+
+CREATE TABLE webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    url TEXT NOT NULL,
+    description VARCHAR(200),
+    event_types TEXT[] NOT NULL,
+    secret_encrypted TEXT NOT NULL, -- AES-256-GCM, same scheme as MFA secrets
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT webhook_subscriptions_event_types CHECK (cardinality(event_types) > 0)
+);
+
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMPTZ,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT webhook_deliveries_status CHECK (status IN ('pending', 'delivered', 'dead')),
+    CONSTRAINT webhook_deliveries_event_subscription_key UNIQUE (event_id, subscription_id)
+);
+
+CREATE TABLE webhook_delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER
+);
+
+CREATE INDEX idx_webhook_subscriptions_hospital_id ON webhook_subscriptions(hospital_id);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id);
+
+ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_delivery_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY webhook_subscriptions_hospital_isolation ON webhook_subscriptions
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY webhook_deliveries_hospital_isolation ON webhook_deliveries
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY webhook_delivery_attempts_hospital_isolation ON webhook_delivery_attempts
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
@@ -0,0 +1,45 @@
+-- HL7 v2 ADT ingestion: inbound message log and error queue
+-- Migration: 019_hl7_messages.sql
+--
+-- Every inbound message is stored with the acknowledgement it received.
+-- Messages that were rejected (ACK code AE/AR) keep status 'error' and form
+-- the review queue: an admin fixes the cause (e.g. creates the missing bed)
+-- and reprocesses the message, or dismisses it.
+
+CREATE TABLE hl7_messages (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    control_id VARCHAR(50),              -- MSH-10, echoed in the ACK
+    message_type VARCHAR(20),            -- MSH-9, e.g. ADT^A01
+    sending_application VARCHAR(100),    -- MSH-3
+    sending_facility VARCHAR(100),       -- MSH-4
+    medical_record_number VARCHAR(50),   -- PID-3
+    patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+    raw_message TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    ack_code VARCHAR(2) NOT NULL,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    received_by INTEGER REFERENCES users(id),
+    received_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMPTZ,
+    reviewed_by INTEGER REFERENCES users(id),
+    reviewed_at TIMESTAMPTZ,
+    review_notes TEXT,
+    CONSTRAINT hl7_messages_status CHECK (status IN ('processed', 'error', 'dismissed')),
+    CONSTRAINT hl7_messages_ack_code CHECK (ack_code IN ('AA', 'AE', 'AR'))
+);
+
+-- Review queue, newest first
+CREATE INDEX idx_hl7_messages_queue ON hl7_messages(hospital_id, status, received_at DESC);
+
+-- Duplicate detection: senders resend a message when they miss its ACK
+CREATE INDEX idx_hl7_messages_control_id ON hl7_messages(hospital_id, control_id);
+
+ALTER TABLE hl7_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY hl7_messages_hospital_isolation ON hl7_messages
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
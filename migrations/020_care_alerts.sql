@@ -0,0 +1,78 @@
+-- Care rules and missed-care alerts
+-- Migration: 020_care_alerts.sql
+--
+-- A care rule says "task type X must be logged every N minutes" for the
+-- admitted patients it matches (optionally only those in one unit and/or
+-- carrying a care tag such as BED_BOUND). The alert worker opens an alert
+-- when a matched patient's last such task is older than the interval, and
+-- resolves it once the task is logged or the rule no longer applies.
+-- At most one unresolved alert exists per rule and patient.
+
+-- Care tags describe what a patient needs ("BED_BOUND", "FALL_RISK")
+ALTER TABLE patients ADD COLUMN care_tags TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX idx_patients_care_tags ON patients USING GIN (care_tags);
+
+CREATE TABLE care_rules (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    name VARCHAR(100) NOT NULL,
+    task_type_id INTEGER NOT NULL REFERENCES task_types(id),
+    interval_minutes INTEGER NOT NULL CHECK (interval_minutes BETWEEN 5 AND 10080),
+    unit_id INTEGER REFERENCES units(id), -- NULL: every unit
+    care_tag VARCHAR(50),                 -- NULL: every admitted patient
+    active BOOLEAN NOT NULL DEFAULT true,
+    -- Gaps are measured from here at the earliest, so a new (or
+    -- reactivated) rule does not alert on every patient at once
+    effective_from TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE care_alerts (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    rule_id INTEGER NOT NULL REFERENCES care_rules(id),
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    encounter_id INTEGER REFERENCES encounters(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    due_at TIMESTAMPTZ NOT NULL,          -- when the task was due
+    last_task_log_id INTEGER REFERENCES task_logs(id) ON DELETE SET NULL,
+    opened_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by INTEGER REFERENCES users(id),
+    acknowledged_at TIMESTAMPTZ,
+    acknowledgement_note TEXT,
+    resolved_at TIMESTAMPTZ,
+    resolution VARCHAR(30),
+    resolved_task_log_id INTEGER REFERENCES task_logs(id) ON DELETE SET NULL,
+    CONSTRAINT care_alerts_status CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    CONSTRAINT care_alerts_resolution CHECK (
+        resolution IS NULL OR resolution IN ('task_logged', 'discharged', 'no_longer_applies')
+    )
+);
+
+CREATE UNIQUE INDEX idx_care_alerts_one_unresolved
+    ON care_alerts(rule_id, patient_id) WHERE status <> 'resolved';
+
+CREATE INDEX idx_care_rules_hospital_id ON care_rules(hospital_id);
+CREATE INDEX idx_care_alerts_queue ON care_alerts(hospital_id, status, due_at);
+CREATE INDEX idx_care_alerts_patient_id ON care_alerts(patient_id);
+
+-- The worker looks up each patient's latest log of a task type
+CREATE INDEX idx_task_logs_patient_type_completed
+    ON task_logs(patient_id, task_type_id, completed_at DESC);
+
+ALTER TABLE care_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE care_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY care_rules_hospital_isolation ON care_rules
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
+
+CREATE POLICY care_alerts_hospital_isolation ON care_alerts
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
@@ -0,0 +1,147 @@
+-- Soft delete for patients and task logs, and per-hospital retention
+-- Migration: 021_soft_delete.sql
+--
+-- Clinical records are never removed by the API: DELETE marks them with
+-- deleted_at/deleted_by and a reason, default queries leave them out and
+-- an admin can restore them. Deleting a patient soft-deletes their task
+-- logs with the same timestamp, so restoring the patient brings back
+-- exactly those logs.
+--
+-- Rows are only physically removed by the retention job, once they have
+-- been deleted for longer than the hospital's retention_days and no care
+-- newer than that is recorded for them (NULL: never purge). The foreign
+-- keys from clinical tables become RESTRICT so no delete can silently
+-- cascade through a patient's history; the job removes dependents itself.
+
+ALTER TABLE patients
+    ADD COLUMN deleted_at TIMESTAMPTZ,
+    ADD COLUMN deleted_by INTEGER REFERENCES users(id),
+    ADD COLUMN deletion_reason TEXT;
+
+ALTER TABLE task_logs
+    ADD COLUMN deleted_at TIMESTAMPTZ,
+    ADD COLUMN deleted_by INTEGER REFERENCES users(id),
+    ADD COLUMN deletion_reason TEXT;
+
+ALTER TABLE patients ADD CONSTRAINT patients_deletion_reason
+    CHECK (deleted_at IS NULL OR deletion_reason IS NOT NULL);
+ALTER TABLE task_logs ADD CONSTRAINT task_logs_deletion_reason
+    CHECK (deleted_at IS NULL OR deletion_reason IS NOT NULL);
+
+-- Retention job candidates
+CREATE INDEX idx_patients_deleted_at ON patients(hospital_id, deleted_at)
+    WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_task_logs_deleted_at ON task_logs(hospital_id, deleted_at)
+    WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE hospitals ADD COLUMN retention_days INTEGER
+    CONSTRAINT hospitals_retention_days CHECK (retention_days > 0);
+
+-- No more cascading deletes through clinical history
+ALTER TABLE task_logs
+    DROP CONSTRAINT task_logs_patient_id_fkey,
+    ADD CONSTRAINT task_logs_patient_id_fkey
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE RESTRICT;
+
+ALTER TABLE observations
+    DROP CONSTRAINT observations_patient_id_fkey,
+    ADD CONSTRAINT observations_patient_id_fkey
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE RESTRICT,
+    DROP CONSTRAINT observations_task_log_id_fkey,
+    ADD CONSTRAINT observations_task_log_id_fkey
+        FOREIGN KEY (task_log_id) REFERENCES task_logs(id) ON DELETE RESTRICT;
+
+ALTER TABLE scheduled_tasks
+    DROP CONSTRAINT scheduled_tasks_patient_id_fkey,
+    ADD CONSTRAINT scheduled_tasks_patient_id_fkey
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE RESTRICT;
+
+ALTER TABLE encounters
+    DROP CONSTRAINT encounters_patient_id_fkey,
+    ADD CONSTRAINT encounters_patient_id_fkey
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE RESTRICT;
+
+ALTER TABLE bed_assignments
+    DROP CONSTRAINT bed_assignments_encounter_id_fkey,
+    ADD CONSTRAINT bed_assignments_encounter_id_fkey
+        FOREIGN KEY (encounter_id) REFERENCES encounters(id) ON DELETE RESTRICT;
+
+ALTER TABLE care_alerts
+    DROP CONSTRAINT care_alerts_patient_id_fkey,
+    ADD CONSTRAINT care_alerts_patient_id_fkey
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE RESTRICT,
+    DROP CONSTRAINT care_alerts_encounter_id_fkey,
+    ADD CONSTRAINT care_alerts_encounter_id_fkey
+        FOREIGN KEY (encounter_id) REFERENCES encounters(id) ON DELETE RESTRICT;
+
+-- Soft deletes and restores are published as such, not as updates
+CREATE OR REPLACE FUNCTION soft_delete_event_action(
+    operation TEXT,
+    old_deleted_at TIMESTAMPTZ,
+    new_deleted_at TIMESTAMPTZ
+) RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN operation = 'INSERT' THEN 'created'
+        WHEN operation = 'DELETE' THEN 'deleted'
+        WHEN old_deleted_at IS NULL AND new_deleted_at IS NOT NULL THEN 'deleted'
+        WHEN old_deleted_at IS NOT NULL AND new_deleted_at IS NULL THEN 'restored'
+        ELSE 'updated'
+    END
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION notify_task_log_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    log task_logs%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        log := OLD;
+    ELSE
+        log := NEW;
+    END IF;
+
+    PERFORM publish_hospital_event(
+        'task_log.' || soft_delete_event_action(
+            TG_OP,
+            CASE WHEN TG_OP = 'UPDATE' THEN OLD.deleted_at END,
+            log.deleted_at
+        ),
+        log.hospital_id,
+        log.patient_id,
+        ARRAY[patient_event_unit_id(log.patient_id)],
+        jsonb_build_object(
+            'task_log_id', log.id,
+            'task_type', log.task_type,
+            'user_id', log.user_id,
+            'flagged', log.flagged
+        )
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION notify_patient_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    patient patients%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        patient := OLD;
+    ELSE
+        patient := NEW;
+    END IF;
+
+    PERFORM publish_hospital_event(
+        'patient.' || soft_delete_event_action(
+            TG_OP,
+            CASE WHEN TG_OP = 'UPDATE' THEN OLD.deleted_at END,
+            patient.deleted_at
+        ),
+        patient.hospital_id,
+        patient.id,
+        ARRAY[patient_event_unit_id(patient.id)],
+        '{}'::jsonb
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,69 @@
+-- Task log amendments with version history
+-- Migration: 022_task_log_versions.sql
+--
+-- A task log is charted once and then only amended: every edit stores the
+-- resulting content as a new version with the editor, the time and a
+-- mandatory reason, so what was originally charted is never lost. Version
+-- 1 is the original entry (no reason). task_logs keeps the current content
+-- and its version number; observations are snapshotted with each version
+-- because an amendment replaces the observation rows.
+--
+-- Clinicians can amend their own logs for amendment_lock_hours after
+-- charting (per hospital, NULL: no lock); admins can always amend.
+
+ALTER TABLE task_logs
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN amended_at TIMESTAMPTZ,
+    ADD COLUMN amended_by INTEGER REFERENCES users(id);
+
+ALTER TABLE hospitals ADD COLUMN amendment_lock_hours INTEGER DEFAULT 24
+    CONSTRAINT hospitals_amendment_lock_hours CHECK (amendment_lock_hours > 0);
+
+CREATE TABLE task_log_versions (
+    id BIGSERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id),
+    task_log_id INTEGER NOT NULL REFERENCES task_logs(id) ON DELETE RESTRICT,
+    version INTEGER NOT NULL,
+    task_type VARCHAR(100) NOT NULL,
+    task_type_id INTEGER REFERENCES task_types(id),
+    description TEXT NOT NULL,
+    completed_at TIMESTAMP NOT NULL,
+    notes TEXT,
+    flagged BOOLEAN NOT NULL DEFAULT false,
+    observations JSONB NOT NULL DEFAULT '[]',
+    edited_by INTEGER NOT NULL REFERENCES users(id),
+    edited_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    amendment_reason TEXT,
+    CONSTRAINT task_log_versions_version UNIQUE (task_log_id, version),
+    CONSTRAINT task_log_versions_reason CHECK (version = 1 OR amendment_reason IS NOT NULL)
+);
+
+CREATE INDEX idx_task_log_versions_hospital_id ON task_log_versions(hospital_id);
+
+-- Existing logs start their history with their current content
+INSERT INTO task_log_versions (
+    hospital_id, task_log_id, version, task_type, task_type_id, description,
+    completed_at, notes, flagged, observations, edited_by, edited_at
+)
+SELECT tl.hospital_id, tl.id, 1, tl.task_type, tl.task_type_id,
+       tl.description, tl.completed_at, tl.notes, tl.flagged,
+       COALESCE((
+           SELECT jsonb_agg(jsonb_build_object(
+               'observation_type', o.observation_type,
+               'value', o.value,
+               'unit', o.unit,
+               'observed_at', o.observed_at
+           ) ORDER BY o.observed_at, o.id)
+           FROM observations o
+           WHERE o.task_log_id = tl.id
+       ), '[]'),
+       tl.user_id, COALESCE(tl.created_at::timestamptz, CURRENT_TIMESTAMP)
+FROM task_logs tl;
+
+ALTER TABLE task_log_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_log_versions_hospital_isolation ON task_log_versions
+    USING (
+        current_setting('app.bypass_rls', true) = 'on'
+        OR hospital_id = NULLIF(current_setting('app.current_hospital_id', true), '')::INTEGER
+    );
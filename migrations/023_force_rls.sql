@@ -0,0 +1,30 @@
+-- Apply Row Level Security to the table owner as well
+-- Migration: 023_force_rls.sql
+--
+-- ENABLE ROW LEVEL SECURITY exempts the table owner, so an API connecting as
+-- the role that ran the migrations saw every hospital's rows. FORCE applies
+-- the hospital isolation policies to the owner too; only superusers and
+-- roles with BYPASSRLS are still exempt, so the API must connect as neither.
+--
+-- Lookups that run before a request has a hospital (resolving a session or a
+-- login email to its user) set app.bypass_rls explicitly.
+
+ALTER TABLE users FORCE ROW LEVEL SECURITY;
+ALTER TABLE patients FORCE ROW LEVEL SECURITY;
+ALTER TABLE task_logs FORCE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_tasks FORCE ROW LEVEL SECURITY;
+ALTER TABLE task_types FORCE ROW LEVEL SECURITY;
+ALTER TABLE observations FORCE ROW LEVEL SECURITY;
+ALTER TABLE units FORCE ROW LEVEL SECURITY;
+ALTER TABLE beds FORCE ROW LEVEL SECURITY;
+ALTER TABLE encounters FORCE ROW LEVEL SECURITY;
+ALTER TABLE bed_assignments FORCE ROW LEVEL SECURITY;
+ALTER TABLE handoff_reports FORCE ROW LEVEL SECURITY;
+ALTER TABLE handoff_acknowledgements FORCE ROW LEVEL SECURITY;
+ALTER TABLE webhook_subscriptions FORCE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries FORCE ROW LEVEL SECURITY;
+ALTER TABLE webhook_delivery_attempts FORCE ROW LEVEL SECURITY;
+ALTER TABLE hl7_messages FORCE ROW LEVEL SECURITY;
+ALTER TABLE care_rules FORCE ROW LEVEL SECURITY;
+ALTER TABLE care_alerts FORCE ROW LEVEL SECURITY;
+ALTER TABLE task_log_versions FORCE ROW LEVEL SECURITY;
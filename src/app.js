@@ -16,15 +16,33 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
 });
 app.use("/api/", limiter);
+app.use("/fhir/", limiter);
 
 // Body parsing
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use("/api/auth/mfa", require("./routes/mfa"));
 app.use("/api/auth", require("./routes/auth"));
-app.use("/api/patients", require("./routes/patients"));
+app.use("/api/patients", require("./routes/patients-multitenant"));
 app.use("/api/task-logs", require("./routes/tasklogs"));
+app.use("/api/tasks", require("./routes/tasks"));
+app.use("/api/task-types", require("./routes/taskTypes"));
+app.use("/api/units", require("./routes/units"));
+app.use("/api/census", require("./routes/census"));
+app.use("/api/handoff", require("./routes/handoff"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/care-rules", require("./routes/careRules"));
+app.use("/api/alerts", require("./routes/alerts"));
+app.use("/api/search", require("./routes/search"));
+app.use("/api/events", require("./routes/events"));
+app.use("/api/webhooks", require("./routes/webhooks"));
+app.use("/api/hl7", require("./routes/hl7"));
+app.use("/api/audit", require("./routes/audit"));
+app.use("/api/hospitals", require("./routes/hospitals"));
+app.use("/api/users", require("./routes/users"));
+app.use("/fhir", require("./routes/fhir"));
 
 // Health check
 app.get("/health", (req, res) => {
@@ -1,5 +1,8 @@
-const jwt = require("jsonwebtoken");
-const pool = require("../config/database");
+const { queryAcrossHospitals } = require("../services/dbContext");
+const { verifyAccessToken } = require("../services/tokens");
+
+// All roles known to the system (mirrors the users.role CHECK constraint)
+const ROLES = ["super_admin", "admin", "clinician", "nurse", "read_only"];
 
 const auth = async (req, res, next) => {
   try {
@@ -9,12 +12,17 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: "No token, authorization denied" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
 
-    // Get user from database INCLUDING hospital_id
-    const user = await pool.query(
-      "SELECT id, email, first_name, last_name, role, hospital_id FROM users WHERE id = $1",
-      [decoded.userId]
+    // Get user from database INCLUDING hospital_id; the session must still be live
+    const user = await queryAcrossHospitals(
+      `
+      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.hospital_id
+      FROM users u
+      JOIN auth_sessions s ON s.user_id = u.id
+      WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND u.active = true
+    `,
+      [decoded.userId, decoded.sid]
     );
 
     if (user.rows.length === 0) {
@@ -22,6 +30,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user.rows[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error("Auth middleware error:", error);
@@ -29,10 +38,10 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Role-based access control
+// Role-based access control (super admins pass every role check)
 const requireRole = (roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (req.user.role !== "super_admin" && !roles.includes(req.user.role)) {
       return res
         .status(403)
         .json({ error: "Access denied: insufficient permissions" });
@@ -41,4 +50,37 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { auth, requireRole };
+// Read-only accounts may only use safe (non-mutating) methods
+const rejectReadOnlyWrites = (req, res, next) => {
+  if (
+    req.user.role === "read_only" &&
+    !["GET", "HEAD", "OPTIONS"].includes(req.method)
+  ) {
+    return res
+      .status(403)
+      .json({ error: "Access denied: read-only accounts cannot make changes" });
+  }
+  next();
+};
+
+// Soft-deleted records (?deleted=include or only) are visible to admins only
+const restrictDeletedToAdmins = (req, res, next) => {
+  if (
+    req.query.deleted &&
+    req.query.deleted !== "exclude" &&
+    !["super_admin", "admin"].includes(req.user.role)
+  ) {
+    return res
+      .status(403)
+      .json({ error: "Access denied: only admins can view deleted records" });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  auth,
+  requireRole,
+  rejectReadOnlyWrites,
+  restrictDeletedToAdmins,
+};
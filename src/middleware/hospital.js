@@ -2,6 +2,51 @@
 // Hospital Context Middleware for Multi-Tenancy
 
 const pool = require("../config/database");
+const { verifyAccessToken } = require("../services/tokens");
+const {
+  beginScopedTransaction,
+  queryAcrossHospitals,
+} = require("../services/dbContext");
+
+/**
+ * Hand the request its own transaction-scoped client as req.db
+ *
+ * The transaction is committed (2xx/3xx) or rolled back (4xx/5xx) just
+ * before the response is flushed, so a client never sees success for work
+ * that failed to commit. The connection is released exactly once.
+ */
+const bindRequestClient = (req, res, client) => {
+  const originalEnd = res.end;
+
+  res.end = function (...args) {
+    res.end = originalEnd;
+    const commit = res.statusCode < 400;
+
+    client
+      .query(commit ? "COMMIT" : "ROLLBACK")
+      .then(() => {
+        client.release();
+        originalEnd.apply(res, args);
+      })
+      .catch((error) => {
+        console.error("Request transaction error:", error);
+        client.release(error);
+
+        if (res.headersSent) {
+          return originalEnd.apply(res, args);
+        }
+
+        res.statusCode = 500;
+        res.removeHeader("Content-Length");
+        res.setHeader("Content-Type", "application/json; charset=utf-8");
+        originalEnd.call(res, JSON.stringify({ error: "Server error" }));
+      });
+
+    return res;
+  };
+
+  req.db = client;
+};
 
 /**
  * Middleware to set hospital context for multi-tenant operations
@@ -20,9 +65,15 @@ const setHospitalContext = async (req, res, next) => {
     // 4. URL path: /api/hospitals/NYC001/patients
 
     let hospitalId;
+    const isSuperAdmin = req.user && req.user.role === "super_admin";
 
     // Method 1: Get from user's hospital assignment
-    if (req.user && req.user.hospital_id) {
+    // (super admins may target another hospital via X-Hospital-Code)
+    if (
+      req.user &&
+      req.user.hospital_id &&
+      !(isSuperAdmin && req.headers["x-hospital-code"])
+    ) {
       hospitalId = req.user.hospital_id;
     }
 
@@ -64,8 +115,13 @@ const setHospitalContext = async (req, res, next) => {
     // Set hospital context for this request
     req.hospitalId = hospitalId;
 
-    // Set PostgreSQL session variable for Row Level Security
-    await pool.query("SET app.current_hospital_id = $1", [hospitalId]);
+    // One connection + transaction per request with SET LOCAL semantics,
+    // so Row Level Security applies to exactly this request's queries
+    const client = await beginScopedTransaction({
+      hospitalId,
+      bypassRls: isSuperAdmin,
+    });
+    bindRequestClient(req, res, client);
 
     next();
   } catch (error) {
@@ -110,25 +166,26 @@ const checkHospitalAccess = async (req, res, next) => {
  */
 const authWithHospital = async (req, res, next) => {
   try {
-    const jwt = require("jsonwebtoken");
     const token = req.header("Authorization")?.replace("Bearer ", "");
 
     if (!token) {
       return res.status(401).json({ error: "No token, authorization denied" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
 
-    // Get user with hospital information
-    const user = await pool.query(
+    // Get user with hospital information; revoked sessions are rejected
+    const user = await queryAcrossHospitals(
       `
       SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.hospital_id,
              h.name as hospital_name, h.code as hospital_code
       FROM users u
       JOIN hospitals h ON u.hospital_id = h.id
-      WHERE u.id = $1 AND h.active = true
+      JOIN auth_sessions s ON s.user_id = u.id
+      WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL
+        AND u.active = true AND h.active = true
     `,
-      [decoded.userId]
+      [decoded.userId, decoded.sid]
     );
 
     if (user.rows.length === 0) {
@@ -138,6 +195,7 @@ const authWithHospital = async (req, res, next) => {
     }
 
     req.user = user.rows[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error("Auth with hospital error:", error);
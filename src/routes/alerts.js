@@ -0,0 +1,200 @@
+// src/routes/alerts.js
+// Missed-care alerts raised by the care rules, and their acknowledgement
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { ALERT_STATUSES } = require("../services/careAlerts");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+
+// Alert with its rule, patient and the patient's current bed
+const ALERT_WITH_DETAILS = `
+  SELECT ca.*,
+         cr.name as rule_name,
+         cr.interval_minutes,
+         tt.code as task_type,
+         tt.display_name as task_type_name,
+         p.first_name as patient_first_name,
+         p.last_name as patient_last_name,
+         p.medical_record_number,
+         bed.label as bed_label,
+         bed.unit_id,
+         bed.unit_code,
+         ack.first_name as acknowledged_by_first_name,
+         ack.last_name as acknowledged_by_last_name
+  FROM care_alerts ca
+  JOIN care_rules cr ON ca.rule_id = cr.id
+  JOIN task_types tt ON cr.task_type_id = tt.id
+  JOIN patients p ON ca.patient_id = p.id
+  LEFT JOIN users ack ON ca.acknowledged_by = ack.id
+  LEFT JOIN LATERAL (
+    SELECT b.label, un.id as unit_id, un.code as unit_code
+    FROM bed_assignments ba
+    JOIN beds b ON ba.bed_id = b.id
+    JOIN units un ON b.unit_id = un.id
+    WHERE ba.encounter_id = ca.encounter_id AND ba.ended_at IS NULL
+  ) bed ON true
+`;
+
+/**
+ * GET /api/alerts - Missed-care alerts of the current hospital
+ *
+ * Query: status (open, acknowledged, resolved; comma separated, default
+ * open,acknowledged), patientId, ruleId, unit (ID or code of the patient's
+ * current unit), limit (default 100, at most 500). Most overdue first.
+ */
+router.get(
+  "/",
+  [
+    query("status")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(",")
+          .every((status) => ALERT_STATUSES.includes(status.trim()))
+      )
+      .withMessage(`Status must be one of: ${ALERT_STATUSES.join(", ")}`),
+    query("patientId").optional().isInt({ min: 1 }),
+    query("ruleId").optional().isInt({ min: 1 }),
+    query("unit").optional().trim().isLength({ min: 1, max: 20 }),
+    query("limit").optional().isInt({ min: 1, max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, patientId, ruleId, unit, limit = "100" } = req.query;
+
+      const params = [req.hospitalId];
+      const next = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const statuses = status
+        ? String(status)
+            .split(",")
+            .map((s) => s.trim())
+        : ["open", "acknowledged"];
+      const conditions = [
+        "ca.hospital_id = $1",
+        `ca.status = ANY(${next(statuses)}::text[])`,
+      ];
+
+      if (patientId) {
+        conditions.push(`ca.patient_id = ${next(parseInt(patientId))}`);
+      }
+      if (ruleId) {
+        conditions.push(`ca.rule_id = ${next(parseInt(ruleId))}`);
+      }
+      if (unit) {
+        const value = String(unit).trim();
+        conditions.push(
+          /^\d+$/.test(value)
+            ? `bed.unit_id = ${next(parseInt(value))}`
+            : `bed.unit_code = UPPER(${next(value)})`
+        );
+      }
+
+      const alerts = await req.db.query(
+        `
+        ${ALERT_WITH_DETAILS}
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY ca.due_at, ca.id
+        LIMIT ${next(parseInt(limit))}`,
+        params
+      );
+
+      res.json({ alerts: alerts.rows, count: alerts.rows.length });
+    } catch (error) {
+      console.error("Get alerts error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/alerts/:id/ack - Acknowledge an open alert
+ *
+ * Acknowledging says "someone is on it"; the alert stays unresolved until
+ * the task is logged (the worker then resolves it). Read-only users cannot
+ * acknowledge.
+ */
+router.post(
+  "/:id/ack",
+  [
+    param("id").isInt({ min: 1 }),
+    body("note").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        "SELECT * FROM care_alerts WHERE id = $1 AND hospital_id = $2 FOR UPDATE",
+        [req.params.id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Alert not found" });
+      }
+      if (existing.rows[0].status !== "open") {
+        return res
+          .status(409)
+          .json({ error: `Alert is already ${existing.rows[0].status}` });
+      }
+
+      await req.db.query(
+        `
+        UPDATE care_alerts
+        SET status = 'acknowledged',
+            acknowledged_by = $2,
+            acknowledged_at = CURRENT_TIMESTAMP,
+            acknowledgement_note = $3
+        WHERE id = $1`,
+        [existing.rows[0].id, req.user.id, (req.body || {}).note || null]
+      );
+
+      const alert = await req.db.query(
+        `${ALERT_WITH_DETAILS} WHERE ca.id = $1`,
+        [existing.rows[0].id]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "care_alert",
+        entityId: existing.rows[0].id,
+        patientId: existing.rows[0].patient_id,
+        before: existing.rows[0],
+        after: alert.rows[0],
+      });
+
+      res.json({
+        message: "Alert acknowledged successfully",
+        alert: alert.rows[0],
+      });
+    } catch (error) {
+      console.error("Acknowledge alert error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+// src/routes/audit.js
+// Read-only access to the audit trail for hospital admins
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { requireRole } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { AUDIT_ACTIONS } = require("../services/audit");
+
+const router = express.Router();
+
+// Audit trail is admin-only and hospital-scoped
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(requireRole(["admin"]));
+
+/**
+ * GET /api/audit - Search the audit trail (hospital-scoped)
+ *
+ * Filters: patientId, userId, action, entityType, from, to
+ */
+router.get(
+  "/",
+  [
+    query("patientId").optional().isInt({ min: 1 }),
+    query("userId").optional().isInt({ min: 1 }),
+    query("action").optional().isIn(AUDIT_ACTIONS),
+    query("entityType").optional().trim().isLength({ min: 1 }),
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("From must be a valid datetime (ISO 8601 format)"),
+    query("to")
+      .optional()
+      .isISO8601()
+      .withMessage("To must be a valid datetime (ISO 8601 format)"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 200 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        patientId,
+        userId,
+        action,
+        entityType,
+        from,
+        to,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      let sql = `
+        SELECT al.*,
+               u.first_name as user_first_name,
+               u.last_name as user_last_name,
+               COUNT(*) OVER() as total_count
+        FROM audit_logs al
+        LEFT JOIN users u ON al.user_id = u.id
+        WHERE al.hospital_id = $1
+      `;
+
+      const params = [req.hospitalId];
+      let paramCount = 2;
+
+      if (patientId) {
+        sql += ` AND al.patient_id = $${paramCount++}`;
+        params.push(patientId);
+      }
+
+      if (userId) {
+        sql += ` AND al.user_id = $${paramCount++}`;
+        params.push(userId);
+      }
+
+      if (action) {
+        sql += ` AND al.action = $${paramCount++}`;
+        params.push(action);
+      }
+
+      if (entityType) {
+        sql += ` AND al.entity_type = $${paramCount++}`;
+        params.push(entityType);
+      }
+
+      if (from) {
+        sql += ` AND al.occurred_at >= $${paramCount++}`;
+        params.push(from);
+      }
+
+      if (to) {
+        sql += ` AND al.occurred_at <= $${paramCount++}`;
+        params.push(to);
+      }
+
+      sql += ` ORDER BY al.occurred_at DESC, al.id DESC LIMIT $${paramCount} OFFSET $${
+        paramCount + 1
+      }`;
+      params.push(parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+
+      const result = await req.db.query(sql, params);
+
+      const totalCount = result.rows.length > 0 ? result.rows[0].total_count : 0;
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        auditLogs: result.rows.map((row) => {
+          const { total_count, ...entry } = row;
+          return entry;
+        }),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount: parseInt(totalCount),
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+        filters: { patientId, userId, action, entityType, from, to },
+      });
+    } catch (error) {
+      console.error("Get audit logs error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
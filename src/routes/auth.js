@@ -1,20 +1,52 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
+const { auth, requireRole } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const {
+  withScopedTransaction,
+  queryAcrossHospitals,
+} = require("../services/dbContext");
+const {
+  hashToken,
+  generateOneTimeToken,
+  signMfaPendingToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/tokens");
+const {
+  passwordPolicyValidator,
+  hashPassword,
+  isRecentlyUsedPassword,
+  recordPasswordHistory,
+  registerFailedLogin,
+  resetFailedLogins,
+  sendAccountLocked,
+} = require("../services/passwords");
+const { sendMail, appUrl } = require("../services/mailer");
 const pool = require("../config/database");
 
+const RESET_TOKEN_EXPIRE_MINUTES =
+  parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES) || 30;
+
 const router = express.Router();
 
-// Register new user
+// Accept an invitation: create the invited account and sign in
+// (replaces public self-registration)
 router.post(
-  "/register",
+  "/accept-invite",
   [
-    body("email").isEmail().normalizeEmail(),
-    body("password").isLength({ min: 6 }),
+    body("token").isString().isLength({ min: 1 }),
+    body("password").custom(passwordPolicyValidator),
     body("firstName").trim().isLength({ min: 1 }),
     body("lastName").trim().isLength({ min: 1 }),
-    body("role").isIn(["clinician", "admin"]),
   ],
   async (req, res) => {
     try {
@@ -24,48 +56,89 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { email, password, firstName, lastName, role } = req.body;
+      const { token, password, firstName, lastName } = req.body;
 
-      // Check if user already exists
-      const userExists = await pool.query(
-        "SELECT id FROM users WHERE email = $1",
-        [email]
+      const invitation = await pool.query(
+        `
+        SELECT * FROM user_invitations
+        WHERE token_hash = $1
+          AND accepted_at IS NULL
+          AND revoked_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+      `,
+        [hashToken(token)]
       );
-      if (userExists.rows.length > 0) {
-        return res.status(400).json({ error: "User already exists" });
+
+      if (invitation.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Invitation is invalid or has expired" });
       }
 
+      const invite = invitation.rows[0];
+
       // Hash password
-      const saltRounds = 10;
-      const passwordHash = await bcrypt.hash(password, saltRounds);
-
-      // Create user
-      const newUser = await pool.query(
-        "INSERT INTO users (email, password_hash, first_name, last_name, role, hospital_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, email, first_name, last_name, role, hospital_id",
-        [
-          email,
-          passwordHash,
-          firstName,
-          lastName,
-          role,
-          req.body.hospitalId || 1,
-        ] // Default to hospital 1 if not specified
-      );
+      const passwordHash = await hashPassword(password);
+
+      // Create the user and consume the invitation atomically; emails are
+      // unique across hospitals, so the existence check must see them all
+      const newUser = await withScopedTransaction(
+        { hospitalId: invite.hospital_id, bypassRls: true },
+        async (client) => {
+          const userExists = await client.query(
+            "SELECT id FROM users WHERE email = $1",
+            [invite.email]
+          );
+          if (userExists.rows.length > 0) {
+            return null;
+          }
+
+          const created = await client.query(
+            "INSERT INTO users (email, password_hash, first_name, last_name, role, hospital_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, email, first_name, last_name, role, hospital_id",
+            [
+              invite.email,
+              passwordHash,
+              firstName,
+              lastName,
+              invite.role,
+              invite.hospital_id,
+            ]
+          );
+
+          await client.query(
+            "UPDATE user_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $2 WHERE id = $1",
+            [invite.id, created.rows[0].id]
+          );
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: newUser.rows[0].id, role: newUser.rows[0].role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
+          await recordPasswordHistory(client, created.rows[0].id, passwordHash);
+
+          return created.rows[0];
+        }
       );
 
+      if (!newUser) {
+        return res.status(400).json({ error: "User already exists" });
+      }
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "user",
+        entityId: newUser.id,
+        hospitalId: newUser.hospital_id,
+        after: newUser,
+        metadata: { invitationId: invite.id },
+      });
+
+      // Start a session (short-lived access token + refresh token)
+      const tokens = await createSession(newUser, req);
+
       res.status(201).json({
         message: "User created successfully",
-        token,
-        user: newUser.rows[0],
+        ...tokens,
+        user: newUser,
       });
     } catch (error) {
-      console.error("Registration error:", error);
+      console.error("Accept invitation error:", error);
       res.status(500).json({ error: "Server error" });
     }
   }
@@ -79,49 +152,73 @@ router.post(
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        console.log("Validation errors:", errors.array());
         return res.status(400).json({ errors: errors.array() });
       }
 
       const { email, password } = req.body;
-      console.log("Login attempt:", { email, password }); // DEBUG
 
-      // Find user
-      const user = await pool.query("SELECT * FROM users WHERE email = $1", [
-        email,
-      ]);
-      console.log("User found:", user.rows.length > 0); // DEBUG
+      // Find user (with the hospital's MFA policy)
+      const user = await queryAcrossHospitals(
+        `
+        SELECT u.*, h.mfa_required
+        FROM users u
+        LEFT JOIN hospitals h ON u.hospital_id = h.id
+        WHERE u.email = $1
+      `,
+        [email]
+      );
 
       if (user.rows.length === 0) {
-        console.log("No user found with email:", email); // DEBUG
         return res.status(400).json({ error: "Invalid credentials" });
       }
 
-      console.log("Stored password hash:", user.rows[0].password_hash); // DEBUG
-      console.log("Attempting to compare with password:", password); // DEBUG
+      // Locked accounts are refused before the password is even checked
+      if (user.rows[0].locked_until && user.rows[0].locked_until > new Date()) {
+        return sendAccountLocked(res, user.rows[0].locked_until);
+      }
 
       // Check password
       const validPassword = await bcrypt.compare(
         password,
         user.rows[0].password_hash
       );
-      console.log("Password valid:", validPassword); // DEBUG
 
       if (!validPassword) {
-        console.log("Password comparison failed"); // DEBUG
+        const lockedUntil = await registerFailedLogin(user.rows[0].id);
+        if (lockedUntil) {
+          return sendAccountLocked(res, lockedUntil);
+        }
         return res.status(400).json({ error: "Invalid credentials" });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.rows[0].id, role: user.rows[0].role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
-      );
+      if (!user.rows[0].active) {
+        return res.status(403).json({ error: "Account is disabled" });
+      }
+
+      // Two-step login: with MFA the password alone only earns a
+      // short-lived mfa_pending token, exchanged at /api/auth/mfa/verify
+      // (or, when the hospital requires MFA, used to enroll first)
+      if (user.rows[0].mfa_enabled || user.rows[0].mfa_required) {
+        const enroll = !user.rows[0].mfa_enabled;
+
+        return res.json({
+          message: enroll
+            ? "Two-factor enrollment required"
+            : "Two-factor code required",
+          mfaRequired: !enroll,
+          mfaEnrollmentRequired: enroll,
+          mfaToken: signMfaPendingToken(user.rows[0], { enroll }),
+        });
+      }
+
+      await resetFailedLogins(user.rows[0].id);
+
+      // Start a session (short-lived access token + refresh token)
+      const tokens = await createSession(user.rows[0], req);
 
       res.json({
         message: "Login successful",
-        token,
+        ...tokens,
         user: {
           id: user.rows[0].id,
           email: user.rows[0].email,
@@ -138,4 +235,269 @@ router.post(
   }
 );
 
+// Request a password reset email
+// Always answers the same way so the endpoint cannot be used to discover
+// which email addresses have accounts.
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await queryAcrossHospitals(
+        "SELECT id, email, first_name FROM users WHERE email = $1 AND active = true",
+        [req.body.email]
+      );
+
+      if (user.rows.length > 0) {
+        const { id, email, first_name } = user.rows[0];
+        const { token, tokenHash } = generateOneTimeToken();
+
+        // Only the newest reset link is valid
+        await pool.query(
+          "UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL",
+          [id]
+        );
+        await pool.query(
+          "INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES ($1, $2, $3, $4)",
+          [
+            id,
+            tokenHash,
+            new Date(Date.now() + RESET_TOKEN_EXPIRE_MINUTES * 60 * 1000),
+            req.ip || null,
+          ]
+        );
+
+        try {
+          await sendMail({
+            to: email,
+            subject: "Reset your Patient Tracker password",
+            text: [
+              `Hello ${first_name},`,
+              "",
+              "Use the link below to choose a new password. It expires in " +
+                `${RESET_TOKEN_EXPIRE_MINUTES} minutes.`,
+              "",
+              appUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+              "",
+              "If you did not request this, you can ignore this email.",
+            ].join("\n"),
+          });
+        } catch (mailError) {
+          console.error("Password reset email error:", mailError);
+        }
+      }
+
+      res.json({
+        message:
+          "If an account exists for that email, a password reset link has been sent",
+      });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Reset a password with a one-time token; signs out every session
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().isLength({ min: 1 }),
+    body("password").custom(passwordPolicyValidator),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, password } = req.body;
+
+      const resetToken = await queryAcrossHospitals(
+        `
+        SELECT rt.id, rt.user_id, u.hospital_id
+        FROM password_reset_tokens rt
+        JOIN users u ON rt.user_id = u.id
+        WHERE rt.token_hash = $1
+          AND rt.used_at IS NULL
+          AND rt.expires_at > CURRENT_TIMESTAMP
+          AND u.active = true
+      `,
+        [hashToken(token)]
+      );
+
+      if (resetToken.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Reset token is invalid or has expired" });
+      }
+
+      const { id: resetTokenId, user_id: userId, hospital_id: hospitalId } =
+        resetToken.rows[0];
+
+      const result = await withScopedTransaction(
+        { hospitalId },
+        async (client) => {
+          if (await isRecentlyUsedPassword(client, userId, password)) {
+            return { reused: true };
+          }
+
+          const passwordHash = await hashPassword(password);
+
+          await client.query(
+            `
+            UPDATE users SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP,
+                   failed_login_attempts = 0, locked_until = NULL,
+                   updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1`,
+            [userId, passwordHash]
+          );
+          await recordPasswordHistory(client, userId, passwordHash);
+          await client.query(
+            "UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [resetTokenId]
+          );
+
+          return {
+            revokedSessions: await revokeAllSessions(
+              userId,
+              "password_reset",
+              client
+            ),
+          };
+        }
+      );
+
+      if (result.reused) {
+        return res.status(400).json({
+          error: "Password was used recently; choose a different password",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user_password",
+        entityId: userId,
+        hospitalId,
+        metadata: { revokedSessions: result.revokedSessions },
+      });
+
+      res.json({ message: "Password has been reset; please log in again" });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().isLength({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await rotateRefreshToken(req.body.refreshToken);
+
+      if (result.error) {
+        return res.status(401).json({ error: result.error });
+      }
+
+      res.json({ message: "Token refreshed", ...result.tokens });
+    } catch (error) {
+      console.error("Refresh token error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Logout: revoke the current session (or every session with allSessions)
+router.post(
+  "/logout",
+  auth,
+  [body("allSessions").optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { allSessions } = req.body || {};
+
+      if (allSessions === true || allSessions === "true") {
+        await revokeAllSessions(req.user.id, "logout");
+      } else {
+        await revokeSession(req.sessionId, "logout");
+      }
+
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      console.error("Logout error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Revoke all sessions for a user (admin only, users of the current
+// hospital; super admins may target another with X-Hospital-Code)
+router.post(
+  "/users/:userId/revoke-sessions",
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+  requireRole(["admin"]),
+  [param("userId").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { userId } = req.params;
+
+      const targetUser = await req.db.query(
+        "SELECT id FROM users WHERE id = $1 AND hospital_id = $2",
+        [userId, req.hospitalId]
+      );
+
+      if (targetUser.rows.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const revokedCount = await revokeAllSessions(
+        userId,
+        "admin_revoked",
+        req.db
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user_session",
+        entityId: targetUser.rows[0].id,
+        metadata: { revokedSessions: revokedCount },
+      });
+
+      res.json({
+        message: "All sessions revoked",
+        revokedSessions: revokedCount,
+      });
+    } catch (error) {
+      console.error("Revoke sessions error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 module.exports = router;
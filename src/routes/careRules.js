@@ -0,0 +1,302 @@
+// src/routes/careRules.js
+// Care rules behind missed-care alerts (read for all staff, managed by admins)
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requireRole, rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { findActiveTaskType } = require("../services/taskTypes");
+const {
+  MIN_INTERVAL_MINUTES,
+  MAX_INTERVAL_MINUTES,
+  normalizeCareTag,
+} = require("../services/careAlerts");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+
+const CARE_RULE_WITH_NAMES = `
+  SELECT cr.*,
+         tt.code as task_type,
+         tt.display_name as task_type_name,
+         un.code as unit_code,
+         un.name as unit_name
+  FROM care_rules cr
+  JOIN task_types tt ON cr.task_type_id = tt.id
+  LEFT JOIN units un ON cr.unit_id = un.id
+`;
+
+const getCareRule = async (db, id, hospitalId) => {
+  const rule = await db.query(
+    `${CARE_RULE_WITH_NAMES} WHERE cr.id = $1 AND cr.hospital_id = $2`,
+    [id, hospitalId]
+  );
+  return rule.rows[0] || null;
+};
+
+const careRuleFields = () => [
+  body("name").optional().trim().isLength({ min: 1, max: 100 }),
+  body("taskType").optional().trim().isLength({ min: 1, max: 50 }),
+  body("intervalMinutes")
+    .optional()
+    .isInt({ min: MIN_INTERVAL_MINUTES, max: MAX_INTERVAL_MINUTES })
+    .withMessage(
+      `Interval must be between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES} minutes`
+    ),
+  body("unitId").optional({ values: "null" }).isInt({ min: 1 }),
+  body("careTag")
+    .optional({ values: "null" })
+    .customSanitizer(normalizeCareTag)
+    .matches(/^[A-Z0-9_]{1,50}$/)
+    .withMessage("Care tag may only contain letters, digits and underscores"),
+  body("active").optional().isBoolean(),
+];
+
+// Unit of the hospital for a rule, or a 400 message
+const checkUnit = async (db, unitId, hospitalId) => {
+  const unit = await db.query(
+    "SELECT id FROM units WHERE id = $1 AND hospital_id = $2",
+    [unitId, hospitalId]
+  );
+  return unit.rows.length > 0 ? null : "Unit not found";
+};
+
+// GET /api/care-rules - Rules of the current hospital
+router.get("/", [query("active").optional().isBoolean()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let sql = `${CARE_RULE_WITH_NAMES} WHERE cr.hospital_id = $1`;
+    const params = [req.hospitalId];
+
+    if (req.query.active !== undefined) {
+      params.push(req.query.active === "true");
+      sql += ` AND cr.active = $${params.length}`;
+    }
+
+    sql += " ORDER BY cr.name, cr.id";
+
+    const rules = await req.db.query(sql, params);
+
+    res.json({ careRules: rules.rows, count: rules.rows.length });
+  } catch (error) {
+    console.error("Get care rules error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/care-rules - Add a rule (admin only)
+ *
+ * "taskType must be logged every intervalMinutes" for admitted patients,
+ * optionally only those in unitId and/or carrying careTag (see the
+ * careTags of a patient). Gaps are measured from the rule's creation at
+ * the earliest.
+ */
+router.post(
+  "/",
+  requireRole(["admin"]),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name is required"),
+    body("taskType")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Task type is required"),
+    body("intervalMinutes")
+      .exists()
+      .withMessage("Interval is required"),
+    ...careRuleFields(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, taskType, intervalMinutes, unitId, careTag, active } =
+        req.body;
+
+      const catalogType = await findActiveTaskType(
+        req.db,
+        req.hospitalId,
+        taskType
+      );
+      if (!catalogType) {
+        return res
+          .status(400)
+          .json({ error: "Unknown or inactive task type" });
+      }
+
+      if (unitId) {
+        const unitError = await checkUnit(req.db, unitId, req.hospitalId);
+        if (unitError) return res.status(400).json({ error: unitError });
+      }
+
+      const created = await req.db.query(
+        `
+        INSERT INTO care_rules (hospital_id, name, task_type_id, interval_minutes, unit_id, care_tag, active, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id`,
+        [
+          req.hospitalId,
+          name,
+          catalogType.id,
+          parseInt(intervalMinutes),
+          unitId || null,
+          careTag || null,
+          active === undefined ? true : active === true || active === "true",
+          req.user.id,
+        ]
+      );
+
+      const rule = await getCareRule(
+        req.db,
+        created.rows[0].id,
+        req.hospitalId
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "care_rule",
+        entityId: rule.id,
+        after: rule,
+      });
+
+      res
+        .status(201)
+        .json({ message: "Care rule created successfully", careRule: rule });
+    } catch (error) {
+      console.error("Create care rule error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * PUT /api/care-rules/:id - Update a rule (admin only)
+ *
+ * Retire a rule by setting active to false; its unresolved alerts are
+ * resolved on the next evaluation. Reactivating a rule or changing what it
+ * matches restarts its gap measurement, like a new rule.
+ */
+router.put(
+  "/:id",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 }), ...careRuleFields()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await getCareRule(req.db, req.params.id, req.hospitalId);
+      if (!existing) {
+        return res.status(404).json({ error: "Care rule not found" });
+      }
+
+      const { name, taskType, intervalMinutes, unitId, careTag, active } =
+        req.body;
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+      let restart = false;
+
+      if (name) {
+        updates.push(`name = $${paramCount++}`);
+        values.push(name);
+      }
+      if (taskType) {
+        const catalogType = await findActiveTaskType(
+          req.db,
+          req.hospitalId,
+          taskType
+        );
+        if (!catalogType) {
+          return res
+            .status(400)
+            .json({ error: "Unknown or inactive task type" });
+        }
+        updates.push(`task_type_id = $${paramCount++}`);
+        values.push(catalogType.id);
+        restart = restart || catalogType.id !== existing.task_type_id;
+      }
+      if (intervalMinutes !== undefined) {
+        updates.push(`interval_minutes = $${paramCount++}`);
+        values.push(parseInt(intervalMinutes));
+      }
+      if (unitId !== undefined) {
+        if (unitId) {
+          const unitError = await checkUnit(req.db, unitId, req.hospitalId);
+          if (unitError) return res.status(400).json({ error: unitError });
+        }
+        updates.push(`unit_id = $${paramCount++}`);
+        values.push(unitId || null);
+        restart = restart || (parseInt(unitId) || null) !== existing.unit_id;
+      }
+      if (careTag !== undefined) {
+        updates.push(`care_tag = $${paramCount++}`);
+        values.push(careTag || null);
+        restart = restart || (careTag || null) !== existing.care_tag;
+      }
+      if (active !== undefined) {
+        const isActive = active === true || active === "true";
+        updates.push(`active = $${paramCount++}`);
+        values.push(isActive);
+        restart = restart || (isActive && !existing.active);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      if (restart) {
+        updates.push("effective_from = CURRENT_TIMESTAMP");
+      }
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(existing.id);
+
+      await req.db.query(
+        `UPDATE care_rules SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount}`,
+        values
+      );
+
+      const rule = await getCareRule(req.db, existing.id, req.hospitalId);
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "care_rule",
+        entityId: rule.id,
+        before: existing,
+        after: rule,
+      });
+
+      res.json({ message: "Care rule updated successfully", careRule: rule });
+    } catch (error) {
+      console.error("Update care rule error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// src/routes/census.js
+// Unit census / bed board: who is in which bed and what is outstanding
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+
+/**
+ * One row per occupied bed
+ *
+ * - last_task_logs: latest task log of the current encounter per task
+ *   type category ("uncategorized" for types without one)
+ * - last_activity_at / minutes_since_last_activity: latest task log of
+ *   the encounter (null when nothing was logged since admission)
+ * - overdue/open task counts use the same rule as GET /api/tasks/overdue
+ */
+const CENSUS = `
+  SELECT un.id as unit_id,
+         un.code as unit_code,
+         un.name as unit_name,
+         b.id as bed_id,
+         b.label as bed_label,
+         ba.started_at as in_bed_since,
+         e.id as encounter_id,
+         e.admitted_at,
+         p.id as patient_id,
+         p.first_name as patient_first_name,
+         p.last_name as patient_last_name,
+         p.medical_record_number,
+         p.date_of_birth,
+         COALESCE(logs.by_category, '{}'::jsonb) as last_task_logs,
+         logs.last_activity_at,
+         FLOOR(EXTRACT(EPOCH FROM now() - logs.last_activity_at) / 60)::int
+           as minutes_since_last_activity,
+         tasks.open_task_count,
+         tasks.overdue_task_count,
+         tasks.next_due_at
+  FROM bed_assignments ba
+  JOIN beds b ON ba.bed_id = b.id
+  JOIN units un ON b.unit_id = un.id
+  JOIN encounters e ON ba.encounter_id = e.id
+  JOIN patients p ON e.patient_id = p.id
+  LEFT JOIN LATERAL (
+    SELECT jsonb_object_agg(
+             latest.category,
+             jsonb_build_object(
+               'id', latest.id,
+               'task_type', latest.task_type,
+               'task_type_name', latest.task_type_name,
+               'completed_at', latest.completed_at,
+               'user_id', latest.user_id,
+               'clinician_first_name', latest.clinician_first_name,
+               'clinician_last_name', latest.clinician_last_name
+             )
+           ) as by_category,
+           MAX(latest.completed_at) as last_activity_at
+    FROM (
+      SELECT DISTINCT ON (COALESCE(tt.category, 'uncategorized'))
+             COALESCE(tt.category, 'uncategorized') as category,
+             tl.id,
+             COALESCE(tt.code, tl.task_type) as task_type,
+             tt.display_name as task_type_name,
+             tl.completed_at, tl.user_id,
+             u.first_name as clinician_first_name,
+             u.last_name as clinician_last_name
+      FROM task_logs tl
+      JOIN users u ON tl.user_id = u.id
+      LEFT JOIN task_types tt ON tl.task_type_id = tt.id
+      WHERE tl.encounter_id = e.id AND tl.deleted_at IS NULL
+      ORDER BY COALESCE(tt.category, 'uncategorized'), tl.completed_at DESC, tl.id DESC
+    ) latest
+  ) logs ON true
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)::int as open_task_count,
+           (COUNT(*) FILTER (
+             WHERE st.due_at < now() - make_interval(mins => $2)
+           ))::int as overdue_task_count,
+           MIN(st.due_at) as next_due_at
+    FROM scheduled_tasks st
+    WHERE st.patient_id = p.id
+      AND st.status IN ('scheduled', 'in_progress')
+  ) tasks ON true
+  WHERE ba.hospital_id = $1
+    AND ba.ended_at IS NULL
+`;
+
+/**
+ * GET /api/census - Occupied beds of the current hospital
+ *
+ * System Design Concepts:
+ * - Single round trip: LATERAL subqueries gather each bed's latest logs
+ *   and task counts in one query instead of one request per patient
+ * - Index use: partial indexes on open bed assignments plus the
+ *   task_logs(encounter_id) and scheduled_tasks(patient_id) indexes keep
+ *   the board cheap to refresh
+ * - Data Isolation: hospital_id filter, enforced by RLS
+ *
+ * Query: unit (unit ID or code), graceMinutes (before a task counts as
+ * overdue, default 0)
+ */
+router.get(
+  "/",
+  [
+    query("unit").optional().trim().isLength({ min: 1, max: 20 }),
+    query("graceMinutes").optional().isInt({ min: 0, max: 1440 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const unit = req.query.unit ? String(req.query.unit).trim() : null;
+      const graceMinutes = parseInt(req.query.graceMinutes) || 0;
+
+      let sql = CENSUS;
+      const params = [req.hospitalId, graceMinutes];
+
+      if (unit) {
+        // Unit IDs are numeric; codes are matched case-insensitively
+        if (/^\d+$/.test(unit)) {
+          sql += " AND un.id = $3";
+          params.push(parseInt(unit));
+        } else {
+          sql += " AND un.code = $3";
+          params.push(unit.toUpperCase());
+        }
+      }
+
+      sql += " ORDER BY un.name, b.label";
+
+      const census = await req.db.query(sql, params);
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "census",
+        metadata: {
+          unit,
+          patientIds: census.rows.map((row) => row.patient_id),
+        },
+      });
+
+      res.json({
+        beds: census.rows,
+        count: census.rows.length,
+        overdueTaskCount: census.rows.reduce(
+          (total, row) => total + row.overdue_task_count,
+          0
+        ),
+        filters: { unit, graceMinutes },
+        asOf: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Get census error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
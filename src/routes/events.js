@@ -0,0 +1,212 @@
+// src/routes/events.js
+// Server-Sent Events stream of task log and patient changes
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const pool = require("../config/database");
+const { authWithHospital } = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const {
+  withScopedTransaction,
+  queryAcrossHospitals,
+} = require("../services/dbContext");
+const { subscribe } = require("../services/events");
+const { verifyAccessToken } = require("../services/tokens");
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+// EventSource cannot send headers, so the access token may be passed as
+// ?access_token= instead (the Authorization header still takes precedence)
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header("Authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const sessionActive = async (sessionId) => {
+  const session = await queryAcrossHospitals(
+    `
+    SELECT 1
+    FROM auth_sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.id = $1 AND s.revoked_at IS NULL AND u.active = true`,
+    [sessionId]
+  );
+  return session.rows.length > 0;
+};
+
+/**
+ * GET /api/events/stream - Live change feed for dashboards
+ *
+ * System Design Concepts:
+ * - Push instead of poll: one long-lived response replaces repeated list
+ *   requests (and stays within the API rate limit)
+ * - Thin events: payloads carry identifiers and the event type only; the
+ *   dashboard fetches details through the regular endpoints, which check
+ *   access and write the audit trail
+ * - No pinned connection: the request does not hold a database client
+ *   while streaming; validation runs in a short scoped transaction
+ * - Session bound: the stream ends when the access token expires or the
+ *   session is revoked, and the client reconnects with a fresh token
+ *
+ * Events: task_log.created|updated|deleted|restored, patient.created|
+ * updated|deleted|restored|admitted|discharged|transferred, plus
+ * stream.ready, stream.reconnected (events may have been missed; refetch)
+ * and stream.closed.
+ *
+ * Query: unit (ID or code), patientId, hospitalCode (super admins; the
+ * X-Hospital-Code header also works), access_token (for EventSource)
+ */
+router.get(
+  "/stream",
+  tokenFromQuery,
+  authWithHospital,
+  [
+    query("unit").optional().trim().isLength({ min: 1, max: 20 }),
+    query("patientId").optional().isInt({ min: 1 }),
+    query("hospitalCode").optional().trim().isLength({ min: 1, max: 20 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const isSuperAdmin = req.user.role === "super_admin";
+      const hospitalCode =
+        req.headers["x-hospital-code"] || req.query.hospitalCode;
+      let hospitalId = req.user.hospital_id;
+
+      if (hospitalCode && isSuperAdmin) {
+        const hospital = await pool.query(
+          "SELECT id FROM hospitals WHERE code = $1 AND active = true",
+          [String(hospitalCode).trim()]
+        );
+        if (hospital.rows.length === 0) {
+          return res.status(400).json({ error: "Invalid hospital code" });
+        }
+        hospitalId = hospital.rows[0].id;
+      }
+
+      const unitValue = req.query.unit ? String(req.query.unit).trim() : null;
+      const patientId = parseInt(req.query.patientId) || null;
+
+      const scope = await withScopedTransaction(
+        { hospitalId, bypassRls: isSuperAdmin },
+        async (db) => {
+          let unit = null;
+          if (unitValue) {
+            const units = await db.query(
+              /^\d+$/.test(unitValue)
+                ? "SELECT id FROM units WHERE id = $1 AND hospital_id = $2"
+                : "SELECT id FROM units WHERE code = UPPER($1) AND hospital_id = $2",
+              [unitValue, hospitalId]
+            );
+            if (units.rows.length === 0) return { error: "Unit not found" };
+            unit = units.rows[0];
+          }
+
+          if (patientId) {
+            const patient = await db.query(
+              "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+              [patientId, hospitalId]
+            );
+            if (patient.rows.length === 0) {
+              return { error: "Patient not found" };
+            }
+          }
+
+          return { unitId: unit ? unit.id : null };
+        }
+      );
+
+      if (scope.error) {
+        return res.status(404).json({ error: scope.error });
+      }
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "event_stream",
+        patientId,
+        hospitalId,
+        metadata: { unit: unitValue, patientId },
+      });
+
+      const { exp } = verifyAccessToken(
+        req.header("Authorization").replace("Bearer ", "")
+      );
+
+      res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      let closed = false;
+      let unsubscribe = () => {};
+      let heartbeat = null;
+      let expiry = null;
+
+      const close = (reason) => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+        if (reason && !res.writableEnded) {
+          writeEvent(res, "stream.closed", { reason });
+          res.end();
+        }
+      };
+
+      req.on("close", () => close());
+
+      unsubscribe = await subscribe({
+        hospitalId,
+        unitId: scope.unitId,
+        patientId,
+        onEvent: (event) => writeEvent(res, event.type, event),
+      });
+      if (closed) return unsubscribe();
+
+      writeEvent(res, "stream.ready", {
+        hospitalId,
+        filters: { unitId: scope.unitId, patientId },
+      });
+
+      expiry = setTimeout(
+        () => close("token_expired"),
+        Math.max(exp * 1000 - Date.now(), 0)
+      );
+
+      heartbeat = setInterval(async () => {
+        try {
+          if (!(await sessionActive(req.sessionId))) {
+            return close("session_revoked");
+          }
+          if (!closed) res.write(": heartbeat\n\n");
+        } catch (error) {
+          console.error("Event stream heartbeat error:", error);
+        }
+      }, HEARTBEAT_MS);
+    } catch (error) {
+      console.error("Event stream error:", error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,643 @@
+// src/routes/fhir.js
+// Read-only FHIR R4 API (Patient, Encounter, Procedure, Observation)
+
+const express = require("express");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { TASK_LOG_WITH_NAMES } = require("../services/taskLogs");
+const {
+  FHIR_JSON,
+  DEFAULT_COUNT,
+  MAX_COUNT,
+  mrnSystem,
+  taskTypeSystem,
+  toFhirPatient,
+  toFhirEncounter,
+  toFhirProcedure,
+  toFhirObservation,
+  observationTypesForCodes,
+  observationTypesForCategories,
+  parseToken,
+  parseReference,
+  parseDateParam,
+  searchBundle,
+  operationOutcome,
+} = require("../services/fhir");
+
+const router = express.Router();
+
+const RESULT_PARAMS = ["_count", "_offset", "_format"];
+
+const SEARCH_PARAMS = {
+  Patient: ["_id", "identifier", "name", "family", "given", "birthdate"],
+  Encounter: ["_id", "patient", "subject", "date", "status"],
+  Procedure: ["_id", "patient", "subject", "encounter", "date", "code"],
+  Observation: [
+    "_id",
+    "patient",
+    "subject",
+    "encounter",
+    "date",
+    "code",
+    "category",
+  ],
+};
+
+const fail = (res, status, code, diagnostics) =>
+  res.status(status).type(FHIR_JSON).json(operationOutcome(code, diagnostics));
+
+const baseUrl = (req) =>
+  process.env.FHIR_BASE_URL || `${req.protocol}://${req.get("host")}/fhir`;
+
+// GET /fhir/metadata - CapabilityStatement (public, as the spec expects)
+router.get("/metadata", (req, res) => {
+  res.type(FHIR_JSON).json({
+    resourceType: "CapabilityStatement",
+    status: "active",
+    kind: "instance",
+    fhirVersion: "4.0.1",
+    format: ["json"],
+    implementation: { description: "Patient Tracker", url: baseUrl(req) },
+    rest: [
+      {
+        mode: "server",
+        security: {
+          description:
+            "Bearer access token from /api/auth/login; data is scoped to the user's hospital",
+        },
+        resource: Object.entries(SEARCH_PARAMS).map(([type, params]) => ({
+          type,
+          interaction: [{ code: "read" }, { code: "search-type" }],
+          searchParam: params.map((name) => ({
+            name,
+            type:
+              name === "date" || name === "birthdate"
+                ? "date"
+                : ["patient", "subject", "encounter"].includes(name)
+                ? "reference"
+                : ["name", "family", "given"].includes(name)
+                ? "string"
+                : "token",
+          })),
+        })),
+      },
+    ],
+  });
+});
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+
+// Identifier systems and the managing organization need the hospital
+router.use(async (req, res, next) => {
+  try {
+    const hospital = await req.db.query(
+      "SELECT id, name, code FROM hospitals WHERE id = $1",
+      [req.hospitalId]
+    );
+    req.fhirHospital = hospital.rows[0];
+    next();
+  } catch (error) {
+    console.error("FHIR hospital error:", error);
+    fail(res, 500, "exception", "Server error");
+  }
+});
+
+/**
+ * Collects WHERE conditions and their positional parameters
+ * scope: condition every row must meet (soft-deleted records are never
+ * exposed over FHIR)
+ */
+const whereBuilder = (hospitalColumn, hospitalId, scope) => {
+  const params = [hospitalId];
+  const conditions = [`${hospitalColumn} = $1`];
+  if (scope) conditions.push(scope);
+
+  return {
+    params,
+    conditions,
+    param(value) {
+      params.push(value);
+      return `$${params.length}`;
+    },
+    where() {
+      return conditions.join(" AND ");
+    },
+  };
+};
+
+/**
+ * Validate the query string: only supported parameters, a sane _count
+ * and _offset, and parseable dates. Repeated parameters are ANDed, comma
+ * separated values within one parameter are ORed (FHIR semantics).
+ */
+const parseSearch = (req, type) => {
+  const allowed = SEARCH_PARAMS[type];
+  const values = {};
+
+  for (const [name, raw] of Object.entries(req.query)) {
+    if (RESULT_PARAMS.includes(name)) continue;
+    if (!allowed.includes(name)) {
+      return { error: `Unsupported search parameter for ${type}: ${name}` };
+    }
+    values[name] = [].concat(raw).map(String);
+  }
+
+  const count = req.query._count ? parseInt(req.query._count) : DEFAULT_COUNT;
+  const offset = req.query._offset ? parseInt(req.query._offset) : 0;
+  if (!(count >= 0) || !(offset >= 0)) {
+    return { error: "_count and _offset must be non-negative integers" };
+  }
+
+  const dateName = type === "Patient" ? "birthdate" : "date";
+  const dates = (values[dateName] || []).map(parseDateParam);
+  if (dates.some((date) => date === null)) {
+    return { error: `Invalid ${dateName} value` };
+  }
+
+  const referenceName = values.patient ? "patient" : "subject";
+  const patientIds = (values[referenceName] || []).map((value) =>
+    value.split(",").map((item) => parseReference(item, "Patient"))
+  );
+  if (patientIds.flat().some((id) => id === null)) {
+    return { error: `${referenceName} must be a Patient reference` };
+  }
+
+  return {
+    values,
+    dates,
+    patientIds,
+    count: Math.min(count, MAX_COUNT),
+    offset,
+  };
+};
+
+const list = (values, name) =>
+  values[name] ? values[name].map((value) => value.split(",")) : [];
+
+// _id, patient/subject and encounter filters shared by the resources
+const addCommonFilters = (builder, search, { idColumn, patientColumn }) => {
+  for (const ids of list(search.values, "_id")) {
+    builder.conditions.push(
+      `${idColumn} = ANY(${builder.param(
+        ids.map((id) => parseInt(id)).filter((id) => id > 0)
+      )}::int[])`
+    );
+  }
+  for (const ids of search.patientIds) {
+    builder.conditions.push(
+      `${patientColumn} = ANY(${builder.param(ids)}::int[])`
+    );
+  }
+};
+
+const addEncounterFilter = (builder, search, column) => {
+  for (const refs of list(search.values, "encounter")) {
+    builder.conditions.push(
+      `${column} = ANY(${builder.param(
+        refs.map((ref) => parseReference(ref, "Encounter") || 0)
+      )}::int[])`
+    );
+  }
+};
+
+// Point-in-time columns (performed, effective, birth date)
+const addDateFilters = (builder, dates, column) => {
+  for (const { prefix, start, end } of dates) {
+    const from = () => `${builder.param(start.toISOString())}::timestamptz`;
+    const to = () => `${builder.param(end.toISOString())}::timestamptz`;
+    builder.conditions.push(
+      {
+        eq: () => `${column} >= ${from()} AND ${column} < ${to()}`,
+        gt: () => `${column} >= ${to()}`,
+        ge: () => `${column} >= ${from()}`,
+        lt: () => `${column} < ${from()}`,
+        le: () => `${column} < ${to()}`,
+      }[prefix]()
+    );
+  }
+};
+
+// Encounter periods: a date matches when it overlaps the stay
+const addPeriodFilters = (builder, dates) => {
+  for (const { prefix, start, end } of dates) {
+    const from = () => `${builder.param(start.toISOString())}::timestamptz`;
+    const to = () => `${builder.param(end.toISOString())}::timestamptz`;
+    const endsAfter = (bound) =>
+      `(e.discharged_at IS NULL OR e.discharged_at >= ${bound})`;
+    builder.conditions.push(
+      {
+        eq: () => `e.admitted_at < ${to()} AND ${endsAfter(from())}`,
+        gt: () => endsAfter(to()),
+        ge: () => endsAfter(from()),
+        lt: () => `e.admitted_at < ${from()}`,
+        le: () => `e.admitted_at < ${to()}`,
+      }[prefix]()
+    );
+  }
+};
+
+/**
+ * Run a search and reply with a Bundle
+ *
+ * @param {object} options - type, base (SELECT ... FROM ... query), builder,
+ *   order, load (rows => resources) and entityType (for the audit log)
+ */
+const runSearch = async (req, res, search, options) => {
+  const { type, base, builder, order, load, entityType } = options;
+  const where = builder.where();
+
+  const total = await req.db.query(
+    `SELECT COUNT(*)::int as total FROM (${base} WHERE ${where}) matches`,
+    builder.params
+  );
+
+  const limit = builder.param(search.count);
+  const offset = builder.param(search.offset);
+  const rows = await req.db.query(
+    `${base} WHERE ${where} ORDER BY ${order} LIMIT ${limit} OFFSET ${offset}`,
+    builder.params
+  );
+
+  const resources = await load(rows.rows);
+
+  await recordAudit(req, {
+    action: "read",
+    entityType,
+    metadata: {
+      fhir: true,
+      query: req.query,
+      ids: rows.rows.map((row) => row.id),
+      patientIds: [
+        ...new Set(rows.rows.map((row) => row.patient_id || row.id)),
+      ],
+    },
+  });
+
+  res.type(FHIR_JSON).json(
+    searchBundle({
+      baseUrl: baseUrl(req),
+      type,
+      query: req.query,
+      total: total.rows[0].total,
+      offset: search.offset,
+      count: search.count,
+      resources,
+    })
+  );
+};
+
+const readOne = async (req, res, options) => {
+  const { type, base, hospitalColumn, scope, idColumn, load, entityType } =
+    options;
+
+  if (!/^\d+$/.test(req.params.id)) {
+    return fail(res, 404, "not-found", `${type}/${req.params.id} not found`);
+  }
+
+  const builder = whereBuilder(hospitalColumn, req.hospitalId, scope);
+  builder.conditions.push(`${idColumn} = ${builder.param(req.params.id)}`);
+
+  const rows = await req.db.query(
+    `${base} WHERE ${builder.where()}`,
+    builder.params
+  );
+  if (rows.rows.length === 0) {
+    return fail(res, 404, "not-found", `${type}/${req.params.id} not found`);
+  }
+
+  const [resource] = await load(rows.rows);
+
+  await recordAudit(req, {
+    action: "read",
+    entityType,
+    entityId: rows.rows[0].id,
+    patientId: rows.rows[0].patient_id || rows.rows[0].id,
+    metadata: { fhir: true },
+  });
+
+  res.type(FHIR_JSON).json(resource);
+};
+
+// Wrap a handler with the search/read error handling
+const handle = (name, handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error(`FHIR ${name} error:`, error);
+    fail(res, 500, "exception", "Server error");
+  }
+};
+
+const withSearch = (type, handler) =>
+  handle(`${type} search`, async (req, res) => {
+    const search = parseSearch(req, type);
+    if (search.error) return fail(res, 400, "invalid", search.error);
+    await handler(req, res, search);
+  });
+
+// ----- Patient -----
+
+const PATIENT = {
+  type: "Patient",
+  entityType: "patient",
+  base: `
+    SELECT p.*, to_char(p.date_of_birth, 'YYYY-MM-DD') as birth_date
+    FROM patients p`,
+  hospitalColumn: "p.hospital_id",
+  scope: "p.deleted_at IS NULL",
+  idColumn: "p.id",
+};
+
+const loadPatients = (req) => async (rows) =>
+  rows.map((row) => toFhirPatient(row, req.fhirHospital));
+
+/**
+ * GET /fhir/Patient - identifier (MRN, optionally "system|value"), name,
+ * family, given (prefix match), birthdate, _id
+ */
+router.get(
+  "/Patient",
+  withSearch("Patient", async (req, res, search) => {
+    const builder = whereBuilder(
+      PATIENT.hospitalColumn,
+      req.hospitalId,
+      PATIENT.scope
+    );
+    addCommonFilters(builder, search, {
+      idColumn: "p.id",
+      patientColumn: "p.id",
+    });
+
+    for (const tokens of list(search.values, "identifier")) {
+      const mrns = tokens
+        .map(parseToken)
+        .filter(
+          ({ system }) => !system || system === mrnSystem(req.fhirHospital)
+        )
+        .map(({ code }) => code);
+      builder.conditions.push(
+        `p.medical_record_number = ANY(${builder.param(mrns)}::text[])`
+      );
+    }
+
+    const nameColumns = {
+      name: ["p.first_name", "p.last_name"],
+      family: ["p.last_name"],
+      given: ["p.first_name"],
+    };
+    for (const [name, columns] of Object.entries(nameColumns)) {
+      for (const values of list(search.values, name)) {
+        const patterns = builder.param(
+          values.map((value) => `${value.replace(/[\\%_]/g, "\\$&")}%`)
+        );
+        builder.conditions.push(
+          `(${columns
+            .map((column) => `${column} ILIKE ANY(${patterns}::text[])`)
+            .join(" OR ")})`
+        );
+      }
+    }
+
+    addDateFilters(builder, search.dates, "p.date_of_birth");
+
+    await runSearch(req, res, search, {
+      ...PATIENT,
+      builder,
+      order: "p.last_name, p.first_name, p.id",
+      load: loadPatients(req),
+    });
+  })
+);
+
+router.get(
+  "/Patient/:id",
+  handle("Patient read", (req, res) =>
+    readOne(req, res, { ...PATIENT, load: loadPatients(req) })
+  )
+);
+
+// ----- Encounter -----
+
+const ENCOUNTER = {
+  type: "Encounter",
+  entityType: "encounter",
+  base: "SELECT e.* FROM encounters e",
+  hospitalColumn: "e.hospital_id",
+  scope: `e.patient_id IN (
+    SELECT id FROM patients WHERE deleted_at IS NULL
+  )`,
+  idColumn: "e.id",
+};
+
+const loadEncounters = (req) => async (rows) => {
+  const assignments = await req.db.query(
+    `
+    SELECT ba.encounter_id, ba.started_at, ba.ended_at,
+           b.label as bed_label, un.code as unit_code, un.name as unit_name
+    FROM bed_assignments ba
+    JOIN beds b ON ba.bed_id = b.id
+    JOIN units un ON b.unit_id = un.id
+    WHERE ba.encounter_id = ANY($1::int[])
+    ORDER BY ba.started_at, ba.id`,
+    [rows.map((row) => row.id)]
+  );
+
+  return rows.map((row) =>
+    toFhirEncounter({
+      ...row,
+      bed_assignments: assignments.rows.filter(
+        (assignment) => assignment.encounter_id === row.id
+      ),
+    })
+  );
+};
+
+const ENCOUNTER_STATUSES = {
+  "in-progress": "e.discharged_at IS NULL",
+  finished: "e.discharged_at IS NOT NULL",
+};
+
+// GET /fhir/Encounter - patient/subject, date (overlaps the stay), status
+router.get(
+  "/Encounter",
+  withSearch("Encounter", async (req, res, search) => {
+    const builder = whereBuilder(
+      ENCOUNTER.hospitalColumn,
+      req.hospitalId,
+      ENCOUNTER.scope
+    );
+    addCommonFilters(builder, search, {
+      idColumn: "e.id",
+      patientColumn: "e.patient_id",
+    });
+    addPeriodFilters(builder, search.dates);
+
+    for (const statuses of list(search.values, "status")) {
+      const known = statuses.filter((status) => ENCOUNTER_STATUSES[status]);
+      builder.conditions.push(
+        known.length > 0
+          ? `(${known.map((status) => ENCOUNTER_STATUSES[status]).join(" OR ")})`
+          : "false"
+      );
+    }
+
+    await runSearch(req, res, search, {
+      ...ENCOUNTER,
+      builder,
+      order: "e.admitted_at DESC, e.id DESC",
+      load: loadEncounters(req),
+    });
+  })
+);
+
+router.get(
+  "/Encounter/:id",
+  handle("Encounter read", (req, res) =>
+    readOne(req, res, { ...ENCOUNTER, load: loadEncounters(req) })
+  )
+);
+
+// ----- Procedure (task logs) -----
+
+const PROCEDURE = {
+  type: "Procedure",
+  entityType: "task_log",
+  base: TASK_LOG_WITH_NAMES,
+  hospitalColumn: "tl.hospital_id",
+  scope: "tl.deleted_at IS NULL",
+  idColumn: "tl.id",
+};
+
+const loadProcedures = (req) => async (rows) =>
+  rows.map((row) => toFhirProcedure(row, req.fhirHospital));
+
+// GET /fhir/Procedure - patient/subject, encounter, date (performed),
+// code (task type)
+router.get(
+  "/Procedure",
+  withSearch("Procedure", async (req, res, search) => {
+    const builder = whereBuilder(
+      PROCEDURE.hospitalColumn,
+      req.hospitalId,
+      PROCEDURE.scope
+    );
+    addCommonFilters(builder, search, {
+      idColumn: "tl.id",
+      patientColumn: "tl.patient_id",
+    });
+    addEncounterFilter(builder, search, "tl.encounter_id");
+    addDateFilters(builder, search.dates, "tl.completed_at");
+
+    for (const tokens of list(search.values, "code")) {
+      const system = taskTypeSystem(req.fhirHospital);
+      const codes = tokens
+        .map(parseToken)
+        .filter((token) => !token.system || token.system === system)
+        .map(({ code }) => code.toUpperCase());
+      // The catalog code, as rendered by toFhirProcedure; merged logs keep
+      // the text they were charted with
+      builder.conditions.push(
+        `COALESCE(tt.code, tl.task_type) = ANY(${builder.param(codes)}::text[])`
+      );
+    }
+
+    await runSearch(req, res, search, {
+      ...PROCEDURE,
+      builder,
+      order: "tl.completed_at DESC, tl.id DESC",
+      load: loadProcedures(req),
+    });
+  })
+);
+
+router.get(
+  "/Procedure/:id",
+  handle("Procedure read", (req, res) =>
+    readOne(req, res, { ...PROCEDURE, load: loadProcedures(req) })
+  )
+);
+
+// ----- Observation -----
+
+const OBSERVATION = {
+  type: "Observation",
+  entityType: "observation",
+  base: `
+    SELECT o.*, tl.encounter_id,
+           u.first_name as recorder_first_name,
+           u.last_name as recorder_last_name
+    FROM observations o
+    JOIN task_logs tl ON o.task_log_id = tl.id
+    JOIN users u ON o.recorded_by = u.id`,
+  hospitalColumn: "o.hospital_id",
+  scope: "tl.deleted_at IS NULL",
+  idColumn: "o.id",
+};
+
+const loadObservations = () => async (rows) => rows.map(toFhirObservation);
+
+/**
+ * GET /fhir/Observation - patient/subject, encounter, date (effective),
+ * code (LOINC or local type, e.g. "http://loinc.org|8867-4" or
+ * "heart_rate"), category (vital-signs, survey, exam)
+ */
+router.get(
+  "/Observation",
+  withSearch("Observation", async (req, res, search) => {
+    const builder = whereBuilder(
+      OBSERVATION.hospitalColumn,
+      req.hospitalId,
+      OBSERVATION.scope
+    );
+    addCommonFilters(builder, search, {
+      idColumn: "o.id",
+      patientColumn: "o.patient_id",
+    });
+    addEncounterFilter(builder, search, "tl.encounter_id");
+    addDateFilters(builder, search.dates, "o.observed_at");
+
+    for (const tokens of list(search.values, "code")) {
+      builder.conditions.push(
+        `o.observation_type = ANY(${builder.param(
+          observationTypesForCodes(tokens.map(parseToken))
+        )}::text[])`
+      );
+    }
+    for (const tokens of list(search.values, "category")) {
+      builder.conditions.push(
+        `o.observation_type = ANY(${builder.param(
+          observationTypesForCategories(
+            tokens.map((token) => parseToken(token).code)
+          )
+        )}::text[])`
+      );
+    }
+
+    await runSearch(req, res, search, {
+      ...OBSERVATION,
+      builder,
+      order: "o.observed_at DESC, o.id DESC",
+      load: loadObservations(),
+    });
+  })
+);
+
+router.get(
+  "/Observation/:id",
+  handle("Observation read", (req, res) =>
+    readOne(req, res, { ...OBSERVATION, load: loadObservations() })
+  )
+);
+
+// Anything else under /fhir is an unknown resource type or interaction
+router.use((req, res) =>
+  fail(res, 404, "not-supported", `${req.method} ${req.path} is not supported`)
+);
+
+module.exports = router;
@@ -0,0 +1,309 @@
+// src/routes/handoff.js
+// Shift handoff reports (JSON or printable HTML) and their acknowledgements
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const {
+  DEFAULT_SHIFT_HOURS,
+  MAX_PERIOD_HOURS,
+  buildHandoff,
+  renderHandoffHtml,
+} = require("../services/handoff");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatValidator = () => query("format").optional().isIn(["json", "html"]);
+
+const getAcknowledgements = async (db, reportId) => {
+  const acknowledgements = await db.query(
+    `
+    SELECT ha.id, ha.user_id, ha.note, ha.acknowledged_at,
+           u.first_name, u.last_name, u.role
+    FROM handoff_acknowledgements ha
+    JOIN users u ON ha.user_id = u.id
+    WHERE ha.handoff_report_id = $1
+    ORDER BY ha.acknowledged_at
+  `,
+    [reportId]
+  );
+  return acknowledgements.rows;
+};
+
+// Reply with JSON, or the printable rendering for ?format=html
+const sendReport = async (req, res, report) => {
+  const acknowledgements = await getAcknowledgements(req.db, report.id);
+
+  if (req.query.format === "html") {
+    return res.type("html").send(
+      renderHandoffHtml(report, {
+        hospitalName: req.user.hospital_name,
+        acknowledgements,
+      })
+    );
+  }
+
+  res.json({ report, acknowledgements });
+};
+
+/**
+ * GET /api/handoff - Generate a handoff report for the shift
+ *
+ * System Design Concepts:
+ * - Snapshot: the generated content is stored (handoff_reports) so an
+ *   acknowledgement refers to exactly what was handed over, even if task
+ *   logs are edited afterwards
+ * - Data Isolation: hospital-scoped queries, enforced by RLS
+ *
+ * Query: unit (ID or code; whole hospital when omitted), since/until
+ * (default: the last 12 hours, at most 72), format (json or html)
+ */
+router.get(
+  "/",
+  [
+    query("unit").optional().trim().isLength({ min: 1, max: 20 }),
+    query("since").optional().isISO8601(),
+    query("until").optional().isISO8601(),
+    formatValidator(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const now = new Date();
+      const until = req.query.until ? new Date(req.query.until) : now;
+      const since = req.query.since
+        ? new Date(req.query.since)
+        : new Date(until.getTime() - DEFAULT_SHIFT_HOURS * HOUR_MS);
+
+      if (since >= until || since > now) {
+        return res
+          .status(400)
+          .json({ error: "since must be before until and not in the future" });
+      }
+      if (until - since > MAX_PERIOD_HOURS * HOUR_MS) {
+        return res.status(400).json({
+          error: `A handoff can cover at most ${MAX_PERIOD_HOURS} hours`,
+        });
+      }
+
+      let unit = null;
+      if (req.query.unit) {
+        const value = String(req.query.unit).trim();
+        const units = await req.db.query(
+          /^\d+$/.test(value)
+            ? "SELECT * FROM units WHERE id = $1 AND hospital_id = $2"
+            : "SELECT * FROM units WHERE code = UPPER($1) AND hospital_id = $2",
+          [value, req.hospitalId]
+        );
+        if (units.rows.length === 0) {
+          return res.status(404).json({ error: "Unit not found" });
+        }
+        unit = units.rows[0];
+      }
+
+      const hospital = await req.db.query(
+        "SELECT timezone FROM hospitals WHERE id = $1",
+        [req.hospitalId]
+      );
+
+      const content = await buildHandoff(req.db, {
+        hospitalId: req.hospitalId,
+        unit,
+        since,
+        until,
+        timezone: hospital.rows[0].timezone,
+      });
+
+      const report = await req.db.query(
+        `
+        INSERT INTO handoff_reports (hospital_id, unit_id, period_start, period_end, content, generated_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [
+          req.hospitalId,
+          unit ? unit.id : null,
+          since,
+          until,
+          JSON.stringify(content),
+          req.user.id,
+        ]
+      );
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "handoff_report",
+        entityId: report.rows[0].id,
+        metadata: {
+          unitId: unit ? unit.id : null,
+          patientIds: content.patients.map((p) => p.patient_id),
+        },
+      });
+
+      await sendReport(req, res, report.rows[0]);
+    } catch (error) {
+      console.error("Generate handoff error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/handoff/reports - Recent reports with acknowledgement counts
+router.get(
+  "/reports",
+  [
+    query("unitId").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let sql = `
+        SELECT hr.id, hr.unit_id, un.name as unit_name,
+               hr.period_start, hr.period_end, hr.generated_by, hr.created_at,
+               hr.content->'summary' as summary,
+               (SELECT COUNT(*)::int FROM handoff_acknowledgements ha
+                WHERE ha.handoff_report_id = hr.id) as acknowledgement_count
+        FROM handoff_reports hr
+        LEFT JOIN units un ON hr.unit_id = un.id
+        WHERE hr.hospital_id = $1
+      `;
+      const params = [req.hospitalId];
+      let paramCount = 2;
+
+      if (req.query.unitId) {
+        sql += ` AND hr.unit_id = $${paramCount++}`;
+        params.push(parseInt(req.query.unitId));
+      }
+
+      sql += ` ORDER BY hr.created_at DESC, hr.id DESC LIMIT $${paramCount}`;
+      params.push(parseInt(req.query.limit) || 20);
+
+      const reports = await req.db.query(sql, params);
+
+      res.json({ reports: reports.rows, count: reports.rows.length });
+    } catch (error) {
+      console.error("Get handoff reports error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/handoff/:id - A stored report (format=json or html)
+router.get(
+  "/:id",
+  [param("id").isInt({ min: 1 }), formatValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await req.db.query(
+        "SELECT * FROM handoff_reports WHERE id = $1 AND hospital_id = $2",
+        [req.params.id, req.hospitalId]
+      );
+      if (report.rows.length === 0) {
+        return res.status(404).json({ error: "Handoff report not found" });
+      }
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "handoff_report",
+        entityId: report.rows[0].id,
+        metadata: {
+          patientIds: report.rows[0].content.patients.map((p) => p.patient_id),
+        },
+      });
+
+      await sendReport(req, res, report.rows[0]);
+    } catch (error) {
+      console.error("Get handoff report error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/handoff/:id/acknowledge - Confirm receipt of a handoff
+ * Each clinician acknowledges a report once; the acknowledgement is stored
+ * with the report and audited.
+ */
+router.post(
+  "/:id/acknowledge",
+  [
+    param("id").isInt({ min: 1 }),
+    body("note").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await req.db.query(
+        "SELECT id FROM handoff_reports WHERE id = $1 AND hospital_id = $2",
+        [req.params.id, req.hospitalId]
+      );
+      if (report.rows.length === 0) {
+        return res.status(404).json({ error: "Handoff report not found" });
+      }
+
+      const { note } = req.body || {};
+
+      const acknowledgement = await req.db.query(
+        `
+        INSERT INTO handoff_acknowledgements (hospital_id, handoff_report_id, user_id, note)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (handoff_report_id, user_id) DO NOTHING
+        RETURNING *`,
+        [req.hospitalId, report.rows[0].id, req.user.id, note || null]
+      );
+      if (acknowledgement.rows.length === 0) {
+        return res
+          .status(409)
+          .json({ error: "You have already acknowledged this handoff" });
+      }
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "handoff_acknowledgement",
+        entityId: acknowledgement.rows[0].id,
+        after: acknowledgement.rows[0],
+        metadata: { handoffReportId: report.rows[0].id },
+      });
+
+      res.status(201).json({
+        message: "Handoff acknowledged",
+        acknowledgement: acknowledgement.rows[0],
+      });
+    } catch (error) {
+      console.error("Acknowledge handoff error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
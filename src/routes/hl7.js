@@ -0,0 +1,785 @@
+// src/routes/hl7.js
+// HL7 v2 ADT ingestion from the registration system, and its error queue
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/audit");
+const {
+  getActiveEncounter,
+  getLastDischargedAt,
+  getEncounter,
+  lockBed,
+  bedUnavailableReason,
+  assignBed,
+  admitPatient,
+  dischargePatient,
+} = require("../services/encounters");
+const { enqueueWebhookEvent } = require("../services/webhooks");
+const {
+  HL7_ERRORS,
+  hl7Error,
+  parseMessage,
+  readHeader,
+  checkHeader,
+  readAdt,
+  resolveAdtTimes,
+  buildAck,
+} = require("../services/hl7");
+
+const router = express.Router();
+
+const HL7_CONTENT_TYPES = [
+  "x-application/hl7-v2+er7",
+  "application/hl7-v2",
+  "text/plain",
+];
+const MESSAGE_STATUSES = ["processed", "error", "dismissed"];
+
+// Interface engines authenticate with an admin service account of the
+// sending hospital; patients are matched by MRN within that hospital
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(requireRole(["admin"]));
+
+const hl7Metadata = (header) => ({
+  hl7: { controlId: header.controlId, event: header.triggerEvent },
+});
+
+// Bed named by PV1-3 (unit code ^ room ^ bed label), locked, or null when
+// the message carries no location
+const resolveBed = async (req, adt) => {
+  if (!adt.unitCode && !adt.bedLabel) return null;
+
+  if (!adt.unitCode || !adt.bedLabel) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.REQUIRED_FIELD,
+      "PV1-3 must name both the unit (point of care) and the bed",
+      "PV1^1^3"
+    );
+  }
+
+  const bed = await req.db.query(
+    `
+    SELECT b.id
+    FROM beds b
+    JOIN units un ON b.unit_id = un.id
+    WHERE b.hospital_id = $1 AND un.code = upper($2) AND b.label = $3`,
+    [req.hospitalId, adt.unitCode, adt.bedLabel]
+  );
+  if (bed.rows.length === 0) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.UNKNOWN_KEY,
+      `Unknown bed: ${adt.unitCode} ${adt.bedLabel}`,
+      "PV1^1^3"
+    );
+  }
+
+  return lockBed(req.db, req.hospitalId, bed.rows[0].id);
+};
+
+/**
+ * Create or update the patient named by PID-3
+ * Only demographics present in the message are applied, so a sparse A02
+ * does not blank out the name. Events other than A01/A04/A08 require the
+ * patient to exist already. Messages for a deleted patient are rejected
+ * until an admin restores them.
+ */
+const upsertPatient = async (req, header, adt) => {
+  const existing = await req.db.query(
+    `
+    SELECT *, to_char(date_of_birth, 'YYYY-MM-DD') as birth_date
+    FROM patients
+    WHERE medical_record_number = $1 AND hospital_id = $2
+    FOR UPDATE`,
+    [adt.medicalRecordNumber, req.hospitalId]
+  );
+
+  if (existing.rows.length > 0 && existing.rows[0].deleted_at) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.UNKNOWN_KEY,
+      `Patient MRN ${adt.medicalRecordNumber} is deleted`,
+      "PID^1^3"
+    );
+  }
+
+  if (existing.rows.length === 0) {
+    if (!["A01", "A04", "A08"].includes(header.triggerEvent)) {
+      throw hl7Error(
+        "AE",
+        HL7_ERRORS.UNKNOWN_KEY,
+        `Unknown patient: MRN ${adt.medicalRecordNumber}`,
+        "PID^1^3"
+      );
+    }
+    if (!adt.lastName || !adt.firstName) {
+      throw hl7Error(
+        "AE",
+        HL7_ERRORS.REQUIRED_FIELD,
+        "PID-5 (patient name) must have family and given name for a new patient",
+        "PID^1^5"
+      );
+    }
+
+    const created = await req.db.query(
+      `
+      INSERT INTO patients (
+        first_name, last_name, medical_record_number, date_of_birth, hospital_id
+      ) VALUES ($1, $2, $3, $4, $5)
+      RETURNING *`,
+      [
+        adt.firstName,
+        adt.lastName,
+        adt.medicalRecordNumber,
+        adt.dateOfBirth,
+        req.hospitalId,
+      ]
+    );
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "patient",
+      entityId: created.rows[0].id,
+      patientId: created.rows[0].id,
+      after: created.rows[0],
+      metadata: hl7Metadata(header),
+    });
+
+    await enqueueWebhookEvent(req.db, req.hospitalId, "patient.created", {
+      patient: created.rows[0],
+    });
+
+    return created.rows[0];
+  }
+
+  const patient = existing.rows[0];
+  const fields = {
+    first_name: adt.firstName,
+    last_name: adt.lastName,
+    date_of_birth: adt.dateOfBirth,
+  };
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [column, value] of Object.entries(fields)) {
+    const current =
+      column === "date_of_birth" ? patient.birth_date : patient[column];
+    if (value && value !== current) {
+      updates.push(`${column} = $${paramCount++}`);
+      values.push(value);
+    }
+  }
+
+  if (updates.length === 0) {
+    return patient;
+  }
+
+  updates.push("updated_at = CURRENT_TIMESTAMP");
+  values.push(patient.id);
+
+  const updated = await req.db.query(
+    `UPDATE patients SET ${updates.join(
+      ", "
+    )} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+
+  await recordAudit(req, {
+    action: "update",
+    entityType: "patient",
+    entityId: patient.id,
+    patientId: patient.id,
+    before: patient,
+    after: updated.rows[0],
+    metadata: hl7Metadata(header),
+  });
+
+  await enqueueWebhookEvent(req.db, req.hospitalId, "patient.updated", {
+    patient: updated.rows[0],
+  });
+
+  return updated.rows[0];
+};
+
+// A01: open an encounter, in the PV1-3 bed when one is given
+const admit = async (req, header, adt, patient) => {
+  const active = await getActiveEncounter(req.db, patient.id);
+  if (active) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.DUPLICATE_KEY,
+      `Patient is already admitted (encounter ${active.id})`,
+      "PID^1^3"
+    );
+  }
+
+  const admittedAt = adt.admittedAt || adt.eventAt;
+  const lastDischargedAt = await getLastDischargedAt(req.db, patient.id);
+  if (lastDischargedAt && (admittedAt || new Date()) < lastDischargedAt) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.DATA_TYPE,
+      "Admission time is before the patient's last discharge",
+      "PV1^1^44"
+    );
+  }
+
+  const bed = await resolveBed(req, adt);
+  const unavailable = bed && bedUnavailableReason(bed);
+  if (unavailable) {
+    throw hl7Error("AE", HL7_ERRORS.APPLICATION_ERROR, unavailable, "PV1^1^3");
+  }
+
+  const encounter = await admitPatient(req.db, {
+    patient,
+    bed,
+    userId: req.user.id,
+    admittedAt,
+    reason: adt.admitReason,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entityType: "encounter",
+    entityId: encounter.id,
+    patientId: encounter.patient_id,
+    after: encounter,
+    metadata: hl7Metadata(header),
+  });
+
+  await enqueueWebhookEvent(req.db, req.hospitalId, "patient.admitted", {
+    patient_id: encounter.patient_id,
+    encounter,
+  });
+};
+
+// A02: move the open encounter to the PV1-3 bed
+const transfer = async (req, header, adt, patient) => {
+  const encounter = await getActiveEncounter(req.db, patient.id, {
+    forUpdate: true,
+  });
+  if (!encounter) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.APPLICATION_ERROR,
+      "Patient is not admitted",
+      "PID^1^3"
+    );
+  }
+
+  const bed = await resolveBed(req, adt);
+  if (!bed) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.REQUIRED_FIELD,
+      "PV1-3 (assigned location) is required for a transfer",
+      "PV1^1^3"
+    );
+  }
+
+  const unavailable = bedUnavailableReason(bed, encounter.id);
+  if (unavailable === "Patient is already in this bed") {
+    return;
+  }
+  if (unavailable) {
+    throw hl7Error("AE", HL7_ERRORS.APPLICATION_ERROR, unavailable, "PV1^1^3");
+  }
+
+  await assignBed(req.db, encounter, bed, {
+    userId: req.user.id,
+    reason: `HL7 ${header.triggerEvent} ${header.controlId}`,
+    at: adt.eventAt || new Date(),
+  });
+  const transferred = await getEncounter(req.db, encounter.id);
+
+  await recordAudit(req, {
+    action: "update",
+    entityType: "encounter",
+    entityId: encounter.id,
+    patientId: encounter.patient_id,
+    before: encounter,
+    after: transferred,
+    metadata: {
+      ...hl7Metadata(header),
+      fromBedId: encounter.bed_id,
+      toBedId: bed.id,
+    },
+  });
+
+  await enqueueWebhookEvent(req.db, req.hospitalId, "patient.transferred", {
+    patient_id: encounter.patient_id,
+    from_bed_id: encounter.bed_id,
+    encounter: transferred,
+  });
+};
+
+// A03: close the open encounter
+const discharge = async (req, header, adt, patient) => {
+  const encounter = await getActiveEncounter(req.db, patient.id, {
+    forUpdate: true,
+  });
+  if (!encounter) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.APPLICATION_ERROR,
+      "Patient is not admitted",
+      "PID^1^3"
+    );
+  }
+
+  const dischargedAt = adt.dischargedAt || adt.eventAt;
+  if (dischargedAt && dischargedAt < new Date(encounter.admitted_at)) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.DATA_TYPE,
+      "Discharge time is before the admission",
+      "PV1^1^45"
+    );
+  }
+
+  const discharged = await dischargePatient(req.db, encounter, {
+    userId: req.user.id,
+    dischargedAt,
+    disposition: adt.dischargeDisposition,
+  });
+
+  await recordAudit(req, {
+    action: "update",
+    entityType: "encounter",
+    entityId: encounter.id,
+    patientId: encounter.patient_id,
+    before: encounter,
+    after: discharged.encounter,
+    metadata: {
+      ...hl7Metadata(header),
+      cancelledTaskIds: discharged.cancelledTaskIds,
+    },
+  });
+
+  await enqueueWebhookEvent(req.db, req.hospitalId, "patient.discharged", {
+    patient_id: encounter.patient_id,
+    encounter: discharged.encounter,
+    cancelled_task_ids: discharged.cancelledTaskIds,
+  });
+};
+
+// A04 (register) and A08 (update information) only touch demographics
+const EVENT_HANDLERS = { A01: admit, A02: transfer, A03: discharge };
+
+/**
+ * Apply one message inside a savepoint
+ *
+ * System Design Concepts:
+ * - Atomic messages: everything a message changes (patient, encounter,
+ *   audit entries, webhook outbox rows) is rolled back to the savepoint
+ *   when any step fails, while the request transaction stays usable for
+ *   recording the failure in the error queue
+ * - ACK/NAK: the outcome is always answered in HL7 (AA, AE or AR), so the
+ *   sender's interface engine can decide whether to resend
+ *
+ * @returns {Promise<object>} header, adt, patient, ackCode, text and the
+ *   HL7 error condition/location for NAKs
+ */
+const applyMessage = async (req, raw) => {
+  let header = {};
+  let adt = null;
+
+  await req.db.query("SAVEPOINT hl7_message");
+
+  try {
+    const message = parseMessage(raw);
+    header = readHeader(message);
+    checkHeader(header);
+    adt = await resolveAdtTimes(req.db, req.hospitalId, readAdt(message));
+
+    const patient = await upsertPatient(req, header, adt);
+    const handler = EVENT_HANDLERS[header.triggerEvent];
+    if (handler) {
+      await handler(req, header, adt, patient);
+    }
+
+    await req.db.query("RELEASE SAVEPOINT hl7_message");
+
+    return {
+      header,
+      adt,
+      patient,
+      ackCode: "AA",
+      text: "Message accepted",
+    };
+  } catch (error) {
+    await req.db.query("ROLLBACK TO SAVEPOINT hl7_message");
+
+    if (!error.hl7) {
+      console.error("HL7 message error:", error);
+    }
+    const { ackCode, error: condition, location } = error.hl7 || {
+      ackCode: "AE",
+      error: HL7_ERRORS.APPLICATION_ERROR,
+    };
+
+    return {
+      header,
+      adt,
+      patient: null,
+      ackCode,
+      text: error.hl7 ? error.message : "Internal error processing message",
+      condition,
+      location,
+    };
+  }
+};
+
+const ackFor = (outcome) =>
+  buildAck({
+    header: outcome.header,
+    ackCode: outcome.ackCode,
+    text: outcome.text,
+    error: outcome.condition,
+    location: outcome.location,
+  });
+
+const sendAck = (req, res, ack) => {
+  const requested = (req.get("Content-Type") || "").split(";")[0].trim();
+  const type = HL7_CONTENT_TYPES.includes(requested)
+    ? requested
+    : HL7_CONTENT_TYPES[0];
+  res.type(type).send(ack);
+};
+
+/**
+ * POST /api/hl7/adt - Ingest one ER7-encoded ADT message
+ *
+ * Supported events: A01 (admit), A02 (transfer), A03 (discharge),
+ * A04 (register) and A08 (update patient information). The response body
+ * is the HL7 ACK; HTTP 200 means the ACK was produced, its MSA-1 says
+ * whether the message was applied. A message whose control ID (MSH-10)
+ * was already processed is acknowledged again without being reapplied.
+ */
+router.post(
+  "/adt",
+  express.text({ type: HL7_CONTENT_TYPES, limit: "1mb" }),
+  async (req, res) => {
+    try {
+      const raw = typeof req.body === "string" ? req.body : "";
+      if (!raw.trim()) {
+        return res.status(400).json({
+          error: `HL7 message body is required (Content-Type: ${HL7_CONTENT_TYPES[0]})`,
+        });
+      }
+
+      let header = null;
+      try {
+        header = readHeader(parseMessage(raw));
+      } catch (error) {
+        // Reported through the NAK below
+      }
+
+      if (header && header.controlId) {
+        const duplicate = await req.db.query(
+          `
+          SELECT id FROM hl7_messages
+          WHERE hospital_id = $1 AND control_id = $2 AND status = 'processed'`,
+          [req.hospitalId, header.controlId]
+        );
+        if (duplicate.rows.length > 0) {
+          return sendAck(
+            req,
+            res,
+            buildAck({
+              header,
+              ackCode: "AA",
+              text: "Duplicate message; already processed",
+            })
+          );
+        }
+      }
+
+      const outcome = await applyMessage(req, raw);
+      const ack = ackFor(outcome);
+
+      const stored = await req.db.query(
+        `
+        INSERT INTO hl7_messages (
+          hospital_id, control_id, message_type, sending_application,
+          sending_facility, medical_record_number, patient_id, raw_message,
+          status, ack_code, error, received_by, processed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING id, status`,
+        [
+          req.hospitalId,
+          (outcome.header.controlId || "").slice(0, 50) || null,
+          outcome.header.messageType
+            ? `${outcome.header.messageType}^${outcome.header.triggerEvent}`
+            : null,
+          outcome.header.sendingApplication || null,
+          outcome.header.sendingFacility || null,
+          outcome.adt ? outcome.adt.medicalRecordNumber : null,
+          outcome.patient ? outcome.patient.id : null,
+          raw,
+          outcome.ackCode === "AA" ? "processed" : "error",
+          outcome.ackCode,
+          outcome.ackCode === "AA" ? null : outcome.text,
+          req.user.id,
+          outcome.ackCode === "AA" ? new Date() : null,
+        ]
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "hl7_message",
+        entityId: stored.rows[0].id,
+        patientId: outcome.patient ? outcome.patient.id : null,
+        metadata: {
+          controlId: outcome.header.controlId,
+          ackCode: outcome.ackCode,
+        },
+      });
+
+      sendAck(req, res, ack);
+    } catch (error) {
+      console.error("HL7 ADT error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /api/hl7/messages - Inbound messages, by default the error queue
+ *
+ * Query: status (processed, error, dismissed; default error), mrn,
+ * limit (default 50)
+ */
+router.get(
+  "/messages",
+  [
+    query("status").optional().isIn(MESSAGE_STATUSES),
+    query("mrn").optional().trim().isLength({ min: 1, max: 50 }),
+    query("limit").optional().isInt({ min: 1, max: 200 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let sql = `
+        SELECT id, control_id, message_type, sending_application,
+               sending_facility, medical_record_number, patient_id, status,
+               ack_code, error, attempts, received_at, processed_at,
+               reviewed_by, reviewed_at
+        FROM hl7_messages
+        WHERE hospital_id = $1 AND status = $2
+      `;
+      const params = [req.hospitalId, req.query.status || "error"];
+      let paramCount = 3;
+
+      if (req.query.mrn) {
+        sql += ` AND medical_record_number = $${paramCount++}`;
+        params.push(req.query.mrn);
+      }
+
+      sql += ` ORDER BY received_at DESC, id DESC LIMIT $${paramCount}`;
+      params.push(parseInt(req.query.limit) || 50);
+
+      const messages = await req.db.query(sql, params);
+
+      res.json({
+        hl7Messages: messages.rows,
+        count: messages.rows.length,
+      });
+    } catch (error) {
+      console.error("Get HL7 messages error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+const getMessage = async (db, id, hospitalId, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM hl7_messages WHERE id = $1 AND hospital_id = $2${
+      forUpdate ? " FOR UPDATE" : ""
+    }`,
+    [id, hospitalId]
+  );
+  return result.rows[0] || null;
+};
+
+// GET /api/hl7/messages/:id - One message including its raw content
+router.get(
+  "/messages/:id",
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const message = await getMessage(req.db, req.params.id, req.hospitalId);
+      if (!message) {
+        return res.status(404).json({ error: "HL7 message not found" });
+      }
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "hl7_message",
+        entityId: message.id,
+        patientId: message.patient_id,
+      });
+
+      res.json({ hl7Message: message });
+    } catch (error) {
+      console.error("Get HL7 message error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/hl7/messages/:id/reprocess - Apply a queued message again
+ * after fixing its cause (missing bed, patient registered by hand, ...).
+ * The message stays in the queue with the new error if it fails again.
+ */
+router.post(
+  "/messages/:id/reprocess",
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const message = await getMessage(req.db, req.params.id, req.hospitalId, {
+        forUpdate: true,
+      });
+      if (!message) {
+        return res.status(404).json({ error: "HL7 message not found" });
+      }
+      if (message.status !== "error") {
+        return res.status(409).json({
+          error: "Only messages in the error queue can be reprocessed",
+        });
+      }
+
+      const outcome = await applyMessage(req, message.raw_message);
+      const accepted = outcome.ackCode === "AA";
+
+      const updated = await req.db.query(
+        `
+        UPDATE hl7_messages
+        SET status = $2,
+            ack_code = $3,
+            error = $4,
+            patient_id = COALESCE($5, patient_id),
+            attempts = attempts + 1,
+            processed_at = $6,
+            reviewed_by = $7,
+            reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *`,
+        [
+          message.id,
+          accepted ? "processed" : "error",
+          outcome.ackCode,
+          accepted ? null : outcome.text,
+          outcome.patient ? outcome.patient.id : null,
+          accepted ? new Date() : null,
+          req.user.id,
+        ]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "hl7_message",
+        entityId: message.id,
+        patientId: updated.rows[0].patient_id,
+        metadata: { reprocessed: true, ackCode: outcome.ackCode },
+      });
+
+      res.json({
+        message: accepted
+          ? "HL7 message processed"
+          : "HL7 message failed again",
+        hl7Message: updated.rows[0],
+        ack: ackFor(outcome),
+      });
+    } catch (error) {
+      console.error("Reprocess HL7 message error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/hl7/messages/:id/dismiss - Take a message out of the queue
+// without applying it (e.g. superseded by a later message)
+router.post(
+  "/messages/:id/dismiss",
+  [
+    param("id").isInt({ min: 1 }),
+    body("notes").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const message = await getMessage(req.db, req.params.id, req.hospitalId, {
+        forUpdate: true,
+      });
+      if (!message) {
+        return res.status(404).json({ error: "HL7 message not found" });
+      }
+      if (message.status !== "error") {
+        return res.status(409).json({
+          error: "Only messages in the error queue can be dismissed",
+        });
+      }
+
+      const updated = await req.db.query(
+        `
+        UPDATE hl7_messages
+        SET status = 'dismissed',
+            reviewed_by = $2,
+            reviewed_at = CURRENT_TIMESTAMP,
+            review_notes = $3
+        WHERE id = $1
+        RETURNING *`,
+        [message.id, req.user.id, (req.body || {}).notes || null]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "hl7_message",
+        entityId: message.id,
+        patientId: message.patient_id,
+        metadata: { dismissed: true },
+      });
+
+      res.json({
+        message: "HL7 message dismissed",
+        hl7Message: updated.rows[0],
+      });
+    } catch (error) {
+      console.error("Dismiss HL7 message error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,475 @@
+// src/routes/hospitals.js
+// Hospital (tenant) management for super admins
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requireRole } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { revokeHospitalSessions } = require("../services/tokens");
+const { seedDefaultTaskTypes } = require("../services/taskTypes");
+const {
+  passwordPolicyValidator,
+  hashPassword,
+  recordPasswordHistory,
+} = require("../services/passwords");
+
+const router = express.Router();
+
+// Super admins only; their requests run with Row Level Security bypassed
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(requireRole(["super_admin"]));
+
+const HOSPITAL_WITH_COUNTS = `
+  SELECT h.*,
+         COALESCE(pc.count, 0)::int as patient_count,
+         COALESCE(uc.count, 0)::int as user_count,
+         COALESCE(tc.count, 0)::int as task_log_count
+  FROM hospitals h
+  LEFT JOIN (
+    SELECT hospital_id, COUNT(*) as count FROM patients
+    WHERE deleted_at IS NULL GROUP BY hospital_id
+  ) pc ON pc.hospital_id = h.id
+  LEFT JOIN (
+    SELECT hospital_id, COUNT(*) as count FROM users GROUP BY hospital_id
+  ) uc ON uc.hospital_id = h.id
+  LEFT JOIN (
+    SELECT hospital_id, COUNT(*) as count FROM task_logs
+    WHERE deleted_at IS NULL GROUP BY hospital_id
+  ) tc ON tc.hospital_id = h.id
+`;
+
+// Validation chains shared by create and onboarding (prefix "hospital.")
+const hospitalFields = (prefix = "") => [
+  body(`${prefix}name`)
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Hospital name is required"),
+  body(`${prefix}code`)
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_]{2,50}$/)
+    .withMessage("Code must be 2-50 characters of A-Z, 0-9 or _"),
+  body(`${prefix}address`).optional().trim(),
+  body(`${prefix}phone`).optional().trim().isLength({ max: 50 }),
+  body(`${prefix}email`).optional().isEmail().normalizeEmail(),
+  body(`${prefix}timezone`).optional().trim().isLength({ min: 1, max: 50 }),
+];
+
+const isValidTimezone = async (db, timezone) => {
+  const result = await db.query(
+    "SELECT 1 FROM pg_timezone_names WHERE name = $1",
+    [timezone]
+  );
+  return result.rows.length > 0;
+};
+
+const createHospital = async (db, fields) => {
+  const result = await db.query(
+    `
+    INSERT INTO hospitals (name, code, address, phone, email, timezone)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *`,
+    [
+      fields.name,
+      fields.code,
+      fields.address || null,
+      fields.phone || null,
+      fields.email || null,
+      fields.timezone || "UTC",
+    ]
+  );
+
+  // New tenants start with the default task type catalog
+  await seedDefaultTaskTypes(db, result.rows[0].id);
+
+  return result.rows[0];
+};
+
+/**
+ * GET /api/hospitals - List hospitals with patient, user and task counts
+ */
+router.get(
+  "/",
+  [query("active").optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const params = [];
+      let sql = HOSPITAL_WITH_COUNTS;
+
+      if (req.query.active !== undefined) {
+        sql += " WHERE h.active = $1";
+        params.push(req.query.active === "true");
+      }
+
+      sql += " ORDER BY h.name";
+
+      const hospitals = await req.db.query(sql, params);
+
+      res.json({
+        hospitals: hospitals.rows,
+        count: hospitals.rows.length,
+      });
+    } catch (error) {
+      console.error("Get hospitals error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /api/hospitals/:id - Get a hospital with its counts
+ */
+router.get("/:id", [param("id").isInt({ min: 1 })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hospital = await req.db.query(`${HOSPITAL_WITH_COUNTS} WHERE h.id = $1`, [
+      req.params.id,
+    ]);
+
+    if (hospital.rows.length === 0) {
+      return res.status(404).json({ error: "Hospital not found" });
+    }
+
+    res.json({ hospital: hospital.rows[0] });
+  } catch (error) {
+    console.error("Get hospital error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/hospitals - Create a hospital
+ */
+router.post("/", hospitalFields(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await req.db.query(
+      "SELECT id FROM hospitals WHERE code = $1",
+      [req.body.code]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: "Hospital code already exists" });
+    }
+
+    if (req.body.timezone && !(await isValidTimezone(req.db, req.body.timezone))) {
+      return res.status(400).json({ error: "Unknown timezone" });
+    }
+
+    const hospital = await createHospital(req.db, req.body);
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "hospital",
+      entityId: hospital.id,
+      after: hospital,
+    });
+
+    res.status(201).json({
+      message: "Hospital created successfully",
+      hospital,
+    });
+  } catch (error) {
+    console.error("Create hospital error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/hospitals/onboard - Create a hospital and its first admin
+ *
+ * System Design Concept: Atomic onboarding
+ * - Both rows are written on the request transaction, so a failure
+ *   creating the admin never leaves an orphaned, admin-less tenant
+ */
+router.post(
+  "/onboard",
+  [
+    ...hospitalFields("hospital."),
+    body("admin.email").isEmail().normalizeEmail(),
+    body("admin.password").custom(passwordPolicyValidator),
+    body("admin.firstName").trim().isLength({ min: 1 }),
+    body("admin.lastName").trim().isLength({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { hospital: hospitalFieldsIn, admin } = req.body;
+
+      const existingHospital = await req.db.query(
+        "SELECT id FROM hospitals WHERE code = $1",
+        [hospitalFieldsIn.code]
+      );
+      if (existingHospital.rows.length > 0) {
+        return res.status(400).json({ error: "Hospital code already exists" });
+      }
+
+      const existingUser = await req.db.query(
+        "SELECT id FROM users WHERE email = $1",
+        [admin.email]
+      );
+      if (existingUser.rows.length > 0) {
+        return res.status(400).json({ error: "User already exists" });
+      }
+
+      if (
+        hospitalFieldsIn.timezone &&
+        !(await isValidTimezone(req.db, hospitalFieldsIn.timezone))
+      ) {
+        return res.status(400).json({ error: "Unknown timezone" });
+      }
+
+      const hospital = await createHospital(req.db, hospitalFieldsIn);
+
+      const passwordHash = await hashPassword(admin.password);
+      const adminUser = await req.db.query(
+        `
+        INSERT INTO users (email, password_hash, first_name, last_name, role, hospital_id)
+        VALUES ($1, $2, $3, $4, 'admin', $5)
+        RETURNING id, email, first_name, last_name, role, hospital_id`,
+        [admin.email, passwordHash, admin.firstName, admin.lastName, hospital.id]
+      );
+      await recordPasswordHistory(req.db, adminUser.rows[0].id, passwordHash);
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "hospital",
+        entityId: hospital.id,
+        after: hospital,
+        metadata: { onboarding: true, adminUserId: adminUser.rows[0].id },
+      });
+
+      res.status(201).json({
+        message: "Hospital onboarded successfully",
+        hospital,
+        admin: adminUser.rows[0],
+      });
+    } catch (error) {
+      console.error("Onboard hospital error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * PUT /api/hospitals/:id - Update hospital details
+ *
+ * retentionDays: how long soft-deleted patients and task logs are kept
+ * before the retention job purges them (null: keep them forever)
+ * amendmentLockHours: how long after charting clinicians can amend their
+ * task logs (null: no limit); admins can always amend
+ */
+router.put(
+  "/:id",
+  [
+    param("id").isInt({ min: 1 }),
+    body("name").optional().trim().isLength({ min: 1, max: 255 }),
+    body("address").optional().trim(),
+    body("phone").optional().trim().isLength({ max: 50 }),
+    body("email").optional().isEmail().normalizeEmail(),
+    body("timezone").optional().trim().isLength({ min: 1, max: 50 }),
+    body("retentionDays")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Retention period must be a positive number of days"),
+    body("amendmentLockHours")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Amendment window must be a positive number of hours"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const {
+        name,
+        address,
+        phone,
+        email,
+        timezone,
+        retentionDays,
+        amendmentLockHours,
+      } = req.body;
+
+      const existing = await req.db.query(
+        "SELECT * FROM hospitals WHERE id = $1",
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Hospital not found" });
+      }
+
+      if (timezone && !(await isValidTimezone(req.db, timezone))) {
+        return res.status(400).json({ error: "Unknown timezone" });
+      }
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (name) {
+        updates.push(`name = $${paramCount++}`);
+        values.push(name);
+      }
+      if (address !== undefined) {
+        updates.push(`address = $${paramCount++}`);
+        values.push(address || null);
+      }
+      if (phone !== undefined) {
+        updates.push(`phone = $${paramCount++}`);
+        values.push(phone || null);
+      }
+      if (email !== undefined) {
+        updates.push(`email = $${paramCount++}`);
+        values.push(email || null);
+      }
+      if (timezone) {
+        updates.push(`timezone = $${paramCount++}`);
+        values.push(timezone);
+      }
+      if (retentionDays !== undefined) {
+        updates.push(`retention_days = $${paramCount++}`);
+        values.push(retentionDays === null ? null : parseInt(retentionDays));
+      }
+      if (amendmentLockHours !== undefined) {
+        updates.push(`amendment_lock_hours = $${paramCount++}`);
+        values.push(
+          amendmentLockHours === null ? null : parseInt(amendmentLockHours)
+        );
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(id);
+
+      const result = await req.db.query(
+        `UPDATE hospitals SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "hospital",
+        entityId: result.rows[0].id,
+        before: existing.rows[0],
+        after: result.rows[0],
+      });
+
+      res.json({
+        message: "Hospital updated successfully",
+        hospital: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Update hospital error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * Toggle a hospital's active flag
+ *
+ * Deactivation also revokes every session of the hospital's users;
+ * authWithHospital already refuses users of inactive hospitals.
+ */
+const setHospitalActive = (active) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    if (!active && parseInt(id) === req.user.hospital_id) {
+      return res
+        .status(400)
+        .json({ error: "You cannot deactivate your own hospital" });
+    }
+
+    const existing = await req.db.query(
+      "SELECT * FROM hospitals WHERE id = $1",
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Hospital not found" });
+    }
+
+    const result = await req.db.query(
+      "UPDATE hospitals SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+      [active, id]
+    );
+
+    const revokedSessions = active
+      ? 0
+      : await revokeHospitalSessions(req.db, id, "hospital_deactivated");
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "hospital",
+      entityId: result.rows[0].id,
+      before: existing.rows[0],
+      after: result.rows[0],
+    });
+
+    res.json({
+      message: active
+        ? "Hospital reactivated successfully"
+        : "Hospital deactivated successfully",
+      hospital: result.rows[0],
+      ...(active ? {} : { revokedSessions }),
+    });
+  } catch (error) {
+    console.error("Set hospital active error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// POST /api/hospitals/:id/deactivate - Deactivate a hospital
+router.post(
+  "/:id/deactivate",
+  [param("id").isInt({ min: 1 })],
+  setHospitalActive(false)
+);
+
+// POST /api/hospitals/:id/reactivate - Reactivate a hospital
+router.post(
+  "/:id/reactivate",
+  [param("id").isInt({ min: 1 })],
+  setHospitalActive(true)
+);
+
+module.exports = router;
@@ -0,0 +1,558 @@
+// src/routes/mfa.js
+// TOTP two-factor authentication: enrollment, login verification, recovery
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const pool = require("../config/database");
+const { auth, requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/audit");
+const {
+  withScopedTransaction,
+  queryAcrossHospitals,
+} = require("../services/dbContext");
+const {
+  hashToken,
+  verifyMfaPendingToken,
+  createSession,
+} = require("../services/tokens");
+const {
+  registerFailedLogin,
+  resetFailedLogins,
+  sendAccountLocked,
+} = require("../services/passwords");
+const {
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} = require("../services/totp");
+
+const MFA_ISSUER = process.env.MFA_ISSUER || "Patient Tracker";
+
+const router = express.Router();
+
+/**
+ * Authenticate with a normal access token, or with the enroll-scoped
+ * mfa_pending token that login hands out when the user's hospital
+ * requires MFA but the user has not enrolled yet
+ */
+const authForEnrollment = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+
+  let decoded;
+  try {
+    decoded = verifyMfaPendingToken(token);
+  } catch (error) {
+    return auth(req, res, next);
+  }
+
+  try {
+    if (!decoded.enroll) {
+      return res.status(401).json({ error: "Token is not valid" });
+    }
+
+    const user = await queryAcrossHospitals(
+      `
+      SELECT id, email, first_name, last_name, role, hospital_id
+      FROM users
+      WHERE id = $1 AND active = true AND mfa_enabled = false
+    `,
+      [decoded.userId]
+    );
+
+    if (user.rows.length === 0) {
+      return res.status(401).json({ error: "Token is not valid" });
+    }
+
+    req.user = user.rows[0];
+    req.mfaEnrollment = true;
+    next();
+  } catch (error) {
+    console.error("MFA enrollment auth error:", error);
+    res.status(401).json({ error: "Token is not valid" });
+  }
+};
+
+// Query the caller's own rows, scoped to the caller's hospital
+const queryInUserHospital = (user, text, params) =>
+  withScopedTransaction({ hospitalId: user.hospital_id }, (client) =>
+    client.query(text, params)
+  );
+
+/**
+ * Replace a user's recovery codes; only hashes are stored
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  await client.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [
+    userId,
+  ]);
+  for (const code of recoveryCodes) {
+    await client.query(
+      "INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code and remember its time step
+ *
+ * System Design Concept: Replay protection
+ * - A code is accepted only for a time step later than the last accepted
+ *   one, so an intercepted code cannot be used a second time
+ * - The conditional UPDATE makes this race-free between concurrent requests
+ */
+const consumeTotp = async (db, user, code) => {
+  const step = verifyTotp(decryptSecret(user.mfa_secret), code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await db.query(
+    `
+    UPDATE users SET mfa_last_used_step = $2
+    WHERE id = $1 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $2)
+  `,
+    [user.id, step]
+  );
+
+  return result.rowCount === 1;
+};
+
+const consumeRecoveryCode = async (db, userId, recoveryCode) => {
+  const result = await db.query(
+    `
+    UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    RETURNING id
+  `,
+    [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+  );
+
+  return result.rows.length === 1;
+};
+
+const sessionResponse = async (user, req) => {
+  await resetFailedLogins(user.id);
+
+  const tokens = await createSession(user, req);
+
+  return {
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      hospital_id: user.hospital_id,
+    },
+  };
+};
+
+/**
+ * POST /api/auth/mfa/verify - Second login step
+ *
+ * Exchanges the mfa_pending token from /api/auth/login plus a TOTP code
+ * (or a one-time recovery code) for a session. Wrong codes count towards
+ * the same lockout as wrong passwords.
+ */
+router.post(
+  "/verify",
+  [
+    body("mfaToken").isString().isLength({ min: 1 }),
+    body("code").optional().isString(),
+    body("recoveryCode").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      if (!code && !recoveryCode) {
+        return res
+          .status(400)
+          .json({ error: "Provide a code or a recoveryCode" });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyMfaPendingToken(mfaToken);
+      } catch (error) {
+        return res
+          .status(401)
+          .json({ error: "MFA token is invalid or has expired" });
+      }
+
+      const user = await queryAcrossHospitals(
+        "SELECT * FROM users WHERE id = $1 AND active = true AND mfa_enabled = true",
+        [decoded.userId]
+      );
+
+      if (user.rows.length === 0) {
+        return res
+          .status(401)
+          .json({ error: "MFA token is invalid or has expired" });
+      }
+
+      if (user.rows[0].locked_until && user.rows[0].locked_until > new Date()) {
+        return sendAccountLocked(res, user.rows[0].locked_until);
+      }
+
+      const valid = await withScopedTransaction(
+        { hospitalId: user.rows[0].hospital_id },
+        (client) =>
+          code
+            ? consumeTotp(client, user.rows[0], code)
+            : consumeRecoveryCode(client, user.rows[0].id, recoveryCode)
+      );
+
+      if (!valid) {
+        const lockedUntil = await registerFailedLogin(user.rows[0].id);
+        if (lockedUntil) {
+          return sendAccountLocked(res, lockedUntil);
+        }
+        return res.status(400).json({ error: "Invalid two-factor code" });
+      }
+
+      if (!code) {
+        await recordAudit(req, {
+          action: "update",
+          entityType: "user_mfa",
+          entityId: user.rows[0].id,
+          hospitalId: user.rows[0].hospital_id,
+          metadata: { event: "recovery_code_used" },
+        });
+      }
+
+      res.json({
+        message: "Login successful",
+        ...(await sessionResponse(user.rows[0], req)),
+      });
+    } catch (error) {
+      console.error("MFA verify error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/enroll - Start enrollment
+ *
+ * Returns a new secret and its otpauth:// provisioning URI (render it as a
+ * QR code). MFA is not active until the secret is confirmed via /activate.
+ */
+router.post("/enroll", authForEnrollment, async (req, res) => {
+  try {
+    const current = await queryInUserHospital(
+      req.user,
+      "SELECT mfa_enabled FROM users WHERE id = $1",
+      [req.user.id]
+    );
+
+    if (current.rows[0].mfa_enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+
+    await queryInUserHospital(
+      req.user,
+      "UPDATE users SET mfa_pending_secret = $2 WHERE id = $1",
+      [req.user.id, encryptSecret(secret)]
+    );
+
+    res.json({
+      secret,
+      otpauthUri: provisioningUri({
+        secret,
+        accountName: req.user.email,
+        issuer: MFA_ISSUER,
+      }),
+    });
+  } catch (error) {
+    console.error("MFA enroll error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/activate - Confirm enrollment with a first code
+ *
+ * Returns one-time recovery codes (shown once; only hashes are stored).
+ * When called with an enrollment token it also completes the login.
+ */
+router.post(
+  "/activate",
+  authForEnrollment,
+  [body("code").isString().isLength({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const current = await queryInUserHospital(
+        req.user,
+        "SELECT mfa_enabled, mfa_pending_secret FROM users WHERE id = $1",
+        [req.user.id]
+      );
+
+      if (current.rows[0].mfa_enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      if (!current.rows[0].mfa_pending_secret) {
+        return res.status(400).json({ error: "Start enrollment first" });
+      }
+
+      const step = verifyTotp(
+        decryptSecret(current.rows[0].mfa_pending_secret),
+        req.body.code
+      );
+
+      if (step === null) {
+        return res.status(400).json({ error: "Invalid two-factor code" });
+      }
+
+      const recoveryCodes = await withScopedTransaction(
+        { hospitalId: req.user.hospital_id },
+        async (client) => {
+          await client.query(
+            `
+            UPDATE users SET mfa_enabled = true, mfa_secret = mfa_pending_secret,
+                   mfa_pending_secret = NULL, mfa_enrolled_at = CURRENT_TIMESTAMP,
+                   mfa_last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1`,
+            [req.user.id, step]
+          );
+
+          return replaceRecoveryCodes(client, req.user.id);
+        }
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user_mfa",
+        entityId: req.user.id,
+        metadata: { event: "enabled" },
+      });
+
+      const response = {
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      };
+
+      if (req.mfaEnrollment) {
+        Object.assign(response, await sessionResponse(req.user, req));
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error("MFA activate error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * Load the caller's MFA state and check a current TOTP code
+ * Sends the error response and returns null when the check fails.
+ */
+const requireCurrentCode = async (req, res) => {
+  const user = await queryInUserHospital(
+    req.user,
+    "SELECT id, mfa_enabled, mfa_secret FROM users WHERE id = $1",
+    [req.user.id]
+  );
+
+  if (!user.rows[0].mfa_enabled) {
+    res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    return null;
+  }
+
+  const valid = await withScopedTransaction(
+    { hospitalId: req.user.hospital_id },
+    (client) => consumeTotp(client, user.rows[0], req.body.code)
+  );
+
+  if (!valid) {
+    res.status(400).json({ error: "Invalid two-factor code" });
+    return null;
+  }
+
+  return user.rows[0];
+};
+
+/**
+ * POST /api/auth/mfa/recovery-codes - Replace all recovery codes
+ */
+router.post(
+  "/recovery-codes",
+  auth,
+  [body("code").isString().isLength({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await requireCurrentCode(req, res);
+      if (!user) return;
+
+      const recoveryCodes = await withScopedTransaction(
+        { hospitalId: req.user.hospital_id },
+        (client) => replaceRecoveryCodes(client, req.user.id)
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user_mfa",
+        entityId: req.user.id,
+        metadata: { event: "recovery_codes_regenerated" },
+      });
+
+      res.json({ message: "Recovery codes regenerated", recoveryCodes });
+    } catch (error) {
+      console.error("MFA recovery codes error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/disable - Turn off MFA for the caller
+ * Not allowed while the user's hospital requires MFA.
+ */
+router.post(
+  "/disable",
+  auth,
+  [body("code").isString().isLength({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const hospital = await pool.query(
+        "SELECT mfa_required FROM hospitals WHERE id = $1",
+        [req.user.hospital_id]
+      );
+
+      if (hospital.rows.length > 0 && hospital.rows[0].mfa_required) {
+        return res.status(403).json({
+          error: "Two-factor authentication is required by your hospital",
+        });
+      }
+
+      const user = await requireCurrentCode(req, res);
+      if (!user) return;
+
+      await withScopedTransaction(
+        { hospitalId: req.user.hospital_id },
+        async (client) => {
+          await client.query(
+            `
+            UPDATE users SET mfa_enabled = false, mfa_secret = NULL,
+                   mfa_pending_secret = NULL, mfa_enrolled_at = NULL,
+                   mfa_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1`,
+            [req.user.id]
+          );
+          await client.query(
+            "DELETE FROM mfa_recovery_codes WHERE user_id = $1",
+            [req.user.id]
+          );
+        }
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user_mfa",
+        entityId: req.user.id,
+        metadata: { event: "disabled" },
+      });
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("MFA disable error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * PUT /api/auth/mfa/policy - Require MFA for everyone in the admin's hospital
+ *
+ * Users who have not enrolled are sent through enrollment at their next
+ * login; existing sessions are not affected.
+ */
+router.put(
+  "/policy",
+  auth,
+  requireRole(["admin"]),
+  [body("required").isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const required = req.body.required === true || req.body.required === "true";
+
+      const before = await pool.query(
+        "SELECT id, mfa_required FROM hospitals WHERE id = $1",
+        [req.user.hospital_id]
+      );
+
+      if (before.rows.length === 0) {
+        return res.status(404).json({ error: "Hospital not found" });
+      }
+
+      const result = await pool.query(
+        `
+        UPDATE hospitals SET mfa_required = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, mfa_required`,
+        [req.user.hospital_id, required]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "hospital",
+        entityId: req.user.hospital_id,
+        before: before.rows[0],
+        after: result.rows[0],
+      });
+
+      res.json({
+        message: "MFA policy updated",
+        hospital: result.rows[0],
+      });
+    } catch (error) {
+      console.error("MFA policy error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,13 +2,51 @@
 // Multi-tenant aware patient management
 
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const {
   authWithHospital,
   setHospitalContext,
   checkHospitalAccess,
 } = require("../middleware/hospital");
-const pool = require("../config/database");
+const {
+  requireRole,
+  rejectReadOnlyWrites,
+  restrictDeletedToAdmins,
+} = require("../middleware/auth");
+const { recordAudit } = require("../services/audit");
+const {
+  OBSERVATION_TYPES,
+  OBSERVATION_TYPE_NAMES,
+} = require("../services/observations");
+const {
+  ADMISSION_STATUSES,
+  ADMISSION_STATUS_SQL,
+  getActiveEncounter,
+  getLastDischargedAt,
+  getEncounter,
+  lockBed,
+  bedUnavailableReason,
+  assignBed,
+  admitPatient,
+  dischargePatient,
+  getPatientEncounters,
+} = require("../services/encounters");
+const { enqueueWebhookEvent } = require("../services/webhooks");
+const { normalizeCareTag } = require("../services/careAlerts");
+const {
+  DELETED_FILTERS,
+  deletedFilterValidator,
+  deletionReasonValidator,
+  deletedCondition,
+} = require("../services/softDelete");
+const {
+  IMPORT_CONTENT_TYPES,
+  EXPORT_FORMATS,
+  parseUpload,
+  validateRow,
+  streamExport,
+  failExport,
+} = require("../services/bulk");
 
 const router = express.Router();
 
@@ -16,6 +54,127 @@ const router = express.Router();
 router.use(authWithHospital);
 router.use(setHospitalContext);
 router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+router.use(restrictDeletedToAdmins);
+
+/**
+ * WHERE clause for patient lists and exports
+ * Filters: search (name or MRN, substring), status (admission status) and
+ * deleted (exclude, include or only soft-deleted patients; default exclude).
+ * Returns { where, params } with placeholders starting at $1.
+ */
+const buildPatientFilters = ({ search, status, deleted }, hospitalId) => {
+  const conditions = ["p.hospital_id = $1"];
+  const params = [hospitalId];
+
+  const deletedFilter = deletedCondition("p", deleted);
+  if (deletedFilter) {
+    conditions.push(deletedFilter);
+  }
+
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(
+      p.first_name ILIKE $${params.length} OR
+      p.last_name ILIKE $${params.length} OR
+      p.medical_record_number ILIKE $${params.length}
+    )`);
+  }
+
+  if (status) {
+    params.push(status);
+    conditions.push(`${ADMISSION_STATUS_SQL} = $${params.length}`);
+  }
+
+  return { where: conditions.join(" AND "), params };
+};
+
+// Care tags (e.g. BED_BOUND) select the patients a care rule applies to
+const careTagsValidators = () => [
+  body("careTags")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Care tags must be a list of at most 20 tags"),
+  body("careTags.*")
+    .customSanitizer(normalizeCareTag)
+    .matches(/^[A-Z0-9_]{1,50}$/)
+    .withMessage("Care tags may only contain letters, digits and underscores"),
+];
+
+// Validation of a new patient, shared by POST / and the bulk import
+const patientValidators = [
+  body("firstName")
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("First name is required"),
+  body("lastName")
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("Last name is required"),
+  body("medicalRecordNumber")
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("Medical record number is required"),
+  body("roomNumber").optional().trim(),
+  body("dateOfBirth")
+    .optional()
+    .isISO8601()
+    .withMessage("Date must be in YYYY-MM-DD format"),
+  ...careTagsValidators(),
+];
+
+const PATIENT_IMPORT_FIELDS = [
+  "firstName",
+  "lastName",
+  "medicalRecordNumber",
+  "roomNumber",
+  "dateOfBirth",
+];
+
+// Insert a validated patient into the hospital, audited and announced
+const createPatient = async (req, values, metadata = {}) => {
+  const {
+    firstName,
+    lastName,
+    medicalRecordNumber,
+    roomNumber,
+    dateOfBirth,
+    careTags,
+  } = values;
+
+  const newPatient = await req.db.query(
+    `
+    INSERT INTO patients (
+      first_name, last_name, medical_record_number,
+      room_number, date_of_birth, care_tags, hospital_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [
+      firstName,
+      lastName,
+      medicalRecordNumber,
+      roomNumber || null,
+      dateOfBirth || null,
+      [...new Set(careTags || [])],
+      req.hospitalId,
+    ]
+  );
+
+  await recordAudit(req, {
+    action: "create",
+    entityType: "patient",
+    entityId: newPatient.rows[0].id,
+    patientId: newPatient.rows[0].id,
+    after: newPatient.rows[0],
+    metadata,
+  });
+
+  await enqueueWebhookEvent(req.db, req.hospitalId, "patient.created", {
+    patient: newPatient.rows[0],
+  });
+
+  return newPatient.rows[0];
+};
 
 /**
  * GET /api/patients - List patients (hospital-scoped)
@@ -24,43 +183,56 @@ router.use(checkHospitalAccess);
  * - Data Isolation: Only returns patients from user's hospital
  * - Row Level Security: PostgreSQL automatically filters by hospital_id
  * - Pagination: Essential for large datasets across multiple hospitals
+ *
+ * Filters: search (name or MRN), status (admitted, discharged, not_admitted),
+ * deleted (admins: include or only soft-deleted patients)
  */
 router.get("/", async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
+    const { page = 1, limit = 20, search, status, deleted } = req.query;
     const offset = (page - 1) * limit;
 
+    if (status && !ADMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of ${ADMISSION_STATUSES.join(", ")}`,
+      });
+    }
+    if (deleted && !DELETED_FILTERS.includes(deleted)) {
+      return res.status(400).json({
+        error: `Deleted must be one of ${DELETED_FILTERS.join(", ")}`,
+      });
+    }
+
+    const { where, params } = buildPatientFilters(
+      { search, status, deleted },
+      req.hospitalId
+    );
+    const paramCount = params.length + 1;
+
     let query = `
-      SELECT p.*, 
+      SELECT p.*,
+             ${ADMISSION_STATUS_SQL} as admission_status,
              COUNT(*) OVER() as total_count
-      FROM patients p 
-      WHERE p.hospital_id = $1
+      FROM patients p
+      WHERE ${where}
     `;
 
-    const params = [req.hospitalId];
-    let paramCount = 2;
-
-    // Search functionality
-    if (search) {
-      query += ` AND (
-        p.first_name ILIKE $${paramCount} OR 
-        p.last_name ILIKE $${paramCount} OR 
-        p.medical_record_number ILIKE $${paramCount}
-      )`;
-      params.push(`%${search}%`);
-      paramCount++;
-    }
-
     query += ` ORDER BY p.last_name, p.first_name LIMIT $${paramCount} OFFSET $${
       paramCount + 1
     }`;
     params.push(parseInt(limit), offset);
 
-    const result = await pool.query(query, params);
+    const result = await req.db.query(query, params);
 
     const totalCount = result.rows.length > 0 ? result.rows[0].total_count : 0;
     const totalPages = Math.ceil(totalCount / limit);
 
+    await recordAudit(req, {
+      action: "read",
+      entityType: "patient",
+      metadata: { patientIds: result.rows.map((p) => p.id), search },
+    });
+
     res.json({
       patients: result.rows.map((row) => {
         const { total_count, ...patient } = row;
@@ -93,27 +265,64 @@ router.get("/", async (req, res) => {
  * - Unique constraints: MRN only unique within hospital, not globally
  * - Audit trail: Tracks which hospital created the patient
  */
+router.post("/", patientValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { medicalRecordNumber } = req.body;
+
+    // Check if MRN exists within this hospital (not globally)
+    const existingPatient = await req.db.query(
+      "SELECT id, deleted_at FROM patients WHERE medical_record_number = $1 AND hospital_id = $2",
+      [medicalRecordNumber, req.hospitalId]
+    );
+
+    if (existingPatient.rows.length > 0) {
+      return res.status(400).json({
+        error: existingPatient.rows[0].deleted_at
+          ? "Medical record number belongs to a deleted patient; restore the patient instead"
+          : "Medical record number already exists in this hospital",
+      });
+    }
+
+    // Create patient with automatic hospital assignment
+    const patient = await createPatient(req, req.body);
+
+    res.status(201).json({
+      message: "Patient created successfully",
+      patient,
+      hospital: {
+        id: req.user.hospital_id,
+        name: req.user.hospital_name,
+      },
+    });
+  } catch (error) {
+    console.error("Create patient error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/patients/import - Bulk create patients (admin only)
+ *
+ * Body: CSV with a header row (Content-Type: text/csv) or NDJSON, one
+ * patient per line (application/x-ndjson). Columns are the POST fields in
+ * camelCase or snake_case; other columns (e.g. from an export) are ignored.
+ * Every row is validated like POST /api/patients. Rows whose MRN already
+ * exists in the hospital, or repeats an earlier row, are skipped as
+ * duplicates; the other valid rows are created even if some rows fail.
+ * ?dryRun=true reports what would happen without creating anything.
+ *
+ * Rows are numbered from 1 (the first data row, after any CSV header).
+ */
 router.post(
-  "/",
-  [
-    body("firstName")
-      .trim()
-      .isLength({ min: 1 })
-      .withMessage("First name is required"),
-    body("lastName")
-      .trim()
-      .isLength({ min: 1 })
-      .withMessage("Last name is required"),
-    body("medicalRecordNumber")
-      .trim()
-      .isLength({ min: 1 })
-      .withMessage("Medical record number is required"),
-    body("roomNumber").optional().trim(),
-    body("dateOfBirth")
-      .optional()
-      .isISO8601()
-      .withMessage("Date must be in YYYY-MM-DD format"),
-  ],
+  "/import",
+  requireRole(["admin"]),
+  express.text({ type: Object.keys(IMPORT_CONTENT_TYPES), limit: "10mb" }),
+  [query("dryRun").optional().isBoolean()],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -121,54 +330,183 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const {
-        firstName,
-        lastName,
-        medicalRecordNumber,
-        roomNumber,
-        dateOfBirth,
-      } = req.body;
-
-      // Check if MRN exists within this hospital (not globally)
-      const existingPatient = await pool.query(
-        "SELECT id FROM patients WHERE medical_record_number = $1 AND hospital_id = $2",
-        [medicalRecordNumber, req.hospitalId]
-      );
-
-      if (existingPatient.rows.length > 0) {
+      const contentType = (req.get("Content-Type") || "").split(";")[0];
+      const format = IMPORT_CONTENT_TYPES[contentType.trim().toLowerCase()];
+      if (!format || typeof req.body !== "string") {
         return res.status(400).json({
-          error: "Medical record number already exists in this hospital",
+          error:
+            "Upload CSV (Content-Type: text/csv) or NDJSON (Content-Type: application/x-ndjson)",
         });
       }
 
-      // Create patient with automatic hospital assignment
-      const newPatient = await pool.query(
+      let upload;
+      try {
+        upload = parseUpload(req.body, format, PATIENT_IMPORT_FIELDS);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (upload.rows.length === 0) {
+        return res.status(400).json({ error: "The upload contains no rows" });
+      }
+
+      const dryRun = req.query.dryRun === "true";
+      const validated = [];
+      for (const row of upload.rows) {
+        validated.push(await validateRow(row, patientValidators));
+      }
+
+      // MRNs are only unique within a hospital
+      const existing = await req.db.query(
         `
-      INSERT INTO patients (
-        first_name, last_name, medical_record_number, 
-        room_number, date_of_birth, hospital_id
-      ) VALUES ($1, $2, $3, $4, $5, $6) 
-      RETURNING *`,
+        SELECT medical_record_number FROM patients
+        WHERE hospital_id = $1 AND medical_record_number = ANY($2::text[])`,
         [
-          firstName,
-          lastName,
-          medicalRecordNumber,
-          roomNumber || null,
-          dateOfBirth || null,
           req.hospitalId,
+          validated
+            .filter((checked) => checked.errors.length === 0)
+            .map((checked) => checked.values.medicalRecordNumber),
         ]
       );
+      const existingMrns = new Set(
+        existing.rows.map((row) => row.medical_record_number)
+      );
+      const firstRowByMrn = new Map();
 
-      res.status(201).json({
-        message: "Patient created successfully",
-        patient: newPatient.rows[0],
-        hospital: {
-          id: req.user.hospital_id,
-          name: req.user.hospital_name,
-        },
+      const results = [];
+      for (const [index, checked] of validated.entries()) {
+        const row = index + 1;
+        const { values } = checked;
+        const mrn = values.medicalRecordNumber;
+
+        if (checked.errors.length > 0) {
+          results.push({ row, status: "invalid", errors: checked.errors });
+        } else if (existingMrns.has(mrn)) {
+          results.push({
+            row,
+            status: "duplicate",
+            medicalRecordNumber: mrn,
+            error: "Medical record number already exists in this hospital",
+          });
+        } else if (firstRowByMrn.has(mrn)) {
+          results.push({
+            row,
+            status: "duplicate",
+            medicalRecordNumber: mrn,
+            error: `Medical record number repeats row ${firstRowByMrn.get(
+              mrn
+            )}`,
+          });
+        } else {
+          firstRowByMrn.set(mrn, row);
+          if (dryRun) {
+            results.push({ row, status: "valid", medicalRecordNumber: mrn });
+          } else {
+            const patient = await createPatient(req, values, {
+              import: { format, row },
+            });
+            results.push({
+              row,
+              status: "created",
+              medicalRecordNumber: mrn,
+              patientId: patient.id,
+            });
+          }
+        }
+      }
+
+      const summary = { total: results.length };
+      for (const status of ["created", "valid", "duplicate", "invalid"]) {
+        summary[status] = results.filter((r) => r.status === status).length;
+      }
+
+      res.status(summary.created > 0 ? 201 : 200).json({
+        message: dryRun
+          ? "Dry run: nothing was imported"
+          : `Imported ${summary.created} of ${summary.total} patients`,
+        dryRun,
+        summary,
+        ignoredColumns: upload.ignoredColumns,
+        rows: results,
       });
     } catch (error) {
-      console.error("Create patient error:", error);
+      console.error("Import patients error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+const PATIENT_EXPORT_COLUMNS = [
+  "id",
+  "medical_record_number",
+  "first_name",
+  "last_name",
+  "date_of_birth",
+  "room_number",
+  "admission_status",
+  "created_at",
+  "updated_at",
+  "deleted_at",
+  "deletion_reason",
+];
+
+/**
+ * GET /api/patients/export - Stream every matching patient (admin only)
+ *
+ * Query: format (csv or ndjson, default csv) and the list filters search,
+ * status and deleted. The CSV columns match what POST /import reads back.
+ */
+router.get(
+  "/export",
+  requireRole(["admin"]),
+  [
+    query("format").optional().isIn(Object.keys(EXPORT_FORMATS)),
+    query("search").optional().isString().isLength({ max: 200 }),
+    query("status").optional().isIn(ADMISSION_STATUSES),
+    deletedFilterValidator(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { format = "csv", search, status, deleted } = req.query;
+      const { where, params } = buildPatientFilters(
+        { search, status, deleted },
+        req.hospitalId
+      );
+
+      const count = await streamExport(req.db, res, {
+        sql: `
+          SELECT p.id, p.medical_record_number, p.first_name, p.last_name,
+                 to_char(p.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+                 p.room_number,
+                 ${ADMISSION_STATUS_SQL} as admission_status,
+                 p.created_at, p.updated_at, p.deleted_at, p.deletion_reason
+          FROM patients p
+          WHERE ${where}
+          ORDER BY p.last_name, p.first_name, p.id`,
+        params,
+        columns: PATIENT_EXPORT_COLUMNS,
+        format,
+        filename: "patients",
+      });
+
+      if (count !== null) {
+        await recordAudit(req, {
+          action: "read",
+          entityType: "patient",
+          metadata: { export: { format, count, search, status, deleted } },
+        });
+      }
+
+      res.end();
+    } catch (error) {
+      console.error("Export patients error:", error);
+      if (res.headersSent) {
+        return failExport(req, res);
+      }
       res.status(500).json({ error: "Server error" });
     }
   }
@@ -181,49 +519,793 @@ router.post(
  * - Data segregation: Analytics only for current hospital
  * - Aggregation: Summary statistics for operational insights
  * - Performance: Uses indexes on hospital_id for fast queries
+ *
+ * Query: timeframe (days, 1-3650, default 30). For breakdowns by day,
+ * clinician or hour see /api/reports.
+ */
+router.get(
+  "/analytics",
+  [query("timeframe").optional().isInt({ min: 1, max: 3650 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const timeframe = parseInt(req.query.timeframe || "30");
+
+      const analytics = await req.db.query(
+        `
+        SELECT 
+          COUNT(DISTINCT p.id) as total_patients,
+          COUNT(DISTINCT tl.id) as total_task_logs,
+          COUNT(DISTINCT tl.id) FILTER (
+            WHERE tl.created_at >= NOW() - make_interval(days => $2)
+          ) as recent_task_logs,
+          COUNT(DISTINCT u.id) as active_clinicians,
+          AVG(
+            EXTRACT(EPOCH FROM (
+              SELECT MAX(created_at) - MIN(created_at) 
+              FROM task_logs tl2 
+              WHERE tl2.patient_id = p.id 
+              AND tl2.hospital_id = $1
+              AND tl2.deleted_at IS NULL
+            )) / 3600
+          ) as avg_care_duration_hours
+        FROM patients p
+        LEFT JOIN task_logs tl ON p.id = tl.patient_id AND tl.hospital_id = $1
+          AND tl.deleted_at IS NULL
+        LEFT JOIN users u ON tl.user_id = u.id AND u.hospital_id = $1
+        WHERE p.hospital_id = $1
+          AND p.deleted_at IS NULL
+          AND p.created_at >= NOW() - make_interval(days => $2)
+      `,
+        [req.hospitalId, timeframe]
+      );
+
+      res.json({
+        analytics: analytics.rows[0],
+        timeframe: `${timeframe} days`,
+        hospital: {
+          id: req.user.hospital_id,
+          name: req.user.hospital_name,
+        },
+      });
+    } catch (error) {
+      console.error("Analytics error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /api/patients/:id - Get patient (hospital-scoped)
+ *
+ * Patients from other hospitals are reported as not found so that
+ * IDs cannot be used to probe another tenant's data. Deleted patients
+ * are too, unless an admin asks for them with ?deleted=include.
  */
-router.get("/analytics", async (req, res) => {
+router.get("/:id", [deletedFilterValidator()], async (req, res) => {
   try {
-    const { timeframe = "30" } = req.query; // days
-
-    const analytics = await pool.query(
-      `
-      SELECT 
-        COUNT(DISTINCT p.id) as total_patients,
-        COUNT(DISTINCT tl.id) as total_task_logs,
-        COUNT(DISTINCT tl.id) FILTER (
-          WHERE tl.created_at >= NOW() - INTERVAL '${parseInt(timeframe)} days'
-        ) as recent_task_logs,
-        COUNT(DISTINCT u.id) as active_clinicians,
-        AVG(
-          EXTRACT(EPOCH FROM (
-            SELECT MAX(created_at) - MIN(created_at) 
-            FROM task_logs tl2 
-            WHERE tl2.patient_id = p.id 
-            AND tl2.hospital_id = $1
-          )) / 3600
-        ) as avg_care_duration_hours
-      FROM patients p
-      LEFT JOIN task_logs tl ON p.id = tl.patient_id AND tl.hospital_id = $1
-      LEFT JOIN users u ON tl.user_id = u.id AND u.hospital_id = $1
-      WHERE p.hospital_id = $1
-        AND p.created_at >= NOW() - INTERVAL '${parseInt(timeframe)} days'
-    `,
-      [req.hospitalId]
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const deleted = deletedCondition("p", req.query.deleted);
+    const patient = await req.db.query(
+      `SELECT p.* FROM patients p WHERE p.id = $1 AND p.hospital_id = $2${
+        deleted ? ` AND ${deleted}` : ""
+      }`,
+      [id, req.hospitalId]
     );
 
+    if (patient.rows.length === 0) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    await recordAudit(req, {
+      action: "read",
+      entityType: "patient",
+      entityId: patient.rows[0].id,
+      patientId: patient.rows[0].id,
+    });
+
     res.json({
-      analytics: analytics.rows[0],
-      timeframe: `${timeframe} days`,
-      hospital: {
-        id: req.user.hospital_id,
-        name: req.user.hospital_name,
-      },
+      patient: patient.rows[0],
+      encounter: await getActiveEncounter(req.db, patient.rows[0].id),
     });
   } catch (error) {
-    console.error("Analytics error:", error);
+    console.error("Get patient error:", error);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+const MAX_OBSERVATION_POINTS = 5000;
+
+const parseTypes = (value) =>
+  String(value)
+    .split(",")
+    .map((t) => t.trim());
+
+/**
+ * GET /api/patients/:id/observations - Observation time series for charting
+ *
+ * Query: type (one or more, comma-separated), from, to (ISO 8601)
+ * Returns one series per observation type, oldest point first. Beyond
+ * MAX_OBSERVATION_POINTS the oldest points are dropped (truncated: true).
+ */
+router.get(
+  "/:id/observations",
+  [
+    param("id").isInt({ min: 1 }),
+    query("type")
+      .optional()
+      .custom((value) =>
+        parseTypes(value).every((t) => OBSERVATION_TYPE_NAMES.includes(t))
+      )
+      .withMessage(`Type must be one of ${OBSERVATION_TYPE_NAMES.join(", ")}`),
+    query("from").optional().isISO8601(),
+    query("to").optional().isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { type, from, to } = req.query;
+
+      const patient = await req.db.query(
+        "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [id, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      // Observations of soft-deleted task logs are not part of the chart
+      let sql = `
+        SELECT o.id, o.observation_type, o.value, o.unit, o.observed_at,
+               o.task_log_id
+        FROM observations o
+        JOIN task_logs tl ON o.task_log_id = tl.id AND tl.deleted_at IS NULL
+        WHERE o.patient_id = $1 AND o.hospital_id = $2
+      `;
+      const params = [id, req.hospitalId];
+      let paramCount = 3;
+
+      if (type) {
+        sql += ` AND o.observation_type = ANY($${paramCount++}::text[])`;
+        params.push(parseTypes(type));
+      }
+
+      if (from) {
+        sql += ` AND o.observed_at >= $${paramCount++}`;
+        params.push(from);
+      }
+
+      if (to) {
+        sql += ` AND o.observed_at <= $${paramCount++}`;
+        params.push(to);
+      }
+
+      // Newest points first so truncation keeps the recent end of the chart
+      sql += ` ORDER BY o.observed_at DESC, o.id DESC LIMIT $${paramCount}`;
+      params.push(MAX_OBSERVATION_POINTS + 1);
+
+      const observations = await req.db.query(sql, params);
+      const truncated = observations.rows.length > MAX_OBSERVATION_POINTS;
+      const points = observations.rows.slice(0, MAX_OBSERVATION_POINTS).reverse();
+
+      const series = {};
+      for (const row of points) {
+        if (!series[row.observation_type]) {
+          series[row.observation_type] = {
+            label: OBSERVATION_TYPES[row.observation_type].label,
+            unit: row.unit,
+            points: [],
+          };
+        }
+        series[row.observation_type].points.push({
+          observedAt: row.observed_at,
+          value: row.value,
+          taskLogId: row.task_log_id,
+        });
+      }
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "observation",
+        patientId: patient.rows[0].id,
+        metadata: { types: type || null, from: from || null, to: to || null },
+      });
+
+      res.json({
+        patientId: patient.rows[0].id,
+        series,
+        count: points.length,
+        truncated,
+        filters: { type, from, to },
+      });
+    } catch (error) {
+      console.error("Get observations error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /api/patients/:id/encounters - Admission history with bed moves
+ */
+router.get(
+  "/:id/encounters",
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const patient = await req.db.query(
+        "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [req.params.id, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      const encounters = await getPatientEncounters(
+        req.db,
+        patient.rows[0].id
+      );
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "encounter",
+        patientId: patient.rows[0].id,
+        metadata: { encounterIds: encounters.map((e) => e.id) },
+      });
+
+      res.json({ encounters, count: encounters.length });
+    } catch (error) {
+      console.error("Get encounters error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+const isInFuture = (value) => new Date(value) > new Date();
+
+/**
+ * POST /api/patients/:id/admit - Open an encounter
+ *
+ * System Design Concepts:
+ * - State machine: not admitted/discharged -> admitted; a second open
+ *   encounter is rejected here and by a partial unique index
+ * - Pessimistic locking: patient and bed rows are locked so concurrent
+ *   admissions cannot double-book either
+ *
+ * bedId is optional (e.g. admitted while waiting for a bed); admittedAt
+ * may be backdated but not in the future.
+ */
+router.post(
+  "/:id/admit",
+  [
+    param("id").isInt({ min: 1 }),
+    body("bedId").optional({ values: "null" }).isInt({ min: 1 }),
+    body("admittedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Admitted at must be a valid datetime (ISO 8601 format)"),
+    body("reason").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { bedId, admittedAt, reason } = req.body || {};
+
+      const patient = await req.db.query(
+        "SELECT * FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL FOR UPDATE",
+        [req.params.id, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      if (await getActiveEncounter(req.db, patient.rows[0].id)) {
+        return res.status(409).json({ error: "Patient is already admitted" });
+      }
+
+      if (admittedAt && isInFuture(admittedAt)) {
+        return res
+          .status(400)
+          .json({ error: "Admission time cannot be in the future" });
+      }
+
+      const lastDischargedAt = await getLastDischargedAt(
+        req.db,
+        patient.rows[0].id
+      );
+      if (
+        lastDischargedAt &&
+        (admittedAt ? new Date(admittedAt) : new Date()) < lastDischargedAt
+      ) {
+        return res.status(400).json({
+          error: "Admission time cannot be before the patient's last discharge",
+        });
+      }
+
+      let bed = null;
+      if (bedId) {
+        bed = await lockBed(req.db, req.hospitalId, bedId);
+        if (!bed) {
+          return res.status(400).json({ error: "Bed not found" });
+        }
+        const unavailable = bedUnavailableReason(bed);
+        if (unavailable) {
+          return res.status(409).json({ error: unavailable });
+        }
+      }
+
+      const encounter = await admitPatient(req.db, {
+        patient: patient.rows[0],
+        bed,
+        userId: req.user.id,
+        admittedAt,
+        reason,
+      });
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "encounter",
+        entityId: encounter.id,
+        patientId: encounter.patient_id,
+        after: encounter,
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "patient.admitted", {
+        patient_id: encounter.patient_id,
+        encounter,
+      });
+
+      res.status(201).json({ message: "Patient admitted", encounter });
+    } catch (error) {
+      console.error("Admit patient error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/patients/:id/transfer - Move an admitted patient to another bed
+ * The previous bed assignment is closed, not overwritten, so the encounter
+ * keeps its full transfer history.
+ */
+router.post(
+  "/:id/transfer",
+  [
+    param("id").isInt({ min: 1 }),
+    body("bedId").isInt({ min: 1 }).withMessage("Valid bed ID is required"),
+    body("reason").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { bedId, reason } = req.body;
+
+      const patient = await req.db.query(
+        "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [req.params.id, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      const encounter = await getActiveEncounter(req.db, patient.rows[0].id, {
+        forUpdate: true,
+      });
+      if (!encounter) {
+        return res.status(409).json({ error: "Patient is not admitted" });
+      }
+
+      const bed = await lockBed(req.db, req.hospitalId, bedId);
+      if (!bed) {
+        return res.status(400).json({ error: "Bed not found" });
+      }
+      const unavailable = bedUnavailableReason(bed, encounter.id);
+      if (unavailable) {
+        return res.status(409).json({ error: unavailable });
+      }
+
+      await assignBed(req.db, encounter, bed, {
+        userId: req.user.id,
+        reason,
+        at: new Date(),
+      });
+      const transferred = await getEncounter(req.db, encounter.id);
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "encounter",
+        entityId: encounter.id,
+        patientId: encounter.patient_id,
+        before: encounter,
+        after: transferred,
+        metadata: { fromBedId: encounter.bed_id, toBedId: bed.id },
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "patient.transferred", {
+        patient_id: encounter.patient_id,
+        from_bed_id: encounter.bed_id,
+        encounter: transferred,
+      });
+
+      res.json({ message: "Patient transferred", encounter: transferred });
+    } catch (error) {
+      console.error("Transfer patient error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/patients/:id/discharge - Close the open encounter
+ * Frees the bed and cancels the patient's open scheduled tasks. After
+ * discharge new task logs are rejected unless an admin overrides.
+ */
+router.post(
+  "/:id/discharge",
+  [
+    param("id").isInt({ min: 1 }),
+    body("dischargedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Discharged at must be a valid datetime (ISO 8601 format)"),
+    body("disposition").optional().trim().isLength({ max: 50 }),
+    body("notes").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { dischargedAt, disposition, notes } = req.body || {};
+
+      const patient = await req.db.query(
+        "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [req.params.id, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      const encounter = await getActiveEncounter(req.db, patient.rows[0].id, {
+        forUpdate: true,
+      });
+      if (!encounter) {
+        return res.status(409).json({ error: "Patient is not admitted" });
+      }
+
+      if (
+        dischargedAt &&
+        (isInFuture(dischargedAt) ||
+          new Date(dischargedAt) < new Date(encounter.admitted_at))
+      ) {
+        return res.status(400).json({
+          error:
+            "Discharge time must be between the admission and the current time",
+        });
+      }
+
+      const discharged = await dischargePatient(req.db, encounter, {
+        userId: req.user.id,
+        dischargedAt,
+        disposition,
+        notes,
+      });
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "encounter",
+        entityId: encounter.id,
+        patientId: encounter.patient_id,
+        before: encounter,
+        after: discharged.encounter,
+        metadata: { cancelledTaskIds: discharged.cancelledTaskIds },
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "patient.discharged", {
+        patient_id: encounter.patient_id,
+        encounter: discharged.encounter,
+        cancelled_task_ids: discharged.cancelledTaskIds,
+      });
+
+      res.json({
+        message: "Patient discharged",
+        encounter: discharged.encounter,
+        cancelledTaskIds: discharged.cancelledTaskIds,
+      });
+    } catch (error) {
+      console.error("Discharge patient error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * PUT /api/patients/:id - Update patient (admin only, hospital-scoped)
+ */
+router.put(
+  "/:id",
+  requireRole(["admin"]),
+  [
+    body("firstName").optional().trim().isLength({ min: 1 }),
+    body("lastName").optional().trim().isLength({ min: 1 }),
+    body("roomNumber").optional().trim(),
+    body("dateOfBirth").optional().isISO8601(),
+    ...careTagsValidators(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { firstName, lastName, roomNumber, dateOfBirth, careTags } =
+        req.body;
+
+      // Snapshot the current row for the audit trail
+      const existingPatient = await req.db.query(
+        "SELECT * FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [id, req.hospitalId]
+      );
+      if (existingPatient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      // The room of an admitted patient follows their bed assignment
+      if (
+        roomNumber !== undefined &&
+        (await getActiveEncounter(req.db, existingPatient.rows[0].id))
+      ) {
+        return res.status(409).json({
+          error: "Patient is admitted; use the transfer endpoint to move them",
+        });
+      }
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (firstName) {
+        updates.push(`first_name = $${paramCount++}`);
+        values.push(firstName);
+      }
+      if (lastName) {
+        updates.push(`last_name = $${paramCount++}`);
+        values.push(lastName);
+      }
+      if (roomNumber !== undefined) {
+        updates.push(`room_number = $${paramCount++}`);
+        values.push(roomNumber || null);
+      }
+      if (dateOfBirth !== undefined) {
+        updates.push(`date_of_birth = $${paramCount++}`);
+        values.push(dateOfBirth || null);
+      }
+      if (careTags !== undefined) {
+        updates.push(`care_tags = $${paramCount++}`);
+        values.push([...new Set(careTags)]);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(id, req.hospitalId);
+
+      const query = `UPDATE patients SET ${updates.join(
+        ", "
+      )} WHERE id = $${paramCount} AND hospital_id = $${
+        paramCount + 1
+      } RETURNING *`;
+      const result = await req.db.query(query, values);
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "patient",
+        entityId: result.rows[0].id,
+        patientId: result.rows[0].id,
+        before: existingPatient.rows[0],
+        after: result.rows[0],
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "patient.updated", {
+        patient: result.rows[0],
+      });
+
+      res.json({
+        message: "Patient updated successfully",
+        patient: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Update patient error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * DELETE /api/patients/:id - Soft-delete a patient (admin only)
+ *
+ * Body: reason (required). Admitted patients must be discharged first. The
+ * patient's task logs are soft-deleted with them (same deleted_at), and
+ * everything is kept until the hospital's retention period has passed.
+ */
+router.delete(
+  "/:id",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 }), deletionReasonValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const existing = await req.db.query(
+        "SELECT * FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL FOR UPDATE",
+        [id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
+
+      if (await getActiveEncounter(req.db, existing.rows[0].id)) {
+        return res
+          .status(409)
+          .json({ error: "Patient is admitted; discharge them first" });
+      }
+
+      const result = await req.db.query(
+        `
+        UPDATE patients
+        SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, deletion_reason = $3
+        WHERE id = $1
+        RETURNING *`,
+        [existing.rows[0].id, req.user.id, reason]
+      );
+      const patient = result.rows[0];
+
+      const taskLogs = await req.db.query(
+        `
+        UPDATE task_logs
+        SET deleted_at = $2, deleted_by = $3, deletion_reason = 'Patient deleted'
+        WHERE patient_id = $1 AND deleted_at IS NULL
+        RETURNING id`,
+        [patient.id, patient.deleted_at, req.user.id]
+      );
+
+      await recordAudit(req, {
+        action: "delete",
+        entityType: "patient",
+        entityId: patient.id,
+        patientId: patient.id,
+        before: existing.rows[0],
+        after: patient,
+        metadata: { reason, taskLogIds: taskLogs.rows.map((tl) => tl.id) },
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "patient.deleted", {
+        patient,
+      });
+
+      res.json({
+        message: "Patient deleted successfully",
+        patient,
+        deletedTaskLogs: taskLogs.rows.length,
+      });
+    } catch (error) {
+      console.error("Delete patient error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/patients/:id/restore - Undo a soft delete (admin only)
+ *
+ * Also restores the task logs that were deleted together with the
+ * patient; logs deleted on their own stay deleted.
+ */
+router.post(
+  "/:id/restore",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        "SELECT * FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NOT NULL FOR UPDATE",
+        [req.params.id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Deleted patient not found" });
+      }
+
+      const taskLogs = await req.db.query(
+        `
+        UPDATE task_logs
+        SET deleted_at = NULL, deleted_by = NULL, deletion_reason = NULL
+        WHERE patient_id = $1 AND deleted_at = $2
+        RETURNING id`,
+        [existing.rows[0].id, existing.rows[0].deleted_at]
+      );
+
+      const result = await req.db.query(
+        `
+        UPDATE patients
+        SET deleted_at = NULL, deleted_by = NULL, deletion_reason = NULL
+        WHERE id = $1
+        RETURNING *`,
+        [existing.rows[0].id]
+      );
+      const patient = result.rows[0];
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "patient",
+        entityId: patient.id,
+        patientId: patient.id,
+        before: existing.rows[0],
+        after: patient,
+        metadata: {
+          restored: true,
+          taskLogIds: taskLogs.rows.map((tl) => tl.id),
+        },
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "patient.restored", {
+        patient,
+      });
+
+      res.json({
+        message: "Patient restored successfully",
+        patient,
+        restoredTaskLogs: taskLogs.rows.length,
+      });
+    } catch (error) {
+      console.error("Restore patient error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 module.exports = router;
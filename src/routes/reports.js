@@ -0,0 +1,214 @@
+// src/routes/reports.js
+// Management reports over task logs, as JSON or CSV
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { requireRole } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { EXPORT_FORMATS, csvLine } = require("../services/bulk");
+const {
+  MAX_PERIOD_DAYS,
+  REPORTS,
+  resolvePeriod,
+  reportColumns,
+  runReport,
+} = require("../services/reports");
+
+const router = express.Router();
+
+// Reports cover every clinician's work, so they are for admins only
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(requireRole(["admin"]));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters shared by every report
+const reportValidators = [
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("unit").optional().trim().isLength({ min: 1, max: 20 }),
+  query("taskType").optional().trim().isLength({ min: 1, max: 500 }),
+  query("format").optional().isIn(["json", "csv"]),
+];
+
+/**
+ * Register GET /api/reports/<name>
+ *
+ * System Design Concepts:
+ * - Parameterized SQL: filters and report options are bound parameters,
+ *   never interpolated
+ * - Local time: days, shifts and hours are those of the hospital's
+ *   timezone, not the server's
+ * - Data Isolation: hospital-scoped queries, enforced by RLS
+ *
+ * Query: from/to (ISO 8601; date-only values are whole local days, default
+ * the last 30 days, at most 366), unit (ID or code), taskType (comma
+ * separated codes), format (json or csv), plus the report's own options.
+ */
+const reportRoute = (name, validators, readOptions) => {
+  router.get(
+    `/${name}`,
+    [...reportValidators, ...validators],
+    async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const hospital = await req.db.query(
+          "SELECT timezone FROM hospitals WHERE id = $1",
+          [req.hospitalId]
+        );
+        const { timezone } = hospital.rows[0];
+
+        const { from, to } = await resolvePeriod(req.db, {
+          from: req.query.from,
+          to: req.query.to,
+          timezone,
+        });
+        if (from >= to) {
+          return res.status(400).json({ error: "from must be before to" });
+        }
+        if (to - from > MAX_PERIOD_DAYS * DAY_MS) {
+          return res.status(400).json({
+            error: `A report can cover at most ${MAX_PERIOD_DAYS} days`,
+          });
+        }
+
+        let unit = null;
+        if (req.query.unit) {
+          const value = String(req.query.unit).trim();
+          const units = await req.db.query(
+            /^\d+$/.test(value)
+              ? "SELECT * FROM units WHERE id = $1 AND hospital_id = $2"
+              : "SELECT * FROM units WHERE code = UPPER($1) AND hospital_id = $2",
+            [value, req.hospitalId]
+          );
+          if (units.rows.length === 0) {
+            return res.status(404).json({ error: "Unit not found" });
+          }
+          unit = units.rows[0];
+        }
+
+        const taskTypes = req.query.taskType
+          ? String(req.query.taskType)
+              .split(",")
+              .map((code) => code.trim().toUpperCase())
+              .filter(Boolean)
+          : null;
+        const options = readOptions ? readOptions(req.query) : {};
+
+        const rows = await runReport(
+          req.db,
+          name,
+          {
+            hospitalId: req.hospitalId,
+            timezone,
+            from,
+            to,
+            unitId: unit ? unit.id : null,
+            taskTypes,
+          },
+          options
+        );
+
+        await recordAudit(req, {
+          action: "read",
+          entityType: "report",
+          metadata: {
+            report: name,
+            from,
+            to,
+            unitId: unit ? unit.id : null,
+            taskTypes,
+            ...options,
+            rowCount: rows.length,
+          },
+        });
+
+        if (req.query.format === "csv") {
+          const columns = reportColumns(name, options);
+          res.setHeader("Content-Type", EXPORT_FORMATS.csv);
+          res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="${name}-${from
+              .toISOString()
+              .slice(0, 10)}.csv"`
+          );
+          res.setHeader("Cache-Control", "no-store");
+          return res.send(
+            [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+              .map(csvLine)
+              .join("")
+          );
+        }
+
+        res.json({
+          report: name,
+          period: { from, to, timezone },
+          unit: unit ? { id: unit.id, code: unit.code, name: unit.name } : null,
+          taskTypes,
+          ...options,
+          rows,
+        });
+      } catch (error) {
+        console.error(`Report ${name} error:`, error);
+        res.status(500).json({ error: "Server error" });
+      }
+    }
+  );
+};
+
+// GET /api/reports - The available reports
+router.get("/", (req, res) => {
+  res.json({
+    reports: Object.keys(REPORTS).map((name) => ({
+      name,
+      path: `/api/reports/${name}`,
+    })),
+  });
+});
+
+// Tasks per local day and task type
+reportRoute("task-volume", []);
+
+// Tasks per clinician per shift. Query: shiftStart (local HH:MM, default
+// 07:00), shiftHours (a divisor of 24, default 12)
+reportRoute(
+  "clinician-workload",
+  [
+    query("shiftStart")
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage("shiftStart must be HH:MM"),
+    query("shiftHours")
+      .optional()
+      .isIn(["4", "6", "8", "12", "24"])
+      .withMessage("shiftHours must be 4, 6, 8, 12 or 24"),
+  ],
+  ({ shiftStart = "07:00", shiftHours = "12" }) => ({
+    shiftStart,
+    shiftHours: parseInt(shiftHours),
+  })
+);
+
+// Tasks per hour of the week, 7 x 24 cells
+reportRoute("heatmap", []);
+
+// Median and 90th percentile minutes between consecutive logs of a task
+// type for a patient. Query: by (taskType, the default, or patient)
+reportRoute(
+  "repeat-intervals",
+  [query("by").optional().isIn(["taskType", "patient"])],
+  ({ by = "taskType" }) => ({ by })
+);
+
+module.exports = router;
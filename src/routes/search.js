@@ -0,0 +1,194 @@
+// src/routes/search.js
+// Ranked full-text search across patients and task log contents
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { escapeHtml } = require("../services/html");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+
+const SEARCH_TYPES = ["patient", "task_log"];
+
+// Minimum pg_trgm word similarity for a fuzzy name match ("Jon Smyth"
+// still finds "John Smith", "smi" finds "Smith"). The extension default
+// of 0.6 misses most typos in short names.
+const NAME_SIMILARITY_THRESHOLD = 0.3;
+
+// ts_headline wraps matches in these control characters; they are turned
+// into <mark> tags after the rest of the snippet is HTML-escaped
+const MATCH_START = "\u0001";
+const MATCH_END = "\u0002";
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+const highlight = (snippet) =>
+  escapeHtml(snippet)
+    .split(MATCH_START)
+    .join("<mark>")
+    .split(MATCH_END)
+    .join("</mark>");
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Result branches read the search input from the "q" CTE of the query
+
+// Patients matching by name/MRN words, a fuzzy name or an MRN prefix
+const PATIENT_RESULTS = `
+  SELECT 'patient' as type,
+         p.id,
+         p.id as patient_id,
+         p.first_name as patient_first_name,
+         p.last_name as patient_last_name,
+         p.medical_record_number,
+         NULL::varchar as task_type,
+         NULL::varchar as task_type_name,
+         NULL::timestamp as completed_at,
+         GREATEST(
+           ts_rank(patient_search_vector(p.first_name, p.last_name, p.medical_record_number), q.names),
+           word_similarity(q.text, p.first_name || ' ' || p.last_name)
+         ) as rank,
+         ts_headline('simple', p.first_name || ' ' || p.last_name || ' (MRN ' || p.medical_record_number || ')', q.names, q.headline) as snippet
+  FROM patients p, q
+  WHERE p.hospital_id = $1
+    AND p.deleted_at IS NULL
+    AND (
+      patient_search_vector(p.first_name, p.last_name, p.medical_record_number) @@ q.names
+      OR q.text <% (p.first_name || ' ' || p.last_name)
+      OR p.medical_record_number ILIKE q.mrn_prefix
+    )
+`;
+
+// Task logs matching on description (weighted higher) or notes
+const TASK_LOG_RESULTS = `
+  SELECT 'task_log' as type,
+         tl.id,
+         tl.patient_id,
+         p.first_name as patient_first_name,
+         p.last_name as patient_last_name,
+         p.medical_record_number,
+         tl.task_type,
+         tt.display_name as task_type_name,
+         tl.completed_at,
+         ts_rank(task_log_search_vector(tl.description, tl.notes), q.words) as rank,
+         ts_headline('english', tl.description || coalesce(' | ' || tl.notes, ''), q.words, q.headline) as snippet
+  FROM task_logs tl
+  JOIN patients p ON tl.patient_id = p.id
+  LEFT JOIN task_types tt ON tl.task_type_id = tt.id
+  CROSS JOIN q
+  WHERE tl.hospital_id = $1
+    AND tl.deleted_at IS NULL
+    AND task_log_search_vector(tl.description, tl.notes) @@ q.words
+`;
+
+/**
+ * GET /api/search?q= - Search patients and task logs of the current hospital
+ *
+ * System Design Concepts:
+ * - Full-text search: tsvector/tsquery with GIN expression indexes
+ *   (migration 014) instead of unindexable ILIKE '%term%' scans
+ * - Fuzzy matching: pg_trgm word similarity tolerates typos in names
+ * - Ranking: one result list ordered by relevance; a patient's rank is the
+ *   better of its text rank and name similarity, so name hits lead
+ * - Data Isolation: hospital_id filter on every branch, enforced by RLS
+ *
+ * q uses web search syntax ("quoted phrase", -exclude, or). Optional
+ * types=patient,task_log restricts the result kinds. Snippets are
+ * HTML-escaped with matches wrapped in <mark>.
+ */
+router.get(
+  "/",
+  [
+    query("q")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Search query must be 2-200 characters"),
+    query("types")
+      .optional()
+      .custom((value) =>
+        String(value)
+          .split(",")
+          .every((type) => SEARCH_TYPES.includes(type.trim()))
+      )
+      .withMessage(`Types must be any of ${SEARCH_TYPES.join(", ")}`),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Express 5 query values are not replaced by sanitizers
+      const q = String(req.query.q).trim();
+      const types = req.query.types
+        ? String(req.query.types)
+            .split(",")
+            .map((type) => type.trim())
+        : SEARCH_TYPES;
+      const limit = parseInt(req.query.limit) || 20;
+
+      // Threshold used by the <% operator (and its index) for this
+      // transaction only
+      await req.db.query(
+        "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+        [String(NAME_SIMILARITY_THRESHOLD)]
+      );
+
+      const branches = [];
+      if (types.includes("patient")) branches.push(PATIENT_RESULTS);
+      if (types.includes("task_log")) branches.push(TASK_LOG_RESULTS);
+
+      const result = await req.db.query(
+        `
+        WITH q AS (
+          SELECT $2::text as text,
+                 websearch_to_tsquery('simple', $2) as names,
+                 websearch_to_tsquery('english', $2) as words,
+                 $3::text as mrn_prefix,
+                 $4::text as headline
+        )
+        ${branches.join(" UNION ALL ")}
+        ORDER BY rank DESC, completed_at DESC NULLS FIRST, id
+        LIMIT $5
+      `,
+        [req.hospitalId, q, `${escapeLike(q)}%`, HEADLINE_OPTIONS, limit]
+      );
+
+      const results = result.rows.map((row) => ({
+        ...row,
+        rank: Number(row.rank.toFixed(4)),
+        snippet: highlight(row.snippet),
+      }));
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "search",
+        metadata: {
+          q,
+          patientIds: [...new Set(results.map((r) => r.patient_id))],
+          taskLogIds: results
+            .filter((r) => r.type === "task_log")
+            .map((r) => r.id),
+        },
+      });
+
+      res.json({ query: q, types, results, count: results.length });
+    } catch (error) {
+      console.error("Search error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
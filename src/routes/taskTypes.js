@@ -0,0 +1,305 @@
+// src/routes/taskTypes.js
+// Per-hospital task type catalog (read for all staff, managed by admins)
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requireRole, rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { normalizeTaskTypeCode } = require("../services/taskTypes");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+
+const taskTypeFields = () => [
+  body("displayName").optional().trim().isLength({ min: 1, max: 100 }),
+  body("category").optional({ values: "null" }).trim().isLength({ max: 50 }),
+  body("defaultDurationMinutes")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 1440 }),
+  body("active").optional().isBoolean(),
+];
+
+// GET /api/task-types - Catalog of the current hospital
+router.get(
+  "/",
+  [query("active").optional().isBoolean(), query("category").optional().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { active, category } = req.query;
+
+      let sql = "SELECT * FROM task_types WHERE hospital_id = $1";
+      const params = [req.hospitalId];
+      let paramCount = 2;
+
+      if (active !== undefined) {
+        sql += ` AND active = $${paramCount++}`;
+        params.push(active === "true");
+      }
+
+      if (category) {
+        sql += ` AND category = $${paramCount++}`;
+        params.push(category);
+      }
+
+      sql += " ORDER BY category NULLS LAST, display_name";
+
+      const taskTypes = await req.db.query(sql, params);
+
+      res.json({ taskTypes: taskTypes.rows, count: taskTypes.rows.length });
+    } catch (error) {
+      console.error("Get task types error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/task-types - Add a catalog entry (admin only)
+router.post(
+  "/",
+  requireRole(["admin"]),
+  [
+    body("code")
+      .trim()
+      .customSanitizer(normalizeTaskTypeCode)
+      .matches(/^[A-Z0-9_]{1,50}$/)
+      .withMessage("Code may only contain letters, digits and underscores"),
+    body("displayName")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Display name is required"),
+    ...taskTypeFields(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { code, displayName, category, defaultDurationMinutes, active } =
+        req.body;
+
+      const existing = await req.db.query(
+        "SELECT id FROM task_types WHERE hospital_id = $1 AND code = $2",
+        [req.hospitalId, code]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(400).json({ error: "Task type code already exists" });
+      }
+
+      const taskType = await req.db.query(
+        `
+        INSERT INTO task_types (hospital_id, code, display_name, category, default_duration_minutes, active)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [
+          req.hospitalId,
+          code,
+          displayName,
+          category || null,
+          defaultDurationMinutes || null,
+          active === undefined ? true : active === true || active === "true",
+        ]
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "task_type",
+        entityId: taskType.rows[0].id,
+        after: taskType.rows[0],
+      });
+
+      res.status(201).json({
+        message: "Task type created successfully",
+        taskType: taskType.rows[0],
+      });
+    } catch (error) {
+      console.error("Create task type error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * PUT /api/task-types/:id - Update a catalog entry (admin only)
+ *
+ * The code is immutable because task logs store it; retire a type by
+ * setting active to false (existing logs keep referencing it).
+ */
+router.put(
+  "/:id",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 }), ...taskTypeFields()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        "SELECT * FROM task_types WHERE id = $1 AND hospital_id = $2",
+        [req.params.id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Task type not found" });
+      }
+
+      const { displayName, category, defaultDurationMinutes, active } =
+        req.body;
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (displayName) {
+        updates.push(`display_name = $${paramCount++}`);
+        values.push(displayName);
+      }
+      if (category !== undefined) {
+        updates.push(`category = $${paramCount++}`);
+        values.push(category || null);
+      }
+      if (defaultDurationMinutes !== undefined) {
+        updates.push(`default_duration_minutes = $${paramCount++}`);
+        values.push(defaultDurationMinutes || null);
+      }
+      if (active !== undefined) {
+        updates.push(`active = $${paramCount++}`);
+        values.push(active === true || active === "true");
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(existing.rows[0].id);
+
+      const result = await req.db.query(
+        `UPDATE task_types SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "task_type",
+        entityId: result.rows[0].id,
+        before: existing.rows[0],
+        after: result.rows[0],
+      });
+
+      res.json({
+        message: "Task type updated successfully",
+        taskType: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Update task type error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/task-types/:id/merge - Fold a duplicate type into another
+ *
+ * Migration path for legacy free-text values ("vitals check", "VS"):
+ * every task log and scheduled task of the source type is moved to the
+ * target type and the source is deactivated. Task logs keep the task_type
+ * text they were charted with; scheduled tasks, which have not happened
+ * yet, take the target's code. Admin only.
+ */
+router.post(
+  "/:id/merge",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 }), body("intoId").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sourceId = parseInt(req.params.id);
+      const targetId = parseInt(req.body.intoId);
+
+      if (sourceId === targetId) {
+        return res
+          .status(400)
+          .json({ error: "Cannot merge a task type into itself" });
+      }
+
+      const types = await req.db.query(
+        "SELECT * FROM task_types WHERE id = ANY($1::int[]) AND hospital_id = $2 FOR UPDATE",
+        [[sourceId, targetId], req.hospitalId]
+      );
+      const source = types.rows.find((t) => t.id === sourceId);
+      const target = types.rows.find((t) => t.id === targetId);
+
+      if (!source || !target) {
+        return res.status(404).json({ error: "Task type not found" });
+      }
+
+      if (!target.active) {
+        return res
+          .status(400)
+          .json({ error: "Cannot merge into an inactive task type" });
+      }
+
+      const taskLogs = await req.db.query(
+        "UPDATE task_logs SET task_type_id = $2, updated_at = CURRENT_TIMESTAMP WHERE task_type_id = $1",
+        [source.id, target.id]
+      );
+      const scheduledTasks = await req.db.query(
+        "UPDATE scheduled_tasks SET task_type_id = $2, task_type = $3, updated_at = CURRENT_TIMESTAMP WHERE task_type_id = $1",
+        [source.id, target.id, target.code]
+      );
+      const deactivated = await req.db.query(
+        "UPDATE task_types SET active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+        [source.id]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "task_type",
+        entityId: source.id,
+        before: source,
+        after: deactivated.rows[0],
+        metadata: {
+          mergedInto: target.id,
+          taskLogsMoved: taskLogs.rowCount,
+          scheduledTasksMoved: scheduledTasks.rowCount,
+        },
+      });
+
+      res.json({
+        message: "Task types merged successfully",
+        taskType: target,
+        taskLogsMoved: taskLogs.rowCount,
+        scheduledTasksMoved: scheduledTasks.rowCount,
+      });
+    } catch (error) {
+      console.error("Merge task types error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,103 +1,389 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
-const { auth, requireRole } = require("../middleware/auth");
-const pool = require("../config/database");
+const { body, param, query, validationResult } = require("express-validator");
+const {
+  requireRole,
+  rejectReadOnlyWrites,
+  restrictDeletedToAdmins,
+} = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const {
+  TASK_LOG_WITH_NAMES,
+  TASK_LOG_SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getTaskLog,
+  createTaskLog,
+  recordTaskLogVersion,
+  getTaskLogVersions,
+  buildTaskLogFilters,
+  decodeCursor,
+  queryTaskLogPage,
+} = require("../services/taskLogs");
+const { findActiveTaskType } = require("../services/taskTypes");
+const { enqueueWebhookEvent } = require("../services/webhooks");
+const {
+  EXPORT_FORMATS,
+  streamExport,
+  failExport,
+} = require("../services/bulk");
+const { getAdmissionStatus } = require("../services/encounters");
+const {
+  deletedFilterValidator,
+  deletionReasonValidator,
+  deletedCondition,
+} = require("../services/softDelete");
+const {
+  OBSERVATION_TYPES,
+  observationsValidator,
+  insertObservations,
+  getTaskLogObservations,
+} = require("../services/observations");
 
 const router = express.Router();
 
-// All task log routes require authentication
-router.use(auth);
-
-// GET /api/task-logs - List task logs with filters
-router.get("/", async (req, res) => {
-  try {
-    const { patientId, userId, taskType, date, limit = 50 } = req.query;
-
-    let query = `
-      SELECT tl.*, 
-             p.first_name as patient_first_name, 
-             p.last_name as patient_last_name,
-             p.medical_record_number,
-             u.first_name as clinician_first_name,
-             u.last_name as clinician_last_name
-      FROM task_logs tl
-      JOIN patients p ON tl.patient_id = p.id
-      JOIN users u ON tl.user_id = u.id
-      WHERE 1=1
-    `;
-
-    const params = [];
-    let paramCount = 1;
-
-    // Add filters
-    if (patientId) {
-      query += ` AND tl.patient_id = $${paramCount++}`;
-      params.push(patientId);
+// All task log routes require authentication and are hospital-scoped
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+router.use(restrictDeletedToAdmins);
+
+// Query parameters shared by the paginated list endpoints
+const listQueryValidators = () => [
+  // Larger limits are capped at MAX_PAGE_SIZE rather than rejected
+  query("limit").optional().isInt({ min: 1 }),
+  query("sort").optional().isIn(Object.keys(TASK_LOG_SORT_FIELDS)),
+  query("order").optional().isIn(["asc", "desc"]),
+  query("cursor").optional().isString(),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("date").optional().isISO8601(),
+  query("flagged").optional().isBoolean(),
+  query("search").optional().isString().isLength({ max: 200 }),
+  deletedFilterValidator(),
+];
+
+// Hospital-wide filters of GET /api/task-logs, shared with the export
+const taskLogFilterValidators = () => [
+  query("patientId").optional().isInt({ min: 1 }),
+  query("userId")
+    .optional()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage("userId must be a comma-separated list of IDs"),
+  ...listQueryValidators(),
+];
+
+const filtersFromQuery = (reqQuery) => {
+  const {
+    patientId,
+    userId,
+    taskType,
+    from,
+    to,
+    date,
+    flagged,
+    search,
+    deleted,
+  } = reqQuery;
+  return {
+    patientId,
+    userId,
+    taskType,
+    from,
+    to,
+    date,
+    flagged,
+    search,
+    deleted,
+  };
+};
+
+// Page options from the query string; a cursor only continues the sort
+// it was issued for
+const pageOptions = (req) => {
+  const { sort = "completedAt", order = "desc", limit } = req.query;
+  let cursor = null;
+
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      return { error: "Invalid cursor" };
     }
+  }
 
-    if (userId) {
-      query += ` AND tl.user_id = $${paramCount++}`;
-      params.push(userId);
-    }
+  return {
+    sort,
+    order,
+    limit: Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    cursor,
+  };
+};
+
+/**
+ * GET /api/task-logs - List task logs with filters
+ *
+ * Filters: patientId, userId and taskType (comma-separated for several),
+ * from/to (completed_at range), date (single day), flagged, search
+ * (description and notes), deleted (admins: include or only soft-deleted
+ * logs). Pages are sorted by completedAt or createdAt; pass the
+ * returned nextCursor as ?cursor= to fetch the following page.
+ */
+router.get(
+  "/",
+  taskLogFilterValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (taskType) {
-      query += ` AND tl.task_type ILIKE $${paramCount++}`;
-      params.push(`%${taskType}%`);
-    }
+      const page = pageOptions(req);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+
+      const filters = filtersFromQuery(req.query);
 
-    if (date) {
-      query += ` AND DATE(tl.completed_at) = $${paramCount++}`;
-      params.push(date);
+      const { rows, nextCursor } = await queryTaskLogPage(req.db, {
+        filters,
+        hospitalId: req.hospitalId,
+        ...page,
+      });
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "task_log",
+        patientId: filters.patientId || null,
+        metadata: { taskLogIds: rows.map((tl) => tl.id) },
+      });
+
+      res.json({
+        taskLogs: rows,
+        count: rows.length,
+        nextCursor,
+        filters: {
+          ...filters,
+          sort: page.sort,
+          order: page.order,
+          limit: page.limit,
+        },
+      });
+    } catch (error) {
+      console.error("Get task logs error:", error);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    query += ` ORDER BY tl.completed_at DESC LIMIT $${paramCount}`;
-    params.push(parseInt(limit));
+const TASK_LOG_EXPORT_COLUMNS = [
+  "id",
+  "completed_at",
+  "patient_id",
+  "medical_record_number",
+  "patient_first_name",
+  "patient_last_name",
+  "task_type",
+  "task_type_name",
+  "task_type_category",
+  "description",
+  "notes",
+  "flagged",
+  "user_id",
+  "clinician_first_name",
+  "clinician_last_name",
+  "encounter_id",
+  "created_at",
+  "updated_at",
+  "version",
+  "amended_at",
+  "deleted_at",
+  "deleted_by",
+  "deletion_reason",
+];
+
+/**
+ * GET /api/task-logs/export - Stream every matching task log (admin only)
+ *
+ * Query: format (csv or ndjson, default csv) plus the filters and sort of
+ * GET /api/task-logs; limit and cursor do not apply.
+ */
+router.get(
+  "/export",
+  requireRole(["admin"]),
+  [
+    query("format").optional().isIn(Object.keys(EXPORT_FORMATS)),
+    ...taskLogFilterValidators(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const taskLogs = await pool.query(query, params);
+      const { format = "csv", sort = "completedAt", order = "desc" } =
+        req.query;
+      const filters = filtersFromQuery(req.query);
+      const { where, params } = buildTaskLogFilters(filters, req.hospitalId);
+      const column = `tl.${TASK_LOG_SORT_FIELDS[sort]}`;
+      const direction = order === "desc" ? "DESC" : "ASC";
+
+      const count = await streamExport(req.db, res, {
+        sql: `${TASK_LOG_WITH_NAMES} WHERE ${where} ORDER BY ${column} ${direction}, tl.id ${direction}`,
+        params,
+        columns: TASK_LOG_EXPORT_COLUMNS,
+        format,
+        filename: "task-logs",
+      });
+
+      if (count !== null) {
+        await recordAudit(req, {
+          action: "read",
+          entityType: "task_log",
+          patientId: filters.patientId || null,
+          metadata: { export: { format, count, filters } },
+        });
+      }
 
-    res.json({
-      taskLogs: taskLogs.rows,
-      count: taskLogs.rows.length,
-      filters: { patientId, userId, taskType, date, limit },
-    });
-  } catch (error) {
-    console.error("Get task logs error:", error);
-    res.status(500).json({ error: "Server error" });
+      res.end();
+    } catch (error) {
+      console.error("Export task logs error:", error);
+      if (res.headersSent) {
+        return failExport(req, res);
+      }
+      res.status(500).json({ error: "Server error" });
+    }
   }
+);
+
+// GET /api/task-logs/observation-types - Supported observation types,
+// canonical units and accepted ranges (for building entry forms)
+router.get("/observation-types", (req, res) => {
+  const observationTypes = Object.entries(OBSERVATION_TYPES).map(
+    ([type, { label, unit, min, max, components, inputUnits }]) => ({
+      type,
+      label,
+      unit,
+      min,
+      max,
+      components,
+      inputUnits: inputUnits ? Object.keys(inputUnits) : undefined,
+    })
+  );
+
+  res.json({ observationTypes });
 });
 
-// GET /api/task-logs/:id - Get specific task log
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const taskLog = await pool.query(
-      `
-      SELECT tl.*, 
-             p.first_name as patient_first_name, 
-             p.last_name as patient_last_name,
-             p.medical_record_number,
-             u.first_name as clinician_first_name,
-             u.last_name as clinician_last_name
-      FROM task_logs tl
-      JOIN patients p ON tl.patient_id = p.id
-      JOIN users u ON tl.user_id = u.id
-      WHERE tl.id = $1
-    `,
-      [id]
-    );
-
-    if (taskLog.rows.length === 0) {
-      return res.status(404).json({ error: "Task log not found" });
+// GET /api/task-logs/:id - Get specific task log (admins can read a
+// deleted one with ?deleted=include)
+router.get(
+  "/:id",
+  [param("id").isInt({ min: 1 }), deletedFilterValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const deleted = deletedCondition("tl", req.query.deleted);
+      const taskLog = await req.db.query(
+        `${TASK_LOG_WITH_NAMES} WHERE tl.id = $1 AND tl.hospital_id = $2${
+          deleted ? ` AND ${deleted}` : ""
+        }`,
+        [id, req.hospitalId]
+      );
+
+      if (taskLog.rows.length === 0) {
+        return res.status(404).json({ error: "Task log not found" });
+      }
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "task_log",
+        entityId: taskLog.rows[0].id,
+        patientId: taskLog.rows[0].patient_id,
+      });
+
+      res.json({
+        taskLog: {
+          ...taskLog.rows[0],
+          observations: await getTaskLogObservations(
+            req.db,
+            taskLog.rows[0].id
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Get task log error:", error);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+/**
+ * GET /api/task-logs/:id/versions - Amendment history of a task log
+ *
+ * Every version with its editor, time, amendment reason and its changes
+ * against the previous version; version 1 is the original entry.
+ */
+router.get(
+  "/:id/versions",
+  [param("id").isInt({ min: 1 }), deletedFilterValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    res.json({ taskLog: taskLog.rows[0] });
-  } catch (error) {
-    console.error("Get task log error:", error);
-    res.status(500).json({ error: "Server error" });
+      const deleted = deletedCondition("tl", req.query.deleted);
+      const taskLog = await req.db.query(
+        `SELECT tl.id, tl.patient_id, tl.version FROM task_logs tl WHERE tl.id = $1 AND tl.hospital_id = $2${
+          deleted ? ` AND ${deleted}` : ""
+        }`,
+        [req.params.id, req.hospitalId]
+      );
+      if (taskLog.rows.length === 0) {
+        return res.status(404).json({ error: "Task log not found" });
+      }
+
+      const versions = await getTaskLogVersions(req.db, taskLog.rows[0].id);
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "task_log",
+        entityId: taskLog.rows[0].id,
+        patientId: taskLog.rows[0].patient_id,
+        metadata: { versions: versions.length },
+      });
+
+      res.json({
+        taskLogId: taskLog.rows[0].id,
+        currentVersion: taskLog.rows[0].version,
+        versions,
+        count: versions.length,
+      });
+    } catch (error) {
+      console.error("Get task log versions error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
-// POST /api/task-logs - Create new task log
+/**
+ * POST /api/task-logs - Create new task log
+ *
+ * Patients who have been discharged only accept late entries from admins,
+ * who must confirm with allowDischarged: true (recorded in the audit).
+ */
 router.post(
   "/",
   [
@@ -116,6 +402,9 @@ router.post(
       .isISO8601()
       .withMessage("Completed at must be a valid datetime (ISO 8601 format)"),
     body("notes").optional().trim(),
+    body("flagged").optional().isBoolean(),
+    body("observations").optional().custom(observationsValidator),
+    body("allowDischarged").optional().isBoolean(),
   ],
   async (req, res) => {
     try {
@@ -124,50 +413,80 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { patientId, taskType, description, completedAt, notes } = req.body;
-
-      // Verify patient exists
-      const patient = await pool.query(
-        "SELECT id FROM patients WHERE id = $1",
-        [patientId]
+      const {
+        patientId,
+        taskType,
+        description,
+        completedAt,
+        notes,
+        flagged,
+        observations,
+        allowDischarged,
+      } = req.body;
+
+      // Verify patient exists in this hospital
+      const patient = await req.db.query(
+        "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [patientId, req.hospitalId]
       );
       if (patient.rows.length === 0) {
         return res.status(400).json({ error: "Patient not found" });
       }
 
-      // Create task log (user_id comes from auth middleware)
-      const newTaskLog = await pool.query(
-        "INSERT INTO task_logs (patient_id, user_id, task_type, description, completed_at, notes) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-        [
-          patientId,
-          req.user.id,
-          taskType,
-          description,
-          completedAt,
-          notes || null,
-        ]
-      );
+      const discharged =
+        (await getAdmissionStatus(req.db, patientId)) === "discharged";
+      if (discharged) {
+        if (allowDischarged !== true && allowDischarged !== "true") {
+          return res.status(409).json({
+            error:
+              "Patient has been discharged; an admin can override with allowDischarged",
+          });
+        }
+        if (!["admin", "super_admin"].includes(req.user.role)) {
+          return res.status(403).json({
+            error: "Only admins can log tasks for discharged patients",
+          });
+        }
+      }
 
-      // Get the full task log with patient and user info
-      const fullTaskLog = await pool.query(
-        `
-      SELECT tl.*, 
-             p.first_name as patient_first_name, 
-             p.last_name as patient_last_name,
-             p.medical_record_number,
-             u.first_name as clinician_first_name,
-             u.last_name as clinician_last_name
-      FROM task_logs tl
-      JOIN patients p ON tl.patient_id = p.id
-      JOIN users u ON tl.user_id = u.id
-      WHERE tl.id = $1
-    `,
-        [newTaskLog.rows[0].id]
+      const catalogType = await findActiveTaskType(
+        req.db,
+        req.hospitalId,
+        taskType
       );
+      if (!catalogType) {
+        return res.status(400).json({ error: "Unknown or inactive task type" });
+      }
+
+      // Create task log (user_id comes from auth middleware)
+      const newTaskLog = await createTaskLog(req.db, {
+        patientId,
+        userId: req.user.id,
+        taskType: catalogType,
+        description,
+        completedAt,
+        notes,
+        flagged,
+        observations,
+      });
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "task_log",
+        entityId: newTaskLog.id,
+        patientId: newTaskLog.patient_id,
+        after: newTaskLog,
+        metadata: discharged ? { dischargedOverride: true } : {},
+      });
+
+      const taskLog = await getTaskLog(req.db, newTaskLog.id);
+      await enqueueWebhookEvent(req.db, req.hospitalId, "task_log.created", {
+        task_log: taskLog,
+      });
 
       res.status(201).json({
         message: "Task log created successfully",
-        taskLog: fullTaskLog.rows[0],
+        taskLog,
       });
     } catch (error) {
       console.error("Create task log error:", error);
@@ -176,14 +495,28 @@ router.post(
   }
 );
 
-// PUT /api/task-logs/:id - Update task log (only by creator or admin)
+/**
+ * PUT /api/task-logs/:id - Amend a task log (only by creator or admin)
+ *
+ * Body: the fields to change and amendmentReason (required). The log keeps
+ * its ID; the amended content becomes a new version and earlier versions
+ * stay available from GET /:id/versions. Creators can amend for the
+ * hospital's amendment_lock_hours after charting, admins at any time.
+ */
 router.put(
   "/:id",
   [
+    param("id").isInt({ min: 1 }),
+    body("amendmentReason")
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("A reason for the amendment is required"),
     body("taskType").optional().trim().isLength({ min: 1 }),
     body("description").optional().trim().isLength({ min: 1 }),
     body("completedAt").optional().isISO8601(),
     body("notes").optional().trim(),
+    body("flagged").optional().isBoolean(),
+    body("observations").optional().custom(observationsValidator),
   ],
   async (req, res) => {
     try {
@@ -193,26 +526,51 @@ router.put(
       }
 
       const { id } = req.params;
-      const { taskType, description, completedAt, notes } = req.body;
-
-      // Check if task log exists and user has permission to edit
-      const existingTaskLog = await pool.query(
-        "SELECT user_id FROM task_logs WHERE id = $1",
-        [id]
+      const {
+        taskType,
+        description,
+        completedAt,
+        notes,
+        flagged,
+        observations,
+        amendmentReason,
+      } = req.body;
+
+      // Check if task log exists and user has permission to edit; locked
+      // against concurrent amendments, which would claim the same version
+      const existingTaskLog = await req.db.query(
+        `
+        SELECT tl.*,
+               h.amendment_lock_hours,
+               tl.created_at::timestamptz + make_interval(hours => h.amendment_lock_hours)
+                 < CURRENT_TIMESTAMP as amendment_locked
+        FROM task_logs tl
+        JOIN hospitals h ON tl.hospital_id = h.id
+        WHERE tl.id = $1 AND tl.hospital_id = $2 AND tl.deleted_at IS NULL
+        FOR UPDATE OF tl`,
+        [id, req.hospitalId]
       );
       if (existingTaskLog.rows.length === 0) {
         return res.status(404).json({ error: "Task log not found" });
       }
+      const {
+        amendment_lock_hours: lockHours,
+        amendment_locked: locked,
+        ...existing
+      } = existingTaskLog.rows[0];
+      const isAdmin = ["admin", "super_admin"].includes(req.user.role);
 
       // Only allow creator or admin to edit
-      if (
-        existingTaskLog.rows[0].user_id !== req.user.id &&
-        req.user.role !== "admin"
-      ) {
+      if (existing.user_id !== req.user.id && !isAdmin) {
         return res
           .status(403)
           .json({ error: "You can only edit your own task logs" });
       }
+      if (locked && !isAdmin) {
+        return res.status(403).json({
+          error: `Task logs can only be amended within ${lockHours} hours of charting; ask an admin to amend it`,
+        });
+      }
 
       // Build dynamic update query
       const updates = [];
@@ -220,8 +578,20 @@ router.put(
       let paramCount = 1;
 
       if (taskType) {
+        const catalogType = await findActiveTaskType(
+          req.db,
+          req.hospitalId,
+          taskType
+        );
+        if (!catalogType) {
+          return res
+            .status(400)
+            .json({ error: "Unknown or inactive task type" });
+        }
         updates.push(`task_type = $${paramCount++}`);
-        values.push(taskType);
+        values.push(catalogType.code);
+        updates.push(`task_type_id = $${paramCount++}`);
+        values.push(catalogType.id);
       }
       if (description) {
         updates.push(`description = $${paramCount++}`);
@@ -235,39 +605,69 @@ router.put(
         updates.push(`notes = $${paramCount++}`);
         values.push(notes || null);
       }
+      if (flagged !== undefined) {
+        updates.push(`flagged = $${paramCount++}`);
+        values.push(flagged === true || flagged === "true");
+      }
 
-      if (updates.length === 0) {
+      if (updates.length === 0 && observations === undefined) {
         return res.status(400).json({ error: "No valid fields to update" });
       }
 
+      updates.push("version = version + 1");
+      updates.push("amended_at = CURRENT_TIMESTAMP");
+      updates.push(`amended_by = $${paramCount++}`);
+      values.push(req.user.id);
       updates.push(`updated_at = CURRENT_TIMESTAMP`);
       values.push(id);
 
       const query = `UPDATE task_logs SET ${updates.join(
         ", "
       )} WHERE id = $${paramCount} RETURNING *`;
-      const result = await pool.query(query, values);
+      const result = await req.db.query(query, values);
+
+      const before = {
+        ...existing,
+        observations: await getTaskLogObservations(req.db, id),
+      };
+      const after = { ...result.rows[0], observations: before.observations };
+
+      // Observations, when given, replace the task log's current set
+      if (observations !== undefined) {
+        await req.db.query("DELETE FROM observations WHERE task_log_id = $1", [
+          id,
+        ]);
+        after.observations = await insertObservations(
+          req.db,
+          result.rows[0],
+          observations,
+          req.user.id
+        );
+      }
 
-      // Get the full updated task log
-      const fullTaskLog = await pool.query(
-        `
-      SELECT tl.*, 
-             p.first_name as patient_first_name, 
-             p.last_name as patient_last_name,
-             p.medical_record_number,
-             u.first_name as clinician_first_name,
-             u.last_name as clinician_last_name
-      FROM task_logs tl
-      JOIN patients p ON tl.patient_id = p.id
-      JOIN users u ON tl.user_id = u.id
-      WHERE tl.id = $1
-    `,
-        [id]
-      );
+      await recordTaskLogVersion(req.db, after, {
+        editedBy: req.user.id,
+        reason: amendmentReason,
+      });
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "task_log",
+        entityId: result.rows[0].id,
+        patientId: result.rows[0].patient_id,
+        before,
+        after,
+        metadata: { version: after.version, amendmentReason },
+      });
+
+      const taskLog = await getTaskLog(req.db, id);
+      await enqueueWebhookEvent(req.db, req.hospitalId, "task_log.updated", {
+        task_log: taskLog,
+      });
 
       res.json({
-        message: "Task log updated successfully",
-        taskLog: fullTaskLog.rows[0],
+        message: "Task log amended successfully",
+        taskLog,
       });
     } catch (error) {
       console.error("Update task log error:", error);
@@ -276,62 +676,197 @@ router.put(
   }
 );
 
-// DELETE /api/task-logs/:id - Delete task log (admin only)
-router.delete("/:id", requireRole(["admin"]), async (req, res) => {
-  try {
-    const { id } = req.params;
+/**
+ * DELETE /api/task-logs/:id - Soft-delete a task log (admin only)
+ *
+ * Body: reason (required). The log is hidden from default queries but kept
+ * until the hospital's retention period has passed; see the restore route.
+ */
+router.delete(
+  "/:id",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 }), deletionReasonValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const result = await pool.query(
-      "DELETE FROM task_logs WHERE id = $1 RETURNING *",
-      [id]
-    );
+      const { id } = req.params;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Task log not found" });
-    }
+      const existing = await req.db.query(
+        "SELECT * FROM task_logs WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL FOR UPDATE",
+        [id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Task log not found" });
+      }
+
+      const result = await req.db.query(
+        `
+        UPDATE task_logs
+        SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, deletion_reason = $3
+        WHERE id = $1
+        RETURNING *`,
+        [id, req.user.id, req.body.reason]
+      );
+
+      await recordAudit(req, {
+        action: "delete",
+        entityType: "task_log",
+        entityId: result.rows[0].id,
+        patientId: result.rows[0].patient_id,
+        before: existing.rows[0],
+        after: result.rows[0],
+        metadata: { reason: req.body.reason },
+      });
 
-    res.json({ message: "Task log deleted successfully" });
-  } catch (error) {
-    console.error("Delete task log error:", error);
-    res.status(500).json({ error: "Server error" });
+      await enqueueWebhookEvent(req.db, req.hospitalId, "task_log.deleted", {
+        task_log: result.rows[0],
+      });
+
+      res.json({ message: "Task log deleted successfully" });
+    } catch (error) {
+      console.error("Delete task log error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
-// GET /api/task-logs/patient/:patientId - Get all task logs for a specific patient
-router.get("/patient/:patientId", async (req, res) => {
-  try {
-    const { patientId } = req.params;
-
-    // Verify patient exists
-    const patient = await pool.query("SELECT * FROM patients WHERE id = $1", [
-      patientId,
-    ]);
-    if (patient.rows.length === 0) {
-      return res.status(404).json({ error: "Patient not found" });
+// POST /api/task-logs/:id/restore - Undo a soft delete (admin only; the
+// patient must not be deleted)
+router.post(
+  "/:id/restore",
+  requireRole(["admin"]),
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        `
+        SELECT tl.*, p.deleted_at as patient_deleted_at
+        FROM task_logs tl
+        JOIN patients p ON tl.patient_id = p.id
+        WHERE tl.id = $1 AND tl.hospital_id = $2 AND tl.deleted_at IS NOT NULL
+        FOR UPDATE OF tl`,
+        [req.params.id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Deleted task log not found" });
+      }
+      const { patient_deleted_at, ...before } = existing.rows[0];
+      if (patient_deleted_at) {
+        return res.status(409).json({
+          error: "The patient is deleted; restore the patient instead",
+        });
+      }
+
+      await req.db.query(
+        `
+        UPDATE task_logs
+        SET deleted_at = NULL, deleted_by = NULL, deletion_reason = NULL
+        WHERE id = $1`,
+        [before.id]
+      );
+
+      const taskLog = await getTaskLog(req.db, before.id);
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "task_log",
+        entityId: taskLog.id,
+        patientId: taskLog.patient_id,
+        before,
+        after: taskLog,
+        metadata: { restored: true },
+      });
+
+      await enqueueWebhookEvent(req.db, req.hospitalId, "task_log.restored", {
+        task_log: taskLog,
+      });
+
+      res.json({ message: "Task log restored successfully", taskLog });
+    } catch (error) {
+      console.error("Restore task log error:", error);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+// GET /api/task-logs/patient/:patientId - Task logs of one patient
+// (paginated and filterable like GET /api/task-logs)
+router.get(
+  "/patient/:patientId",
+  [param("patientId").isInt({ min: 1 }), ...listQueryValidators()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patientId } = req.params;
+
+      const page = pageOptions(req);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+
+      // Verify patient exists in this hospital (a deleted patient's logs
+      // are only listed when asking for deleted records)
+      const { taskType, from, to, date, flagged, search, deleted } = req.query;
+      const patientDeleted = deletedCondition(
+        "p",
+        deleted === "only" ? "include" : deleted
+      );
+      const patient = await req.db.query(
+        `SELECT p.* FROM patients p WHERE p.id = $1 AND p.hospital_id = $2${
+          patientDeleted ? ` AND ${patientDeleted}` : ""
+        }`,
+        [patientId, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(404).json({ error: "Patient not found" });
+      }
 
-    const taskLogs = await pool.query(
-      `
-      SELECT tl.*, 
-             u.first_name as clinician_first_name,
-             u.last_name as clinician_last_name
-      FROM task_logs tl
-      JOIN users u ON tl.user_id = u.id
-      WHERE tl.patient_id = $1
-      ORDER BY tl.completed_at DESC
-    `,
-      [patientId]
-    );
-
-    res.json({
-      patient: patient.rows[0],
-      taskLogs: taskLogs.rows,
-      count: taskLogs.rows.length,
-    });
-  } catch (error) {
-    console.error("Get patient task logs error:", error);
-    res.status(500).json({ error: "Server error" });
+      const { rows, nextCursor } = await queryTaskLogPage(req.db, {
+        filters: {
+          patientId,
+          taskType,
+          from,
+          to,
+          date,
+          flagged,
+          search,
+          deleted,
+        },
+        hospitalId: req.hospitalId,
+        ...page,
+      });
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "task_log",
+        patientId: patient.rows[0].id,
+        metadata: { taskLogIds: rows.map((tl) => tl.id) },
+      });
+
+      res.json({
+        patient: patient.rows[0],
+        taskLogs: rows,
+        count: rows.length,
+        nextCursor,
+      });
+    } catch (error) {
+      console.error("Get patient task logs error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
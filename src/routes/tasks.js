@@ -0,0 +1,683 @@
+// src/routes/tasks.js
+// Scheduled care tasks: planning, worklists, overdue tasks and completion
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { createTaskLog, getTaskLog } = require("../services/taskLogs");
+const { findActiveTaskType } = require("../services/taskTypes");
+const { observationsValidator } = require("../services/observations");
+const {
+  TASK_STATUSES,
+  OPEN_STATUSES,
+  canTransition,
+  recurrenceValidator,
+  createNextOccurrence,
+} = require("../services/scheduledTasks");
+const { getAdmissionStatus } = require("../services/encounters");
+const { enqueueWebhookEvent } = require("../services/webhooks");
+
+const router = express.Router();
+
+// All task routes require authentication and are hospital-scoped
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+
+/**
+ * Task with patient/assignee names and hospital-local due time
+ *
+ * System Design Concept: Timezone-aware scheduling
+ * - due_at is an absolute instant (TIMESTAMPTZ); local times and dates are
+ *   derived in SQL from hospitals.timezone, never from the server clock
+ */
+const TASK_WITH_NAMES = `
+  SELECT t.*,
+         p.first_name as patient_first_name,
+         p.last_name as patient_last_name,
+         p.medical_record_number,
+         p.room_number,
+         a.first_name as assignee_first_name,
+         a.last_name as assignee_last_name,
+         tt.display_name as task_type_name,
+         h.timezone as hospital_timezone,
+         to_char(t.due_at AT TIME ZONE h.timezone, 'YYYY-MM-DD"T"HH24:MI') as due_at_local,
+         (t.status IN ('scheduled', 'in_progress') AND t.due_at < now()) as overdue
+  FROM scheduled_tasks t
+  JOIN patients p ON t.patient_id = p.id
+  JOIN hospitals h ON t.hospital_id = h.id
+  LEFT JOIN users a ON t.assigned_to = a.id
+  LEFT JOIN task_types tt ON t.task_type_id = tt.id
+`;
+
+const getTask = async (db, id) => {
+  const task = await db.query(`${TASK_WITH_NAMES} WHERE t.id = $1`, [id]);
+  return task.rows[0] || null;
+};
+
+/**
+ * Check that an assignee is an active, non read-only user of the hospital
+ */
+const isAssignableUser = async (req, userId) => {
+  const user = await req.db.query(
+    "SELECT id FROM users WHERE id = $1 AND hospital_id = $2 AND active = true AND role <> 'read_only'",
+    [userId, req.hospitalId]
+  );
+  return user.rows.length > 0;
+};
+
+// GET /api/tasks - Worklist with filters (date is a hospital-local day)
+router.get(
+  "/",
+  [
+    query("patientId").optional().isInt({ min: 1 }),
+    query("assignedTo").optional().isInt({ min: 1 }),
+    query("status").optional().isIn(TASK_STATUSES),
+    query("date").optional().isISO8601({ strict: true }),
+    query("limit").optional().isInt({ min: 1, max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patientId, assignedTo, status, date, limit = 100 } = req.query;
+
+      let sql = `${TASK_WITH_NAMES} WHERE t.hospital_id = $1 AND p.deleted_at IS NULL`;
+      const params = [req.hospitalId];
+      let paramCount = 2;
+
+      if (patientId) {
+        sql += ` AND t.patient_id = $${paramCount++}`;
+        params.push(patientId);
+      }
+
+      if (assignedTo) {
+        sql += ` AND t.assigned_to = $${paramCount++}`;
+        params.push(assignedTo);
+      }
+
+      if (status) {
+        sql += ` AND t.status = $${paramCount++}`;
+        params.push(status);
+      }
+
+      if (date) {
+        sql += ` AND (t.due_at AT TIME ZONE h.timezone)::date = $${paramCount++}`;
+        params.push(date.slice(0, 10));
+      }
+
+      sql += ` ORDER BY t.due_at ASC, t.id ASC LIMIT $${paramCount}`;
+      params.push(parseInt(limit));
+
+      const tasks = await req.db.query(sql, params);
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "scheduled_task",
+        patientId: patientId || null,
+        metadata: { taskIds: tasks.rows.map((t) => t.id) },
+      });
+
+      res.json({
+        tasks: tasks.rows,
+        count: tasks.rows.length,
+        filters: { patientId, assignedTo, status, date, limit },
+      });
+    } catch (error) {
+      console.error("Get tasks error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/tasks/overdue - Open tasks past their due time
+router.get(
+  "/overdue",
+  [
+    query("assignedTo").optional().isInt({ min: 1 }),
+    query("graceMinutes").optional().isInt({ min: 0, max: 1440 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { assignedTo, graceMinutes = 0 } = req.query;
+
+      // due_at and now() are absolute instants, and local times (due_at_local,
+      // asOf) are rendered in the hospital's timezone, so the worklist does
+      // not depend on the API server's or the database session's timezone
+      let sql = `
+        SELECT x.*,
+               FLOOR(EXTRACT(EPOCH FROM now() - x.due_at) / 60)::int as minutes_overdue
+        FROM (${TASK_WITH_NAMES}
+              WHERE t.hospital_id = $1
+                AND p.deleted_at IS NULL
+                AND t.status IN ('scheduled', 'in_progress')
+                AND t.due_at < now() - make_interval(mins => $2)
+      `;
+      const params = [req.hospitalId, parseInt(graceMinutes)];
+      let paramCount = 3;
+
+      if (assignedTo) {
+        sql += ` AND t.assigned_to = $${paramCount++}`;
+        params.push(assignedTo);
+      }
+
+      sql += ") x ORDER BY x.due_at ASC, x.id ASC";
+
+      const tasks = await req.db.query(sql, params);
+      const hospital = await req.db.query(
+        `
+        SELECT timezone,
+               to_char(now() AT TIME ZONE timezone, 'YYYY-MM-DD"T"HH24:MI') as local_time
+        FROM hospitals WHERE id = $1
+      `,
+        [req.hospitalId]
+      );
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "scheduled_task",
+        metadata: { taskIds: tasks.rows.map((t) => t.id), overdue: true },
+      });
+
+      res.json({
+        tasks: tasks.rows,
+        count: tasks.rows.length,
+        timezone: hospital.rows[0].timezone,
+        asOf: hospital.rows[0].local_time,
+      });
+    } catch (error) {
+      console.error("Get overdue tasks error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/tasks/:id - Get a specific task
+router.get("/:id", [param("id").isInt({ min: 1 })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await req.db.query(
+      `${TASK_WITH_NAMES} WHERE t.id = $1 AND t.hospital_id = $2`,
+      [req.params.id, req.hospitalId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    const task = result.rows[0];
+
+    await recordAudit(req, {
+      action: "read",
+      entityType: "scheduled_task",
+      entityId: task.id,
+      patientId: task.patient_id,
+    });
+
+    res.json({ task });
+  } catch (error) {
+    console.error("Get task error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/tasks - Schedule a task (optionally recurring)
+router.post(
+  "/",
+  [
+    body("patientId")
+      .isInt({ min: 1 })
+      .withMessage("Valid patient ID is required"),
+    body("taskType")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Task type is required"),
+    body("description")
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage("Description is required"),
+    body("dueAt")
+      .isISO8601()
+      .withMessage("Due at must be a valid datetime (ISO 8601 format)"),
+    body("assignedTo").optional({ values: "null" }).isInt({ min: 1 }),
+    body("recurrence").optional().custom(recurrenceValidator),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { patientId, taskType, description, dueAt, assignedTo, recurrence } =
+        req.body;
+
+      // Verify patient exists in this hospital
+      const patient = await req.db.query(
+        "SELECT id FROM patients WHERE id = $1 AND hospital_id = $2 AND deleted_at IS NULL",
+        [patientId, req.hospitalId]
+      );
+      if (patient.rows.length === 0) {
+        return res.status(400).json({ error: "Patient not found" });
+      }
+
+      // Discharge cancels open tasks; do not plan new ones afterwards
+      if ((await getAdmissionStatus(req.db, patientId)) === "discharged") {
+        return res
+          .status(409)
+          .json({ error: "Cannot schedule tasks for a discharged patient" });
+      }
+
+      const catalogType = await findActiveTaskType(
+        req.db,
+        req.hospitalId,
+        taskType
+      );
+      if (!catalogType) {
+        return res.status(400).json({ error: "Unknown or inactive task type" });
+      }
+
+      if (assignedTo && !(await isAssignableUser(req, assignedTo))) {
+        return res.status(400).json({ error: "Assignee not found" });
+      }
+
+      const newTask = await req.db.query(
+        `
+        INSERT INTO scheduled_tasks (
+          hospital_id, patient_id, task_type, task_type_id, description, due_at,
+          recurrence, assigned_to, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *`,
+        [
+          req.hospitalId,
+          patientId,
+          catalogType.code,
+          catalogType.id,
+          description,
+          dueAt,
+          recurrence ? JSON.stringify(recurrence) : null,
+          assignedTo || null,
+          req.user.id,
+        ]
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "scheduled_task",
+        entityId: newTask.rows[0].id,
+        patientId: newTask.rows[0].patient_id,
+        after: newTask.rows[0],
+      });
+
+      res.status(201).json({
+        message: "Task scheduled successfully",
+        task: await getTask(req.db, newTask.rows[0].id),
+      });
+    } catch (error) {
+      console.error("Create task error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * Load a task of the current hospital, locked for the rest of the request
+ * Sends the error response and returns null when missing or not open.
+ */
+const loadOpenTask = async (req, res) => {
+  const task = await req.db.query(
+    "SELECT * FROM scheduled_tasks WHERE id = $1 AND hospital_id = $2 FOR UPDATE",
+    [req.params.id, req.hospitalId]
+  );
+
+  if (task.rows.length === 0) {
+    res.status(404).json({ error: "Task not found" });
+    return null;
+  }
+
+  if (!OPEN_STATUSES.includes(task.rows[0].status)) {
+    res.status(409).json({ error: `Task is already ${task.rows[0].status}` });
+    return null;
+  }
+
+  return task.rows[0];
+};
+
+// PUT /api/tasks/:id - Reschedule, reassign or edit an open task
+router.put(
+  "/:id",
+  [
+    param("id").isInt({ min: 1 }),
+    body("taskType").optional().trim().isLength({ min: 1, max: 100 }),
+    body("description").optional().trim().isLength({ min: 1 }),
+    body("dueAt").optional().isISO8601(),
+    body("assignedTo").optional({ values: "null" }).isInt({ min: 1 }),
+    body("recurrence").optional().custom(recurrenceValidator),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingTask = await loadOpenTask(req, res);
+      if (!existingTask) return;
+
+      const { taskType, description, dueAt, assignedTo, recurrence } = req.body;
+
+      if (assignedTo && !(await isAssignableUser(req, assignedTo))) {
+        return res.status(400).json({ error: "Assignee not found" });
+      }
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (taskType) {
+        const catalogType = await findActiveTaskType(
+          req.db,
+          req.hospitalId,
+          taskType
+        );
+        if (!catalogType) {
+          return res
+            .status(400)
+            .json({ error: "Unknown or inactive task type" });
+        }
+        updates.push(`task_type = $${paramCount++}`);
+        values.push(catalogType.code);
+        updates.push(`task_type_id = $${paramCount++}`);
+        values.push(catalogType.id);
+      }
+      if (description) {
+        updates.push(`description = $${paramCount++}`);
+        values.push(description);
+      }
+      if (dueAt) {
+        updates.push(`due_at = $${paramCount++}`);
+        values.push(dueAt);
+      }
+      if (assignedTo !== undefined) {
+        updates.push(`assigned_to = $${paramCount++}`);
+        values.push(assignedTo || null);
+      }
+      if (recurrence !== undefined) {
+        updates.push(`recurrence = $${paramCount++}`);
+        values.push(recurrence ? JSON.stringify(recurrence) : null);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(existingTask.id);
+
+      const result = await req.db.query(
+        `UPDATE scheduled_tasks SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "scheduled_task",
+        entityId: existingTask.id,
+        patientId: existingTask.patient_id,
+        before: existingTask,
+        after: result.rows[0],
+      });
+
+      res.json({
+        message: "Task updated successfully",
+        task: await getTask(req.db, existingTask.id),
+      });
+    } catch (error) {
+      console.error("Update task error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * Move a locked task to a new status and audit the change
+ */
+const changeStatus = async (req, task, status, { reason, taskLogId } = {}) => {
+  const closing = !OPEN_STATUSES.includes(status);
+
+  const result = await req.db.query(
+    `
+    UPDATE scheduled_tasks SET
+      status = $2::varchar,
+      started_at = CASE WHEN $2::varchar = 'in_progress' THEN now() ELSE started_at END,
+      closed_at = CASE WHEN $3 THEN now() ELSE closed_at END,
+      closed_by = CASE WHEN $3 THEN $4 ELSE closed_by END,
+      status_reason = COALESCE($5, status_reason),
+      task_log_id = COALESCE($6, task_log_id),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *`,
+    [task.id, status, closing, req.user.id, reason || null, taskLogId || null]
+  );
+
+  await recordAudit(req, {
+    action: "update",
+    entityType: "scheduled_task",
+    entityId: task.id,
+    patientId: task.patient_id,
+    before: task,
+    after: result.rows[0],
+  });
+
+  return result.rows[0];
+};
+
+/**
+ * Schedule the next occurrence of a recurring task and audit it
+ */
+const scheduleNext = async (req, task) => {
+  const next = await createNextOccurrence(req.db, task);
+
+  if (next) {
+    await recordAudit(req, {
+      action: "create",
+      entityType: "scheduled_task",
+      entityId: next.id,
+      patientId: next.patient_id,
+      after: next,
+      metadata: { previousTaskId: task.id },
+    });
+  }
+
+  return next;
+};
+
+// POST /api/tasks/:id/start - Mark a task as in progress
+router.post("/:id/start", [param("id").isInt({ min: 1 })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await loadOpenTask(req, res);
+    if (!task) return;
+
+    if (!canTransition(task.status, "in_progress")) {
+      return res.status(409).json({ error: `Task is already ${task.status}` });
+    }
+
+    await changeStatus(req, task, "in_progress");
+
+    res.json({
+      message: "Task started",
+      task: await getTask(req.db, task.id),
+    });
+  } catch (error) {
+    console.error("Start task error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/complete - Complete a task
+ *
+ * Records the work as a regular task log (so task log history, audit and
+ * analytics keep working unchanged) and schedules the next occurrence of
+ * a recurring task.
+ */
+router.post(
+  "/:id/complete",
+  [
+    param("id").isInt({ min: 1 }),
+    body("completedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Completed at must be a valid datetime (ISO 8601 format)"),
+    body("notes").optional().trim(),
+    body("flagged").optional().isBoolean(),
+    body("observations").optional().custom(observationsValidator),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = await loadOpenTask(req, res);
+      if (!task) return;
+
+      const { completedAt, notes, flagged, observations } = req.body || {};
+
+      const taskLog = await createTaskLog(req.db, {
+        patientId: task.patient_id,
+        userId: req.user.id,
+        taskType: { code: task.task_type, id: task.task_type_id },
+        description: task.description,
+        completedAt: completedAt || new Date(),
+        notes,
+        flagged,
+        observations,
+      });
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "task_log",
+        entityId: taskLog.id,
+        patientId: taskLog.patient_id,
+        after: taskLog,
+        metadata: { scheduledTaskId: task.id },
+      });
+
+      await changeStatus(req, task, "completed", { taskLogId: taskLog.id });
+      const next = await scheduleNext(req, task);
+
+      const completedLog = await getTaskLog(req.db, taskLog.id);
+      await enqueueWebhookEvent(req.db, req.hospitalId, "task_log.created", {
+        task_log: completedLog,
+      });
+
+      res.json({
+        message: "Task completed",
+        task: await getTask(req.db, task.id),
+        taskLog: completedLog,
+        nextTask: next ? await getTask(req.db, next.id) : null,
+      });
+    } catch (error) {
+      console.error("Complete task error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/tasks/:id/miss - Record that a task was not done
+// (a recurring task continues with its next occurrence)
+router.post(
+  "/:id/miss",
+  [
+    param("id").isInt({ min: 1 }),
+    body("reason").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = await loadOpenTask(req, res);
+      if (!task) return;
+
+      await changeStatus(req, task, "missed", {
+        reason: (req.body || {}).reason,
+      });
+      const next = await scheduleNext(req, task);
+
+      res.json({
+        message: "Task marked as missed",
+        task: await getTask(req.db, task.id),
+        nextTask: next ? await getTask(req.db, next.id) : null,
+      });
+    } catch (error) {
+      console.error("Miss task error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/tasks/:id/cancel - Cancel a task (ends a recurring series)
+router.post(
+  "/:id/cancel",
+  [
+    param("id").isInt({ min: 1 }),
+    body("reason").optional().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const task = await loadOpenTask(req, res);
+      if (!task) return;
+
+      await changeStatus(req, task, "cancelled", {
+        reason: (req.body || {}).reason,
+      });
+
+      res.json({
+        message: "Task cancelled",
+        task: await getTask(req.db, task.id),
+      });
+    } catch (error) {
+      console.error("Cancel task error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
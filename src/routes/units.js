@@ -0,0 +1,420 @@
+// src/routes/units.js
+// Hospital units (wards) and their beds (read for all staff, managed by admins)
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requireRole, rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+
+// Occupied beds of a unit (open bed assignments)
+const OCCUPIED_BEDS = `
+  SELECT COUNT(*)::int FROM bed_assignments ba
+  JOIN beds b ON ba.bed_id = b.id
+  WHERE b.unit_id = $1 AND ba.ended_at IS NULL
+`;
+
+// GET /api/units - Units of the current hospital with bed occupancy
+router.get("/", [query("active").optional().isBoolean()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let sql = `
+      SELECT un.*,
+             COUNT(b.id) FILTER (WHERE b.active) as bed_count,
+             COUNT(ba.id) as occupied_count
+      FROM units un
+      LEFT JOIN beds b ON b.unit_id = un.id
+      LEFT JOIN bed_assignments ba ON ba.bed_id = b.id AND ba.ended_at IS NULL
+      WHERE un.hospital_id = $1
+    `;
+    const params = [req.hospitalId];
+
+    if (req.query.active !== undefined) {
+      sql += " AND un.active = $2";
+      params.push(req.query.active === "true");
+    }
+
+    sql += " GROUP BY un.id ORDER BY un.name";
+
+    const units = await req.db.query(sql, params);
+
+    res.json({
+      units: units.rows.map((unit) => ({
+        ...unit,
+        bed_count: parseInt(unit.bed_count),
+        occupied_count: parseInt(unit.occupied_count),
+      })),
+      count: units.rows.length,
+    });
+  } catch (error) {
+    console.error("Get units error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/units/:id/beds - Beds of a unit with their current occupant
+router.get("/:id/beds", [param("id").isInt({ min: 1 })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unit = await req.db.query(
+      "SELECT * FROM units WHERE id = $1 AND hospital_id = $2",
+      [req.params.id, req.hospitalId]
+    );
+    if (unit.rows.length === 0) {
+      return res.status(404).json({ error: "Unit not found" });
+    }
+
+    const beds = await req.db.query(
+      `
+      SELECT b.*,
+             ba.encounter_id,
+             ba.started_at as occupied_since,
+             p.id as patient_id,
+             p.first_name as patient_first_name,
+             p.last_name as patient_last_name,
+             p.medical_record_number
+      FROM beds b
+      LEFT JOIN bed_assignments ba ON ba.bed_id = b.id AND ba.ended_at IS NULL
+      LEFT JOIN encounters e ON ba.encounter_id = e.id
+      LEFT JOIN patients p ON e.patient_id = p.id
+      WHERE b.unit_id = $1
+      ORDER BY b.label
+    `,
+      [unit.rows[0].id]
+    );
+
+    const patientIds = beds.rows
+      .filter((bed) => bed.patient_id)
+      .map((bed) => bed.patient_id);
+
+    if (patientIds.length > 0) {
+      await recordAudit(req, {
+        action: "read",
+        entityType: "bed",
+        metadata: { unitId: unit.rows[0].id, patientIds },
+      });
+    }
+
+    res.json({ unit: unit.rows[0], beds: beds.rows, count: beds.rows.length });
+  } catch (error) {
+    console.error("Get beds error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/units - Add a unit (admin only)
+router.post(
+  "/",
+  requireRole(["admin"]),
+  [
+    body("code")
+      .trim()
+      .customSanitizer((value) => String(value).toUpperCase())
+      .matches(/^[A-Z0-9_-]{1,20}$/)
+      .withMessage("Code may only contain letters, digits, - and _"),
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { code, name } = req.body;
+
+      const existing = await req.db.query(
+        "SELECT id FROM units WHERE hospital_id = $1 AND code = $2",
+        [req.hospitalId, code]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(400).json({ error: "Unit code already exists" });
+      }
+
+      const unit = await req.db.query(
+        "INSERT INTO units (hospital_id, code, name) VALUES ($1, $2, $3) RETURNING *",
+        [req.hospitalId, code, name]
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "unit",
+        entityId: unit.rows[0].id,
+        after: unit.rows[0],
+      });
+
+      res
+        .status(201)
+        .json({ message: "Unit created successfully", unit: unit.rows[0] });
+    } catch (error) {
+      console.error("Create unit error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// PUT /api/units/:id - Rename or (de)activate a unit (admin only)
+router.put(
+  "/:id",
+  requireRole(["admin"]),
+  [
+    param("id").isInt({ min: 1 }),
+    body("name").optional().trim().isLength({ min: 1, max: 100 }),
+    body("active").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        "SELECT * FROM units WHERE id = $1 AND hospital_id = $2 FOR UPDATE",
+        [req.params.id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Unit not found" });
+      }
+
+      const { name, active } = req.body;
+      const deactivate = active === false || active === "false";
+
+      if (deactivate) {
+        const occupied = await req.db.query(OCCUPIED_BEDS, [
+          existing.rows[0].id,
+        ]);
+        if (occupied.rows[0].count > 0) {
+          return res
+            .status(409)
+            .json({ error: "Unit has occupied beds; transfer patients first" });
+        }
+      }
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (name) {
+        updates.push(`name = $${paramCount++}`);
+        values.push(name);
+      }
+      if (active !== undefined) {
+        updates.push(`active = $${paramCount++}`);
+        values.push(!deactivate);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(existing.rows[0].id);
+
+      const result = await req.db.query(
+        `UPDATE units SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "unit",
+        entityId: result.rows[0].id,
+        before: existing.rows[0],
+        after: result.rows[0],
+      });
+
+      res.json({ message: "Unit updated successfully", unit: result.rows[0] });
+    } catch (error) {
+      console.error("Update unit error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/units/:id/beds - Add a bed to a unit (admin only)
+router.post(
+  "/:id/beds",
+  requireRole(["admin"]),
+  [
+    param("id").isInt({ min: 1 }),
+    body("label")
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage("Bed label is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const unit = await req.db.query(
+        "SELECT * FROM units WHERE id = $1 AND hospital_id = $2",
+        [req.params.id, req.hospitalId]
+      );
+      if (unit.rows.length === 0) {
+        return res.status(404).json({ error: "Unit not found" });
+      }
+
+      const { label } = req.body;
+
+      const existing = await req.db.query(
+        "SELECT id FROM beds WHERE unit_id = $1 AND label = $2",
+        [unit.rows[0].id, label]
+      );
+      if (existing.rows.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Bed label already exists in this unit" });
+      }
+
+      const bed = await req.db.query(
+        "INSERT INTO beds (hospital_id, unit_id, label) VALUES ($1, $2, $3) RETURNING *",
+        [req.hospitalId, unit.rows[0].id, label]
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "bed",
+        entityId: bed.rows[0].id,
+        after: bed.rows[0],
+      });
+
+      res
+        .status(201)
+        .json({ message: "Bed created successfully", bed: bed.rows[0] });
+    } catch (error) {
+      console.error("Create bed error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// PUT /api/units/:id/beds/:bedId - Relabel or take a bed out of service
+// (admin only; occupied beds stay in service until the patient moves)
+router.put(
+  "/:id/beds/:bedId",
+  requireRole(["admin"]),
+  [
+    param("id").isInt({ min: 1 }),
+    param("bedId").isInt({ min: 1 }),
+    body("label").optional().trim().isLength({ min: 1, max: 20 }),
+    body("active").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        `
+        SELECT b.*,
+               EXISTS (
+                 SELECT 1 FROM bed_assignments ba
+                 WHERE ba.bed_id = b.id AND ba.ended_at IS NULL
+               ) as occupied
+        FROM beds b
+        WHERE b.id = $1 AND b.unit_id = $2 AND b.hospital_id = $3
+        FOR UPDATE`,
+        [req.params.bedId, req.params.id, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Bed not found" });
+      }
+
+      const { occupied, ...bed } = existing.rows[0];
+      const { label, active } = req.body;
+      const deactivate = active === false || active === "false";
+
+      if (deactivate && occupied) {
+        return res
+          .status(409)
+          .json({ error: "Bed is occupied; transfer the patient first" });
+      }
+
+      if (label && label !== bed.label) {
+        const duplicate = await req.db.query(
+          "SELECT id FROM beds WHERE unit_id = $1 AND label = $2",
+          [bed.unit_id, label]
+        );
+        if (duplicate.rows.length > 0) {
+          return res
+            .status(400)
+            .json({ error: "Bed label already exists in this unit" });
+        }
+      }
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (label) {
+        updates.push(`label = $${paramCount++}`);
+        values.push(label);
+      }
+      if (active !== undefined) {
+        updates.push(`active = $${paramCount++}`);
+        values.push(!deactivate);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(bed.id);
+
+      const result = await req.db.query(
+        `UPDATE beds SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "bed",
+        entityId: result.rows[0].id,
+        before: bed,
+        after: result.rows[0],
+      });
+
+      res.json({ message: "Bed updated successfully", bed: result.rows[0] });
+    } catch (error) {
+      console.error("Update bed error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
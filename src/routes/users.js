@@ -0,0 +1,461 @@
+// src/routes/users.js
+// User administration for hospital admins: invitations, status and roles
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { ROLES, requireRole } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { sendMail, appUrl } = require("../services/mailer");
+const {
+  generateOneTimeToken,
+  revokeAllSessions,
+} = require("../services/tokens");
+
+const router = express.Router();
+
+const INVITATION_EXPIRE_HOURS =
+  parseInt(process.env.INVITATION_EXPIRE_HOURS) || 72;
+
+const USER_COLUMNS = `
+  id, email, first_name, last_name, role, hospital_id,
+  active, disabled_at, disabled_by, created_at, updated_at
+`;
+
+// Hospital admins manage users of their own hospital
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(requireRole(["admin"]));
+
+/**
+ * Only super admins may grant super_admin or manage super admin accounts
+ */
+const canManageRole = (actor, role) =>
+  role !== "super_admin" || actor.role === "super_admin";
+
+/**
+ * GET /api/users - List users in the hospital
+ */
+router.get(
+  "/",
+  [
+    query("role").optional().isIn(ROLES),
+    query("active").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role, active } = req.query;
+
+      let sql = `SELECT ${USER_COLUMNS} FROM users WHERE hospital_id = $1`;
+      const params = [req.hospitalId];
+      let paramCount = 2;
+
+      if (role) {
+        sql += ` AND role = $${paramCount++}`;
+        params.push(role);
+      }
+
+      if (active !== undefined) {
+        sql += ` AND active = $${paramCount++}`;
+        params.push(active === "true");
+      }
+
+      sql += " ORDER BY last_name, first_name";
+
+      const users = await req.db.query(sql, params);
+
+      res.json({ users: users.rows, count: users.rows.length });
+    } catch (error) {
+      console.error("Get users error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /api/users/invitations - List pending invitations
+ */
+router.get("/invitations", async (req, res) => {
+  try {
+    const invitations = await req.db.query(
+      `
+      SELECT id, email, role, invited_by, expires_at, created_at
+      FROM user_invitations
+      WHERE hospital_id = $1
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+    `,
+      [req.hospitalId]
+    );
+
+    res.json({
+      invitations: invitations.rows,
+      count: invitations.rows.length,
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/users/invitations - Invite a user by email
+ *
+ * System Design Concept: One-time tokens
+ * - Only a hash of the token is stored; the raw token exists only in the
+ *   invitation email
+ * - Accepting the invitation (POST /api/auth/accept-invite) consumes it
+ */
+router.post(
+  "/invitations",
+  [
+    body("email").isEmail().normalizeEmail(),
+    body("role").isIn(ROLES),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, role } = req.body;
+
+      if (!canManageRole(req.user, role)) {
+        return res
+          .status(403)
+          .json({ error: "Access denied: insufficient permissions" });
+      }
+
+      const userExists = await req.db.query(
+        "SELECT id FROM users WHERE email = $1",
+        [email]
+      );
+      if (userExists.rows.length > 0) {
+        return res.status(400).json({ error: "User already exists" });
+      }
+
+      // A new invitation supersedes any pending one for the same email
+      await req.db.query(
+        `
+        UPDATE user_invitations SET revoked_at = CURRENT_TIMESTAMP
+        WHERE hospital_id = $1 AND email = $2
+          AND accepted_at IS NULL AND revoked_at IS NULL
+      `,
+        [req.hospitalId, email]
+      );
+
+      const { token, tokenHash } = generateOneTimeToken();
+      const expiresAt = new Date(
+        Date.now() + INVITATION_EXPIRE_HOURS * 60 * 60 * 1000
+      );
+
+      const invitation = await req.db.query(
+        `
+        INSERT INTO user_invitations (hospital_id, email, role, token_hash, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, email, role, invited_by, expires_at, created_at`,
+        [req.hospitalId, email, role, tokenHash, req.user.id, expiresAt]
+      );
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "user_invitation",
+        entityId: invitation.rows[0].id,
+        after: invitation.rows[0],
+      });
+
+      await sendMail({
+        to: email,
+        subject: `You're invited to Patient Tracker at ${req.user.hospital_name}`,
+        text: [
+          `${req.user.first_name} ${req.user.last_name} invited you to join ` +
+            `${req.user.hospital_name} as ${role}.`,
+          "",
+          `Accept the invitation within ${INVITATION_EXPIRE_HOURS} hours:`,
+          appUrl(`/accept-invite?token=${encodeURIComponent(token)}`),
+        ].join("\n"),
+      });
+
+      res.status(201).json({
+        message: "Invitation sent successfully",
+        invitation: invitation.rows[0],
+      });
+    } catch (error) {
+      console.error("Create invitation error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/invitations/:id - Revoke a pending invitation
+ */
+router.delete("/invitations/:id", async (req, res) => {
+  try {
+    const result = await req.db.query(
+      `
+      UPDATE user_invitations SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND hospital_id = $2
+        AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id, email, role`,
+      [req.params.id, req.hospitalId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "user_invitation",
+      entityId: result.rows[0].id,
+      before: result.rows[0],
+    });
+
+    res.json({ message: "Invitation revoked successfully" });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * Load a user of the current hospital that the caller is allowed to manage
+ * Sends the error response and returns null when not allowed.
+ */
+const loadManagedUser = async (req, res) => {
+  const user = await req.db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND hospital_id = $2`,
+    [req.params.id, req.hospitalId]
+  );
+
+  if (user.rows.length === 0) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+
+  if (user.rows[0].id === req.user.id) {
+    res.status(400).json({ error: "You cannot change your own account" });
+    return null;
+  }
+
+  if (!canManageRole(req.user, user.rows[0].role)) {
+    res.status(403).json({ error: "Access denied: insufficient permissions" });
+    return null;
+  }
+
+  return user.rows[0];
+};
+
+/**
+ * POST /api/users/:id/disable - Disable an account and end its sessions
+ */
+router.post(
+  "/:id/disable",
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingUser = await loadManagedUser(req, res);
+      if (!existingUser) return;
+
+      const result = await req.db.query(
+        `
+        UPDATE users SET active = false, disabled_at = CURRENT_TIMESTAMP,
+               disabled_by = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${USER_COLUMNS}`,
+        [existingUser.id, req.user.id]
+      );
+
+      const revokedSessions = await revokeAllSessions(
+        existingUser.id,
+        "account_disabled",
+        req.db
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user",
+        entityId: existingUser.id,
+        before: existingUser,
+        after: result.rows[0],
+        metadata: { revokedSessions },
+      });
+
+      res.json({
+        message: "User disabled successfully",
+        user: result.rows[0],
+        revokedSessions,
+      });
+    } catch (error) {
+      console.error("Disable user error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/users/:id/enable - Re-enable a disabled account
+ */
+router.post(
+  "/:id/enable",
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingUser = await loadManagedUser(req, res);
+      if (!existingUser) return;
+
+      const result = await req.db.query(
+        `
+        UPDATE users SET active = true, disabled_at = NULL,
+               disabled_by = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${USER_COLUMNS}`,
+        [existingUser.id]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user",
+        entityId: existingUser.id,
+        before: existingUser,
+        after: result.rows[0],
+      });
+
+      res.json({
+        message: "User enabled successfully",
+        user: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Enable user error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/users/:id/reset-mfa - Clear a user's two-factor enrollment
+ * (lost device and recovery codes). The user re-enrolls at next login when
+ * the hospital requires MFA; current sessions are ended.
+ */
+router.post(
+  "/:id/reset-mfa",
+  [param("id").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingUser = await loadManagedUser(req, res);
+      if (!existingUser) return;
+
+      await req.db.query(
+        `
+        UPDATE users SET mfa_enabled = false, mfa_secret = NULL,
+               mfa_pending_secret = NULL, mfa_enrolled_at = NULL,
+               mfa_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+        [existingUser.id]
+      );
+      await req.db.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [
+        existingUser.id,
+      ]);
+
+      const revokedSessions = await revokeAllSessions(
+        existingUser.id,
+        "mfa_reset",
+        req.db
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user_mfa",
+        entityId: existingUser.id,
+        metadata: { event: "reset_by_admin", revokedSessions },
+      });
+
+      res.json({ message: "Two-factor authentication reset", revokedSessions });
+    } catch (error) {
+      console.error("Reset user MFA error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * PUT /api/users/:id/role - Change a user's role within the hospital
+ */
+router.put(
+  "/:id/role",
+  [param("id").isInt({ min: 1 }), body("role").isIn(ROLES)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role } = req.body;
+
+      if (!canManageRole(req.user, role)) {
+        return res
+          .status(403)
+          .json({ error: "Access denied: insufficient permissions" });
+      }
+
+      const existingUser = await loadManagedUser(req, res);
+      if (!existingUser) return;
+
+      const result = await req.db.query(
+        `
+        UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${USER_COLUMNS}`,
+        [existingUser.id, role]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user",
+        entityId: existingUser.id,
+        before: existingUser,
+        after: result.rows[0],
+      });
+
+      res.json({
+        message: "User role updated successfully",
+        user: result.rows[0],
+      });
+    } catch (error) {
+      console.error("Update user role error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,545 @@
+// src/routes/webhooks.js
+// Webhook subscriptions and their delivery log (hospital admins)
+
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const { requireRole, rejectReadOnlyWrites } = require("../middleware/auth");
+const {
+  authWithHospital,
+  setHospitalContext,
+  checkHospitalAccess,
+} = require("../middleware/hospital");
+const { recordAudit } = require("../services/audit");
+const { encryptSecret } = require("../services/totp");
+const {
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  checkWebhookUrl,
+  enqueueWebhookEvent,
+} = require("../services/webhooks");
+
+const router = express.Router();
+
+router.use(authWithHospital);
+router.use(setHospitalContext);
+router.use(checkHospitalAccess);
+router.use(rejectReadOnlyWrites);
+router.use(requireRole(["admin"]));
+
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+// Never return the (encrypted) secret
+const SUBSCRIPTION_COLUMNS = `
+  ws.id, ws.hospital_id, ws.url, ws.description, ws.event_types, ws.active,
+  ws.created_by, ws.created_at, ws.updated_at
+`;
+
+const publicSubscription = ({ secret_encrypted, ...subscription }) =>
+  subscription;
+
+// Plain HTTP and private addresses are allowed outside production (local
+// receivers, testing)
+const urlValidator = (field) =>
+  body(field)
+    .trim()
+    .isURL({
+      protocols:
+        process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"],
+      require_protocol: true,
+      require_tld: process.env.NODE_ENV === "production",
+    })
+    .withMessage("A valid http(s) URL is required")
+    .isLength({ max: 2000 })
+    .bail()
+    .custom(async (url) => {
+      const blocked = await checkWebhookUrl(url);
+      if (blocked) {
+        throw new Error(blocked);
+      }
+      return true;
+    });
+
+const eventTypesValidator = (field) =>
+  body(field)
+    .isArray({ min: 1 })
+    .withMessage("At least one event type is required")
+    .custom((types) =>
+      types.every((type) => WEBHOOK_EVENT_TYPES.includes(type))
+    )
+    .withMessage(
+      `Event types must be among: ${WEBHOOK_EVENT_TYPES.join(", ")}`
+    );
+
+const secretValidator = () =>
+  body("secret")
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 200 })
+    .withMessage("Secret must be 16-200 characters");
+
+const getSubscription = async (
+  db,
+  id,
+  hospitalId,
+  { forUpdate = false } = {}
+) => {
+  const result = await db.query(
+    `SELECT * FROM webhook_subscriptions WHERE id = $1 AND hospital_id = $2${
+      forUpdate ? " FOR UPDATE" : ""
+    }`,
+    [id, hospitalId]
+  );
+  return result.rows[0] || null;
+};
+
+// GET /api/webhooks - Subscriptions with their outbox backlog
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await req.db.query(
+      `
+      SELECT ${SUBSCRIPTION_COLUMNS},
+             COUNT(d.id) FILTER (WHERE d.status = 'pending')::int as pending_count,
+             COUNT(d.id) FILTER (WHERE d.status = 'dead')::int as dead_count,
+             MAX(d.delivered_at) as last_delivered_at
+      FROM webhook_subscriptions ws
+      LEFT JOIN webhook_deliveries d ON d.subscription_id = ws.id
+      WHERE ws.hospital_id = $1
+      GROUP BY ws.id
+      ORDER BY ws.created_at, ws.id
+    `,
+      [req.hospitalId]
+    );
+
+    res.json({
+      subscriptions: subscriptions.rows,
+      count: subscriptions.rows.length,
+      eventTypes: WEBHOOK_EVENT_TYPES,
+    });
+  } catch (error) {
+    console.error("Get webhooks error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/webhooks - Subscribe a URL to events
+ *
+ * The signing secret is generated unless one is supplied, and is only
+ * returned in this response (and when rotated); it is stored encrypted.
+ */
+router.post(
+  "/",
+  [
+    urlValidator("url"),
+    eventTypesValidator("eventTypes"),
+    body("description").optional().trim().isLength({ max: 200 }),
+    secretValidator(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { url, eventTypes, description } = req.body;
+      const secret = req.body.secret || generateWebhookSecret();
+
+      const subscription = await req.db.query(
+        `
+        INSERT INTO webhook_subscriptions (hospital_id, url, description, event_types, secret_encrypted, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [
+          req.hospitalId,
+          url,
+          description || null,
+          [...new Set(eventTypes)],
+          encryptSecret(secret),
+          req.user.id,
+        ]
+      );
+      const created = publicSubscription(subscription.rows[0]);
+
+      await recordAudit(req, {
+        action: "create",
+        entityType: "webhook_subscription",
+        entityId: created.id,
+        after: created,
+      });
+
+      res.status(201).json({
+        message: "Webhook subscription created",
+        subscription: created,
+        secret,
+      });
+    } catch (error) {
+      console.error("Create webhook error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// PUT /api/webhooks/:id - Change URL, events, description or (de)activate
+router.put(
+  "/:id",
+  [
+    param("id").isInt({ min: 1 }),
+    urlValidator("url").optional(),
+    eventTypesValidator("eventTypes").optional(),
+    body("description").optional().trim().isLength({ max: 200 }),
+    body("active").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await getSubscription(
+        req.db,
+        req.params.id,
+        req.hospitalId,
+        { forUpdate: true }
+      );
+      if (!existing) {
+        return res
+          .status(404)
+          .json({ error: "Webhook subscription not found" });
+      }
+
+      const { url, eventTypes, description, active } = req.body || {};
+
+      // Build dynamic update query
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (url) {
+        updates.push(`url = $${paramCount++}`);
+        values.push(url);
+      }
+      if (eventTypes) {
+        updates.push(`event_types = $${paramCount++}`);
+        values.push([...new Set(eventTypes)]);
+      }
+      if (description !== undefined) {
+        updates.push(`description = $${paramCount++}`);
+        values.push(description || null);
+      }
+      if (active !== undefined) {
+        updates.push(`active = $${paramCount++}`);
+        values.push(active === true || active === "true");
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      updates.push(`updated_at = CURRENT_TIMESTAMP`);
+      values.push(existing.id);
+
+      const result = await req.db.query(
+        `UPDATE webhook_subscriptions SET ${updates.join(
+          ", "
+        )} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      const updated = publicSubscription(result.rows[0]);
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "webhook_subscription",
+        entityId: updated.id,
+        before: publicSubscription(existing),
+        after: updated,
+      });
+
+      res.json({
+        message: "Webhook subscription updated",
+        subscription: updated,
+      });
+    } catch (error) {
+      console.error("Update webhook error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+router.post(
+  "/:id/rotate-secret",
+  [param("id").isInt({ min: 1 }), secretValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await getSubscription(
+        req.db,
+        req.params.id,
+        req.hospitalId,
+        { forUpdate: true }
+      );
+      if (!existing) {
+        return res
+          .status(404)
+          .json({ error: "Webhook subscription not found" });
+      }
+
+      const secret = (req.body && req.body.secret) || generateWebhookSecret();
+
+      await req.db.query(
+        "UPDATE webhook_subscriptions SET secret_encrypted = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [existing.id, encryptSecret(secret)]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "webhook_subscription",
+        entityId: existing.id,
+        metadata: { secretRotated: true },
+      });
+
+      res.json({ message: "Webhook secret rotated", secret });
+    } catch (error) {
+      console.error("Rotate webhook secret error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// DELETE /api/webhooks/:id - Remove a subscription and its delivery log
+router.delete("/:id", [param("id").isInt({ min: 1 })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await req.db.query(
+      "DELETE FROM webhook_subscriptions WHERE id = $1 AND hospital_id = $2 RETURNING *",
+      [req.params.id, req.hospitalId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook subscription not found" });
+    }
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "webhook_subscription",
+      entityId: result.rows[0].id,
+      before: publicSubscription(result.rows[0]),
+    });
+
+    res.json({ message: "Webhook subscription deleted" });
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/webhooks/:id/test - Queue a webhook.test ping for this subscription
+router.post("/:id/test", [param("id").isInt({ min: 1 })], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const subscription = await getSubscription(
+      req.db,
+      req.params.id,
+      req.hospitalId
+    );
+    if (!subscription) {
+      return res.status(404).json({ error: "Webhook subscription not found" });
+    }
+    if (!subscription.active) {
+      return res
+        .status(409)
+        .json({ error: "Webhook subscription is inactive" });
+    }
+
+    await enqueueWebhookEvent(
+      req.db,
+      req.hospitalId,
+      "webhook.test",
+      { subscription_id: subscription.id },
+      { subscriptionId: subscription.id }
+    );
+
+    res.status(202).json({ message: "Test event queued" });
+  } catch (error) {
+    console.error("Test webhook error:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Delivery log of a subscription
+ *
+ * Query: status (pending, delivered, dead), eventType, limit (default 50)
+ */
+router.get(
+  "/:id/deliveries",
+  [
+    param("id").isInt({ min: 1 }),
+    query("status").optional().isIn(DELIVERY_STATUSES),
+    query("eventType").optional().isLength({ max: 50 }),
+    query("limit").optional().isInt({ min: 1, max: 200 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const subscription = await getSubscription(
+        req.db,
+        req.params.id,
+        req.hospitalId
+      );
+      if (!subscription) {
+        return res
+          .status(404)
+          .json({ error: "Webhook subscription not found" });
+      }
+
+      let sql = `
+        SELECT id, event_id, event_type, status, attempts, next_attempt_at,
+               last_attempt_at, last_status_code, last_error, delivered_at,
+               created_at
+        FROM webhook_deliveries
+        WHERE subscription_id = $1
+      `;
+      const params = [subscription.id];
+      let paramCount = 2;
+
+      if (req.query.status) {
+        sql += ` AND status = $${paramCount++}`;
+        params.push(req.query.status);
+      }
+      if (req.query.eventType) {
+        sql += ` AND event_type = $${paramCount++}`;
+        params.push(req.query.eventType);
+      }
+
+      sql += ` ORDER BY created_at DESC, id DESC LIMIT $${paramCount}`;
+      params.push(parseInt(req.query.limit) || 50);
+
+      const deliveries = await req.db.query(sql, params);
+
+      res.json({
+        subscription: publicSubscription(subscription),
+        deliveries: deliveries.rows,
+        count: deliveries.rows.length,
+      });
+    } catch (error) {
+      console.error("Get webhook deliveries error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/webhooks/deliveries/:deliveryId - One delivery with its payload
+// and every attempt
+router.get(
+  "/deliveries/:deliveryId",
+  [param("deliveryId").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const delivery = await req.db.query(
+        "SELECT * FROM webhook_deliveries WHERE id = $1 AND hospital_id = $2",
+        [req.params.deliveryId, req.hospitalId]
+      );
+      if (delivery.rows.length === 0) {
+        return res.status(404).json({ error: "Webhook delivery not found" });
+      }
+
+      const attempts = await req.db.query(
+        `
+        SELECT id, attempted_at, status_code, error, duration_ms
+        FROM webhook_delivery_attempts
+        WHERE delivery_id = $1
+        ORDER BY attempted_at, id
+      `,
+        [delivery.rows[0].id]
+      );
+
+      await recordAudit(req, {
+        action: "read",
+        entityType: "webhook_delivery",
+        entityId: delivery.rows[0].id,
+      });
+
+      res.json({ delivery: { ...delivery.rows[0], attempts: attempts.rows } });
+    } catch (error) {
+      console.error("Get webhook delivery error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/webhooks/deliveries/:deliveryId/retry - Requeue a dead-lettered
+// delivery with a fresh set of attempts
+router.post(
+  "/deliveries/:deliveryId/retry",
+  [param("deliveryId").isInt({ min: 1 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await req.db.query(
+        "SELECT * FROM webhook_deliveries WHERE id = $1 AND hospital_id = $2 FOR UPDATE",
+        [req.params.deliveryId, req.hospitalId]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Webhook delivery not found" });
+      }
+      if (existing.rows[0].status !== "dead") {
+        return res
+          .status(409)
+          .json({ error: "Only dead-lettered deliveries can be retried" });
+      }
+
+      const result = await req.db.query(
+        `
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, event_id, event_type, status, attempts, next_attempt_at`,
+        [existing.rows[0].id]
+      );
+
+      await recordAudit(req, {
+        action: "update",
+        entityType: "webhook_delivery",
+        entityId: existing.rows[0].id,
+        metadata: {
+          retried: true,
+          previousAttempts: existing.rows[0].attempts,
+        },
+      });
+
+      res.json({ message: "Delivery requeued", delivery: result.rows[0] });
+    } catch (error) {
+      console.error("Retry webhook delivery error:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
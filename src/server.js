@@ -1,7 +1,36 @@
 const app = require("./app");
+const { startWebhookDispatcher } = require("./services/webhooks");
+const { startCareAlertWorker } = require("./services/careAlerts");
+const { startRetentionJob } = require("./services/retention");
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
 });
+
+// Outbound webhook deliveries; every instance may run the dispatcher
+// (WEBHOOK_DISPATCHER=off disables it on this one)
+if (process.env.WEBHOOK_DISPATCHER !== "off") {
+  startWebhookDispatcher({
+    intervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 5000,
+  });
+}
+
+// Missed-care alerts; instances take turns through an advisory lock
+// (CARE_ALERT_WORKER=off disables it on this one)
+if (process.env.CARE_ALERT_WORKER !== "off") {
+  startCareAlertWorker({
+    intervalMs: parseInt(process.env.CARE_ALERT_INTERVAL_MS) || 60000,
+  });
+}
+
+// Purge of soft-deleted records past the hospitals' retention periods;
+// one instance at a time through an advisory lock (RETENTION_JOB=off
+// disables it on this one)
+if (process.env.RETENTION_JOB !== "off") {
+  startRetentionJob({
+    intervalMs:
+      parseInt(process.env.RETENTION_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+  });
+}
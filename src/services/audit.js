@@ -0,0 +1,65 @@
+// src/services/audit.js
+// Append-only audit trail for PHI reads and writes
+
+const pool = require("../config/database");
+
+const AUDIT_ACTIONS = ["create", "read", "update", "delete"];
+
+/**
+ * Record an audit event for the current request
+ *
+ * System Design Concepts:
+ * - Accountability: Every PHI access is tied to an actor and a hospital
+ * - Snapshots: before/after rows let compliance reconstruct any change
+ * - Fail closed: Errors propagate, so a request whose audit entry cannot
+ *   be written fails
+ * - Atomicity: only on the request's transaction (req.db), where the entry
+ *   commits or rolls back together with the change. Requests outside the
+ *   tenant middleware (login, password reset) have no req.db; their entry
+ *   is written on its own after the change it describes.
+ */
+const recordAudit = async (
+  req,
+  {
+    action,
+    entityType,
+    entityId = null,
+    patientId = null,
+    before = null,
+    after = null,
+    metadata = {},
+    hospitalId = null,
+  }
+) => {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+
+  const db = req.db || pool;
+
+  await db.query(
+    `
+    INSERT INTO audit_logs (
+      user_id, hospital_id, action, entity_type, entity_id, patient_id,
+      before_data, after_data, ip_address, user_agent,
+      request_method, request_path, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+    [
+      req.user ? req.user.id : null,
+      hospitalId || req.hospitalId || (req.user ? req.user.hospital_id : null),
+      action,
+      entityType,
+      entityId,
+      patientId,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      req.ip || null,
+      req.get("user-agent") || null,
+      req.method,
+      req.originalUrl,
+      JSON.stringify(metadata),
+    ]
+  );
+};
+
+module.exports = { AUDIT_ACTIONS, recordAudit };
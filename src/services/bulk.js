@@ -0,0 +1,282 @@
+// src/services/bulk.js
+// Bulk import parsing/validation and streaming CSV/NDJSON exports
+
+const { once } = require("events");
+const { validationResult } = require("express-validator");
+
+const IMPORT_CONTENT_TYPES = {
+  "text/csv": "csv",
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson",
+};
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+const MAX_IMPORT_ROWS = 5000;
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may contain commas, quotes ("") and
+ * line breaks. Returns an array of records (arrays of strings).
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not records
+  return records.filter(
+    (fields) => !(fields.length === 1 && fields[0].trim() === "")
+  );
+};
+
+// snake_case and camelCase headers both map onto the API's camelCase names
+const toCamelCase = (name) =>
+  name.trim().replace(/_([a-z])/g, (match, char) => char.toUpperCase());
+
+/**
+ * Turn an upload into row objects keyed by API field name
+ *
+ * CSV needs a header row; NDJSON is one JSON object per line. Columns the
+ * caller does not accept are dropped and reported back, so an export can
+ * be fed straight into an import.
+ *
+ * @returns {{ rows: object[], ignoredColumns: string[] }}
+ * @throws {Error} with a message fit for the client when the upload
+ *   cannot be parsed at all
+ */
+const parseUpload = (text, format, acceptedFields) => {
+  let rows;
+
+  if (format === "csv") {
+    const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ""));
+    if (!header) {
+      throw new Error("CSV upload needs a header row");
+    }
+    const names = header.map(toCamelCase);
+    rows = records.map((fields) =>
+      Object.fromEntries(
+        names.map((name, index) => [name, fields[index] ?? ""])
+      )
+    );
+  } else {
+    rows = text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line !== "")
+      .map(({ line, number }) => {
+        let value;
+        try {
+          value = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Line ${number} is not valid JSON`);
+        }
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+          throw new Error(`Line ${number} is not a JSON object`);
+        }
+        return Object.fromEntries(
+          Object.entries(value).map(([name, item]) => [
+            toCamelCase(name),
+            item,
+          ])
+        );
+      });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const ignoredColumns = new Set();
+  rows = rows.map((row) =>
+    Object.fromEntries(
+      Object.entries(row).filter(([name, value]) => {
+        if (!acceptedFields.includes(name)) {
+          ignoredColumns.add(name);
+          return false;
+        }
+        // Empty CSV cells mean "not given", like an absent JSON key
+        return value !== "" && value !== null;
+      })
+    )
+  );
+
+  return { rows, ignoredColumns: [...ignoredColumns] };
+};
+
+/**
+ * Validate one row with the same express-validator chains as the
+ * single-record endpoint
+ *
+ * Runs the chains against a request-like object, so sanitizers (trim etc.)
+ * apply exactly as they would for POST. Returns { values, errors } with
+ * the sanitized row.
+ */
+const validateRow = async (row, validators) => {
+  const rowReq = { body: { ...row } };
+  for (const validator of validators) {
+    await validator.run(rowReq);
+  }
+
+  const errors = validationResult(rowReq);
+  return {
+    values: rowReq.body,
+    errors: errors.isEmpty()
+      ? []
+      : errors.array().map(({ path, msg }) => ({ field: path, msg })),
+  };
+};
+
+// Spreadsheet apps execute cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvValue).join(",")}\r\n`;
+
+/**
+ * Stream a query result as CSV or NDJSON without buffering it
+ *
+ * System Design Concepts:
+ * - Server-side cursor: DECLARE ... CURSOR inside the request transaction
+ *   hands rows over in batches, so memory use is one batch regardless of
+ *   the result size (a plain query would load every row into Node)
+ * - Backpressure: the next batch is only fetched once the client has
+ *   drained the previous one
+ * - Consistent snapshot: the cursor reads one snapshot of the data even
+ *   while rows change during a long download
+ *
+ * The caller has already validated the request; columns lists the
+ * selected column names in output order. Resolves with the row count, or
+ * null when the client went away; either way the caller ends the response
+ * (which commits the request transaction and releases the connection).
+ */
+const streamExport = async (
+  db,
+  res,
+  { sql, params, columns, format, filename }
+) => {
+  await db.query(`DECLARE bulk_export NO SCROLL CURSOR FOR ${sql}`, params);
+
+  res.status(200);
+  res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+  res.setHeader("Cache-Control", "no-store");
+
+  const closed = once(res, "close").then(
+    () => null,
+    () => null
+  );
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, "drain"), closed]);
+    }
+  };
+
+  if (format === "csv") {
+    await write(csvLine(columns));
+  }
+
+  let count = 0;
+  for (;;) {
+    if (res.destroyed) {
+      await db.query("CLOSE bulk_export");
+      return null;
+    }
+
+    const batch = await db.query(
+      `FETCH ${EXPORT_BATCH_SIZE} FROM bulk_export`
+    );
+    if (batch.rows.length === 0) break;
+
+    await write(
+      batch.rows
+        .map((row) =>
+          format === "csv"
+            ? csvLine(columns.map((column) => row[column]))
+            : `${JSON.stringify(row)}\n`
+        )
+        .join("")
+    );
+    count += batch.rows.length;
+  }
+
+  await db.query("CLOSE bulk_export");
+  return count;
+};
+
+/**
+ * Give up on an export whose headers are already out
+ * Ending the response releases the request's connection; cutting the
+ * socket makes the client see a broken download instead of a complete
+ * looking, truncated file.
+ */
+const failExport = (req, res) => {
+  res.end();
+  req.socket.destroy();
+};
+
+module.exports = {
+  IMPORT_CONTENT_TYPES,
+  EXPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseUpload,
+  validateRow,
+  csvLine,
+  streamExport,
+  failExport,
+};
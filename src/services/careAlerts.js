@@ -0,0 +1,181 @@
+// src/services/careAlerts.js
+// Care rules ("task X every N minutes") and the missed-care alert worker
+
+const { withScopedTransaction } = require("./dbContext");
+
+const ALERT_STATUSES = ["open", "acknowledged", "resolved"];
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+// Only one evaluator runs at a time across all server instances
+const EVALUATION_LOCK_ID = 20020;
+
+// Care tags are stored upper case, like task type codes
+const normalizeCareTag = (tag) => String(tag).trim().toUpperCase();
+
+/**
+ * Care gaps as of $1 (the evaluation time) for the active rules of
+ * hospital $2 (NULL: every hospital)
+ *
+ * One row per rule and matched patient: admitted, in the rule's unit (if
+ * any) and carrying its care tag (if any). due_at is one interval after the
+ * latest of: the last matching task log, the admission and the rule's
+ * effective_from.
+ */
+const CARE_GAPS_SQL = `
+  SELECT r.id as rule_id,
+         r.hospital_id,
+         e.patient_id,
+         e.id as encounter_id,
+         last_log.id as last_task_log_id,
+         GREATEST(
+           last_log.completed_at::timestamptz,
+           e.admitted_at,
+           r.effective_from
+         ) + make_interval(mins => r.interval_minutes) as due_at
+  FROM care_rules r
+  JOIN encounters e
+    ON e.hospital_id = r.hospital_id
+   AND e.discharged_at IS NULL
+   AND e.admitted_at <= $1::timestamptz
+  JOIN patients p ON e.patient_id = p.id
+  LEFT JOIN LATERAL (
+    SELECT tl.id, tl.completed_at
+    FROM task_logs tl
+    WHERE tl.patient_id = e.patient_id
+      AND tl.task_type_id = r.task_type_id
+      AND tl.deleted_at IS NULL
+      AND tl.completed_at::timestamptz <= $1::timestamptz
+    ORDER BY tl.completed_at DESC, tl.id DESC
+    LIMIT 1
+  ) last_log ON true
+  WHERE r.active = true
+    AND ($2::int IS NULL OR r.hospital_id = $2::int)
+    AND (r.care_tag IS NULL OR r.care_tag = ANY(p.care_tags))
+    AND (
+      r.unit_id IS NULL OR EXISTS (
+        SELECT 1
+        FROM bed_assignments ba
+        JOIN beds b ON ba.bed_id = b.id
+        WHERE ba.encounter_id = e.id
+          AND ba.ended_at IS NULL
+          AND b.unit_id = r.unit_id
+      )
+    )
+`;
+
+/**
+ * Open and resolve alerts for every care rule
+ *
+ * System Design Concepts:
+ * - Level-triggered evaluation: each run compares the current state of
+ *   task_logs with the unresolved alerts, so a missed or failed run is
+ *   caught up by the next one and nothing depends on seeing every change
+ * - Idempotency: the partial unique index allows one unresolved alert per
+ *   rule and patient, so repeated runs never duplicate an alert
+ * - Single evaluator: a transaction-level advisory lock lets every
+ *   instance run the worker while only one evaluates at a time
+ * - Injectable clock: the evaluation time is a parameter, never NOW(), so
+ *   tests can move time forward
+ *
+ * Alerts resolve as task_logged (a newer log moved the due time past
+ * now), discharged, or no_longer_applies (rule deactivated or changed,
+ * patient moved out of the unit or lost the care tag).
+ *
+ * @param {object} [options] - clock (() => Date) and hospitalId (evaluate
+ *   one hospital only)
+ * @returns {Promise<object>} counts of opened and resolved alerts, or null
+ *   when another evaluator holds the lock
+ */
+const evaluateCareRules = async ({
+  clock = () => new Date(),
+  hospitalId = null,
+} = {}) =>
+  withScopedTransaction({ bypassRls: true }, async (db) => {
+    const lock = await db.query(
+      "SELECT pg_try_advisory_xact_lock($1) as locked",
+      [EVALUATION_LOCK_ID]
+    );
+    if (!lock.rows[0].locked) return null;
+
+    const now = clock().toISOString();
+    const params = [now, hospitalId];
+
+    const resolved = await db.query(
+      `
+      WITH gaps AS (${CARE_GAPS_SQL})
+      UPDATE care_alerts a
+      SET status = 'resolved',
+          resolved_at = $1::timestamptz,
+          resolution = CASE
+            WHEN e.discharged_at IS NOT NULL THEN 'discharged'
+            WHEN g.rule_id IS NOT NULL
+             AND g.last_task_log_id IS DISTINCT FROM a.last_task_log_id
+              THEN 'task_logged'
+            ELSE 'no_longer_applies'
+          END,
+          resolved_task_log_id = CASE
+            WHEN e.discharged_at IS NULL
+             AND g.last_task_log_id IS DISTINCT FROM a.last_task_log_id
+              THEN g.last_task_log_id
+          END
+      FROM care_alerts current_alert
+      LEFT JOIN encounters e ON current_alert.encounter_id = e.id
+      LEFT JOIN gaps g
+        ON g.rule_id = current_alert.rule_id
+       AND g.encounter_id = current_alert.encounter_id
+      WHERE a.id = current_alert.id
+        AND a.status <> 'resolved'
+        AND ($2::int IS NULL OR a.hospital_id = $2::int)
+        AND (g.rule_id IS NULL OR g.due_at > $1::timestamptz)
+      RETURNING a.id`,
+      params
+    );
+
+    const opened = await db.query(
+      `
+      INSERT INTO care_alerts (hospital_id, rule_id, patient_id, encounter_id, due_at, last_task_log_id, opened_at)
+      SELECT g.hospital_id, g.rule_id, g.patient_id, g.encounter_id, g.due_at, g.last_task_log_id, $1::timestamptz
+      FROM (${CARE_GAPS_SQL}) g
+      WHERE g.due_at <= $1::timestamptz
+      ON CONFLICT (rule_id, patient_id) WHERE status <> 'resolved' DO NOTHING
+      RETURNING id`,
+      params
+    );
+
+    return { opened: opened.rowCount, resolved: resolved.rowCount };
+  });
+
+/**
+ * Evaluate the care rules until stopped; returns the stop function
+ * Started by the server process, like the webhook dispatcher.
+ */
+const startCareAlertWorker = ({ intervalMs = 60000 } = {}) => {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      await evaluateCareRules();
+    } catch (error) {
+      console.error("Care alert worker error:", error);
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  };
+
+  timer = setTimeout(tick, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  MIN_INTERVAL_MINUTES,
+  MAX_INTERVAL_MINUTES,
+  normalizeCareTag,
+  evaluateCareRules,
+  startCareAlertWorker,
+};
@@ -0,0 +1,77 @@
+// src/services/dbContext.js
+// Transaction-scoped database clients for Row Level Security
+
+const pool = require("../config/database");
+
+/**
+ * Check out a dedicated connection, open a transaction and set the
+ * tenant context for Row Level Security on it
+ *
+ * System Design Concepts:
+ * - Connection affinity: RLS settings live on a connection, so every query
+ *   of a unit of work must run on the same client
+ * - SET LOCAL semantics: set_config(..., true) is the parameterizable form
+ *   of SET LOCAL; the value disappears at COMMIT/ROLLBACK, so a pooled
+ *   connection can never leak one hospital's context into another request
+ * - Bypass path: super admins (and background workers) operate across
+ *   hospitals via app.bypass_rls instead of a hospital id
+ */
+const beginScopedTransaction = async ({ hospitalId, bypassRls = false }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    if (bypassRls) {
+      await client.query("SELECT set_config('app.bypass_rls', 'on', true)");
+    }
+
+    if (hospitalId) {
+      await client.query(
+        "SELECT set_config('app.current_hospital_id', $1, true)",
+        [String(hospitalId)]
+      );
+    }
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  return client;
+};
+
+/**
+ * Run fn(client) inside a scoped transaction, committing on success and
+ * rolling back on error. Used outside the request cycle (jobs, workers).
+ */
+const withScopedTransaction = async (options, fn) => {
+  const client = await beginScopedTransaction(options);
+
+  try {
+    const result = await fn(client);
+    await client.query("COMMIT");
+    client.release();
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    client.release();
+    throw error;
+  }
+};
+
+/**
+ * Run one query across all hospitals (app.bypass_rls)
+ *
+ * Only for lookups that happen before a request has a hospital: resolving
+ * a session, a login email or a one-time token to its user.
+ */
+const queryAcrossHospitals = (text, params) =>
+  withScopedTransaction({ bypassRls: true }, (client) =>
+    client.query(text, params)
+  );
+
+module.exports = {
+  beginScopedTransaction,
+  withScopedTransaction,
+  queryAcrossHospitals,
+};
@@ -0,0 +1,275 @@
+// src/services/encounters.js
+// Admission, transfer and discharge (ADT) of patients into unit beds
+
+const ADMISSION_STATUSES = ["admitted", "discharged", "not_admitted"];
+
+/**
+ * SQL expression for the admission status of the patient aliased "p"
+ * - admitted: has an open encounter
+ * - discharged: every encounter is closed
+ * - not_admitted: no encounter yet (registered only, or pre-ADT data)
+ */
+const ADMISSION_STATUS_SQL = `
+  CASE
+    WHEN EXISTS (
+      SELECT 1 FROM encounters e
+      WHERE e.patient_id = p.id AND e.discharged_at IS NULL
+    ) THEN 'admitted'
+    WHEN EXISTS (
+      SELECT 1 FROM encounters e WHERE e.patient_id = p.id
+    ) THEN 'discharged'
+    ELSE 'not_admitted'
+  END
+`;
+
+// Encounter with its current bed, as returned by the API
+const ENCOUNTER_WITH_BED = `
+  SELECT e.*,
+         ba.bed_id,
+         b.label as bed_label,
+         b.unit_id,
+         un.code as unit_code,
+         un.name as unit_name
+  FROM encounters e
+  LEFT JOIN bed_assignments ba ON ba.encounter_id = e.id AND ba.ended_at IS NULL
+  LEFT JOIN beds b ON ba.bed_id = b.id
+  LEFT JOIN units un ON b.unit_id = un.id
+`;
+
+const getAdmissionStatus = async (db, patientId) => {
+  const result = await db.query(
+    `SELECT ${ADMISSION_STATUS_SQL} as status FROM patients p WHERE p.id = $1`,
+    [patientId]
+  );
+  return result.rows.length > 0 ? result.rows[0].status : null;
+};
+
+// Open encounter of a patient (locked when it is about to change), or null
+const getActiveEncounter = async (
+  db,
+  patientId,
+  { forUpdate = false } = {}
+) => {
+  const result = await db.query(
+    `${ENCOUNTER_WITH_BED} WHERE e.patient_id = $1 AND e.discharged_at IS NULL${
+      forUpdate ? " FOR UPDATE OF e" : ""
+    }`,
+    [patientId]
+  );
+  return result.rows[0] || null;
+};
+
+// When the patient's latest closed encounter ended (or null); a new
+// admission cannot start before it
+const getLastDischargedAt = async (db, patientId) => {
+  const result = await db.query(
+    "SELECT MAX(discharged_at) as discharged_at FROM encounters WHERE patient_id = $1",
+    [patientId]
+  );
+  return result.rows[0].discharged_at;
+};
+
+const getEncounter = async (db, id) => {
+  const result = await db.query(`${ENCOUNTER_WITH_BED} WHERE e.id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Lock a bed of the hospital for assignment
+ *
+ * Returns the bed with its unit and the encounter occupying it
+ * (occupied_by_encounter_id), or null if the hospital has no such bed.
+ * The row lock serializes concurrent admissions/transfers into one bed;
+ * the partial unique index on open assignments is the final guard.
+ */
+const lockBed = async (db, hospitalId, bedId) => {
+  const result = await db.query(
+    `
+    SELECT b.*,
+           un.code as unit_code,
+           un.name as unit_name,
+           un.active as unit_active,
+           (SELECT ba.encounter_id FROM bed_assignments ba
+            WHERE ba.bed_id = b.id AND ba.ended_at IS NULL) as occupied_by_encounter_id
+    FROM beds b
+    JOIN units un ON b.unit_id = un.id
+    WHERE b.id = $1 AND b.hospital_id = $2
+    FOR UPDATE OF b`,
+    [bedId, hospitalId]
+  );
+  return result.rows[0] || null;
+};
+
+// Why a locked bed cannot take the encounter, or null when it can
+const bedUnavailableReason = (bed, encounterId = null) => {
+  if (!bed.active || !bed.unit_active) {
+    return "Bed is not in service";
+  }
+  if (bed.occupied_by_encounter_id) {
+    return bed.occupied_by_encounter_id === encounterId
+      ? "Patient is already in this bed"
+      : "Bed is occupied";
+  }
+  return null;
+};
+
+// Legacy free-text room shown by clients that predate the bed model
+const roomLabel = (bed) => `${bed.unit_code} ${bed.label}`;
+
+const endBedAssignment = async (db, encounterId, at) => {
+  await db.query(
+    "UPDATE bed_assignments SET ended_at = $2 WHERE encounter_id = $1 AND ended_at IS NULL",
+    [encounterId, at]
+  );
+};
+
+/**
+ * Move an encounter into a bed (admission or transfer)
+ * Closes the current assignment at the same instant so the history has
+ * no gaps or overlaps. The bed must come from lockBed and be available.
+ */
+const assignBed = async (db, encounter, bed, { userId, reason, at }) => {
+  await endBedAssignment(db, encounter.id, at);
+
+  const assignment = await db.query(
+    `
+    INSERT INTO bed_assignments (hospital_id, encounter_id, bed_id, started_at, assigned_by, reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *`,
+    [encounter.hospital_id, encounter.id, bed.id, at, userId, reason || null]
+  );
+
+  await db.query(
+    "UPDATE patients SET room_number = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [encounter.patient_id, roomLabel(bed)]
+  );
+
+  return assignment.rows[0];
+};
+
+// Open an encounter, optionally straight into a bed
+const admitPatient = async (
+  db,
+  { patient, bed, userId, admittedAt, reason }
+) => {
+  const encounter = await db.query(
+    `
+    INSERT INTO encounters (hospital_id, patient_id, admitted_at, admitted_by, admission_reason)
+    VALUES ($1, $2, COALESCE($3::timestamptz, CURRENT_TIMESTAMP), $4, $5)
+    RETURNING *`,
+    [
+      patient.hospital_id,
+      patient.id,
+      admittedAt || null,
+      userId,
+      reason || null,
+    ]
+  );
+
+  if (bed) {
+    await assignBed(db, encounter.rows[0], bed, {
+      userId,
+      reason: "Admission",
+      at: encounter.rows[0].admitted_at,
+    });
+  }
+
+  return getEncounter(db, encounter.rows[0].id);
+};
+
+/**
+ * Close an encounter
+ * Frees the bed, clears the legacy room and cancels the patient's open
+ * scheduled tasks (they can no longer be performed). Returns the
+ * encounter and the IDs of the cancelled tasks.
+ */
+const dischargePatient = async (
+  db,
+  encounter,
+  { userId, dischargedAt, disposition, notes }
+) => {
+  const closed = await db.query(
+    `
+    UPDATE encounters
+    SET discharged_at = COALESCE($2::timestamptz, CURRENT_TIMESTAMP),
+        discharged_by = $3,
+        discharge_disposition = $4,
+        discharge_notes = $5,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *`,
+    [
+      encounter.id,
+      dischargedAt || null,
+      userId,
+      disposition || null,
+      notes || null,
+    ]
+  );
+
+  await endBedAssignment(db, encounter.id, closed.rows[0].discharged_at);
+
+  await db.query(
+    "UPDATE patients SET room_number = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [encounter.patient_id]
+  );
+
+  const cancelled = await db.query(
+    `
+    UPDATE scheduled_tasks
+    SET status = 'cancelled',
+        closed_at = CURRENT_TIMESTAMP,
+        closed_by = $2,
+        status_reason = 'Patient discharged',
+        updated_at = CURRENT_TIMESTAMP
+    WHERE patient_id = $1 AND status IN ('scheduled', 'in_progress')
+    RETURNING id`,
+    [encounter.patient_id, userId]
+  );
+
+  return {
+    encounter: await getEncounter(db, encounter.id),
+    cancelledTaskIds: cancelled.rows.map((task) => task.id),
+  };
+};
+
+// Encounters of a patient, newest first, each with its bed history
+const getPatientEncounters = async (db, patientId) => {
+  const encounters = await db.query(
+    `${ENCOUNTER_WITH_BED} WHERE e.patient_id = $1 ORDER BY e.admitted_at DESC`,
+    [patientId]
+  );
+
+  const assignments = await db.query(
+    `
+    SELECT ba.*, b.label as bed_label, b.unit_id, un.code as unit_code, un.name as unit_name
+    FROM bed_assignments ba
+    JOIN beds b ON ba.bed_id = b.id
+    JOIN units un ON b.unit_id = un.id
+    WHERE ba.encounter_id = ANY($1::int[])
+    ORDER BY ba.started_at, ba.id`,
+    [encounters.rows.map((e) => e.id)]
+  );
+
+  return encounters.rows.map((encounter) => ({
+    ...encounter,
+    bed_assignments: assignments.rows.filter(
+      (assignment) => assignment.encounter_id === encounter.id
+    ),
+  }));
+};
+
+module.exports = {
+  ADMISSION_STATUSES,
+  ADMISSION_STATUS_SQL,
+  getAdmissionStatus,
+  getActiveEncounter,
+  getLastDischargedAt,
+  getEncounter,
+  lockBed,
+  bedUnavailableReason,
+  assignBed,
+  admitPatient,
+  dischargePatient,
+  getPatientEncounters,
+};
@@ -0,0 +1,171 @@
+// src/services/events.js
+// In-process fan-out of database change notifications to live subscribers
+
+const pool = require("../config/database");
+
+const CHANNEL = "hospital_events";
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+const subscribers = new Set();
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+let reconnectDelay = RECONNECT_DELAY_MS;
+let lostConnection = false;
+
+const dispatch = (message) => {
+  if (message.channel !== CHANNEL) return;
+
+  let event;
+  try {
+    event = JSON.parse(message.payload);
+  } catch (error) {
+    console.error("Invalid event payload:", message.payload);
+    return;
+  }
+
+  for (const subscriber of subscribers) {
+    if (matchesSubscription(event, subscriber)) subscriber.onEvent(event);
+  }
+};
+
+const notifyAll = (event) => {
+  for (const subscriber of subscribers) subscriber.onEvent(event);
+};
+
+const detach = (client, drop) => {
+  client.removeListener("notification", dispatch);
+  client.removeListener("error", drop);
+  client.removeListener("end", drop);
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || subscribers.size === 0) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    startListening().catch(() => scheduleReconnect());
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+};
+
+/**
+ * Hold one pooled connection in LISTEN mode while anyone is subscribed
+ *
+ * Notifications sent while the connection is down are lost, so after a
+ * reconnect subscribers get a "stream.reconnected" event telling them to
+ * refetch.
+ */
+const startListening = async () => {
+  if (listener) return;
+  if (connecting) return connecting;
+
+  connecting = (async () => {
+    const client = await pool.connect();
+
+    const drop = (error) => {
+      if (!listener || listener.client !== client) return;
+      console.error("Event listener connection lost:", error);
+      listener = null;
+      lostConnection = true;
+      detach(client, drop);
+      client.release(error || true);
+      scheduleReconnect();
+    };
+
+    client.on("notification", dispatch);
+    client.on("error", drop);
+    client.on("end", drop);
+
+    try {
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      detach(client, drop);
+      client.release(error);
+      throw error;
+    }
+
+    listener = { client, drop };
+    reconnectDelay = RECONNECT_DELAY_MS;
+
+    if (lostConnection) {
+      lostConnection = false;
+      notifyAll({
+        type: "stream.reconnected",
+        occurred_at: new Date().toISOString(),
+      });
+    }
+  })();
+
+  try {
+    await connecting;
+  } catch (error) {
+    console.error("Event listener error:", error);
+    throw error;
+  } finally {
+    connecting = null;
+  }
+};
+
+// Give the connection back to the pool once nobody is subscribed
+const stopListening = async () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectDelay = RECONNECT_DELAY_MS;
+  lostConnection = false;
+
+  if (!listener) return;
+  const { client, drop } = listener;
+  listener = null;
+  detach(client, drop);
+
+  try {
+    await client.query(`UNLISTEN ${CHANNEL}`);
+    client.release();
+  } catch (error) {
+    client.release(error);
+  }
+};
+
+/**
+ * Whether an event is visible to a subscription
+ * Events never cross hospitals; unitId/patientId narrow the feed further.
+ */
+const matchesSubscription = (event, { hospitalId, unitId, patientId }) => {
+  if (event.hospital_id === undefined) return true; // stream-level notices
+  if (event.hospital_id !== hospitalId) return false;
+  if (patientId && event.patient_id !== patientId) return false;
+  if (unitId && !(event.unit_ids || []).includes(unitId)) return false;
+  return true;
+};
+
+/**
+ * Subscribe to change events of one hospital
+ *
+ * System Design Concepts:
+ * - Fan-out via PostgreSQL LISTEN/NOTIFY: every API instance listens on
+ *   the same channel, so a change committed through any instance reaches
+ *   subscribers connected to all of them, without extra infrastructure
+ * - One connection per process: subscribers share a single LISTEN client
+ *   instead of holding a pooled connection each
+ *
+ * @param {object} subscription - hospitalId, optional unitId/patientId and
+ *   onEvent(event) callback
+ * @returns {Promise<Function>} unsubscribe
+ */
+const subscribe = async (subscription) => {
+  await startListening();
+  subscribers.add(subscription);
+
+  return () => {
+    subscribers.delete(subscription);
+    if (subscribers.size === 0) {
+      stopListening().catch((error) =>
+        console.error("Stop event listener error:", error)
+      );
+    }
+  };
+};
+
+module.exports = { CHANNEL, matchesSubscription, subscribe };
@@ -0,0 +1,428 @@
+// src/services/fhir.js
+// FHIR R4 representations of patients, encounters, task logs and observations
+
+const { OBSERVATION_TYPES } = require("./observations");
+
+const FHIR_JSON = "application/fhir+json";
+const SYSTEM_BASE = process.env.FHIR_SYSTEM_BASE || "urn:patient-tracker";
+const LOINC = "http://loinc.org";
+const UCUM = "http://unitsofmeasure.org";
+const OBSERVATION_CATEGORY =
+  "http://terminology.hl7.org/CodeSystem/observation-category";
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+
+// Identifier systems are per hospital: MRNs are only unique within one
+const mrnSystem = (hospital) => `${SYSTEM_BASE}:hospital:${hospital.code}:mrn`;
+const taskTypeSystem = (hospital) =>
+  `${SYSTEM_BASE}:hospital:${hospital.code}:task-type`;
+const OBSERVATION_TYPE_SYSTEM = `${SYSTEM_BASE}:observation-type`;
+
+/**
+ * LOINC codes, UCUM units and categories of the observation types
+ * Types without a LOINC code are exported with the local code only.
+ */
+const FHIR_OBSERVATION_CODES = {
+  blood_pressure: {
+    loinc: "85354-9",
+    display: "Blood pressure panel with all children optional",
+    category: "vital-signs",
+    ucum: "mm[Hg]",
+    components: {
+      systolic: { loinc: "8480-6", display: "Systolic blood pressure" },
+      diastolic: { loinc: "8462-4", display: "Diastolic blood pressure" },
+    },
+  },
+  heart_rate: {
+    loinc: "8867-4",
+    display: "Heart rate",
+    category: "vital-signs",
+    ucum: "/min",
+  },
+  respiratory_rate: {
+    loinc: "9279-1",
+    display: "Respiratory rate",
+    category: "vital-signs",
+    ucum: "/min",
+  },
+  temperature: {
+    loinc: "8310-5",
+    display: "Body temperature",
+    category: "vital-signs",
+    ucum: "Cel",
+  },
+  spo2: {
+    loinc: "59408-5",
+    display: "Oxygen saturation in Arterial blood by Pulse oximetry",
+    category: "vital-signs",
+    ucum: "%",
+  },
+  pain_score: {
+    loinc: "72514-3",
+    display: "Pain severity - 0-10 verbal numeric rating [Score] - Reported",
+    category: "survey",
+    ucum: "{score}",
+  },
+  fluid_intake: { category: "exam", ucum: "mL" },
+  fluid_output: { category: "exam", ucum: "mL" },
+};
+
+const reference = (type, id) => ({ reference: `${type}/${id}` });
+
+const instant = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// Drop undefined/null/empty values so resources only carry what is known
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter((item) => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === "" ? undefined : value;
+};
+
+const toFhirPatient = (patient, hospital) =>
+  compact({
+    resourceType: "Patient",
+    id: String(patient.id),
+    meta: { lastUpdated: instant(patient.updated_at || patient.created_at) },
+    identifier: [
+      {
+        use: "usual",
+        type: {
+          coding: [
+            {
+              system: "http://terminology.hl7.org/CodeSystem/v2-0203",
+              code: "MR",
+            },
+          ],
+        },
+        system: mrnSystem(hospital),
+        value: patient.medical_record_number,
+      },
+    ],
+    active: true,
+    name: [
+      {
+        use: "official",
+        family: patient.last_name,
+        given: [patient.first_name],
+      },
+    ],
+    birthDate: patient.birth_date,
+    managingOrganization: { display: hospital.name },
+  });
+
+const bedDisplay = (assignment) =>
+  `${assignment.unit_name} (${assignment.unit_code}) bed ${assignment.bed_label}`;
+
+/**
+ * Encounter: admission to discharge, with every bed as a location
+ */
+const toFhirEncounter = (encounter) =>
+  compact({
+    resourceType: "Encounter",
+    id: String(encounter.id),
+    status: encounter.discharged_at ? "finished" : "in-progress",
+    class: {
+      system: "http://terminology.hl7.org/CodeSystem/v3-ActCode",
+      code: "IMP",
+      display: "inpatient encounter",
+    },
+    subject: reference("Patient", encounter.patient_id),
+    period: {
+      start: instant(encounter.admitted_at),
+      end: instant(encounter.discharged_at),
+    },
+    reasonCode: encounter.admission_reason
+      ? [{ text: encounter.admission_reason }]
+      : undefined,
+    hospitalization: {
+      dischargeDisposition: encounter.discharge_disposition
+        ? { text: encounter.discharge_disposition }
+        : undefined,
+    },
+    location: (encounter.bed_assignments || []).map((assignment) => ({
+      location: { display: bedDisplay(assignment) },
+      status: assignment.ended_at ? "completed" : "active",
+      period: {
+        start: instant(assignment.started_at),
+        end: instant(assignment.ended_at),
+      },
+    })),
+  });
+
+/**
+ * Procedure: a completed task log (the care activity that was performed)
+ */
+const toFhirProcedure = (taskLog, hospital) =>
+  compact({
+    resourceType: "Procedure",
+    id: String(taskLog.id),
+    meta: { lastUpdated: instant(taskLog.updated_at || taskLog.created_at) },
+    status: "completed",
+    category: taskLog.task_type_category
+      ? { text: taskLog.task_type_category }
+      : undefined,
+    code: {
+      coding: [
+        {
+          system: taskTypeSystem(hospital),
+          // The catalog code; task_type keeps the text charted before a merge
+          code: taskLog.task_type_code || taskLog.task_type,
+          display: taskLog.task_type_name,
+        },
+      ],
+      text: taskLog.description,
+    },
+    subject: reference("Patient", taskLog.patient_id),
+    encounter: taskLog.encounter_id
+      ? reference("Encounter", taskLog.encounter_id)
+      : undefined,
+    performedDateTime: instant(taskLog.completed_at),
+    performer: [
+      {
+        actor: {
+          display: `${taskLog.clinician_first_name} ${taskLog.clinician_last_name}`,
+        },
+      },
+    ],
+    note: taskLog.notes ? [{ text: taskLog.notes }] : undefined,
+  });
+
+const observationCode = (type) => {
+  const fhir = FHIR_OBSERVATION_CODES[type] || {};
+  const label = OBSERVATION_TYPES[type] ? OBSERVATION_TYPES[type].label : type;
+
+  return {
+    coding: [
+      fhir.loinc
+        ? { system: LOINC, code: fhir.loinc, display: fhir.display }
+        : undefined,
+      { system: OBSERVATION_TYPE_SYSTEM, code: type, display: label },
+    ],
+    text: label,
+  };
+};
+
+const quantity = (value, observation, fhir) => ({
+  value: Number(value),
+  unit: observation.unit,
+  system: fhir.ucum ? UCUM : undefined,
+  code: fhir.ucum,
+});
+
+/**
+ * Observation: one typed measurement, part of the task log it was taken in
+ * Multi-part values (blood pressure) become components.
+ */
+const toFhirObservation = (observation) => {
+  const fhir = FHIR_OBSERVATION_CODES[observation.observation_type] || {};
+  const multiPart = observation.value && typeof observation.value === "object";
+
+  return compact({
+    resourceType: "Observation",
+    id: String(observation.id),
+    status: "final",
+    partOf: [reference("Procedure", observation.task_log_id)],
+    category: fhir.category
+      ? [
+          {
+            coding: [{ system: OBSERVATION_CATEGORY, code: fhir.category }],
+          },
+        ]
+      : undefined,
+    code: observationCode(observation.observation_type),
+    subject: reference("Patient", observation.patient_id),
+    encounter: observation.encounter_id
+      ? reference("Encounter", observation.encounter_id)
+      : undefined,
+    effectiveDateTime: instant(observation.observed_at),
+    issued: instant(observation.created_at),
+    performer: observation.recorder_first_name
+      ? [
+          {
+            display: `${observation.recorder_first_name} ${observation.recorder_last_name}`,
+          },
+        ]
+      : undefined,
+    valueQuantity: multiPart
+      ? undefined
+      : quantity(observation.value, observation, fhir),
+    component: multiPart
+      ? Object.entries(observation.value).map(([name, value]) => {
+          const part = (fhir.components || {})[name] || {};
+          return {
+            code: {
+              coding: [
+                part.loinc
+                  ? { system: LOINC, code: part.loinc, display: part.display }
+                  : undefined,
+                {
+                  system: OBSERVATION_TYPE_SYSTEM,
+                  code: `${observation.observation_type}.${name}`,
+                },
+              ],
+              text: part.display || name,
+            },
+            valueQuantity: quantity(value, observation, fhir),
+          };
+        })
+      : undefined,
+  });
+};
+
+/**
+ * Observation types matching code tokens ("[system|]code"), by LOINC or
+ * local code
+ */
+const observationTypesForCodes = (tokens) =>
+  Object.keys(OBSERVATION_TYPES).filter((type) =>
+    tokens.some(({ system, code }) => {
+      const loinc = (FHIR_OBSERVATION_CODES[type] || {}).loinc;
+      if (system === LOINC) return loinc === code;
+      if (system === OBSERVATION_TYPE_SYSTEM) return type === code;
+      return !system && (loinc === code || type === code);
+    })
+  );
+
+const observationTypesForCategories = (categories) =>
+  Object.keys(OBSERVATION_TYPES).filter((type) =>
+    categories.includes((FHIR_OBSERVATION_CODES[type] || {}).category)
+  );
+
+// "system|code", "|code" or "code"
+const parseToken = (value) => {
+  const index = value.indexOf("|");
+  if (index === -1) return { system: null, code: value };
+  return {
+    system: value.slice(0, index) || null,
+    code: value.slice(index + 1),
+  };
+};
+
+// "Patient/123" or "123"
+const parseReference = (value, type) => {
+  const match = new RegExp(`^(?:${type}/)?(\\d+)$`).exec(value);
+  return match ? parseInt(match[1]) : null;
+};
+
+const DATE_PREFIXES = ["eq", "gt", "ge", "lt", "le"];
+const DATE_PATTERN =
+  /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+/**
+ * Parse a FHIR date search value ("ge2024-05-01", "2024-05", ...) into a
+ * comparison and the [start, end) range its precision implies
+ * Dates without a time zone are taken as UTC. Returns null when invalid.
+ */
+const parseDateParam = (raw) => {
+  const prefix = DATE_PREFIXES.find((p) => raw.startsWith(p)) || "eq";
+  const value = raw.startsWith(prefix) ? raw.slice(2) : raw;
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour] = match;
+  let start;
+  let end;
+
+  if (hour !== undefined) {
+    start = new Date(match[7] ? value : `${value}Z`);
+    end = new Date(start.getTime() + 1000);
+  } else {
+    start = new Date(
+      Date.UTC(
+        parseInt(year),
+        month ? parseInt(month) - 1 : 0,
+        day ? parseInt(day) : 1
+      )
+    );
+    end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+  }
+
+  if (Number.isNaN(start.getTime())) return null;
+  return { prefix, start, end };
+};
+
+/**
+ * searchset Bundle with self/next/previous links for _count/_offset paging
+ */
+const searchBundle = ({
+  baseUrl,
+  type,
+  query,
+  total,
+  offset,
+  count,
+  resources,
+}) => {
+  const pageUrl = (pageOffset) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key === "_offset" || key === "_count") continue;
+      for (const item of [].concat(value)) params.append(key, item);
+    }
+    params.set("_count", count);
+    if (pageOffset > 0) params.set("_offset", pageOffset);
+    return `${baseUrl}/${type}?${params}`;
+  };
+
+  const link = [{ relation: "self", url: pageUrl(offset) }];
+  if (offset + count < total) {
+    link.push({ relation: "next", url: pageUrl(offset + count) });
+  }
+  if (offset > 0) {
+    link.push({
+      relation: "previous",
+      url: pageUrl(Math.max(offset - count, 0)),
+    });
+  }
+
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    total,
+    link,
+    entry: resources.map((resource) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: "match" },
+    })),
+  };
+};
+
+const operationOutcome = (code, diagnostics, severity = "error") => ({
+  resourceType: "OperationOutcome",
+  issue: [{ severity, code, diagnostics }],
+});
+
+module.exports = {
+  FHIR_JSON,
+  LOINC,
+  UCUM,
+  DEFAULT_COUNT,
+  MAX_COUNT,
+  FHIR_OBSERVATION_CODES,
+  mrnSystem,
+  taskTypeSystem,
+  toFhirPatient,
+  toFhirEncounter,
+  toFhirProcedure,
+  toFhirObservation,
+  observationTypesForCodes,
+  observationTypesForCategories,
+  parseToken,
+  parseReference,
+  parseDateParam,
+  searchBundle,
+  operationOutcome,
+};
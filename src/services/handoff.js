@@ -0,0 +1,315 @@
+// src/services/handoff.js
+// Shift handoff summaries: what happened to each patient during a period
+
+const { ADMISSION_STATUS_SQL } = require("./encounters");
+const { escapeHtml } = require("./html");
+
+const DEFAULT_SHIFT_HOURS = 12;
+const MAX_PERIOD_HOURS = 72;
+
+// Patients in scope: placed in the unit at any time during the period, or
+// for a hospital-wide report, admitted during it or with task logs in it
+const UNIT_PATIENTS = `
+  SELECT e.patient_id
+  FROM bed_assignments ba
+  JOIN beds b ON ba.bed_id = b.id
+  JOIN encounters e ON ba.encounter_id = e.id
+  WHERE ba.hospital_id = $1
+    AND b.unit_id = $4
+    AND ba.started_at < $3::timestamptz
+    AND (ba.ended_at IS NULL OR ba.ended_at > $2::timestamptz)
+`;
+
+const HOSPITAL_PATIENTS = `
+  SELECT e.patient_id
+  FROM encounters e
+  WHERE e.hospital_id = $1
+    AND e.admitted_at < $3::timestamptz
+    AND (e.discharged_at IS NULL OR e.discharged_at > $2::timestamptz)
+  UNION
+  SELECT tl.patient_id
+  FROM task_logs tl
+  WHERE tl.hospital_id = $1
+    AND tl.deleted_at IS NULL
+    AND tl.completed_at >= $2::timestamptz
+    AND tl.completed_at < $3::timestamptz
+`;
+
+const groupByPatient = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.patient_id)) groups.set(row.patient_id, []);
+    groups.get(row.patient_id).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Build the handoff content for a period
+ *
+ * Per patient: current location, task logs completed in the period (with
+ * clinician), flagged notes, open tasks (overdue at the end of the period
+ * marked), tasks marked missed in the period and bed moves in the period.
+ *
+ * @param {object} options - hospitalId, unit (row or null), since, until
+ *   (Date), timezone (hospital timezone used when rendering)
+ */
+const buildHandoff = async (
+  db,
+  { hospitalId, unit, since, until, timezone }
+) => {
+  const params = [hospitalId, since.toISOString(), until.toISOString()];
+  if (unit) params.push(unit.id);
+
+  const patients = await db.query(
+    `
+    SELECT p.id as patient_id,
+           p.first_name as patient_first_name,
+           p.last_name as patient_last_name,
+           p.medical_record_number,
+           p.date_of_birth,
+           ${ADMISSION_STATUS_SQL} as admission_status,
+           cur.unit_code,
+           cur.unit_name,
+           cur.bed_label
+    FROM patients p
+    LEFT JOIN LATERAL (
+      SELECT un.code as unit_code, un.name as unit_name, b.label as bed_label
+      FROM encounters e
+      JOIN bed_assignments ba ON ba.encounter_id = e.id AND ba.ended_at IS NULL
+      JOIN beds b ON ba.bed_id = b.id
+      JOIN units un ON b.unit_id = un.id
+      WHERE e.patient_id = p.id AND e.discharged_at IS NULL
+    ) cur ON true
+    WHERE p.hospital_id = $1
+      AND p.deleted_at IS NULL
+      AND p.id IN (${unit ? UNIT_PATIENTS : HOSPITAL_PATIENTS})
+    ORDER BY cur.unit_name NULLS LAST, cur.bed_label, p.last_name, p.first_name
+  `,
+    params
+  );
+
+  const patientIds = patients.rows.map((p) => p.patient_id);
+  const periodParams = [patientIds, params[1], params[2]];
+
+  const taskLogs = await db.query(
+    `
+    SELECT tl.id, tl.patient_id, tl.task_type, tt.display_name as task_type_name,
+           tl.description, tl.notes, tl.flagged, tl.completed_at,
+           u.first_name as clinician_first_name,
+           u.last_name as clinician_last_name
+    FROM task_logs tl
+    JOIN users u ON tl.user_id = u.id
+    LEFT JOIN task_types tt ON tl.task_type_id = tt.id
+    WHERE tl.patient_id = ANY($1::int[])
+      AND tl.deleted_at IS NULL
+      AND tl.completed_at >= $2::timestamptz
+      AND tl.completed_at < $3::timestamptz
+    ORDER BY tl.completed_at, tl.id
+  `,
+    periodParams
+  );
+
+  const openTasks = await db.query(
+    `
+    SELECT st.id, st.patient_id, st.task_type, tt.display_name as task_type_name,
+           st.description, st.due_at, st.status,
+           st.due_at < $2::timestamptz as overdue,
+           u.first_name as assignee_first_name,
+           u.last_name as assignee_last_name
+    FROM scheduled_tasks st
+    LEFT JOIN users u ON st.assigned_to = u.id
+    LEFT JOIN task_types tt ON st.task_type_id = tt.id
+    WHERE st.patient_id = ANY($1::int[])
+      AND st.status IN ('scheduled', 'in_progress')
+    ORDER BY st.due_at, st.id
+  `,
+    [patientIds, params[2]]
+  );
+
+  const missedTasks = await db.query(
+    `
+    SELECT st.id, st.patient_id, st.task_type, tt.display_name as task_type_name,
+           st.description, st.due_at, st.closed_at, st.status_reason
+    FROM scheduled_tasks st
+    LEFT JOIN task_types tt ON st.task_type_id = tt.id
+    WHERE st.patient_id = ANY($1::int[])
+      AND st.status = 'missed'
+      AND st.closed_at >= $2::timestamptz
+      AND st.closed_at < $3::timestamptz
+    ORDER BY st.due_at, st.id
+  `,
+    periodParams
+  );
+
+  // Bed moves with the bed they came from (null for the admission bed)
+  const roomChanges = await db.query(
+    `
+    SELECT * FROM (
+      SELECT e.patient_id,
+             ba.started_at as moved_at,
+             ba.reason,
+             un.code as unit_code,
+             b.label as bed_label,
+             LAG(un.code) OVER w as from_unit_code,
+             LAG(b.label) OVER w as from_bed_label
+      FROM bed_assignments ba
+      JOIN encounters e ON ba.encounter_id = e.id
+      JOIN beds b ON ba.bed_id = b.id
+      JOIN units un ON b.unit_id = un.id
+      WHERE e.patient_id = ANY($1::int[])
+      WINDOW w AS (PARTITION BY ba.encounter_id ORDER BY ba.started_at, ba.id)
+    ) moves
+    WHERE moved_at >= $2::timestamptz AND moved_at < $3::timestamptz
+    ORDER BY moved_at
+  `,
+    periodParams
+  );
+
+  const logsByPatient = groupByPatient(taskLogs.rows);
+  const openByPatient = groupByPatient(openTasks.rows);
+  const missedByPatient = groupByPatient(missedTasks.rows);
+  const movesByPatient = groupByPatient(roomChanges.rows);
+
+  const entries = patients.rows.map((patient) => {
+    const completed = logsByPatient.get(patient.patient_id) || [];
+    return {
+      ...patient,
+      completed_tasks: completed,
+      flagged_notes: completed.filter((log) => log.flagged),
+      outstanding_tasks: openByPatient.get(patient.patient_id) || [],
+      missed_tasks: missedByPatient.get(patient.patient_id) || [],
+      room_changes: movesByPatient.get(patient.patient_id) || [],
+    };
+  });
+
+  const total = (key) =>
+    entries.reduce((sum, entry) => sum + entry[key].length, 0);
+
+  return {
+    period: { since: params[1], until: params[2] },
+    timezone,
+    unit: unit ? { id: unit.id, code: unit.code, name: unit.name } : null,
+    summary: {
+      patients: entries.length,
+      tasksCompleted: total("completed_tasks"),
+      flaggedNotes: total("flagged_notes"),
+      outstandingTasks: total("outstanding_tasks"),
+      overdueTasks: openTasks.rows.filter((task) => task.overdue).length,
+      missedTasks: total("missed_tasks"),
+      roomChanges: total("room_changes"),
+    },
+    patients: entries,
+  };
+};
+
+/**
+ * Printable HTML rendering of a stored report
+ * Styled for paper (print to PDF from the browser); every value coming
+ * from the database is escaped.
+ */
+const renderHandoffHtml = (
+  report,
+  { hospitalName, acknowledgements = [] }
+) => {
+  const { content } = report;
+  const format = new Intl.DateTimeFormat("en-GB", {
+    dateStyle: "short",
+    timeStyle: "short",
+    timeZone: content.timezone || "UTC",
+  });
+  const time = (value) =>
+    value ? escapeHtml(format.format(new Date(value))) : "";
+  const name = (first, last) =>
+    escapeHtml(`${first || ""} ${last || ""}`.trim());
+
+  const list = (items, render, empty) =>
+    items.length === 0
+      ? `<p class="empty">${empty}</p>`
+      : `<ul>${items.map((item) => `<li>${render(item)}</li>`).join("")}</ul>`;
+
+  const patientSection = (entry) => `
+    <section class="patient">
+      <h2>${name(entry.patient_first_name, entry.patient_last_name)}
+        <small>MRN ${escapeHtml(entry.medical_record_number)}
+        ${entry.bed_label ? ` &middot; ${escapeHtml(entry.unit_code)} ${escapeHtml(entry.bed_label)}` : ""}
+        &middot; ${escapeHtml(entry.admission_status.replace("_", " "))}</small>
+      </h2>
+      <h3>Flagged notes</h3>
+      ${list(
+        entry.flagged_notes,
+        (log) =>
+          `<strong>${time(log.completed_at)}</strong> ${escapeHtml(log.task_type_name || log.task_type)}: ${escapeHtml(log.notes || log.description)}`,
+        "None"
+      )}
+      <h3>Completed</h3>
+      ${list(
+        entry.completed_tasks,
+        (log) =>
+          `${time(log.completed_at)} ${escapeHtml(log.task_type_name || log.task_type)} &ndash; ${escapeHtml(log.description)} <em>(${name(log.clinician_first_name, log.clinician_last_name)})</em>`,
+        "Nothing logged"
+      )}
+      <h3>Outstanding</h3>
+      ${list(
+        entry.outstanding_tasks,
+        (task) =>
+          `${task.overdue ? '<span class="overdue">OVERDUE</span> ' : ""}due ${time(task.due_at)} ${escapeHtml(task.task_type_name || task.task_type)} &ndash; ${escapeHtml(task.description)}`,
+        "None"
+      )}
+      <h3>Missed</h3>
+      ${list(
+        entry.missed_tasks,
+        (task) =>
+          `due ${time(task.due_at)} ${escapeHtml(task.task_type_name || task.task_type)} &ndash; ${escapeHtml(task.description)}${task.status_reason ? ` (${escapeHtml(task.status_reason)})` : ""}`,
+        "None"
+      )}
+      <h3>Room changes</h3>
+      ${list(
+        entry.room_changes,
+        (move) =>
+          `${time(move.moved_at)} ${move.from_bed_label ? `${escapeHtml(move.from_unit_code)} ${escapeHtml(move.from_bed_label)} &rarr; ` : "admitted to "}${escapeHtml(move.unit_code)} ${escapeHtml(move.bed_label)}`,
+        "None"
+      )}
+    </section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Handoff report #${report.id}</title>
+<style>
+  body { font: 12px/1.4 Arial, sans-serif; margin: 2em; color: #000; }
+  h1 { font-size: 18px; margin-bottom: 0; }
+  h2 { font-size: 14px; border-bottom: 1px solid #999; margin: 1.5em 0 0.3em; }
+  h2 small { font-weight: normal; color: #444; }
+  h3 { font-size: 12px; margin: 0.6em 0 0.2em; }
+  ul { margin: 0; padding-left: 1.4em; }
+  .empty { margin: 0; color: #666; }
+  .overdue { color: #b00; font-weight: bold; }
+  .patient { page-break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Shift handoff &ndash; ${escapeHtml(hospitalName)}${content.unit ? ` &ndash; ${escapeHtml(content.unit.name)}` : ""}</h1>
+<p>${time(content.period.since)} to ${time(content.period.until)} (${escapeHtml(content.timezone)})
+&middot; ${content.summary.patients} patients &middot; ${content.summary.tasksCompleted} tasks completed
+&middot; ${content.summary.overdueTasks} overdue &middot; ${content.summary.missedTasks} missed</p>
+${content.patients.map(patientSection).join("")}
+<h2>Acknowledged by</h2>
+${list(
+  acknowledgements,
+  (ack) =>
+    `${name(ack.first_name, ack.last_name)} at ${time(ack.acknowledged_at)}${ack.note ? ` &ndash; ${escapeHtml(ack.note)}` : ""}`,
+  "Not yet acknowledged"
+)}
+</body>
+</html>`;
+};
+
+module.exports = {
+  DEFAULT_SHIFT_HOURS,
+  MAX_PERIOD_HOURS,
+  buildHandoff,
+  renderHandoffHtml,
+};
@@ -0,0 +1,412 @@
+// src/services/hl7.js
+// HL7 v2 message parsing and acknowledgements (ACK/NAK)
+
+const crypto = require("crypto");
+
+const SUPPORTED_ADT_EVENTS = ["A01", "A02", "A03", "A04", "A08"];
+const ACK_VERSION = "2.5.1";
+const RECEIVING_APPLICATION = "PATIENT_TRACKER";
+
+// HL7 table 0357 (message error condition codes) used in ERR-3
+const HL7_ERRORS = {
+  SEGMENT_SEQUENCE: { code: "100", text: "Segment sequence error" },
+  REQUIRED_FIELD: { code: "101", text: "Required field missing" },
+  DATA_TYPE: { code: "102", text: "Data type error" },
+  UNSUPPORTED_MESSAGE_TYPE: {
+    code: "200",
+    text: "Unsupported message type",
+  },
+  UNSUPPORTED_EVENT: { code: "201", text: "Unsupported event code" },
+  UNSUPPORTED_PROCESSING_ID: {
+    code: "202",
+    text: "Unsupported processing id",
+  },
+  UNKNOWN_KEY: { code: "204", text: "Unknown key identifier" },
+  DUPLICATE_KEY: { code: "205", text: "Duplicate key identifier" },
+  APPLICATION_ERROR: { code: "207", text: "Application internal error" },
+};
+
+/**
+ * Error that becomes a NAK
+ * ackCode AR (reject: the message itself is unusable, resending it
+ * unchanged will not help) or AE (error: the content could not be applied).
+ */
+const hl7Error = (ackCode, error, message, location = null) =>
+  Object.assign(new Error(message), { hl7: { ackCode, error, location } });
+
+const unescapeField = (value, delimiters) =>
+  value.replace(/\\([FSTRE]|X[0-9A-Fa-f]*|\.br)\\/g, (match, sequence) => {
+    switch (sequence) {
+      case "F":
+        return delimiters.field;
+      case "S":
+        return delimiters.component;
+      case "T":
+        return delimiters.subcomponent;
+      case "R":
+        return delimiters.repetition;
+      case "E":
+        return delimiters.escape;
+      case ".br":
+        return "\n";
+      default:
+        return Buffer.from(sequence.slice(1), "hex").toString("latin1");
+    }
+  });
+
+const escapeField = (value, delimiters) =>
+  String(value)
+    .replace(/\\/g, `${delimiters.escape}E${delimiters.escape}`)
+    .replace(/\|/g, `${delimiters.escape}F${delimiters.escape}`)
+    .replace(/\^/g, `${delimiters.escape}S${delimiters.escape}`)
+    .replace(/&/g, `${delimiters.escape}T${delimiters.escape}`)
+    .replace(/~/g, `${delimiters.escape}R${delimiters.escape}`)
+    .replace(/[\r\n]+/g, " ");
+
+/**
+ * Parse an ER7-encoded (pipe and hat) message
+ *
+ * Segments may be separated by CR (the standard), LF or CRLF; MLLP framing
+ * characters are stripped. Returns { delimiters, segments } where each
+ * segment is { name, fields } and fields are raw (still escaped) strings
+ * numbered as in the spec: get(segment, 3) is PID-3.
+ */
+const parseMessage = (text) => {
+  const lines = String(text || "")
+    .replace(/[\x0b\x1c]/g, "")
+    .split(/\r\n|\r|\n/)
+    .filter((line) => line.trim() !== "");
+
+  if (
+    lines.length === 0 ||
+    !lines[0].startsWith("MSH") ||
+    lines[0].length < 8
+  ) {
+    throw hl7Error(
+      "AR",
+      HL7_ERRORS.SEGMENT_SEQUENCE,
+      "Message must start with an MSH segment"
+    );
+  }
+
+  const field = lines[0][3];
+  const [component, repetition, escape, subcomponent] = lines[0].slice(4, 8);
+  const delimiters = { field, component, repetition, escape, subcomponent };
+
+  const segments = lines.map((line) => {
+    const fields = line.split(field);
+    const name = fields[0];
+    // MSH-1 is the field separator itself, so MSH fields are shifted by one
+    return {
+      name,
+      fields: name === "MSH" ? [name, field, ...fields.slice(1)] : fields,
+    };
+  });
+
+  return { delimiters, segments };
+};
+
+const findSegment = (message, name) =>
+  message.segments.find((segment) => segment.name === name) || null;
+
+/**
+ * Value of a field, component and subcomponent (all 1-based), unescaped
+ * Repeating fields yield their first repetition. Returns "" when absent.
+ */
+const getValue = (message, segment, fieldIndex, componentIndex = 1) => {
+  if (!segment) return "";
+  const { delimiters } = message;
+  const raw = segment.fields[fieldIndex] || "";
+  if (segment.name === "MSH" && fieldIndex <= 2) return raw;
+
+  const firstRepetition = raw.split(delimiters.repetition)[0];
+  const value = firstRepetition.split(delimiters.component)[componentIndex - 1];
+  return value ? unescapeField(value, delimiters).trim() : "";
+};
+
+// Every repetition of a field, split into unescaped components
+const getRepetitions = (message, segment, fieldIndex) => {
+  if (!segment || !segment.fields[fieldIndex]) return [];
+  const { delimiters } = message;
+  return segment.fields[fieldIndex]
+    .split(delimiters.repetition)
+    .map((repetition) =>
+      repetition
+        .split(delimiters.component)
+        .map((value) => unescapeField(value, delimiters).trim())
+    );
+};
+
+const HL7_DATE_TIME =
+  /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.(\d{1,4}))?([+-]\d{4})?$/;
+
+/**
+ * Parse an HL7 DTM/TS value: YYYY[MM[DD[HH[MM[SS[.S+]]]]]][+/-ZZZZ]
+ * Returns ISO 8601 text, with an offset only when the value has one (see
+ * resolveAdtTimes for values without). Returns null when empty, throws a
+ * data type error when malformed.
+ */
+const parseHl7DateTime = (value, location) => {
+  if (!value) return null;
+
+  const match = HL7_DATE_TIME.exec(value);
+  if (!match) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.DATA_TYPE,
+      `${location} is not a valid HL7 date/time: ${value}`,
+      location
+    );
+  }
+
+  const [, year, month = "01", day = "01", hour = "00", minute = "00"] = match;
+  const second = match[6] || "00";
+  const fraction = (match[7] || "0").padEnd(3, "0").slice(0, 3);
+  const offset = match[8]
+    ? `${match[8].slice(0, 3)}:${match[8].slice(3)}`
+    : "";
+
+  const text = `${year}-${month}-${day}T${hour}:${minute}:${second}.${fraction}${offset}`;
+  if (Number.isNaN(new Date(`${text}${offset ? "" : "Z"}`).getTime())) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.DATA_TYPE,
+      `${location} is not a valid HL7 date/time: ${value}`,
+      location
+    );
+  }
+  return text;
+};
+
+// An ADT time as an instant: as given with an offset, else read as wall
+// clock time in the hospital timezone
+const adtInstant = (param) => `
+  CASE
+    WHEN ${param}::text ~ '[+-]\\d{2}:\\d{2}$' THEN ${param}::timestamptz
+    ELSE ${param}::timestamp AT TIME ZONE h.timezone
+  END`;
+
+/**
+ * Turn the times of an ADT (see readAdt) into Dates
+ *
+ * Senders usually leave out the offset and mean their local time, so
+ * those values are placed in the hospital timezone by PostgreSQL, which
+ * also gets daylight saving transitions right.
+ */
+const resolveAdtTimes = async (db, hospitalId, adt) => {
+  const result = await db.query(
+    `
+    SELECT ${adtInstant("$2")} as admitted_at,
+           ${adtInstant("$3")} as discharged_at,
+           ${adtInstant("$4")} as event_at
+    FROM hospitals h
+    WHERE h.id = $1`,
+    [hospitalId, adt.admittedAt, adt.dischargedAt, adt.eventAt]
+  );
+
+  const times = result.rows[0];
+  return {
+    ...adt,
+    admittedAt: times.admitted_at,
+    dischargedAt: times.discharged_at,
+    eventAt: times.event_at,
+  };
+};
+
+// YYYYMMDD -> YYYY-MM-DD (dates of birth carry no time zone)
+const parseHl7Date = (value, location) => {
+  if (!value) return null;
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  const date = match && `${match[1]}-${match[2]}-${match[3]}`;
+  if (!date || Number.isNaN(Date.parse(date))) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.DATA_TYPE,
+      `${location} is not a valid HL7 date: ${value}`,
+      location
+    );
+  }
+  return date;
+};
+
+const formatHl7DateTime = (date) =>
+  date.toISOString().replace(/[-:T]/g, "").slice(0, 14) + "+0000";
+
+// MSH fields used for routing, deduplication and the ACK
+const readHeader = (message) => {
+  const msh = findSegment(message, "MSH");
+  return {
+    sendingApplication: getValue(message, msh, 3),
+    sendingFacility: getValue(message, msh, 4),
+    receivingApplication: getValue(message, msh, 5),
+    receivingFacility: getValue(message, msh, 6),
+    messageType: getValue(message, msh, 9, 1),
+    triggerEvent: getValue(message, msh, 9, 2),
+    controlId: getValue(message, msh, 10),
+    processingId: getValue(message, msh, 11),
+  };
+};
+
+/**
+ * Reject (AR) headers this system cannot process as ADT
+ */
+const checkHeader = (header) => {
+  if (!header.controlId) {
+    throw hl7Error(
+      "AR",
+      HL7_ERRORS.REQUIRED_FIELD,
+      "MSH-10 (message control ID) is required",
+      "MSH^1^10"
+    );
+  }
+  if (header.messageType !== "ADT") {
+    throw hl7Error(
+      "AR",
+      HL7_ERRORS.UNSUPPORTED_MESSAGE_TYPE,
+      `Unsupported message type: ${header.messageType || "(none)"}`,
+      "MSH^1^9^1"
+    );
+  }
+  if (!SUPPORTED_ADT_EVENTS.includes(header.triggerEvent)) {
+    throw hl7Error(
+      "AR",
+      HL7_ERRORS.UNSUPPORTED_EVENT,
+      `Unsupported ADT event: ${header.triggerEvent || "(none)"}`,
+      "MSH^1^9^2"
+    );
+  }
+  // Only production traffic changes patients; training/debug feeds are not
+  // meant for this system
+  if (header.processingId && header.processingId !== "P") {
+    throw hl7Error(
+      "AR",
+      HL7_ERRORS.UNSUPPORTED_PROCESSING_ID,
+      `Unsupported processing ID: ${header.processingId}`,
+      "MSH^1^11"
+    );
+  }
+};
+
+/**
+ * Patient, visit and event data of an ADT message
+ *
+ * - MRN: the PID-3 repetition with identifier type MR, else the first one
+ * - Location: PV1-3 point of care is the unit code, PV1-3 bed the bed label
+ * - Event time: EVN-6 (event occurred), else EVN-2 (recorded)
+ * - Times are ISO 8601 text until resolveAdtTimes turns them into Dates
+ */
+const readAdt = (message) => {
+  const pid = findSegment(message, "PID");
+  const pv1 = findSegment(message, "PV1");
+  const pv2 = findSegment(message, "PV2");
+  const evn = findSegment(message, "EVN");
+
+  if (!pid) {
+    throw hl7Error(
+      "AR",
+      HL7_ERRORS.SEGMENT_SEQUENCE,
+      "PID segment is required",
+      "PID"
+    );
+  }
+
+  const identifiers = getRepetitions(message, pid, 3);
+  const mrn = (
+    identifiers.find((identifier) => identifier[4] === "MR") ||
+    identifiers[0] ||
+    []
+  )[0];
+
+  if (!mrn) {
+    throw hl7Error(
+      "AE",
+      HL7_ERRORS.REQUIRED_FIELD,
+      "PID-3 (patient identifier list) must contain the MRN",
+      "PID^1^3"
+    );
+  }
+
+  return {
+    medicalRecordNumber: mrn,
+    lastName: getValue(message, pid, 5, 1),
+    firstName: getValue(message, pid, 5, 2),
+    dateOfBirth: parseHl7Date(getValue(message, pid, 7), "PID-7"),
+    unitCode: getValue(message, pv1, 3, 1),
+    bedLabel: getValue(message, pv1, 3, 3),
+    dischargeDisposition: getValue(message, pv1, 36),
+    admittedAt: parseHl7DateTime(getValue(message, pv1, 44), "PV1-44"),
+    dischargedAt: parseHl7DateTime(getValue(message, pv1, 45), "PV1-45"),
+    admitReason: getValue(message, pv2, 3, 2) || getValue(message, pv2, 3, 1),
+    eventAt:
+      parseHl7DateTime(getValue(message, evn, 6), "EVN-6") ||
+      parseHl7DateTime(getValue(message, evn, 2), "EVN-2"),
+  };
+};
+
+/**
+ * Build the acknowledgement for a message
+ *
+ * The ACK mirrors the sender/receiver of the original header and echoes
+ * its control ID in MSA-2, which is how the sender matches it up. NAKs
+ * (AE/AR) carry an ERR segment with the error code and location.
+ */
+const buildAck = ({ header = {}, ackCode, text, error, location }) => {
+  const delimiters = {
+    field: "|",
+    component: "^",
+    repetition: "~",
+    escape: "\\",
+    subcomponent: "&",
+  };
+  const esc = (value) => escapeField(value || "", delimiters);
+
+  const segments = [
+    [
+      "MSH",
+      "^~\\&",
+      RECEIVING_APPLICATION,
+      esc(header.receivingFacility),
+      esc(header.sendingApplication),
+      esc(header.sendingFacility),
+      formatHl7DateTime(new Date()),
+      "",
+      `ACK^${esc(header.triggerEvent)}^ACK`,
+      crypto.randomUUID().replace(/-/g, "").slice(0, 20),
+      "P",
+      ACK_VERSION,
+    ].join("|"),
+    ["MSA", ackCode, esc(header.controlId), esc(text)].join("|"),
+  ];
+
+  if (ackCode !== "AA") {
+    const condition = error || HL7_ERRORS.APPLICATION_ERROR;
+    segments.push(
+      [
+        "ERR",
+        "",
+        location || "",
+        `${condition.code}^${condition.text}^HL70357`,
+        "E",
+        "",
+        "",
+        "",
+        esc(text),
+      ].join("|")
+    );
+  }
+
+  return `${segments.join("\r")}\r`;
+};
+
+module.exports = {
+  SUPPORTED_ADT_EVENTS,
+  HL7_ERRORS,
+  hl7Error,
+  parseMessage,
+  parseHl7DateTime,
+  resolveAdtTimes,
+  readHeader,
+  checkHeader,
+  readAdt,
+  buildAck,
+};
@@ -0,0 +1,12 @@
+// src/services/html.js
+// Escaping for HTML rendered by the API (search snippets, printable reports)
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+module.exports = { escapeHtml };
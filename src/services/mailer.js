@@ -0,0 +1,65 @@
+// src/services/mailer.js
+// Outbound email through a pluggable transport
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Built-in transports
+ *
+ * - console: prints the message (development default; production has no
+ *   default, so reset links never end up in the logs by accident)
+ * - file: appends one JSON line per message to MAIL_FILE_PATH, which lets
+ *   tests and local setups read delivered messages back
+ *
+ * Production deployments register an SMTP/API transport with
+ * registerTransport() and select it with MAIL_TRANSPORT.
+ */
+const transports = {
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+  file: async (message) => {
+    const filePath = process.env.MAIL_FILE_PATH || "tmp/mail.log";
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`
+    );
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const transportName =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+
+  if (!transportName) {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@patient-tracker.local",
+    to,
+    subject,
+    text,
+  });
+};
+
+// Links in emails point at the client application
+const appUrl = (pathname) =>
+  `${process.env.APP_BASE_URL || "http://localhost:3000"}${pathname}`;
+
+module.exports = { registerTransport, sendMail, appUrl };
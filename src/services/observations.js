@@ -0,0 +1,216 @@
+// src/services/observations.js
+// Typed clinical observations (vitals, pain, fluids) recorded with task logs
+
+/**
+ * Observation type registry
+ *
+ * - unit: canonical unit every value is stored in
+ * - min/max: plausible range; values outside are rejected as entry errors
+ *   (these are not clinical alert thresholds)
+ * - components: multi-part values such as blood pressure
+ * - inputUnits: other accepted units with a conversion to the canonical one
+ */
+const OBSERVATION_TYPES = {
+  blood_pressure: {
+    label: "Blood pressure",
+    unit: "mmHg",
+    components: {
+      systolic: { min: 40, max: 300 },
+      diastolic: { min: 20, max: 200 },
+    },
+  },
+  heart_rate: { label: "Heart rate", unit: "bpm", min: 20, max: 300 },
+  respiratory_rate: {
+    label: "Respiratory rate",
+    unit: "breaths/min",
+    min: 2,
+    max: 80,
+  },
+  temperature: {
+    label: "Temperature",
+    unit: "°C",
+    min: 25,
+    max: 45,
+    decimals: 1,
+    inputUnits: {
+      C: (value) => value,
+      F: (value) => ((value - 32) * 5) / 9,
+      "°F": (value) => ((value - 32) * 5) / 9,
+    },
+  },
+  spo2: { label: "Oxygen saturation", unit: "%", min: 50, max: 100 },
+  pain_score: {
+    label: "Pain score",
+    unit: "score",
+    min: 0,
+    max: 10,
+    integer: true,
+  },
+  fluid_intake: { label: "Fluid intake", unit: "mL", min: 0, max: 10000 },
+  fluid_output: { label: "Fluid output", unit: "mL", min: 0, max: 10000 },
+};
+
+const OBSERVATION_TYPE_NAMES = Object.keys(OBSERVATION_TYPES);
+
+const MAX_OBSERVATIONS_PER_TASK_LOG = 50;
+
+const round = (value, decimals = 2) => Number(value.toFixed(decimals));
+
+const checkRange = (label, value, { min, max, integer }) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`${label} must be a number`);
+  }
+  if (integer && !Number.isInteger(value)) {
+    throw new Error(`${label} must be a whole number`);
+  }
+  if (value < min || value > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+};
+
+/**
+ * Validate one observation and convert it to its canonical form
+ * Returns { type, value, valueNumeric, unit, observedAt }.
+ */
+const normalizeObservation = (observation, index = 0) => {
+  const where = `Observation ${index + 1}`;
+
+  if (!observation || typeof observation !== "object") {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const definition = OBSERVATION_TYPES[observation.type];
+  if (!definition) {
+    throw new Error(
+      `${where}: type must be one of ${OBSERVATION_TYPE_NAMES.join(", ")}`
+    );
+  }
+
+  if (
+    observation.observedAt !== undefined &&
+    Number.isNaN(Date.parse(observation.observedAt))
+  ) {
+    throw new Error(`${where}: observedAt must be a valid datetime`);
+  }
+
+  const { unit = definition.unit } = observation;
+  let convert = (value) => value;
+  if (unit !== definition.unit) {
+    if (!definition.inputUnits || !definition.inputUnits[unit]) {
+      throw new Error(`${where}: unit must be ${definition.unit}`);
+    }
+    convert = definition.inputUnits[unit];
+  }
+
+  let value;
+  let valueNumeric = null;
+
+  if (definition.components) {
+    if (!observation.value || typeof observation.value !== "object") {
+      throw new Error(
+        `${where}: value must be an object with ${Object.keys(
+          definition.components
+        ).join(", ")}`
+      );
+    }
+
+    value = {};
+    for (const [name, range] of Object.entries(definition.components)) {
+      checkRange(`${where}: ${name}`, observation.value[name], range);
+      value[name] = observation.value[name];
+    }
+
+    if (
+      observation.type === "blood_pressure" &&
+      value.systolic <= value.diastolic
+    ) {
+      throw new Error(`${where}: systolic must be greater than diastolic`);
+    }
+  } else {
+    if (typeof observation.value !== "number") {
+      throw new Error(`${where}: value must be a number`);
+    }
+    value = round(convert(observation.value), definition.decimals);
+    checkRange(`${where}: ${definition.label}`, value, definition);
+    valueNumeric = value;
+  }
+
+  return {
+    type: observation.type,
+    value,
+    valueNumeric,
+    unit: definition.unit,
+    observedAt: observation.observedAt || null,
+  };
+};
+
+/**
+ * express-validator custom validator for an observations array
+ * Usage: body("observations").optional().custom(observationsValidator)
+ */
+const observationsValidator = (observations) => {
+  if (!Array.isArray(observations)) {
+    throw new Error("Observations must be an array");
+  }
+  if (observations.length > MAX_OBSERVATIONS_PER_TASK_LOG) {
+    throw new Error(
+      `At most ${MAX_OBSERVATIONS_PER_TASK_LOG} observations per task log`
+    );
+  }
+
+  observations.forEach(normalizeObservation);
+  return true;
+};
+
+/**
+ * Store the observations of a task log (observedAt defaults to the task
+ * log's completed_at). Returns the inserted rows.
+ */
+const insertObservations = async (db, taskLog, observations, userId) => {
+  const rows = [];
+
+  for (const [index, observation] of observations.entries()) {
+    const normalized = normalizeObservation(observation, index);
+
+    const result = await db.query(
+      `
+      INSERT INTO observations (
+        hospital_id, patient_id, task_log_id, observation_type,
+        value, value_numeric, unit, observed_at, recorded_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamp, $9::timestamp), $10)
+      RETURNING *`,
+      [
+        taskLog.hospital_id,
+        taskLog.patient_id,
+        taskLog.id,
+        normalized.type,
+        JSON.stringify(normalized.value),
+        normalized.valueNumeric,
+        normalized.unit,
+        normalized.observedAt,
+        taskLog.completed_at,
+        userId,
+      ]
+    );
+    rows.push(result.rows[0]);
+  }
+
+  return rows;
+};
+
+const getTaskLogObservations = async (db, taskLogId) => {
+  const result = await db.query(
+    "SELECT * FROM observations WHERE task_log_id = $1 ORDER BY observed_at, id",
+    [taskLogId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  OBSERVATION_TYPES,
+  OBSERVATION_TYPE_NAMES,
+  normalizeObservation,
+  observationsValidator,
+  insertObservations,
+  getTaskLogObservations,
+};
@@ -0,0 +1,196 @@
+// src/services/passwords.js
+// Password policy, password history and login lockout rules
+
+const bcrypt = require("bcryptjs");
+const {
+  withScopedTransaction,
+  queryAcrossHospitals,
+} = require("./dbContext");
+
+const SALT_ROUNDS = 10;
+
+const envFlag = (name, defaultValue) =>
+  process.env[name] === undefined
+    ? defaultValue
+    : process.env[name] === "true";
+
+// Unlike parseInt(...) || default, keeps an explicit 0
+const envInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Configurable password policy (see PASSWORD_* environment variables)
+const passwordPolicy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+  requireUppercase: envFlag("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireLowercase: envFlag("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireNumber: envFlag("PASSWORD_REQUIRE_NUMBER", true),
+  requireSymbol: envFlag("PASSWORD_REQUIRE_SYMBOL", false),
+  historyCount: envInt("PASSWORD_HISTORY_COUNT", 5), // 0: no reuse check
+};
+
+// Lockout: after maxFailedAttempts, each further failure doubles the lock
+const lockoutPolicy = {
+  maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  baseLockMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1,
+  maxLockMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60,
+};
+
+/**
+ * Check a password against the policy's length and character class rules
+ * Returns a list of human-readable violations (empty when valid).
+ */
+const checkPasswordPolicy = (password) => {
+  if (typeof password !== "string") {
+    return ["Password is required"];
+  }
+
+  const violations = [];
+
+  if (password.length < passwordPolicy.minLength) {
+    violations.push(
+      `Password must be at least ${passwordPolicy.minLength} characters`
+    );
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push("Password must contain an uppercase letter");
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push("Password must contain a lowercase letter");
+  }
+  if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+    violations.push("Password must contain a number");
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push("Password must contain a symbol");
+  }
+
+  return violations;
+};
+
+/**
+ * express-validator custom validator enforcing the password policy
+ * Usage: body("password").custom(passwordPolicyValidator)
+ */
+const passwordPolicyValidator = (password) => {
+  const violations = checkPasswordPolicy(password);
+  if (violations.length > 0) {
+    throw new Error(violations.join("; "));
+  }
+  return true;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * True when the password matches one of the user's recent passwords
+ */
+const isRecentlyUsedPassword = async (db, userId, password) => {
+  const history = await db.query(
+    `
+    SELECT password_hash FROM password_history
+    WHERE user_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `,
+    [userId, passwordPolicy.historyCount]
+  );
+
+  for (const row of history.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const recordPasswordHistory = async (db, userId, passwordHash) => {
+  await db.query(
+    "INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)",
+    [userId, passwordHash]
+  );
+};
+
+/**
+ * Lock duration (ms) after the given number of consecutive failures,
+ * or 0 when the account should not be locked yet
+ */
+const lockoutDurationMs = (failedAttempts) => {
+  if (failedAttempts < lockoutPolicy.maxFailedAttempts) {
+    return 0;
+  }
+
+  const exponent = failedAttempts - lockoutPolicy.maxFailedAttempts;
+  const minutes = Math.min(
+    lockoutPolicy.baseLockMinutes * 2 ** exponent,
+    lockoutPolicy.maxLockMinutes
+  );
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Record a failed login and lock the account when the threshold is hit
+ * Returns the new locked_until (or null).
+ *
+ * Logins happen before a request has a hospital, so the lockout helpers
+ * update the user across hospitals (app.bypass_rls).
+ */
+const registerFailedLogin = (userId) =>
+  withScopedTransaction({ bypassRls: true }, async (db) => {
+    // Increment atomically so concurrent guesses are all counted
+    const result = await db.query(
+      "UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = $1 RETURNING failed_login_attempts",
+      [userId]
+    );
+
+    const lockMs = lockoutDurationMs(result.rows[0].failed_login_attempts);
+    if (lockMs === 0) {
+      return null;
+    }
+
+    const lockedUntil = new Date(Date.now() + lockMs);
+    await db.query("UPDATE users SET locked_until = $2 WHERE id = $1", [
+      userId,
+      lockedUntil,
+    ]);
+
+    return lockedUntil;
+  });
+
+const resetFailedLogins = async (userId) => {
+  await queryAcrossHospitals(
+    "UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1",
+    [userId]
+  );
+};
+
+/**
+ * 423 response for a locked account, with Retry-After in seconds
+ */
+const sendAccountLocked = (res, lockedUntil) => {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000)
+  );
+
+  res.set("Retry-After", String(retryAfter));
+  return res.status(423).json({
+    error: "Account temporarily locked due to repeated failed logins",
+    retryAfter,
+  });
+};
+
+module.exports = {
+  passwordPolicy,
+  lockoutPolicy,
+  checkPasswordPolicy,
+  passwordPolicyValidator,
+  hashPassword,
+  isRecentlyUsedPassword,
+  recordPasswordHistory,
+  lockoutDurationMs,
+  registerFailedLogin,
+  resetFailedLogins,
+  sendAccountLocked,
+};
@@ -0,0 +1,297 @@
+// src/services/reports.js
+// Management reports over task logs: volume, workload, heatmap, intervals
+
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+/**
+ * Resolve the from/to query values into instants
+ *
+ * Date-only values are whole days in the hospital timezone ("to" includes
+ * that day); other values are ISO 8601 instants. The period defaults to
+ * the last 30 days. Returns { from, to } as Dates.
+ */
+const resolvePeriod = async (db, { from, to, timezone }) => {
+  const result = await db.query(
+    `
+    SELECT
+      CASE
+        WHEN $1::text ~ '^\\d{4}-\\d{2}-\\d{2}$'
+          THEN $1::date::timestamp AT TIME ZONE $3
+        ELSE $1::timestamptz
+      END as from,
+      CASE
+        WHEN $2::text ~ '^\\d{4}-\\d{2}-\\d{2}$'
+          THEN ($2::date + 1)::timestamp AT TIME ZONE $3
+        ELSE $2::timestamptz
+      END as to`,
+    [from || null, to || null, timezone]
+  );
+
+  const end = result.rows[0].to || new Date();
+  const start =
+    result.rows[0].from ||
+    new Date(end.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+  return { from: start, to: end };
+};
+
+/**
+ * Task logs in scope, as the CTE "logs" with local_at (completion time in
+ * the hospital timezone)
+ *
+ * Filters: period (required), unit (task logs completed while the patient
+ * lay in a bed of the unit) and taskTypes (catalog codes).
+ * Returns { cte, params, next } so reports can add their own parameters.
+ */
+const buildLogsCte = ({
+  hospitalId,
+  timezone,
+  from,
+  to,
+  unitId,
+  taskTypes,
+}) => {
+  const params = [hospitalId, timezone, from.toISOString(), to.toISOString()];
+  const next = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const conditions = [
+    "tl.hospital_id = $1",
+    "tl.deleted_at IS NULL",
+    "tl.completed_at::timestamptz >= $3::timestamptz",
+    "tl.completed_at::timestamptz < $4::timestamptz",
+  ];
+
+  if (unitId) {
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM bed_assignments ba
+      JOIN beds b ON ba.bed_id = b.id
+      WHERE ba.encounter_id = tl.encounter_id
+        AND b.unit_id = ${next(unitId)}
+        AND ba.started_at <= tl.completed_at::timestamptz
+        AND (ba.ended_at IS NULL OR ba.ended_at > tl.completed_at::timestamptz)
+    )`);
+  }
+
+  if (taskTypes && taskTypes.length > 0) {
+    conditions.push(`tt.code = ANY(${next(taskTypes)}::text[])`);
+  }
+
+  const cte = `
+    WITH logs AS (
+      SELECT tl.*,
+             COALESCE(tt.code, tl.task_type) as task_type_code,
+             COALESCE(tt.display_name, tl.task_type) as task_type_name,
+             tl.completed_at::timestamptz AT TIME ZONE $2 as local_at
+      FROM task_logs tl
+      LEFT JOIN task_types tt ON tl.task_type_id = tt.id
+      WHERE ${conditions.join(" AND ")}
+    )`;
+
+  return { cte, params, next };
+};
+
+/**
+ * The reports: CSV columns (also the JSON row keys) and the query
+ *
+ * Every query groups by the task type ID, so logs moved by a task type
+ * merge count with their new type even though they keep the text they were
+ * charted with. task_type is the catalog code and task_type_name its
+ * display name; legacy logs without a catalog entry fall back to their
+ * stored text.
+ */
+const REPORTS = {
+  // Tasks per local day and task type
+  "task-volume": {
+    columns: [
+      "day",
+      "task_type_id",
+      "task_type",
+      "task_type_name",
+      "task_count",
+      "patient_count",
+    ],
+    query: ({ cte }) => `${cte}
+      SELECT to_char(tl.local_at, 'YYYY-MM-DD') as day,
+             tl.task_type_id,
+             tl.task_type_code as task_type,
+             tl.task_type_name,
+             COUNT(*)::int as task_count,
+             COUNT(DISTINCT tl.patient_id)::int as patient_count
+      FROM logs tl
+      GROUP BY 1, tl.task_type_id, tl.task_type_code, tl.task_type_name
+      ORDER BY day, tl.task_type_code`,
+  },
+
+  // Tasks per clinician per shift; shifts of shiftHours start at shiftStart
+  // (local wall-clock time) and repeat through the day
+  "clinician-workload": {
+    columns: [
+      "shift_start",
+      "user_id",
+      "first_name",
+      "last_name",
+      "role",
+      "task_count",
+      "patient_count",
+      "flagged_count",
+    ],
+    query: ({ cte, next }, { shiftStart = "07:00", shiftHours = 12 }) => {
+      const offset = `${next(shiftStart)}::interval`;
+      const hours = `${next(shiftHours)}::int`;
+      return `${cte}
+      , shifts AS (
+        SELECT tl.*,
+               date_trunc('day', tl.local_at - ${offset}) + ${offset}
+                 + make_interval(hours => (
+                     floor(
+                       extract(epoch from (tl.local_at - ${offset})::time)
+                         / 3600 / ${hours}
+                     ) * ${hours}
+                   )::int) as shift_start
+        FROM logs tl
+      )
+      SELECT to_char(s.shift_start, 'YYYY-MM-DD"T"HH24:MI') as shift_start,
+             s.user_id,
+             u.first_name,
+             u.last_name,
+             u.role,
+             COUNT(*)::int as task_count,
+             COUNT(DISTINCT s.patient_id)::int as patient_count,
+             COUNT(*) FILTER (WHERE s.flagged)::int as flagged_count
+      FROM shifts s
+      JOIN users u ON s.user_id = u.id
+      GROUP BY s.shift_start, s.user_id, u.first_name, u.last_name, u.role
+      ORDER BY s.shift_start, u.last_name, u.first_name, s.user_id`;
+    },
+  },
+
+  // Every hour of the week (ISO: Monday = 1), including empty ones
+  heatmap: {
+    columns: ["day_of_week", "day_name", "hour", "task_count"],
+    query: ({ cte }) => `${cte}
+      SELECT d.day_of_week,
+             h.hour,
+             COUNT(tl.id)::int as task_count
+      FROM generate_series(1, 7) d(day_of_week)
+      CROSS JOIN generate_series(0, 23) h(hour)
+      LEFT JOIN logs tl
+        ON extract(isodow from tl.local_at) = d.day_of_week
+       AND extract(hour from tl.local_at) = h.hour
+      GROUP BY d.day_of_week, h.hour
+      ORDER BY d.day_of_week, h.hour`,
+    mapRow: (row) => ({ ...row, day_name: DAY_NAMES[row.day_of_week - 1] }),
+  },
+
+  // Time between consecutive logs of the same task type for the same
+  // patient; by=patient reports each patient separately
+  "repeat-intervals": {
+    columns: ({ by }) => [
+      ...(by === "patient"
+        ? [
+            "patient_id",
+            "medical_record_number",
+            "patient_first_name",
+            "patient_last_name",
+          ]
+        : []),
+      "task_type_id",
+      "task_type",
+      "task_type_name",
+      "interval_count",
+      "patient_count",
+      "median_minutes",
+      "p90_minutes",
+    ],
+    query: ({ cte }, { by }) => {
+      const perPatient = by === "patient";
+      return `${cte}
+      , intervals AS (
+        SELECT tl.patient_id,
+               tl.task_type_id,
+               tl.task_type_code,
+               tl.task_type_name,
+               extract(epoch from tl.completed_at - lag(tl.completed_at) OVER (
+                 PARTITION BY tl.patient_id, tl.task_type_id, tl.task_type_code
+                 ORDER BY tl.completed_at, tl.id
+               )) / 60 as minutes
+        FROM logs tl
+      )
+      SELECT ${
+        perPatient
+          ? `i.patient_id,
+             p.medical_record_number,
+             p.first_name as patient_first_name,
+             p.last_name as patient_last_name,`
+          : ""
+      }
+             i.task_type_id,
+             i.task_type_code as task_type,
+             i.task_type_name,
+             COUNT(*)::int as interval_count,
+             COUNT(DISTINCT i.patient_id)::int as patient_count,
+             round(percentile_cont(0.5) WITHIN GROUP (ORDER BY i.minutes)::numeric, 1)::float8
+               as median_minutes,
+             round(percentile_cont(0.9) WITHIN GROUP (ORDER BY i.minutes)::numeric, 1)::float8
+               as p90_minutes
+      FROM intervals i
+      JOIN patients p ON i.patient_id = p.id
+      WHERE i.minutes IS NOT NULL
+      GROUP BY ${
+        perPatient
+          ? "i.patient_id, p.medical_record_number, p.first_name, p.last_name,"
+          : ""
+      } i.task_type_id, i.task_type_code, i.task_type_name
+      ORDER BY ${
+        perPatient ? "p.last_name, p.first_name, i.patient_id," : ""
+      } i.task_type_code`;
+    },
+  },
+};
+
+const reportColumns = (name, options = {}) => {
+  const { columns } = REPORTS[name];
+  return typeof columns === "function" ? columns(options) : columns;
+};
+
+/**
+ * Run a report
+ *
+ * @param {object} scope - hospitalId, timezone, from, to (Dates), unitId
+ *   and taskTypes (see buildLogsCte)
+ * @param {object} [options] - report specific: shiftStart and shiftHours
+ *   (clinician-workload), by (repeat-intervals)
+ * @returns {Promise<object[]>} rows keyed by the report's columns
+ */
+const runReport = async (db, name, scope, options = {}) => {
+  const report = REPORTS[name];
+  const builder = buildLogsCte(scope);
+  const result = await db.query(
+    report.query(builder, options),
+    builder.params
+  );
+  return report.mapRow ? result.rows.map(report.mapRow) : result.rows;
+};
+
+module.exports = {
+  DEFAULT_PERIOD_DAYS,
+  MAX_PERIOD_DAYS,
+  REPORTS,
+  resolvePeriod,
+  reportColumns,
+  runReport,
+};
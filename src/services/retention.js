@@ -0,0 +1,182 @@
+// src/services/retention.js
+// Retention job: purges soft-deleted records past the hospital's retention period
+
+const { withScopedTransaction } = require("./dbContext");
+
+// Only one purge runs at a time across all server instances
+const RETENTION_LOCK_ID = 20021;
+
+/**
+ * Retention cutoff per hospital as of $1 (the run time); $2 limits the run
+ * to one hospital (NULL: every hospital with a retention period)
+ */
+const POLICIES_SQL = `
+  SELECT id as hospital_id,
+         retention_days,
+         $1::timestamptz - make_interval(days => retention_days) as cutoff
+  FROM hospitals
+  WHERE retention_days IS NOT NULL
+    AND ($2::int IS NULL OR id = $2::int)
+`;
+
+// Deleted task logs that were deleted and performed before the cutoff
+const EXPIRED_TASK_LOGS_SQL = `
+  SELECT tl.id
+  FROM task_logs tl
+  JOIN policies ON tl.hospital_id = policies.hospital_id
+  WHERE tl.deleted_at < policies.cutoff
+    AND tl.completed_at::timestamptz < policies.cutoff
+`;
+
+// Deleted patients without any care (encounter or task log, deleted or
+// not) after the cutoff
+const EXPIRED_PATIENTS_SQL = `
+  SELECT p.id
+  FROM patients p
+  JOIN policies ON p.hospital_id = policies.hospital_id
+  WHERE p.deleted_at < policies.cutoff
+    AND NOT EXISTS (
+      SELECT 1 FROM encounters e
+      WHERE e.patient_id = p.id
+        AND COALESCE(e.discharged_at, $1::timestamptz) >= policies.cutoff
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM task_logs tl
+      WHERE tl.patient_id = p.id
+        AND (tl.deleted_at IS NULL OR tl.completed_at::timestamptz >= policies.cutoff)
+    )
+`;
+
+// Audit entries for purged rows; they outlive the rows they describe
+const auditPurged = (entityType, patientIdColumn) => `
+  INSERT INTO audit_logs (hospital_id, action, entity_type, entity_id, patient_id, before_data, metadata)
+  SELECT purged.hospital_id, 'delete', '${entityType}', purged.id,
+         purged.${patientIdColumn}, to_jsonb(purged),
+         jsonb_build_object('retention', jsonb_build_object(
+           'retentionDays', policies.retention_days,
+           'cutoff', policies.cutoff
+         ))
+  FROM purged
+  JOIN policies ON purged.hospital_id = policies.hospital_id
+`;
+
+/**
+ * Permanently remove soft-deleted patients and task logs whose retention
+ * period has passed
+ *
+ * System Design Concepts:
+ * - Retention policy: a record is kept for retention_days after both its
+ *   deletion and the last care recorded for it; hospitals without a
+ *   retention period never lose data
+ * - Explicit dependents: clinical foreign keys are RESTRICT, so the job
+ *   removes observations, encounters etc. itself and a forgotten
+ *   dependent fails the purge instead of silently cascading
+ * - Accountability: every purged row is written to the audit log (with
+ *   its last contents) in the same transaction
+ * - Injectable clock, single runner via an advisory lock, as for the care
+ *   alert worker
+ *
+ * @param {object} [options] - clock (() => Date) and hospitalId (purge one
+ *   hospital only)
+ * @returns {Promise<object>} counts of purged patients and task logs, or
+ *   null when another run holds the lock
+ */
+const purgeExpiredRecords = async ({
+  clock = () => new Date(),
+  hospitalId = null,
+} = {}) =>
+  withScopedTransaction({ bypassRls: true }, async (db) => {
+    const lock = await db.query(
+      "SELECT pg_try_advisory_xact_lock($1) as locked",
+      [RETENTION_LOCK_ID]
+    );
+    if (!lock.rows[0].locked) return null;
+
+    const params = [clock().toISOString(), hospitalId];
+
+    const taskLogIds = (
+      await db.query(
+        `WITH policies AS (${POLICIES_SQL}) ${EXPIRED_TASK_LOGS_SQL}`,
+        params
+      )
+    ).rows.map((row) => row.id);
+    const patientIds = (
+      await db.query(
+        `WITH policies AS (${POLICIES_SQL}) ${EXPIRED_PATIENTS_SQL}`,
+        params
+      )
+    ).rows.map((row) => row.id);
+
+    // Task logs first: patients and encounters are still referenced by them
+    for (const sql of [
+      "DELETE FROM observations WHERE task_log_id = ANY($1::int[])",
+      "DELETE FROM task_log_versions WHERE task_log_id = ANY($1::int[])",
+    ]) {
+      await db.query(sql, [taskLogIds]);
+    }
+    await db.query(
+      `
+      WITH policies AS (${POLICIES_SQL}),
+      purged AS (
+        DELETE FROM task_logs WHERE id = ANY($3::int[]) RETURNING *
+      )
+      ${auditPurged("task_log", "patient_id")}`,
+      [...params, taskLogIds]
+    );
+
+    // Everything else recorded for the patients, dependents first
+    for (const sql of [
+      "DELETE FROM observations WHERE patient_id = ANY($1::int[])",
+      "DELETE FROM care_alerts WHERE patient_id = ANY($1::int[])",
+      "DELETE FROM scheduled_tasks WHERE patient_id = ANY($1::int[])",
+      `DELETE FROM bed_assignments WHERE encounter_id IN (
+         SELECT id FROM encounters WHERE patient_id = ANY($1::int[])
+       )`,
+      "DELETE FROM encounters WHERE patient_id = ANY($1::int[])",
+    ]) {
+      await db.query(sql, [patientIds]);
+    }
+    await db.query(
+      `
+      WITH policies AS (${POLICIES_SQL}),
+      purged AS (
+        DELETE FROM patients WHERE id = ANY($3::int[]) RETURNING *
+      )
+      ${auditPurged("patient", "id")}`,
+      [...params, patientIds]
+    );
+
+    return { patients: patientIds.length, taskLogs: taskLogIds.length };
+  });
+
+/**
+ * Run the retention job until stopped; returns the stop function
+ * Started by the server process, like the other background workers.
+ */
+const startRetentionJob = ({ intervalMs = 24 * 60 * 60 * 1000 } = {}) => {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const counts = await purgeExpiredRecords();
+      if (counts && (counts.patients || counts.taskLogs)) {
+        console.log(
+          `Retention job purged ${counts.patients} patients and ${counts.taskLogs} task logs`
+        );
+      }
+    } catch (error) {
+      console.error("Retention job error:", error);
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  };
+
+  timer = setTimeout(tick, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = { purgeExpiredRecords, startRetentionJob };
@@ -0,0 +1,176 @@
+// src/services/scheduledTasks.js
+// Scheduled task lifecycle and recurrence rules
+
+const TASK_STATUSES = [
+  "scheduled",
+  "in_progress",
+  "completed",
+  "missed",
+  "cancelled",
+];
+
+// Open tasks are still expected to be done; the others are final
+const OPEN_STATUSES = ["scheduled", "in_progress"];
+
+// Allowed status changes (completed/missed/cancelled are terminal)
+const TRANSITIONS = {
+  scheduled: ["in_progress", "completed", "missed", "cancelled"],
+  in_progress: ["completed", "missed", "cancelled"],
+  completed: [],
+  missed: [],
+  cancelled: [],
+};
+
+const canTransition = (from, to) => TRANSITIONS[from].includes(to);
+
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+/**
+ * express-validator custom validator for recurrence rules
+ *
+ * Supported rules (exactly one of everyMinutes / dailyAt):
+ * - { everyMinutes: 120 }            e.g. "turn patient every 2 hours"
+ * - { dailyAt: "08:00" }             wall-clock time in the hospital timezone
+ * - optional until: ISO 8601 datetime after which no occurrence is created
+ */
+const recurrenceValidator = (recurrence) => {
+  if (recurrence === null) {
+    return true;
+  }
+
+  if (typeof recurrence !== "object" || Array.isArray(recurrence)) {
+    throw new Error("Recurrence must be an object");
+  }
+
+  const { everyMinutes, dailyAt, until, ...rest } = recurrence;
+
+  if (Object.keys(rest).length > 0) {
+    throw new Error(`Unknown recurrence fields: ${Object.keys(rest).join(", ")}`);
+  }
+
+  if ((everyMinutes === undefined) === (dailyAt === undefined)) {
+    throw new Error("Recurrence needs exactly one of everyMinutes or dailyAt");
+  }
+
+  if (
+    everyMinutes !== undefined &&
+    (!Number.isInteger(everyMinutes) ||
+      everyMinutes < MIN_INTERVAL_MINUTES ||
+      everyMinutes > MAX_INTERVAL_MINUTES)
+  ) {
+    throw new Error(
+      `everyMinutes must be an integer between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`
+    );
+  }
+
+  if (
+    dailyAt !== undefined &&
+    !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(dailyAt))
+  ) {
+    throw new Error("dailyAt must be a time in HH:MM format");
+  }
+
+  if (until !== undefined && Number.isNaN(Date.parse(until))) {
+    throw new Error("until must be a valid datetime");
+  }
+
+  return true;
+};
+
+/**
+ * Due time of the occurrence following `task`, or null when the series ends
+ *
+ * The next occurrence is always in the future: a late completion skips the
+ * slots that have already passed instead of creating a backlog of overdue
+ * tasks. dailyAt is resolved in the hospital timezone by PostgreSQL, so
+ * daylight saving transitions keep the local wall-clock time.
+ */
+const nextDueAt = async (db, task) => {
+  const { recurrence } = task;
+  if (!recurrence) {
+    return null;
+  }
+
+  let next;
+
+  if (recurrence.everyMinutes) {
+    const result = await db.query(
+      `
+      SELECT $1::timestamptz + make_interval(mins => $2 * GREATEST(
+               1,
+               FLOOR(EXTRACT(EPOCH FROM now() - $1::timestamptz) / ($2 * 60))::int + 1
+             )) as next_due
+    `,
+      [task.due_at, recurrence.everyMinutes]
+    );
+    next = result.rows[0].next_due;
+  } else {
+    const result = await db.query(
+      `
+      SELECT CASE
+               WHEN (x.local_date + $2::time) AT TIME ZONE h.timezone > x.base
+                 THEN (x.local_date + $2::time) AT TIME ZONE h.timezone
+               ELSE (x.local_date + 1 + $2::time) AT TIME ZONE h.timezone
+             END as next_due
+      FROM hospitals h
+      CROSS JOIN LATERAL (
+        SELECT GREATEST($1::timestamptz, now()) as base,
+               (GREATEST($1::timestamptz, now()) AT TIME ZONE h.timezone)::date as local_date
+      ) x
+      WHERE h.id = $3
+    `,
+      [task.due_at, recurrence.dailyAt, task.hospital_id]
+    );
+    next = result.rows[0].next_due;
+  }
+
+  if (recurrence.until && next > new Date(recurrence.until)) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Create the next occurrence of a recurring task (same patient, assignee
+ * and details). Returns the new row, or null for one-off/ended series.
+ */
+const createNextOccurrence = async (db, task) => {
+  const dueAt = await nextDueAt(db, task);
+  if (!dueAt) {
+    return null;
+  }
+
+  const next = await db.query(
+    `
+    INSERT INTO scheduled_tasks (
+      hospital_id, patient_id, task_type, task_type_id, description, due_at,
+      recurrence, assigned_to, parent_task_id, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *`,
+    [
+      task.hospital_id,
+      task.patient_id,
+      task.task_type,
+      task.task_type_id,
+      task.description,
+      dueAt,
+      JSON.stringify(task.recurrence),
+      task.assigned_to,
+      task.parent_task_id || task.id,
+      task.created_by,
+    ]
+  );
+
+  return next.rows[0];
+};
+
+module.exports = {
+  TASK_STATUSES,
+  OPEN_STATUSES,
+  canTransition,
+  recurrenceValidator,
+  nextDueAt,
+  createNextOccurrence,
+};
@@ -0,0 +1,30 @@
+// src/services/softDelete.js
+// Shared pieces of soft delete for patients and task logs
+
+const { body, query } = require("express-validator");
+
+// ?deleted= values: leave deleted rows out (default), add them, or only them
+const DELETED_FILTERS = ["exclude", "include", "only"];
+
+const deletedFilterValidator = () =>
+  query("deleted").optional().isIn(DELETED_FILTERS);
+
+// A deletion needs a reason; it is kept with the row and in the audit log
+const deletionReasonValidator = () =>
+  body("reason")
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage("A reason for the deletion is required");
+
+// SQL condition for a ?deleted= value, or null when nothing is filtered
+const deletedCondition = (alias, deleted = "exclude") => {
+  if (deleted === "include") return null;
+  return `${alias}.deleted_at IS ${deleted === "only" ? "NOT " : ""}NULL`;
+};
+
+module.exports = {
+  DELETED_FILTERS,
+  deletedFilterValidator,
+  deletionReasonValidator,
+  deletedCondition,
+};
@@ -0,0 +1,369 @@
+// src/services/taskLogs.js
+// Task log persistence shared by the task log and scheduled task routes
+
+const {
+  insertObservations,
+  getTaskLogObservations,
+} = require("./observations");
+const { deletedCondition } = require("./softDelete");
+
+// Task log with patient and clinician names, as returned by the API
+// (amended: edited since it was charted; see GET /:id/versions)
+const TASK_LOG_WITH_NAMES = `
+  SELECT tl.*,
+         tl.version > 1 as amended,
+         p.first_name as patient_first_name,
+         p.last_name as patient_last_name,
+         p.medical_record_number,
+         u.first_name as clinician_first_name,
+         u.last_name as clinician_last_name,
+         tt.code as task_type_code,
+         tt.display_name as task_type_name,
+         tt.category as task_type_category
+  FROM task_logs tl
+  JOIN patients p ON tl.patient_id = p.id
+  JOIN users u ON tl.user_id = u.id
+  LEFT JOIN task_types tt ON tl.task_type_id = tt.id
+`;
+
+// Single task log with names and its observations
+const getTaskLog = async (db, id) => {
+  const taskLog = await db.query(`${TASK_LOG_WITH_NAMES} WHERE tl.id = $1`, [
+    id,
+  ]);
+
+  if (taskLog.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    ...taskLog.rows[0],
+    observations: await getTaskLogObservations(db, id),
+  };
+};
+
+// Charted content of a task log; every version stores all of it
+const VERSIONED_FIELDS = [
+  "task_type",
+  "description",
+  "completed_at",
+  "notes",
+  "flagged",
+  "observations",
+];
+
+/**
+ * Store the content of a task log as its current version
+ * taskLog is the task_logs row (with its new version number) plus its
+ * observations; reason is required for every version after the first.
+ */
+const recordTaskLogVersion = async (
+  db,
+  taskLog,
+  { editedBy, reason = null }
+) => {
+  const observations = taskLog.observations.map((observation) => ({
+    observation_type: observation.observation_type,
+    value: observation.value,
+    unit: observation.unit,
+    observed_at: observation.observed_at,
+  }));
+
+  await db.query(
+    `
+    INSERT INTO task_log_versions (hospital_id, task_log_id, version, task_type, task_type_id, description, completed_at, notes, flagged, observations, edited_by, amendment_reason)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [
+      taskLog.hospital_id,
+      taskLog.id,
+      taskLog.version,
+      taskLog.task_type,
+      taskLog.task_type_id,
+      taskLog.description,
+      taskLog.completed_at,
+      taskLog.notes,
+      taskLog.flagged,
+      JSON.stringify(observations),
+      editedBy,
+      reason,
+    ]
+  );
+};
+
+/**
+ * Insert a task log; hospital_id is filled in from the patient by trigger
+ * Callers verify the patient belongs to the current hospital first and
+ * pass the resolved catalog entry as taskType. Observations must already
+ * have passed observationsValidator.
+ *
+ * The log is linked to the patient's open encounter, or to their latest
+ * one for late entries after discharge.
+ */
+const createTaskLog = async (
+  db,
+  {
+    patientId,
+    userId,
+    taskType,
+    description,
+    completedAt,
+    notes,
+    flagged,
+    observations,
+  }
+) => {
+  const newTaskLog = await db.query(
+    `
+    INSERT INTO task_logs (patient_id, user_id, task_type, task_type_id, description, completed_at, notes, flagged, encounter_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (
+      SELECT id FROM encounters
+      WHERE patient_id = $1
+      ORDER BY discharged_at IS NULL DESC, admitted_at DESC
+      LIMIT 1
+    ))
+    RETURNING *`,
+    [
+      patientId,
+      userId,
+      taskType.code,
+      taskType.id,
+      description,
+      completedAt,
+      notes || null,
+      flagged === true || flagged === "true",
+    ]
+  );
+
+  const taskLog = {
+    ...newTaskLog.rows[0],
+    observations: await insertObservations(
+      db,
+      newTaskLog.rows[0],
+      observations || [],
+      userId
+    ),
+  };
+
+  await recordTaskLogVersion(db, taskLog, { editedBy: userId });
+
+  return taskLog;
+};
+
+/**
+ * Version history of a task log, oldest first
+ * Each version lists its changes against the previous one as
+ * { field, from, to }; the first version (the original entry) has none.
+ */
+const getTaskLogVersions = async (db, taskLogId) => {
+  const versions = await db.query(
+    `
+    SELECT v.*,
+           tt.display_name as task_type_name,
+           u.first_name as editor_first_name,
+           u.last_name as editor_last_name
+    FROM task_log_versions v
+    JOIN users u ON v.edited_by = u.id
+    LEFT JOIN task_types tt ON v.task_type_id = tt.id
+    WHERE v.task_log_id = $1
+    ORDER BY v.version`,
+    [taskLogId]
+  );
+
+  return versions.rows.map((version, index) => {
+    const previous = versions.rows[index - 1];
+    const changes = previous
+      ? VERSIONED_FIELDS.filter(
+          (field) =>
+            JSON.stringify(previous[field]) !== JSON.stringify(version[field])
+        ).map((field) => ({
+          field,
+          from: previous[field],
+          to: version[field],
+        }))
+      : [];
+    return { ...version, changes };
+  });
+};
+
+// Whitelisted sort fields (API name -> column); the sort column is always
+// paired with tl.id so the order is total and usable as a keyset
+const TASK_LOG_SORT_FIELDS = {
+  completedAt: "completed_at",
+  createdAt: "created_at",
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// "a,b" and repeated ?x=a&x=b both become ["a", "b"]
+const listParam = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== undefined)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Build the WHERE clause for task log queries from request filters
+ *
+ * Shared by the list endpoints and exports so every consumer filters the
+ * same way. Supported filters: patientId, userId (multi), taskType (multi,
+ * catalog codes), from/to (completed_at range; a date-only "to" includes
+ * that whole day), date (single day), flagged, search (description and
+ * notes) and deleted (exclude, the default, include or only).
+ *
+ * Returns { where, params } with placeholders starting at $1.
+ */
+const buildTaskLogFilters = (filters, hospitalId) => {
+  const conditions = ["tl.hospital_id = $1"];
+  const deleted = deletedCondition("tl", filters.deleted);
+  if (deleted) conditions.push(deleted);
+  const params = [hospitalId];
+  const next = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.patientId) {
+    conditions.push(`tl.patient_id = ${next(filters.patientId)}`);
+  }
+
+  const userIds = listParam(filters.userId);
+  if (userIds.length > 0) {
+    conditions.push(`tl.user_id = ANY(${next(userIds)}::int[])`);
+  }
+
+  const taskTypes = listParam(filters.taskType).map((code) =>
+    code.toUpperCase()
+  );
+  if (taskTypes.length > 0) {
+    conditions.push(`tt.code = ANY(${next(taskTypes)}::text[])`);
+  }
+
+  if (filters.from) {
+    conditions.push(`tl.completed_at >= ${next(filters.from)}`);
+  }
+
+  if (filters.to) {
+    conditions.push(
+      isDateOnly(filters.to)
+        ? `tl.completed_at < ${next(filters.to)}::date + 1`
+        : `tl.completed_at <= ${next(filters.to)}`
+    );
+  }
+
+  if (filters.date) {
+    conditions.push(`DATE(tl.completed_at) = ${next(filters.date)}`);
+  }
+
+  if (filters.flagged !== undefined) {
+    conditions.push(`tl.flagged = ${next(String(filters.flagged) === "true")}`);
+  }
+
+  if (filters.search) {
+    const pattern = next(`%${escapeLike(String(filters.search))}%`);
+    conditions.push(
+      `(tl.description ILIKE ${pattern} OR tl.notes ILIKE ${pattern})`
+    );
+  }
+
+  return { where: conditions.join(" AND "), params };
+};
+
+/**
+ * Opaque pagination cursors
+ *
+ * The cursor carries the sort field, direction and the last row's keyset
+ * (sort value as text, so microsecond timestamps survive the round trip).
+ */
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString());
+    if (
+      !TASK_LOG_SORT_FIELDS[cursor.sort] ||
+      !["asc", "desc"].includes(cursor.order) ||
+      typeof cursor.value !== "string" ||
+      !Number.isInteger(cursor.id)
+    ) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One page of task logs using keyset pagination on (sort column, id)
+ *
+ * System Design Concept: Keyset (cursor) pagination
+ * - WHERE (col, id) < (last col, last id) uses the index and costs the same
+ *   on page 1 and page 500, unlike OFFSET which rescans skipped rows
+ * - Rows inserted while paging never shift or duplicate later pages
+ *
+ * Returns { rows, nextCursor } (nextCursor is null on the last page).
+ */
+const queryTaskLogPage = async (
+  db,
+  { filters, hospitalId, sort = "completedAt", order = "desc", limit, cursor }
+) => {
+  const column = `tl.${TASK_LOG_SORT_FIELDS[sort]}`;
+  const pageSize = Math.min(
+    parseInt(limit) || DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE
+  );
+  const { where, params } = buildTaskLogFilters(filters, hospitalId);
+
+  // The sort value is selected as text to build the next cursor from
+  let sql = `${TASK_LOG_WITH_NAMES.replace(
+    "SELECT tl.*,",
+    `SELECT tl.*, ${column}::text as cursor_value,`
+  )} WHERE ${where}`;
+
+  if (cursor) {
+    const comparison = order === "desc" ? "<" : ">";
+    params.push(cursor.value, cursor.id);
+    sql += ` AND (${column}, tl.id) ${comparison} ($${
+      params.length - 1
+    }::timestamp, $${params.length})`;
+  }
+
+  const direction = order === "desc" ? "DESC" : "ASC";
+  params.push(pageSize + 1);
+  sql += ` ORDER BY ${column} ${direction}, tl.id ${direction} LIMIT $${params.length}`;
+
+  const result = await db.query(sql, params);
+  const rows = result.rows.slice(0, pageSize);
+  const last = rows[rows.length - 1];
+
+  const nextCursor =
+    result.rows.length > pageSize
+      ? encodeCursor({ sort, order, value: last.cursor_value, id: last.id })
+      : null;
+
+  return {
+    rows: rows.map(({ cursor_value, ...row }) => row),
+    nextCursor,
+  };
+};
+
+module.exports = {
+  TASK_LOG_WITH_NAMES,
+  TASK_LOG_SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getTaskLog,
+  createTaskLog,
+  recordTaskLogVersion,
+  getTaskLogVersions,
+  buildTaskLogFilters,
+  decodeCursor,
+  queryTaskLogPage,
+};
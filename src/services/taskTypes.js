@@ -0,0 +1,83 @@
+// src/services/taskTypes.js
+// Per-hospital task type catalog lookups and defaults
+
+// Catalog every new hospital starts with (mirrors migration 012)
+const DEFAULT_TASK_TYPES = [
+  {
+    code: "VITALS",
+    displayName: "Vital signs",
+    category: "assessment",
+    defaultDurationMinutes: 10,
+  },
+  {
+    code: "ASSESSMENT",
+    displayName: "Nursing assessment",
+    category: "assessment",
+    defaultDurationMinutes: 20,
+  },
+  {
+    code: "MEDICATION",
+    displayName: "Medication administration",
+    category: "medication",
+    defaultDurationMinutes: 10,
+  },
+  {
+    code: "REPOSITION",
+    displayName: "Reposition patient",
+    category: "mobility",
+    defaultDurationMinutes: 10,
+  },
+  {
+    code: "HYGIENE",
+    displayName: "Personal hygiene",
+    category: "care",
+    defaultDurationMinutes: 20,
+  },
+  {
+    code: "WOUND_CARE",
+    displayName: "Wound care",
+    category: "care",
+    defaultDurationMinutes: 20,
+  },
+];
+
+// Codes are stored upper case: "vitals" and "VITALS" are the same type
+const normalizeTaskTypeCode = (code) => String(code).trim().toUpperCase();
+
+const seedDefaultTaskTypes = async (db, hospitalId) => {
+  for (const taskType of DEFAULT_TASK_TYPES) {
+    await db.query(
+      `
+      INSERT INTO task_types (hospital_id, code, display_name, category, default_duration_minutes)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (hospital_id, code) DO NOTHING`,
+      [
+        hospitalId,
+        taskType.code,
+        taskType.displayName,
+        taskType.category,
+        taskType.defaultDurationMinutes,
+      ]
+    );
+  }
+};
+
+/**
+ * Active catalog entry for a code in the hospital, or null
+ * Task logs and scheduled tasks may only use active catalog types.
+ */
+const findActiveTaskType = async (db, hospitalId, code) => {
+  const taskType = await db.query(
+    "SELECT * FROM task_types WHERE hospital_id = $1 AND code = $2 AND active = true",
+    [hospitalId, normalizeTaskTypeCode(code)]
+  );
+
+  return taskType.rows[0] || null;
+};
+
+module.exports = {
+  DEFAULT_TASK_TYPES,
+  normalizeTaskTypeCode,
+  seedDefaultTaskTypes,
+  findActiveTaskType,
+};
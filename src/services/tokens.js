@@ -0,0 +1,262 @@
+// src/services/tokens.js
+// Access/refresh token issuance, rotation and revocation
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../config/database");
+const { beginScopedTransaction } = require("./dbContext");
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || "15m";
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+const MFA_PENDING_TOKEN_EXPIRE = process.env.MFA_PENDING_TOKEN_EXPIRE || "5m";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Generate a random one-time token (invitations, password resets, ...)
+ * Only tokenHash should ever be persisted.
+ */
+const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId, type: "access" },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+
+const issueRefreshToken = async (client, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+  await client.query(
+    "INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)",
+    [sessionId, hashToken(refreshToken), refreshExpiry()]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Verify an access token and return its claims
+ *
+ * Throws for expired/invalid signatures and for tokens that are not
+ * plain access tokens (e.g., "mfa_pending" tokens from the first login
+ * step, or tokens from an older login format).
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== "access" || !decoded.sid) {
+    throw new Error("Not an access token");
+  }
+
+  return decoded;
+};
+
+/**
+ * Short-lived token proving the password step of a two-step login
+ *
+ * It is not bound to a session and cannot call normal routes; it can
+ * only be exchanged at /api/auth/mfa for a session. With enroll: true it
+ * also allows a user of an MFA-required hospital to enroll first.
+ */
+const signMfaPendingToken = (user, { enroll = false } = {}) =>
+  jwt.sign(
+    { userId: user.id, type: "mfa_pending", enroll },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_PENDING_TOKEN_EXPIRE }
+  );
+
+const verifyMfaPendingToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== "mfa_pending") {
+    throw new Error("Not an MFA pending token");
+  }
+
+  return decoded;
+};
+
+/**
+ * Start a new server-side session and issue its first token pair
+ *
+ * System Design Concepts:
+ * - Short-lived access tokens: Limit the blast radius of a leaked JWT
+ * - Server-side sessions: Every access token is bound to a revocable row
+ * - Atomicity: the session and its refresh token are created together,
+ *   so a failure never leaves a session without a token
+ */
+const createSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const client = await pool.connect();
+  let refreshToken;
+
+  try {
+    await client.query("BEGIN");
+
+    await client.query(
+      "INSERT INTO auth_sessions (id, user_id, ip_address, user_agent, expires_at) VALUES ($1, $2, $3, $4, $5)",
+      [sessionId, user.id, req.ip || null, req.get("user-agent") || null, refreshExpiry()]
+    );
+
+    refreshToken = await issueRefreshToken(client, sessionId);
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * System Design Concept: Refresh token rotation with reuse detection
+ * - Each refresh token can be used exactly once
+ * - Presenting an already-used token means it was stolen (or replayed),
+ *   so the whole session is revoked
+ * - Deactivated users cannot refresh, even if a session of theirs was
+ *   missed when they were deactivated
+ *
+ * Returns { tokens } on success or { error } describing the rejection.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  // The token is resolved to its user before any hospital is known
+  const client = await beginScopedTransaction({ bypassRls: true });
+
+  try {
+    const result = await client.query(
+      `
+      SELECT rt.id, rt.used_at, rt.expires_at, rt.session_id,
+             s.revoked_at, s.expires_at as session_expires_at,
+             u.id as user_id, u.role
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE rt.token_hash = $1 AND u.active = true
+      FOR UPDATE OF rt, s
+    `,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { error: "Invalid refresh token" };
+    }
+
+    const row = result.rows[0];
+
+    if (row.revoked_at) {
+      await client.query("ROLLBACK");
+      return { error: "Session has been revoked" };
+    }
+
+    if (row.used_at) {
+      await client.query(
+        "UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'token_reuse' WHERE id = $1",
+        [row.session_id]
+      );
+      await client.query("COMMIT");
+      return { error: "Refresh token reuse detected; session revoked" };
+    }
+
+    if (row.expires_at < new Date() || row.session_expires_at < new Date()) {
+      await client.query("ROLLBACK");
+      return { error: "Refresh token expired" };
+    }
+
+    await client.query(
+      "UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [row.id]
+    );
+    await client.query(
+      "UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP, expires_at = $2 WHERE id = $1",
+      [row.session_id, refreshExpiry()]
+    );
+
+    const newRefreshToken = await issueRefreshToken(client, row.session_id);
+
+    await client.query("COMMIT");
+
+    return {
+      tokens: {
+        token: signAccessToken({ id: row.user_id, role: row.role }, row.session_id),
+        refreshToken: newRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRE,
+      },
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const revokeSession = async (sessionId, reason) => {
+  await pool.query(
+    "UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL",
+    [sessionId, reason]
+  );
+};
+
+/**
+ * Revoke every active session for a user (lost badge, offboarding, etc.)
+ * Returns the number of sessions revoked.
+ */
+const revokeAllSessions = async (userId, reason, db = pool) => {
+  const result = await db.query(
+    "UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId, reason]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Revoke every active session of every user in a hospital
+ * (used when a tenant is deactivated). Returns the number revoked.
+ *
+ * Runs on the caller's transaction so the revocation commits or rolls
+ * back together with the hospital change.
+ */
+const revokeHospitalSessions = async (db, hospitalId, reason) => {
+  const result = await db.query(
+    `
+    UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE revoked_at IS NULL
+      AND user_id IN (SELECT id FROM users WHERE hospital_id = $1)`,
+    [hospitalId, reason]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  hashToken,
+  generateOneTimeToken,
+  verifyAccessToken,
+  signMfaPendingToken,
+  verifyMfaPendingToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeHospitalSessions,
+};
@@ -0,0 +1,370 @@
+// src/services/webhooks.js
+// Outbound webhooks: transactional outbox, signing and the dispatcher
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { withScopedTransaction } = require("./dbContext");
+const { decryptSecret } = require("./totp");
+
+const WEBHOOK_EVENT_TYPES = [
+  "task_log.created",
+  "task_log.updated",
+  "task_log.deleted",
+  "task_log.restored",
+  "patient.created",
+  "patient.updated",
+  "patient.deleted",
+  "patient.restored",
+  "patient.admitted",
+  "patient.transferred",
+  "patient.discharged",
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is not handed out again for this long, so a worker
+// that dies mid-request does not lose it
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *
+ * The HMAC covers "<t>.<raw body>" so a receiver can reject replays by
+ * checking t against its own clock before comparing signatures.
+ */
+const signPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Addresses a receiver may not resolve to in production: private, loopback,
+// link-local (including the 169.254.169.254 metadata service) and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 ranges
+const isBlockedAddress = (address) =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/**
+ * Why a webhook URL may not be called, or null when it may
+ *
+ * System Design Concept: SSRF protection
+ * - In production every address the host resolves to must be public, so
+ *   a subscription cannot reach internal services or cloud metadata
+ * - Checked when subscribing and again before every delivery, because a
+ *   DNS name can be repointed after it was accepted
+ * - Outside production local receivers are allowed (development, tests)
+ */
+const checkWebhookUrl = async (url) => {
+  if (process.env.NODE_ENV !== "production") {
+    return null;
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `Cannot resolve ${hostname}`;
+  }
+
+  return addresses.some(({ address }) => isBlockedAddress(address))
+    ? "URL must not point to a private, loopback or link-local address"
+    : null;
+};
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at 6 hours
+const retryDelayMs = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue an event for every active subscription of the hospital that wants it
+ *
+ * System Design Concept: Transactional outbox
+ * - Call with the request's client (req.db): the delivery rows commit or
+ *   roll back together with the change, so receivers never hear about
+ *   work that did not happen and never miss work that did
+ * - Delivery is asynchronous; the request does not wait on receivers
+ *
+ * @param {object} [options] - subscriptionId to target one subscription
+ *   regardless of its event types (test pings)
+ * @returns {Promise<number>} number of deliveries queued
+ */
+const enqueueWebhookEvent = async (
+  db,
+  hospitalId,
+  type,
+  data,
+  { subscriptionId = null } = {}
+) => {
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    type,
+    occurred_at: new Date().toISOString(),
+    hospital_id: hospitalId,
+    data,
+  };
+
+  const result = await db.query(
+    `
+    INSERT INTO webhook_deliveries (hospital_id, subscription_id, event_id, event_type, payload)
+    SELECT ws.hospital_id, ws.id, $2, $3::text, $4
+    FROM webhook_subscriptions ws
+    WHERE ws.hospital_id = $1
+      AND ws.active = true
+      AND ${subscriptionId ? "ws.id = $5" : "$3::text = ANY(ws.event_types)"}`,
+    [
+      hospitalId,
+      eventId,
+      type,
+      JSON.stringify(payload),
+      ...(subscriptionId ? [subscriptionId] : []),
+    ]
+  );
+
+  return result.rowCount;
+};
+
+// Hand out due deliveries, leasing them so parallel workers skip them
+const claimDueDeliveries = (db, now, limit) =>
+  db.query(
+    `
+    UPDATE webhook_deliveries d
+    SET next_attempt_at = $1::timestamptz + make_interval(secs => $3)
+    FROM webhook_subscriptions ws
+    WHERE d.subscription_id = ws.id
+      AND d.id IN (
+        SELECT due.id
+        FROM webhook_deliveries due
+        JOIN webhook_subscriptions dws ON due.subscription_id = dws.id
+        WHERE due.status = 'pending'
+          AND due.next_attempt_at <= $1::timestamptz
+          AND dws.active = true
+        ORDER BY due.next_attempt_at, due.id
+        LIMIT $2
+        FOR UPDATE OF due SKIP LOCKED
+      )
+    RETURNING d.*, ws.url, ws.secret_encrypted`,
+    [now.toISOString(), limit, CLAIM_LEASE_MS / 1000]
+  );
+
+/**
+ * POST one delivery; resolves with the outcome and never throws
+ * Redirects are not followed: any non-2xx answer counts as a failure.
+ */
+const sendDelivery = async (delivery, { fetchImpl, now }) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const blocked = await checkWebhookUrl(delivery.url);
+    if (blocked) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: blocked,
+        durationMs: Date.now() - startedAt,
+      };
+    }
+
+    const response = await fetchImpl(delivery.url, {
+      method: "POST",
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "patient-tracker-webhooks/1.0",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Delivery": String(delivery.id),
+        "X-Webhook-Signature": signPayload(
+          decryptSecret(delivery.secret_encrypted),
+          body,
+          timestamp
+        ),
+      },
+      body,
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      statusCode: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: error.name === "TimeoutError" ? "Timed out" : error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+};
+
+// Log the attempt and move the delivery to delivered, retry or dead
+const recordAttempt = async (db, delivery, outcome, now) => {
+  const attempts = delivery.attempts + 1;
+  let status = "pending";
+  let nextAttemptAt = new Date(now.getTime() + retryDelayMs(attempts));
+
+  if (outcome.ok) {
+    status = "delivered";
+    nextAttemptAt = now;
+  } else if (attempts >= MAX_ATTEMPTS) {
+    status = "dead";
+  }
+
+  await db.query(
+    `
+    INSERT INTO webhook_delivery_attempts (hospital_id, delivery_id, attempted_at, status_code, error, duration_ms)
+    VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      delivery.hospital_id,
+      delivery.id,
+      now,
+      outcome.statusCode,
+      outcome.error,
+      outcome.durationMs,
+    ]
+  );
+
+  await db.query(
+    `
+    UPDATE webhook_deliveries
+    SET status = $2::text,
+        attempts = $3,
+        next_attempt_at = $4,
+        last_attempt_at = $5,
+        last_status_code = $6,
+        last_error = $7,
+        delivered_at = CASE WHEN $2::text = 'delivered' THEN $5::timestamptz END
+    WHERE id = $1`,
+    [
+      delivery.id,
+      status,
+      attempts,
+      nextAttemptAt,
+      now,
+      outcome.statusCode,
+      outcome.error,
+    ]
+  );
+
+  return status;
+};
+
+/**
+ * Send every delivery that is due, across all hospitals
+ *
+ * System Design Concepts:
+ * - At-least-once delivery: a delivery is only marked delivered after a
+ *   2xx; receivers deduplicate on X-Webhook-Id
+ * - Exponential backoff and dead-lettering: a failing receiver is retried
+ *   less and less often and finally parked instead of retried forever
+ * - Horizontal workers: FOR UPDATE SKIP LOCKED plus a lease let several
+ *   dispatcher processes share the outbox without double sends
+ *
+ * @param {object} [options] - fetchImpl and clock (() => Date) are
+ *   injectable for tests; limit caps the batch size
+ * @returns {Promise<object>} counts of delivered, retrying and dead
+ */
+const dispatchDueDeliveries = async ({
+  fetchImpl = fetch,
+  clock = () => new Date(),
+  limit = BATCH_SIZE,
+} = {}) => {
+  const claimed = await withScopedTransaction({ bypassRls: true }, (db) =>
+    claimDueDeliveries(db, clock(), limit)
+  );
+
+  const counts = { delivered: 0, retrying: 0, dead: 0 };
+
+  for (const delivery of claimed.rows) {
+    const outcome = await sendDelivery(delivery, { fetchImpl, now: clock() });
+    const status = await withScopedTransaction({ bypassRls: true }, (db) =>
+      recordAttempt(db, delivery, outcome, clock())
+    );
+    counts[status === "pending" ? "retrying" : status]++;
+  }
+
+  return counts;
+};
+
+/**
+ * Poll the outbox until stopped; returns the stop function
+ * Started by the server process (not by the Express app, so tests and
+ * scripts that import the app do not start background work).
+ */
+const startWebhookDispatcher = ({ intervalMs = 5000 } = {}) => {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const counts = await dispatchDueDeliveries();
+      // Keep draining without waiting while full batches come back
+      const busy =
+        counts.delivered + counts.retrying + counts.dead >= BATCH_SIZE;
+      if (!stopped) timer = setTimeout(tick, busy ? 0 : intervalMs);
+    } catch (error) {
+      console.error("Webhook dispatcher error:", error);
+      if (!stopped) timer = setTimeout(tick, intervalMs);
+    }
+  };
+
+  timer = setTimeout(tick, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  retryDelayMs,
+  checkWebhookUrl,
+  enqueueWebhookEvent,
+  dispatchDueDeliveries,
+  startWebhookDispatcher,
+};
@@ -0,0 +1,182 @@
+// tests/integration/care-alerts.test.js
+// Care rule evaluation and the alert lifecycle, driven by an injected clock
+
+const {
+  pool,
+  describeWithDb,
+  uniqueSuffix,
+  createHospital,
+  createUser,
+  as,
+} = require("./helpers");
+const { seedDefaultTaskTypes } = require("../../src/services/taskTypes");
+const { evaluateCareRules } = require("../../src/services/careAlerts");
+
+const MINUTE_MS = 60 * 1000;
+
+describeWithDb("Care rules and missed-care alerts", () => {
+  let hospitalId;
+  let adminToken;
+  let nurseToken;
+  let bedBoundId;
+  let ambulantId;
+  let rule;
+
+  // Times are given in minutes after the rule took effect
+  const at = (minutes) =>
+    new Date(new Date(rule.effective_from).getTime() + minutes * MINUTE_MS);
+
+  // Evaluate this hospital's rules at that time
+  const evaluateAt = (minutes) =>
+    evaluateCareRules({ hospitalId, clock: () => at(minutes) });
+
+  const alertsFor = async (patientId, status = "open,acknowledged") => {
+    const res = await as(
+      nurseToken,
+      "get",
+      `/api/alerts?patientId=${patientId}&status=${status}`
+    ).expect(200);
+    return res.body.alerts;
+  };
+
+  const admit = async (patient) => {
+    const created = await as(adminToken, "post", "/api/patients")
+      .send(patient)
+      .expect(201);
+    await as(
+      adminToken,
+      "post",
+      `/api/patients/${created.body.patient.id}/admit`
+    )
+      .send({ admittedAt: new Date(Date.now() - 60 * MINUTE_MS).toISOString() })
+      .expect(201);
+    return created.body.patient;
+  };
+
+  beforeAll(async () => {
+    const suffix = uniqueSuffix("C");
+    hospitalId = await createHospital(
+      `Care Hospital ${suffix}`,
+      `TEST_${suffix}`
+    );
+    await seedDefaultTaskTypes(pool, hospitalId);
+
+    ({ token: adminToken } = await createUser(hospitalId, "admin", {
+      firstName: "Care",
+    }));
+    ({ token: nurseToken } = await createUser(hospitalId, "nurse", {
+      firstName: "Care",
+    }));
+
+    const bedBound = await admit({
+      firstName: "Bea",
+      lastName: "Bound",
+      medicalRecordNumber: `MRN-${suffix}-1`,
+      careTags: ["bed_bound"],
+    });
+    expect(bedBound.care_tags).toEqual(["BED_BOUND"]);
+    bedBoundId = bedBound.id;
+
+    ambulantId = (
+      await admit({
+        firstName: "Al",
+        lastName: "Walker",
+        medicalRecordNumber: `MRN-${suffix}-2`,
+      })
+    ).id;
+
+    const created = await as(adminToken, "post", "/api/care-rules")
+      .send({
+        name: "Reposition bed-bound patients",
+        taskType: "reposition",
+        intervalMinutes: 120,
+        careTag: "bed_bound",
+      })
+      .expect(201);
+    rule = created.body.careRule;
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  test("an alert opens once the interval passes without the task", async () => {
+    expect(rule).toMatchObject({
+      task_type: "REPOSITION",
+      care_tag: "BED_BOUND",
+    });
+
+    expect(await evaluateAt(119)).toEqual({ opened: 0, resolved: 0 });
+    expect(await alertsFor(bedBoundId)).toHaveLength(0);
+
+    expect(await evaluateAt(121)).toEqual({ opened: 1, resolved: 0 });
+    const [alert] = await alertsFor(bedBoundId);
+    expect(alert).toMatchObject({
+      rule_id: rule.id,
+      status: "open",
+      task_type: "REPOSITION",
+    });
+    expect(new Date(alert.due_at)).toEqual(at(120));
+
+    // Patients without the care tag are not covered by the rule
+    expect(await alertsFor(ambulantId)).toHaveLength(0);
+
+    // Re-evaluating does not duplicate the alert
+    expect(await evaluateAt(130)).toEqual({ opened: 0, resolved: 0 });
+    expect(await alertsFor(bedBoundId)).toHaveLength(1);
+  });
+
+  test("an acknowledged alert resolves when the task is logged", async () => {
+    const [alert] = await alertsFor(bedBoundId);
+
+    const acked = await as(nurseToken, "post", `/api/alerts/${alert.id}/ack`)
+      .send({ note: "On my way" })
+      .expect(200);
+    expect(acked.body.alert).toMatchObject({
+      status: "acknowledged",
+      acknowledgement_note: "On my way",
+    });
+    await as(nurseToken, "post", `/api/alerts/${alert.id}/ack`).expect(409);
+
+    // Acknowledged alerts stay unresolved until the task is done
+    expect(await evaluateAt(135)).toEqual({ opened: 0, resolved: 0 });
+
+    const taskLog = await as(nurseToken, "post", "/api/task-logs")
+      .send({
+        patientId: bedBoundId,
+        taskType: "REPOSITION",
+        description: "Turned to left side",
+        completedAt: at(140).toISOString(),
+      })
+      .expect(201);
+
+    // A log after the evaluation time does not count yet
+    expect(await evaluateAt(139)).toEqual({ opened: 0, resolved: 0 });
+
+    expect(await evaluateAt(141)).toEqual({ opened: 0, resolved: 1 });
+    const [resolved] = await alertsFor(bedBoundId, "resolved");
+    expect(resolved).toMatchObject({
+      id: alert.id,
+      resolution: "task_logged",
+      resolved_task_log_id: taskLog.body.taskLog.id,
+    });
+    expect(await alertsFor(bedBoundId)).toHaveLength(0);
+  });
+
+  test("the next gap opens a new alert, which ends when the rule stops applying", async () => {
+    // Due 120 minutes after the task logged at minute 140
+    expect(await evaluateAt(259)).toEqual({ opened: 0, resolved: 0 });
+    expect(await evaluateAt(261)).toEqual({ opened: 1, resolved: 0 });
+
+    await as(adminToken, "put", `/api/patients/${bedBoundId}`)
+      .send({ careTags: [] })
+      .expect(200);
+
+    expect(await evaluateAt(262)).toEqual({ opened: 0, resolved: 1 });
+    const resolved = await alertsFor(bedBoundId, "resolved");
+    expect(resolved.map((a) => a.resolution).sort()).toEqual([
+      "no_longer_applies",
+      "task_logged",
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/integration/fhir.test.js
+// FHIR Procedure search by task type code
+
+const {
+  pool,
+  describeWithDb,
+  uniqueSuffix,
+  createHospital,
+  createUser,
+  as,
+} = require("./helpers");
+const { seedDefaultTaskTypes } = require("../../src/services/taskTypes");
+
+describeWithDb("FHIR Procedure search", () => {
+  let adminToken;
+  let nurseToken;
+  let patientId;
+
+  const searchByCode = async (code) => {
+    const res = await as(
+      adminToken,
+      "get",
+      `/fhir/Procedure?patient=${patientId}&code=${code}`
+    ).expect(200);
+    return res.body.entry || [];
+  };
+
+  beforeAll(async () => {
+    const suffix = uniqueSuffix("F");
+    const hospitalId = await createHospital(
+      `FHIR Hospital ${suffix}`,
+      `TEST_${suffix}`
+    );
+    await seedDefaultTaskTypes(pool, hospitalId);
+
+    ({ token: adminToken } = await createUser(hospitalId, "admin"));
+    ({ token: nurseToken } = await createUser(hospitalId, "nurse"));
+
+    const patient = await as(adminToken, "post", "/api/patients")
+      .send({
+        firstName: "Fay",
+        lastName: "Hir",
+        medicalRecordNumber: `MRN-${suffix}`,
+      })
+      .expect(201);
+    patientId = patient.body.patient.id;
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  test("a merged task log is found by its new code", async () => {
+    const duplicate = await as(adminToken, "post", "/api/task-types")
+      .send({ code: "VITAL_SIGNS", displayName: "Vitals (duplicate)" })
+      .expect(201);
+    const taskTypes = await as(adminToken, "get", "/api/task-types").expect(
+      200
+    );
+    const vitals = taskTypes.body.taskTypes.find((t) => t.code === "VITALS");
+
+    const log = await as(nurseToken, "post", "/api/task-logs")
+      .send({
+        patientId,
+        taskType: "vital_signs",
+        description: "Charted under the duplicate type",
+        completedAt: new Date().toISOString(),
+      })
+      .expect(201);
+
+    await as(
+      adminToken,
+      "post",
+      `/api/task-types/${duplicate.body.taskType.id}/merge`
+    )
+      .send({ intoId: vitals.id })
+      .expect(200);
+
+    const entries = await searchByCode("VITALS");
+    expect(entries.map((e) => e.resource.id)).toEqual([
+      String(log.body.taskLog.id),
+    ]);
+    expect(entries[0].resource.code.coding[0].code).toBe("VITALS");
+
+    expect(await searchByCode("VITAL_SIGNS")).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+// tests/integration/hl7.test.js
+// ADT times without an offset are wall-clock times of the hospital
+
+const {
+  pool,
+  describeWithDb,
+  uniqueSuffix,
+  createHospital,
+  createUser,
+  as,
+} = require("./helpers");
+
+// PV1 with the given fields set, e.g. { 44: "20260115080000" }
+const pv1 = (fields = {}) => {
+  const values = Array(45).fill("");
+  values[0] = "1";
+  values[1] = "I";
+  for (const [index, value] of Object.entries(fields)) {
+    values[index - 1] = value;
+  }
+  return `PV1|${values.join("|")}`;
+};
+
+const adtMessage = (event, { controlId, mrn, evn, visit }) =>
+  [
+    `MSH|^~\\&|REG|TEST|PT|TEST|20260115080000||ADT^${event}^ADT_${event}|${controlId}|P|2.5.1`,
+    `EVN|${event}|${evn}`,
+    `PID|1||${mrn}^^^TEST^MR||Doe^Jane||19700102|F`,
+    visit,
+  ].join("\r");
+
+describeWithDb("HL7 ADT times", () => {
+  let hospitalId;
+  let token;
+  let suffix;
+  let messages = 0;
+
+  const send = async (event, { mrn, evn = "", visit = pv1() }) => {
+    const res = await as(token, "post", "/api/hl7/adt")
+      .set("Content-Type", "x-application/hl7-v2+er7")
+      .send(
+        adtMessage(event, {
+          controlId: `${suffix}-${++messages}`,
+          mrn,
+          evn,
+          visit,
+        })
+      )
+      .expect(200);
+    expect(res.text).toContain("MSA|AA|");
+  };
+
+  const encounterOf = async (mrn) => {
+    const result = await pool.query(
+      `
+      SELECT e.admitted_at, e.discharged_at
+      FROM encounters e
+      JOIN patients p ON e.patient_id = p.id
+      WHERE p.medical_record_number = $1 AND p.hospital_id = $2`,
+      [mrn, hospitalId]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    suffix = uniqueSuffix("H");
+    hospitalId = await createHospital(`HL7 Hospital ${suffix}`, `TEST_${suffix}`);
+    await pool.query(
+      "UPDATE hospitals SET timezone = 'America/New_York' WHERE id = $1",
+      [hospitalId]
+    );
+    ({ token } = await createUser(hospitalId, "admin"));
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  test("PV1-44 and PV1-45 without an offset are read in the hospital timezone", async () => {
+    const mrn = `MRN-${suffix}-1`;
+
+    // 08:00 in New York in January (EST, UTC-5)
+    await send("A01", { mrn, visit: pv1({ 44: "20260115080000" }) });
+    // 18:30 in New York in July (EDT, UTC-4)
+    await send("A03", { mrn, visit: pv1({ 45: "20260715183000" }) });
+
+    expect(await encounterOf(mrn)).toEqual({
+      admitted_at: new Date("2026-01-15T13:00:00Z"),
+      discharged_at: new Date("2026-07-15T22:30:00Z"),
+    });
+  });
+
+  test("EVN times fall back to the hospital timezone too", async () => {
+    const mrn = `MRN-${suffix}-2`;
+
+    await send("A01", { mrn, evn: "20260301091500" });
+
+    expect((await encounterOf(mrn)).admitted_at).toEqual(
+      new Date("2026-03-01T14:15:00Z")
+    );
+  });
+
+  test("an explicit offset is taken as given", async () => {
+    const mrn = `MRN-${suffix}-3`;
+
+    await send("A01", { mrn, visit: pv1({ 44: "20260115080000+0100" }) });
+
+    expect((await encounterOf(mrn)).admitted_at).toEqual(
+      new Date("2026-01-15T07:00:00Z")
+    );
+  });
+});
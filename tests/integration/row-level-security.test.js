@@ -0,0 +1,143 @@
+// tests/integration/row-level-security.test.js
+// Runs the API as a dedicated non-owner role, the way it is deployed, so the
+// hospital isolation policies (and not only the route filters) are in force
+
+const crypto = require("crypto");
+const request = require("supertest");
+const {
+  pool,
+  describeWithDb,
+  uniqueSuffix,
+  createHospital,
+} = require("./helpers");
+const { hashPassword } = require("../../src/services/passwords");
+
+const PASSWORD = "Correct-Horse-42";
+
+describeWithDb("Row Level Security for a non-owner role", () => {
+  const role = `rls_test_${crypto.randomBytes(4).toString("hex")}`;
+  const rolePassword = crypto.randomBytes(12).toString("hex");
+  let app;
+  let rolePool;
+  let a;
+  let b;
+
+  const createTenant = async (suffix) => {
+    const hospitalId = await createHospital(
+      `RLS Hospital ${suffix}`,
+      `TEST_${suffix}`
+    );
+    const email = `admin-${suffix.toLowerCase()}@example.com`;
+    await pool.query(
+      `INSERT INTO users (email, password_hash, first_name, last_name, role, hospital_id)
+       VALUES ($1, $2, 'Rls', 'Admin', 'admin', $3)`,
+      [email, await hashPassword(PASSWORD), hospitalId]
+    );
+    const patient = await pool.query(
+      `INSERT INTO patients (first_name, last_name, medical_record_number, hospital_id)
+       VALUES ('Pat', $1, $2, $3) RETURNING id`,
+      [suffix, `MRN-${suffix}`, hospitalId]
+    );
+    return { hospitalId, email, patientId: patient.rows[0].id };
+  };
+
+  beforeAll(async () => {
+    await pool.query(
+      `CREATE ROLE ${role} LOGIN PASSWORD '${rolePassword}' NOSUPERUSER NOBYPASSRLS`
+    );
+    await pool.query(`GRANT USAGE ON SCHEMA public TO ${role}`);
+    await pool.query(
+      `GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO ${role}`
+    );
+    await pool.query(
+      `GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO ${role}`
+    );
+
+    a = await createTenant(uniqueSuffix("RA"));
+    b = await createTenant(uniqueSuffix("RB"));
+
+    // A second copy of the app whose pool connects as the role
+    const env = { user: process.env.DB_USER, password: process.env.DB_PASSWORD };
+    process.env.DB_USER = role;
+    process.env.DB_PASSWORD = rolePassword;
+    jest.isolateModules(() => {
+      app = require("../../src/app");
+      rolePool = require("../../src/config/database");
+    });
+    process.env.DB_USER = env.user;
+    process.env.DB_PASSWORD = env.password;
+  });
+
+  afterAll(async () => {
+    await rolePool.end();
+    await pool.query(`DROP OWNED BY ${role}`);
+    await pool.query(`DROP ROLE ${role}`);
+    await pool.end();
+  });
+
+  const login = async (tenant) => {
+    const res = await request(app)
+      .post("/api/auth/login")
+      .send({ email: tenant.email, password: PASSWORD })
+      .expect(200);
+    return res.body;
+  };
+
+  test("a connection without hospital context sees no rows", async () => {
+    const patients = await rolePool.query(
+      "SELECT id FROM patients WHERE id = ANY($1)",
+      [[a.patientId, b.patientId]]
+    );
+    expect(patients.rows).toHaveLength(0);
+  });
+
+  test("login, refresh and token authentication resolve the user", async () => {
+    const session = await login(a);
+
+    const refreshed = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: session.refreshToken })
+      .expect(200);
+
+    await request(app)
+      .get("/api/patients")
+      .set("Authorization", `Bearer ${refreshed.body.token}`)
+      .expect(200);
+    await request(app)
+      .post("/api/auth/logout")
+      .set("Authorization", `Bearer ${refreshed.body.token}`)
+      .expect(200);
+  });
+
+  test("requests only see their own hospital's rows", async () => {
+    const { token } = await login(a);
+    const asA = (url) =>
+      request(app).get(url).set("Authorization", `Bearer ${token}`);
+
+    const list = await asA("/api/patients?limit=100").expect(200);
+    const ids = list.body.patients.map((p) => p.id);
+    expect(ids).toContain(a.patientId);
+    expect(ids).not.toContain(b.patientId);
+
+    await asA(`/api/patients/${b.patientId}`).expect(404);
+  });
+
+  test("the hospital context only exposes that hospital", async () => {
+    const client = await rolePool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        "SELECT set_config('app.current_hospital_id', $1, true)",
+        [String(a.hospitalId)]
+      );
+      const patients = await client.query(
+        "SELECT id FROM patients WHERE id = ANY($1)",
+        [[a.patientId, b.patientId]]
+      );
+      expect(patients.rows.map((p) => p.id)).toEqual([a.patientId]);
+    } finally {
+      await client.query("ROLLBACK");
+      client.release();
+    }
+  });
+});
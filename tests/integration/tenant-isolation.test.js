@@ -0,0 +1,181 @@
+// tests/integration/tenant-isolation.test.js
+// Proves that no hospital can read or change another hospital's data
+
+const {
+  pool,
+  describeWithDb,
+  uniqueSuffix,
+  createHospital,
+  createUser,
+  as,
+} = require("./helpers");
+
+const createTenant = async (suffix) => {
+  const hospitalId = await createHospital(
+    `Test Hospital ${suffix}`,
+    `TEST_${suffix}`
+  );
+  const user = await createUser(hospitalId, "admin", { lastName: "Admin" });
+
+  const patient = await pool.query(
+    `INSERT INTO patients (first_name, last_name, medical_record_number, hospital_id)
+     VALUES ('Pat', $1, 'MRN-SHARED', $2) RETURNING id`,
+    [suffix, hospitalId]
+  );
+
+  const taskLog = await pool.query(
+    `INSERT INTO task_logs (patient_id, user_id, task_type, description, completed_at)
+     VALUES ($1, $2, 'vitals', 'Vitals check', NOW()) RETURNING id`,
+    [patient.rows[0].id, user.id]
+  );
+
+  return {
+    hospitalId,
+    token: user.token,
+    patientId: patient.rows[0].id,
+    taskLogId: taskLog.rows[0].id,
+  };
+};
+
+describeWithDb("Hospital data isolation", () => {
+  let a;
+  let b;
+
+  const asA = (method, url) => as(a.token, method, url);
+
+  beforeAll(async () => {
+    a = await createTenant(uniqueSuffix("A"));
+    b = await createTenant(uniqueSuffix("B"));
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  describe("patients", () => {
+    test("list only contains the caller's hospital", async () => {
+      const res = await asA("get", "/api/patients?limit=100").expect(200);
+
+      const ids = res.body.patients.map((p) => p.id);
+      expect(ids).toContain(a.patientId);
+      expect(ids).not.toContain(b.patientId);
+      res.body.patients.forEach((p) => expect(p.hospital_id).toBe(a.hospitalId));
+    });
+
+    test("search does not match other hospitals", async () => {
+      const res = await asA("get", "/api/patients?search=MRN-SHARED").expect(200);
+
+      expect(res.body.patients.map((p) => p.id)).not.toContain(b.patientId);
+    });
+
+    test("GET by id of another hospital's patient is 404", async () => {
+      await asA("get", `/api/patients/${b.patientId}`).expect(404);
+    });
+
+    test("PUT on another hospital's patient is 404 and changes nothing", async () => {
+      await asA("put", `/api/patients/${b.patientId}`)
+        .send({ roomNumber: "HIJACKED" })
+        .expect(404);
+
+      const row = await pool.query(
+        "SELECT room_number FROM patients WHERE id = $1",
+        [b.patientId]
+      );
+      expect(row.rows[0].room_number).toBeNull();
+    });
+
+    test("DELETE on another hospital's patient is 404 and deletes nothing", async () => {
+      await asA("delete", `/api/patients/${b.patientId}`)
+        .send({ reason: "Duplicate record" })
+        .expect(404);
+
+      const row = await pool.query(
+        "SELECT deleted_at FROM patients WHERE id = $1",
+        [b.patientId]
+      );
+      expect(row.rows).toEqual([{ deleted_at: null }]);
+    });
+  });
+
+  describe("request database context", () => {
+    test("hospital context does not leak onto pooled connections", async () => {
+      await Promise.all([
+        asA("get", "/api/patients"),
+        asA("get", "/api/task-logs"),
+      ]);
+
+      const settings = await Promise.all(
+        [1, 2, 3].map(() =>
+          pool.query(
+            "SELECT current_setting('app.current_hospital_id', true) as hospital_id"
+          )
+        )
+      );
+      settings.forEach((result) =>
+        expect(result.rows[0].hospital_id || null).toBeNull()
+      );
+    });
+  });
+
+  describe("task logs", () => {
+    test("list only contains the caller's hospital", async () => {
+      const res = await asA("get", "/api/task-logs?limit=500").expect(200);
+
+      const ids = res.body.taskLogs.map((tl) => tl.id);
+      expect(ids).toContain(a.taskLogId);
+      expect(ids).not.toContain(b.taskLogId);
+    });
+
+    test("filtering by another hospital's patient returns nothing", async () => {
+      const res = await asA(
+        "get",
+        `/api/task-logs?patientId=${b.patientId}`
+      ).expect(200);
+
+      expect(res.body.taskLogs).toHaveLength(0);
+    });
+
+    test("GET by id of another hospital's task log is 404", async () => {
+      await asA("get", `/api/task-logs/${b.taskLogId}`).expect(404);
+    });
+
+    test("PUT on another hospital's task log is 404", async () => {
+      await asA("put", `/api/task-logs/${b.taskLogId}`)
+        .send({ notes: "tampered", amendmentReason: "Correction" })
+        .expect(404);
+    });
+
+    test("DELETE on another hospital's task log is 404", async () => {
+      await asA("delete", `/api/task-logs/${b.taskLogId}`)
+        .send({ reason: "Wrong patient" })
+        .expect(404);
+
+      const row = await pool.query(
+        "SELECT deleted_at FROM task_logs WHERE id = $1",
+        [b.taskLogId]
+      );
+      expect(row.rows).toEqual([{ deleted_at: null }]);
+    });
+
+    test("patient timeline of another hospital's patient is 404", async () => {
+      await asA("get", `/api/task-logs/patient/${b.patientId}`).expect(404);
+    });
+
+    test("cannot log a task against another hospital's patient", async () => {
+      await asA("post", "/api/task-logs")
+        .send({
+          patientId: b.patientId,
+          taskType: "vitals",
+          description: "Should be rejected",
+          completedAt: new Date().toISOString(),
+        })
+        .expect(400);
+
+      const rows = await pool.query(
+        "SELECT id FROM task_logs WHERE patient_id = $1",
+        [b.patientId]
+      );
+      expect(rows.rows).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+// tests/integration/webhooks.test.js
+// Outbox, signing, backoff and dead-lettering against a local HTTP receiver
+
+const crypto = require("crypto");
+const http = require("http");
+const {
+  pool,
+  describeWithDb,
+  uniqueSuffix,
+  createHospital,
+  createUser,
+  as,
+} = require("./helpers");
+const { seedDefaultTaskTypes } = require("../../src/services/taskTypes");
+const {
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  dispatchDueDeliveries,
+} = require("../../src/services/webhooks");
+
+// Receiver that records requests and answers with the next queued status
+const startReceiver = async () => {
+  const received = [];
+  const statuses = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    statuses,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+const verifySignature = (secret, { headers, body }) => {
+  const [, timestamp, signature] =
+    /^t=(\d+),v1=([0-9a-f]+)$/.exec(headers["x-webhook-signature"]) || [];
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return signature === expected;
+};
+
+describeWithDb("Outbound webhooks", () => {
+  let receiver;
+  let token;
+  let patientId;
+  let clock;
+
+  const asAdmin = (method, url) => as(token, method, url);
+
+  const dispatch = () =>
+    dispatchDueDeliveries({ clock: () => clock, limit: 100 });
+
+  const deliveryFor = async (subscriptionId) => {
+    const result = await pool.query(
+      "SELECT * FROM webhook_deliveries WHERE subscription_id = $1 ORDER BY id DESC LIMIT 1",
+      [subscriptionId]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    receiver = await startReceiver();
+
+    const suffix = uniqueSuffix("W");
+    const hospitalId = await createHospital(
+      `Webhook Hospital ${suffix}`,
+      `TEST_${suffix}`
+    );
+    const patient = await pool.query(
+      `INSERT INTO patients (first_name, last_name, medical_record_number, hospital_id)
+       VALUES ('Pat', 'Hook', $1, $2) RETURNING id`,
+      [`MRN-${suffix}`, hospitalId]
+    );
+    await seedDefaultTaskTypes(pool, hospitalId);
+
+    patientId = patient.rows[0].id;
+    ({ token } = await createUser(hospitalId, "admin", {
+      firstName: "Hook",
+      lastName: "Admin",
+    }));
+  });
+
+  afterAll(async () => {
+    await receiver.close();
+    await pool.end();
+  });
+
+  test("a committed change is delivered once, signed with the secret", async () => {
+    const created = await asAdmin("post", "/api/webhooks")
+      .send({ url: receiver.url, eventTypes: ["task_log.created"] })
+      .expect(201);
+    const { subscription, secret } = created.body;
+
+    const taskLog = await asAdmin("post", "/api/task-logs")
+      .send({
+        patientId,
+        taskType: "vitals",
+        description: "Vitals check",
+        completedAt: new Date().toISOString(),
+      })
+      .expect(201);
+
+    // Written by the request's transaction, before any delivery attempt
+    expect((await deliveryFor(subscription.id)).status).toBe("pending");
+
+    clock = new Date();
+    await dispatch();
+
+    const sent = receiver.received.filter(
+      (r) => JSON.parse(r.body).data.task_log?.id === taskLog.body.taskLog.id
+    );
+    expect(sent).toHaveLength(1);
+    expect(sent[0].headers["x-webhook-event"]).toBe("task_log.created");
+    expect(verifySignature(secret, sent[0])).toBe(true);
+    expect(verifySignature("wrong-secret", sent[0])).toBe(false);
+
+    const delivery = await deliveryFor(subscription.id);
+    expect(delivery.status).toBe("delivered");
+    expect(sent[0].headers["x-webhook-id"]).toBe(delivery.event_id);
+
+    await dispatch();
+    expect(
+      receiver.received.filter(
+        (r) => r.headers["x-webhook-id"] === delivery.event_id
+      )
+    ).toHaveLength(1);
+
+    const log = await asAdmin(
+      "get",
+      `/api/webhooks/${subscription.id}/deliveries`
+    ).expect(200);
+    expect(log.body.deliveries[0]).toMatchObject({
+      id: delivery.id,
+      status: "delivered",
+      attempts: 1,
+      last_status_code: 200,
+    });
+  });
+
+  test("failures back off exponentially and end in the dead letter state", async () => {
+    const created = await asAdmin("post", "/api/webhooks")
+      .send({ url: receiver.url, eventTypes: ["patient.updated"] })
+      .expect(201);
+    const { subscription } = created.body;
+
+    await asAdmin("put", `/api/patients/${patientId}`)
+      .send({ firstName: "Patricia" })
+      .expect(200);
+    clock = new Date();
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      receiver.statuses.push(500);
+      await dispatch();
+
+      const delivery = await deliveryFor(subscription.id);
+      expect(delivery.attempts).toBe(attempt);
+      expect(delivery.last_status_code).toBe(500);
+
+      if (attempt < MAX_ATTEMPTS) {
+        expect(delivery.status).toBe("pending");
+        expect(delivery.next_attempt_at.getTime()).toBe(
+          clock.getTime() + retryDelayMs(attempt)
+        );
+        // Not due yet: nothing is sent
+        await dispatch();
+        expect((await deliveryFor(subscription.id)).attempts).toBe(attempt);
+
+        clock = new Date(delivery.next_attempt_at.getTime());
+      } else {
+        expect(delivery.status).toBe("dead");
+      }
+    }
+
+    const dead = await deliveryFor(subscription.id);
+    const detail = await asAdmin(
+      "get",
+      `/api/webhooks/deliveries/${dead.id}`
+    ).expect(200);
+    expect(detail.body.delivery.attempts).toHaveLength(MAX_ATTEMPTS);
+
+    // An admin requeues it once the receiver is fixed
+    await asAdmin("post", `/api/webhooks/deliveries/${dead.id}/retry`).expect(
+      200
+    );
+    clock = new Date(Date.now() + 1000);
+    await dispatch();
+
+    expect(await deliveryFor(subscription.id)).toMatchObject({
+      status: "delivered",
+      attempts: 1,
+    });
+  });
+
+  test("event types the subscription did not ask for are not queued", async () => {
+    const created = await asAdmin("post", "/api/webhooks")
+      .send({ url: receiver.url, eventTypes: ["patient.discharged"] })
+      .expect(201);
+
+    await asAdmin("put", `/api/patients/${patientId}`)
+      .send({ lastName: "Hooked" })
+      .expect(200);
+
+    expect(await deliveryFor(created.body.subscription.id)).toBeUndefined();
+  });
+
+  test("production refuses private addresses when subscribing and delivering", async () => {
+    const created = await asAdmin("post", "/api/webhooks")
+      .send({ url: receiver.url, eventTypes: ["patient.created"] })
+      .expect(201);
+    const { subscription } = created.body;
+
+    await asAdmin("post", "/api/patients")
+      .send({
+        firstName: "Pat",
+        lastName: "Private",
+        medicalRecordNumber: `MRN-${uniqueSuffix("P")}`,
+      })
+      .expect(201);
+
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      const rejected = await asAdmin("post", "/api/webhooks")
+        .send({
+          url: "https://169.254.169.254/latest/meta-data",
+          eventTypes: ["patient.created"],
+        })
+        .expect(400);
+      expect(rejected.body.errors[0].msg).toMatch(/private, loopback/);
+
+      // Subscribed before; the receiver still resolves to 127.0.0.1
+      const received = receiver.received.length;
+      clock = new Date();
+      await dispatch();
+      expect(receiver.received).toHaveLength(received);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+
+    expect(await deliveryFor(subscription.id)).toMatchObject({
+      status: "pending",
+      attempts: 1,
+      last_error: "URL must not point to a private, loopback or link-local address",
+    });
+  });
+});